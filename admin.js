@@ -4,9 +4,49 @@ const uploadStatus = document.getElementById("uploadStatus");
 const uploadDetails = document.getElementById("uploadDetails");
 const gamesTable = document.getElementById("gamesTable");
 const playersGrid = document.getElementById("playersGrid");
+const mergePlayersForm = document.getElementById("mergePlayersForm");
+const mergeSourceSelect = document.getElementById("mergeSource");
+const mergeTargetSelect = document.getElementById("mergeTarget");
+const mergesTable = document.getElementById("mergesTable");
+const teamsTable = document.getElementById("teamsTable");
+const teamForm = document.getElementById("teamForm");
+const uploadTeamSelect = document.getElementById("uploadTeam");
+const seasonsTable = document.getElementById("seasonsTable");
+const seasonForm = document.getElementById("seasonForm");
+const opponentsTable = document.getElementById("opponentsTable");
+const opponentSuggestions = document.getElementById("opponentSuggestions");
+const opponentOptions = document.getElementById("opponentOptions");
+const mergeOpponentsForm = document.getElementById("mergeOpponentsForm");
+const computedStatsTable = document.getElementById("computedStatsTable");
+const computedStatForm = document.getElementById("computedStatForm");
+const computedStatPreview = document.getElementById("computedStatPreview");
+const csvProfileSelect = document.getElementById("csvProfile");
+const csvProfileHint = document.getElementById("csvProfileHint");
+const uploadValidation = document.getElementById("uploadValidation");
+const importProfilesTable = document.getElementById("importProfilesTable");
+const importProfileForm = document.getElementById("importProfileForm");
+const importProfileCheck = document.getElementById("importProfileCheck");
+const playByPlayForm = document.getElementById("playByPlayForm");
+const playByPlayGameSelect = document.getElementById("playByPlayGame");
+const playByPlaySummary = document.getElementById("playByPlaySummary");
+const removePlayByPlayBtn = document.getElementById("removePlayByPlay");
+const shotLogForm = document.getElementById("shotLogForm");
+const shotLogGameSelect = document.getElementById("shotLogGame");
+const shotLogSummary = document.getElementById("shotLogSummary");
+const removeShotLogBtn = document.getElementById("removeShotLog");
+const anomalyMethodSelect = document.getElementById("anomalyMethod");
+const anomalyThresholdInput = document.getElementById("anomalyThreshold");
+const anomalyTable = document.getElementById("anomalyTable");
+const backtestPlayerSelect = document.getElementById("backtestPlayer");
+const backtestSummary = document.getElementById("backtestSummary");
+const backtestTable = document.getElementById("backtestTable");
 const gameCount = document.getElementById("gameCount");
 const playerCount = document.getElementById("playerCount");
 const cloudBadge = document.getElementById("cloudBadge");
+const undoChangeBtn = document.getElementById("undoChange");
+const redoChangeBtn = document.getElementById("redoChange");
+const clearHistoryBtn = document.getElementById("clearHistory");
+const historyTable = document.getElementById("historyTable");
 const clearData = document.getElementById("clearData");
 
 // Edit Game Modal
@@ -75,10 +115,22 @@ const renderGames = () => {
   // Update count
   if (gameCount) gameCount.textContent = games.length;
   
+  // Team, season and opponent game counts depend on the game list
+  renderTeams();
+  renderSeasons();
+  renderOpponents();
+  renderComputedStats();
+  renderImportProfiles();
+  renderPlayByPlayGames();
+  renderShotLogGames();
+  renderAnomalies();
+  renderBacktest();
+  renderHistory();
+  
   if (games.length === 0) {
     gamesTable.innerHTML = `
       <tr>
-        <td colspan="6" class="empty-state">No games uploaded yet</td>
+        <td colspan="7" class="empty-state">No games uploaded yet</td>
       </tr>
     `;
     return;
@@ -90,6 +142,11 @@ const renderGames = () => {
       const numPlayers = playerNames.length;
       const locationLabel = game.homeAway === "home" ? "H" : "A";
       const safeId = game.id.replace(/"/g, '&quot;');
+      const result = window.basketStatData.getGameResult(game);
+      const overtimeLabel = game.overtime && game.overtime.length ? " OT" : "";
+      const resultLabel = result
+        ? `${result} ${game.teamScore}–${game.opponentScore}${overtimeLabel}`
+        : (game.teamScore !== null && game.teamScore !== undefined ? `${game.teamScore}–?` : "—");
       
       return `
         <tr data-game-id="${safeId}">
@@ -97,7 +154,8 @@ const renderGames = () => {
           <td>${game.opponent}</td>
           <td>${game.league || "—"}</td>
           <td>${locationLabel}</td>
-          <td>${numPlayers}</td>
+          <td>${resultLabel}</td>
+          <td>${numPlayers}${game.playByPlay ? ' <span class="badge" title="Play-by-play imported">PBP</span>' : ""}${game.shots ? ' <span class="badge" title="Shot chart imported">Shots</span>' : ""}</td>
           <td class="actions">
             <button class="btn-icon" data-action="view" title="View Stats">
               <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z"/><circle cx="12" cy="12" r="3"/></svg>
@@ -113,11 +171,469 @@ const renderGames = () => {
       `;
     })
     .join("");
+
+};
+
+// Fill a team <select> with the registered teams
+const fillTeamOptions = (select, selectedId) => {
+  const teams = window.basketStatData.getTeams();
+  select.innerHTML = teams.length === 0
+    ? '<option value="">Main team</option>'
+    : teams.map((team) => `<option value="${escapeHtml(team.id)}">${escapeHtml(team.name)}</option>`).join("");
+  if (teams.some((team) => team.id === selectedId)) select.value = selectedId;
+};
+
+// Render teams table and the upload team selector
+const renderTeams = () => {
+  if (uploadTeamSelect) {
+    fillTeamOptions(uploadTeamSelect, uploadTeamSelect.value || window.getActiveTeamId());
+  }
+  if (!teamsTable) return;
+
+  const { games } = window.basketStatData.loadData();
+  const teams = window.basketStatData.getTeams();
+
+  if (teams.length === 0) {
+    teamsTable.innerHTML = `
+      <tr>
+        <td colspan="5" class="empty-state">No teams yet</td>
+      </tr>
+    `;
+    return;
+  }
+
+  teamsTable.innerHTML = teams
+    .map((team) => {
+      const teamGames = games.filter((g) => g.teamId === team.id);
+      const playerTotal = new Set(teamGames.flatMap((g) => Object.keys(g.performances || {}))).size;
+      return `
+        <tr data-team-id="${escapeHtml(team.id)}">
+          <td>${escapeHtml(team.name)}</td>
+          <td>${escapeHtml(team.ageGroup || "—")}</td>
+          <td>${teamGames.length}</td>
+          <td>${playerTotal}</td>
+          <td class="actions">
+            <button class="btn-icon" data-action="rename-team" title="Rename">
+              <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>
+            </button>
+            <button class="btn-icon danger" data-action="delete-team" title="Delete">
+              <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>
+            </button>
+          </td>
+        </tr>
+      `;
+    })
+    .join("");
+};
+
+// Render seasons table
+const renderSeasons = () => {
+  if (!seasonsTable) return;
+  const { games } = window.basketStatData.loadData();
+  const seasons = window.basketStatData.getSeasons();
+
+  if (seasons.length === 0) {
+    seasonsTable.innerHTML = `
+      <tr>
+        <td colspan="4" class="empty-state">No seasons yet</td>
+      </tr>
+    `;
+    return;
+  }
+
+  const counts = {};
+  games.forEach((game) => {
+    const seasonId = window.basketStatData.getGameSeasonId(game, seasons);
+    if (seasonId) counts[seasonId] = (counts[seasonId] || 0) + 1;
+  });
+
+  seasonsTable.innerHTML = seasons
+    .slice()
+    .reverse()
+    .map((season) => `
+      <tr data-season-id="${escapeHtml(season.id)}">
+        <td>${escapeHtml(window.basketStatData.getSeasonLabel(season))}</td>
+        <td>${formatDate(season.start)} – ${formatDate(season.end)}</td>
+        <td>${counts[season.id] || 0}</td>
+        <td class="actions">
+          <button class="btn-icon danger" data-action="delete-season" title="Delete">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>
+          </button>
+        </td>
+      </tr>
+    `)
+    .join("");
+};
+
+// Render opponent registry, merge suggestions and the opponent input suggestions
+const renderOpponents = () => {
+  const { games } = window.basketStatData.loadData();
+  const opponents = window.basketStatData.getOpponents();
+
+  if (opponentOptions) {
+    opponentOptions.innerHTML = opponents.map((o) => `<option value="${o.name.replace(/"/g, '&quot;')}"></option>`).join("");
+  }
+
+  ["mergeOpponentSource", "mergeOpponentTarget"].forEach((id) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const previous = select.value;
+    select.innerHTML = '<option value="">Select opponent</option>';
+    opponents.forEach((o) => select.add(new Option(o.name, o.id)));
+    if (opponents.some((o) => o.id === previous)) select.value = previous;
+  });
+
+  if (opponentSuggestions) {
+    const pairs = window.basketStatData.suggestOpponentMerges();
+    opponentSuggestions.innerHTML = pairs
+      .map(({ a, b }) => `
+        <div class="upload-status" data-source-id="${escapeHtml(a.id)}" data-target-id="${escapeHtml(b.id)}">
+          <span>Same club? <strong>${escapeHtml(a.name)}</strong> and <strong>${escapeHtml(b.name)}</strong></span>
+          <button class="secondary" data-action="merge-opponent" style="font-size: 12px; padding: 4px 10px;">Merge into ${escapeHtml(b.name)}</button>
+          <button class="secondary" data-action="merge-opponent-reverse" style="font-size: 12px; padding: 4px 10px;">Merge into ${escapeHtml(a.name)}</button>
+        </div>
+      `)
+      .join("");
+  }
+
+  if (!opponentsTable) return;
+
+  if (opponents.length === 0) {
+    opponentsTable.innerHTML = `
+      <tr>
+        <td colspan="6" class="empty-state">No opponents yet</td>
+      </tr>
+    `;
+    return;
+  }
+
+  const counts = {};
+  games.forEach((game) => {
+    counts[game.opponent] = (counts[game.opponent] || 0) + 1;
+  });
+
+  opponentsTable.innerHTML = opponents
+    .map((opponent) => `
+      <tr data-opponent-id="${escapeHtml(opponent.id)}">
+        <td>${escapeHtml(opponent.name)}</td>
+        <td>${escapeHtml((opponent.aliases || []).join(", ") || "—")}</td>
+        <td>${escapeHtml(opponent.league || "—")}</td>
+        <td>${escapeHtml(opponent.venue || "—")}</td>
+        <td>${counts[opponent.name] || 0}</td>
+        <td class="actions">
+          <button class="btn-icon" data-action="rename-opponent" title="Rename">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>
+          </button>
+          <button class="btn-icon" data-action="edit-venue" title="League and venue">
+            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>
+          </button>
+        </td>
+      </tr>
+    `)
+    .join("");
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// Describe a computed stat's null-handling rules for the registry table
+const describeComputedStatRules = (stat) => [
+  stat.missing === "null" ? "missing stats → empty" : "missing stats → 0",
+  stat.zeroAsNull ? "0 → empty" : null,
+  stat.requiresMinutes ? "needs minutes" : null,
+].filter(Boolean).join(" · ");
+
+// Render the computed stat registry
+const renderComputedStats = () => {
+  if (!computedStatsTable) return;
+  const edit = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>';
+  const reset = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/><path d="M3 3v5h5"/></svg>';
+  const remove = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>';
+
+  computedStatsTable.innerHTML = window.basketStatData.getComputedStats()
+    .map((stat) => `
+      <tr data-stat-key="${escapeHtml(stat.key)}">
+        <td><strong>${escapeHtml(stat.name)}</strong><br><small>${escapeHtml(stat.key)}${stat.builtIn ? " · built-in" : ""}</small></td>
+        <td><code>${escapeHtml(stat.formula)}</code></td>
+        <td>${describeComputedStatRules(stat)}</td>
+        <td class="actions">
+          <button class="btn-icon" data-action="edit-stat" title="Edit">${edit}</button>
+          ${stat.builtIn
+            ? `<button class="btn-icon" data-action="reset-stat" title="Restore default formula">${reset}</button>`
+            : `<button class="btn-icon danger" data-action="delete-stat" title="Delete">${remove}</button>`}
+        </td>
+      </tr>
+    `)
+    .join("");
+};
+
+// Render the import profile list and the upload form's profile picker
+const renderImportProfiles = () => {
+  const profiles = window.basketStatData.getImportProfiles();
+  const formats = window.basketStatData.PLAYER_CELL_FORMATS;
+
+  if (csvProfileSelect) {
+    const selected = csvProfileSelect.value;
+    csvProfileSelect.innerHTML = '<option value="">Auto-detect from headers</option>' +
+      profiles.map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join("");
+    csvProfileSelect.value = profiles.some((p) => p.id === selected) ? selected : "";
+  }
+  if (!importProfilesTable) return;
+
+  const edit = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/></svg>';
+  const copy = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="14" height="14" x="8" y="8" rx="2" ry="2"/><path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/></svg>';
+  const remove = '<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>';
+
+  importProfilesTable.innerHTML = profiles
+    .map((profile) => `
+      <tr data-profile-id="${escapeHtml(profile.id)}">
+        <td><strong>${escapeHtml(profile.name)}</strong>${profile.builtIn ? "<br><small>built-in</small>" : ""}</td>
+        <td>${escapeHtml(profile.player.column)} <small>(${escapeHtml(formats[profile.player.format])}${profile.player.numberColumn ? `, number in ${escapeHtml(profile.player.numberColumn)}` : ""})</small></td>
+        <td>${profile.columns ? escapeHtml(Object.keys(profile.columns).join(", ")) : "<small>headers used as stat keys</small>"}</td>
+        <td class="actions">
+          ${profile.builtIn ? "" : `<button class="btn-icon" data-action="edit-profile" title="Edit">${edit}</button>`}
+          ${profile.columns ? `<button class="btn-icon" data-action="copy-profile" title="Copy into a new profile">${copy}</button>` : ""}
+          ${profile.builtIn ? "" : `<button class="btn-icon danger" data-action="delete-profile" title="Delete">${remove}</button>`}
+        </td>
+      </tr>
+    `)
+    .join("");
+};
+
+// Fill the play-by-play game picker (newest first) and show the selected game's log
+const renderPlayByPlayGames = () => {
+  if (!playByPlayGameSelect) return;
+  const { games } = window.basketStatData.loadData();
+  const selected = playByPlayGameSelect.value;
+
+  playByPlayGameSelect.innerHTML = games.length === 0
+    ? '<option value="">No games uploaded yet</option>'
+    : [...games].reverse().map((game) => `<option value="${escapeHtml(game.id)}">${escapeHtml(`${game.date} vs ${game.opponent}${game.playByPlay ? " (log imported)" : ""}`)}</option>`).join("");
+  if (games.some((game) => game.id === selected)) playByPlayGameSelect.value = selected;
+  renderPlayByPlaySummary();
+};
+
+// Check the selected game's log against its box score
+const renderPlayByPlaySummary = (warnings = []) => {
+  const game = window.basketStatData.loadData().games.find((g) => g.id === playByPlayGameSelect.value);
+  removePlayByPlayBtn.hidden = !game || !game.playByPlay;
+  if (!game || !game.playByPlay) {
+    playByPlaySummary.innerHTML = "";
+    return;
+  }
+
+  const summary = window.basketStatData.summarizePlayByPlay(game);
+  const notes = [
+    ...warnings.map((warning) => ({ level: "warning", message: warning })),
+    ...(game.teamScore !== null && game.teamScore !== undefined && summary.points.team !== game.teamScore
+      ? [{ level: "error", message: `Log scores ${summary.points.team} points, the game has ${game.teamScore}` }] : []),
+    ...(game.opponentScore !== null && game.opponentScore !== undefined && summary.points.opponent > 0 && summary.points.opponent !== game.opponentScore
+      ? [{ level: "error", message: `Log gives the opponent ${summary.points.opponent} points, the game has ${game.opponentScore}` }] : []),
+    ...(summary.incompleteMinutes > 0
+      ? [{ level: "warning", message: `${summary.incompleteMinutes} min without exactly five players on court (missing substitutions?)` }] : []),
+    ...(summary.unknownPlayers.length
+      ? [{ level: "warning", message: `Not in the box score: ${summary.unknownPlayers.join(", ")}` }] : []),
+    ...summary.plusMinus.map(({ player, playByPlay, boxScore }) => ({
+      level: "warning", message: `${player}: +/- ${playByPlay} on court, ${boxScore} in the box score`,
+    })),
+  ];
+
+  playByPlaySummary.innerHTML = `
+    <div class="upload-validation">
+      <p><strong>${summary.events}</strong> events · <strong>${summary.lineups}</strong> five-man lineups · log score ${summary.points.team}–${summary.points.opponent}</p>
+      ${notes.length ? `<ul>${notes.map((note) => `<li class="issue-${note.level}">${escapeHtml(note.message)}</li>`).join("")}</ul>` : "<p>Matches the box score.</p>"}
+    </div>
+  `;
+};
+
+// Fill the shot log game picker (newest first) and show the selected game's shots
+const renderShotLogGames = () => {
+  if (!shotLogGameSelect) return;
+  const { games } = window.basketStatData.loadData();
+  const selected = shotLogGameSelect.value;
+
+  shotLogGameSelect.innerHTML = games.length === 0
+    ? '<option value="">No games uploaded yet</option>'
+    : [...games].reverse().map((game) => `<option value="${escapeHtml(game.id)}">${escapeHtml(`${game.date} vs ${game.opponent}${game.shots ? " (shots imported)" : ""}`)}</option>`).join("");
+  if (games.some((game) => game.id === selected)) shotLogGameSelect.value = selected;
+  renderShotLogSummary();
+};
+
+// Zone totals of the selected game's shots, checked against its box score
+const renderShotLogSummary = (warnings = []) => {
+  const game = window.basketStatData.loadData().games.find((g) => g.id === shotLogGameSelect.value);
+  removeShotLogBtn.hidden = !game || !game.shots;
+  if (!game || !game.shots) {
+    shotLogSummary.innerHTML = "";
+    return;
+  }
+
+  const summary = window.basketStatData.summarizeShots(game);
+  const zones = window.basketStatData.SHOT_ZONES
+    .map(({ key, label }) => `${escapeHtml(label)} ${summary.zones[key].made}/${summary.zones[key].attempted}`)
+    .join(" · ");
+  const notes = [
+    ...warnings.map((warning) => ({ level: "warning", message: warning })),
+    ...(summary.unknownPlayers.length
+      ? [{ level: "warning", message: `Not in the box score: ${summary.unknownPlayers.join(", ")}` }] : []),
+    ...summary.mismatches.map(({ player, stat, chart, boxScore }) => ({
+      level: "warning", message: `${player}: ${chart} ${stat.toUpperCase()} attempts charted, ${boxScore} in the box score`,
+    })),
+  ];
+
+  shotLogSummary.innerHTML = `
+    <div class="upload-validation">
+      <p><strong>${summary.shots}</strong> shots · ${zones}</p>
+      ${notes.length ? `<ul>${notes.map((note) => `<li class="issue-${note.level}">${escapeHtml(note.message)}</li>`).join("")}</ul>` : "<p>Matches the box score.</p>"}
+    </div>
+  `;
+};
+
+// Rows shown in the unusual games report
+const ANOMALY_REPORT_LIMIT = 25;
+
+// The most unusual player-game stats, each player judged within each of their teams
+const renderAnomalies = () => {
+  if (!anomalyTable) return;
+  const { games } = window.basketStatData.loadData();
+  const method = anomalyMethodSelect.value || "mad";
+  const threshold = parseFloat(anomalyThresholdInput.value) || undefined;
+  const teamIds = [...new Set(games.map((game) => game.teamId))];
+  const anomalies = teamIds
+    .flatMap((teamId) => window.basketStatData.findAnomalies(window.basketStatData.filterGamesByTeam(games, teamId), { method, threshold }))
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+
+  if (anomalies.length === 0) {
+    anomalyTable.innerHTML = `<tr><td colspan="7" class="empty-state">No unusual games (players need ${window.basketStatData.MIN_ANOMALY_GAMES}+ games of a stat)</td></tr>`;
+    return;
+  }
+  anomalyTable.innerHTML = anomalies.slice(0, ANOMALY_REPORT_LIMIT).map((anomaly) => `
+    <tr data-game-id="${escapeHtml(anomaly.gameId)}" data-player="${escapeHtml(anomaly.player)}" data-stat="${escapeHtml(anomaly.stat)}">
+      <td>${escapeHtml(`${anomaly.date} vs ${anomaly.opponent}`)}</td>
+      <td>${escapeHtml(anomaly.player)}</td>
+      <td>${escapeHtml(anomaly.stat)}</td>
+      <td>${Number(anomaly.value.toFixed(1))}${anomaly.high ? ' <span class="badge" title="Highest of the player\'s games">High</span>' : anomaly.low ? ' <span class="badge" title="Lowest of the player\'s games">Low</span>' : ""}</td>
+      <td>${Number(anomaly.expected.toFixed(1))}</td>
+      <td>${anomaly.score > 0 ? "+" : ""}${anomaly.score.toFixed(1)}</td>
+      <td class="actions"><button type="button" class="secondary" data-action="fix-anomaly">Fix</button></td>
+    </tr>
+  `).join("") + (anomalies.length > ANOMALY_REPORT_LIMIT
+    ? `<tr><td colspan="7" class="empty-state">${anomalies.length - ANOMALY_REPORT_LIMIT} more below score ${Math.abs(anomalies[ANOMALY_REPORT_LIMIT - 1].score).toFixed(1)}</td></tr>`
+    : "");
+};
+
+const BACKTEST_REPORT_LIMIT = 25;
+
+const formatBacktestValue = (value, stat) => `${Number(value.toFixed(1))}${stat.endsWith("%") ? "%" : ""}`;
+
+// Projected vs actual, each team replayed on its own so priors never mix teams
+const renderBacktest = () => {
+  if (!backtestTable) return;
+  const { games } = window.basketStatData.loadData();
+  const players = [...new Set(games.flatMap((game) => Object.keys(game.performances || {})))].sort();
+  const selected = players.includes(backtestPlayerSelect.value) ? backtestPlayerSelect.value : "";
+  backtestPlayerSelect.innerHTML = `<option value="">All players</option>` +
+    players.map((player) => `<option value="${escapeHtml(player)}">${escapeHtml(player)}</option>`).join("");
+  backtestPlayerSelect.value = selected;
+
+  const teamIds = [...new Set(games.map((game) => game.teamId))];
+  const rows = teamIds
+    .flatMap((teamId) => window.basketStatData.backtestProjections(
+      window.basketStatData.filterGamesByTeam(games, teamId),
+      { players: selected ? [selected] : null }
+    ).rows)
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  const summary = window.basketStatData.summarizeProjectionBacktest(rows);
+
+  if (rows.length === 0) {
+    backtestSummary.innerHTML = `<tr><td colspan="6" class="empty-state">No projections yet (players need 3+ earlier games)</td></tr>`;
+    backtestTable.innerHTML = "";
+    return;
+  }
+  const level = Math.round(window.basketStatData.PROJECTION_LEVEL * 100);
+  backtestSummary.innerHTML = Object.entries(summary).map(([stat, s]) => `
+    <tr>
+      <td>${escapeHtml(stat)}</td>
+      <td>${s.count}</td>
+      <td${s.mae < s.baselineMae ? ' style="color: #22c55e;" title="Beats the plain average"' : ""}>${formatBacktestValue(s.mae, stat)}</td>
+      <td>${formatBacktestValue(s.baselineMae, stat)}</td>
+      <td>${s.bias > 0 ? "+" : ""}${formatBacktestValue(s.bias, stat)}</td>
+      <td title="Share of games inside the ${level}% range">${s.coverage === null ? "—" : `${Math.round(s.coverage * 100)}%`}</td>
+    </tr>
+  `).join("");
+  backtestTable.innerHTML = rows.slice(0, BACKTEST_REPORT_LIMIT).map((row) => `
+    <tr>
+      <td>${escapeHtml(`${row.date} vs ${row.opponent}`)}</td>
+      <td>${escapeHtml(row.player)}</td>
+      <td>${escapeHtml(row.stat)}</td>
+      <td>${formatBacktestValue(row.projected, row.stat)}</td>
+      <td>${row.low === null ? "—" : `${formatBacktestValue(row.low, row.stat)} – ${formatBacktestValue(row.high, row.stat)}`}</td>
+      <td${row.inRange === false ? ' style="color: #ef4444;" title="Outside the range"' : ""}>${formatBacktestValue(row.actual, row.stat)}</td>
+    </tr>
+  `).join("") + (rows.length > BACKTEST_REPORT_LIMIT
+    ? `<tr><td colspan="6" class="empty-state">${rows.length - BACKTEST_REPORT_LIMIT} earlier projections</td></tr>`
+    : "");
+};
+
+// Render the undo/redo journal (redoable steps greyed out above the current state)
+const renderHistory = () => {
+  const { undo, redo } = window.basketStatData.getHistory();
+  if (undoChangeBtn) {
+    undoChangeBtn.disabled = undo.length === 0;
+    undoChangeBtn.title = undo.length ? `Undo: ${undo[0].label}` : "Nothing to undo";
+  }
+  if (redoChangeBtn) {
+    redoChangeBtn.disabled = redo.length === 0;
+    redoChangeBtn.title = redo.length ? `Redo: ${redo[0].label}` : "Nothing to redo";
+  }
+  if (!historyTable) return;
+
+  if (undo.length === 0 && redo.length === 0) {
+    historyTable.innerHTML = `
+      <tr>
+        <td colspan="2" class="empty-state">No changes yet</td>
+      </tr>
+    `;
+    return;
+  }
+
+  const row = (entry, undone) => `
+    <tr${undone ? ' style="opacity: 0.5;" title="Undone"' : ""}>
+      <td>${undone ? "<s>" : ""}${escapeHtml(entry.label)}${undone ? "</s>" : ""}</td>
+      <td>${new Date(entry.at).toLocaleString()}</td>
+    </tr>
+  `;
+  historyTable.innerHTML = [...redo.slice().reverse().map((e) => row(e, true)), ...undo.map((e) => row(e, false))].join("");
+};
+
+// Step through the journal and refresh everything derived from data
+const onHistoryStep = async (direction) => {
+  try {
+    const entry = window.basketStatData[direction]();
+    if (!entry) return;
+    renderGames();
+    renderPlayers();
+    uploadStatus.textContent = direction === "undo" ? "↶ Undone" : "↷ Redone";
+    uploadDetails.textContent = entry.label;
+    await syncToCloudAfterChange();
+  } catch (error) {
+    uploadStatus.textContent = "✗ Error";
+    uploadDetails.textContent = error.message;
+  }
 };
 
+if (undoChangeBtn) undoChangeBtn.addEventListener("click", () => onHistoryStep("undo"));
+if (redoChangeBtn) redoChangeBtn.addEventListener("click", () => onHistoryStep("redo"));
+if (clearHistoryBtn) {
+  clearHistoryBtn.addEventListener("click", () => {
+    if (!confirm("Clear the change history? Existing changes can no longer be undone.")) return;
+    window.basketStatData.clearHistory();
+    renderHistory();
+  });
+}
+
 // Render players grid
 const renderPlayers = () => {
-  const { players } = window.basketStatData.loadData();
+  const { players, aliases } = window.basketStatData.loadData();
   
   // Count games per player (only counting games with valid stats)
   const gamesPlayed = window.basketStatData.getPlayerGameCounts();
@@ -143,17 +659,85 @@ const renderPlayers = () => {
     return a.localeCompare(b);
   });
 
+  const aliasesById = {};
+  Object.entries(aliases || {}).forEach(([alias, playerId]) => {
+    (aliasesById[playerId] = aliasesById[playerId] || []).push(alias);
+  });
+
   playersGrid.innerHTML = sortedPlayers
     .map((name) => {
       const count = gamesPlayed[name] || 0;
+      const playerAliases = aliasesById[players[name]?.id] || [];
+      const aliasTitle = playerAliases.length ? ` title="Also known as: ${playerAliases.join(", ").replace(/"/g, '&quot;')}"` : "";
       return `
-        <div class="player-chip">
+        <div class="player-chip"${aliasTitle}>
           <span class="name">${name}</span>
-          <span class="games">${count} games</span>
+          <span class="games">${count} games${playerAliases.length ? ` · ${playerAliases.length} alias${playerAliases.length === 1 ? "" : "es"}` : ""}</span>
         </div>
       `;
     })
     .join("");
+
+  renderMerges(Object.keys(players).sort((a, b) => a.localeCompare(b)));
+};
+
+// Fill the merge selects and the merge log
+const renderMerges = (playerNames) => {
+  if (mergeSourceSelect && mergeTargetSelect) {
+    [mergeSourceSelect, mergeTargetSelect].forEach((select) => {
+      const previous = select.value;
+      select.innerHTML = '<option value="">Select player</option>';
+      playerNames.forEach((name) => select.add(new Option(name, name)));
+      if (playerNames.includes(previous)) select.value = previous;
+    });
+  }
+  if (!mergesTable) return;
+
+  const merges = window.basketStatData.getPlayerMerges();
+  if (merges.length === 0) {
+    mergesTable.innerHTML = `
+      <tr>
+        <td colspan="5" class="empty-state">No merges yet</td>
+      </tr>
+    `;
+    return;
+  }
+
+  mergesTable.innerHTML = merges
+    .map((merge) => `
+      <tr data-merge-id="${escapeHtml(merge.id)}">
+        <td>${escapeHtml(merge.source.name)}</td>
+        <td>${escapeHtml(merge.targetName || "—")}</td>
+        <td>${merge.gameIds.length}</td>
+        <td>${formatDate(merge.mergedAt.slice(0, 10))}</td>
+        <td class="actions">
+          <button class="secondary" data-action="unmerge" style="font-size: 12px; padding: 4px 10px;">Unmerge</button>
+        </td>
+      </tr>
+    `)
+    .join("");
+};
+
+// Ask whether unknown names in an import are existing players under another spelling.
+// Accepted matches are stored as aliases, so addGame files the stats under the existing player.
+const confirmPlayerMatches = (playersFound) => {
+  let aliased = 0;
+  Object.entries(playersFound || {}).forEach(([name, info]) => {
+    const [match] = window.basketStatData.suggestPlayerMatches(name, info.number);
+    if (!match) return;
+
+    const numberLabel = (number) => (number !== null && number !== undefined ? ` (#${number})` : "");
+    const same = confirm(
+      `"${name}"${numberLabel(info.number)} is not in the player list.\n` +
+      `Is this ${match.name}${numberLabel(match.number)}? (${Math.round(match.score * 100)}% match)\n\n` +
+      `OK = same player, Cancel = new player`
+    );
+    if (same) {
+      window.basketStatData.addPlayerAlias(name, match.name);
+      aliased++;
+    }
+  });
+  return aliased;
 };
 
 // Event delegation for game action buttons (view/edit/delete)
@@ -183,7 +767,9 @@ gamesTable.addEventListener("click", async (e) => {
 
     const allStats = new Set();
     Object.values(game.performances || {}).forEach((stats) => {
-      Object.keys(stats).forEach((key) => allStats.add(key));
+      Object.keys(stats).forEach((key) => {
+        if (key !== window.basketStatData.PERIODS_KEY) allStats.add(key);
+      });
     });
     const statKeys = Array.from(allStats);
 
@@ -213,6 +799,18 @@ gamesTable.addEventListener("click", async (e) => {
     document.getElementById("editOpponent").value = game.opponent;
     document.getElementById("editLeague").value = game.league || "";
     document.getElementById("editHomeAway").value = game.homeAway || "home";
+    document.getElementById("editTeamScore").value = game.teamScore ?? "";
+    document.getElementById("editOpponentScore").value = game.opponentScore ?? "";
+    document.getElementById("editQuarters").value = window.basketStatData.formatPeriodScores(game.quarters);
+    document.getElementById("editOvertime").value = window.basketStatData.formatPeriodScores(game.overtime);
+    fillTeamOptions(document.getElementById("editGameTeam"), game.teamId);
+
+    const seasonSelect = document.getElementById("editGameSeason");
+    seasonSelect.innerHTML = '<option value="">Auto (by date)</option>' +
+      window.basketStatData.getSeasons()
+        .map((season) => `<option value="${escapeHtml(season.id)}">${escapeHtml(window.basketStatData.getSeasonLabel(season))}</option>`)
+        .join("");
+    seasonSelect.value = game.seasonId || "";
 
     editGameModal.classList.add("active");
   }
@@ -265,12 +863,20 @@ editGameForm.addEventListener("submit", async (e) => {
     opponent: document.getElementById("editOpponent").value.trim(),
     league: document.getElementById("editLeague").value.trim(),
     homeAway: document.getElementById("editHomeAway").value,
+    seasonId: document.getElementById("editGameSeason").value || null,
+    teamScore: document.getElementById("editTeamScore").value,
+    opponentScore: document.getElementById("editOpponentScore").value,
+    quarters: document.getElementById("editQuarters").value,
+    overtime: document.getElementById("editOvertime").value,
   };
+  const teamId = document.getElementById("editGameTeam").value;
+  if (teamId) updates.teamId = teamId;
 
   try {
     window.basketStatData.updateGame(gameId, updates);
     closeAllModals();
     renderGames();
+    renderPlayers();
     uploadStatus.textContent = "✓ Updated";
     uploadDetails.textContent = `Game vs ${updates.opponent} updated`;
     
@@ -282,6 +888,768 @@ editGameForm.addEventListener("submit", async (e) => {
   }
 });
 
+// Rename or delete a team
+if (teamsTable) {
+  teamsTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn) return;
+
+    const row = btn.closest("tr[data-team-id]");
+    const teamId = row.dataset.teamId;
+    const team = window.basketStatData.getTeams().find((t) => t.id === teamId);
+    if (!team) return;
+
+    try {
+      if (btn.dataset.action === "rename-team") {
+        const name = prompt("Team name", team.name);
+        if (name === null || name.trim() === team.name) return;
+        window.basketStatData.updateTeam(teamId, { name });
+        uploadStatus.textContent = "✓ Updated";
+        uploadDetails.textContent = `Team renamed to ${name.trim()}`;
+      } else if (btn.dataset.action === "delete-team") {
+        if (!confirm(`Delete team ${team.name}?`)) return;
+        window.basketStatData.deleteTeam(teamId);
+        uploadStatus.textContent = "Deleted";
+        uploadDetails.textContent = `Removed team ${team.name}`;
+      }
+      renderTeams();
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Merge the opponents in a registry action, refreshing everything that shows opponent names
+const runOpponentMerge = async (sourceId, targetId) => {
+  const opponents = window.basketStatData.getOpponents();
+  const source = opponents.find((o) => o.id === sourceId);
+  const target = opponents.find((o) => o.id === targetId);
+  if (!source || !target) return;
+  if (!confirm(`Merge ${source.name} into ${target.name}? Games against ${source.name} are renamed.`)) return;
+
+  try {
+    const moved = window.basketStatData.mergeOpponents(sourceId, targetId);
+    renderGames();
+    uploadStatus.textContent = "✓ Merged";
+    uploadDetails.textContent = `${source.name} → ${target.name} (${moved} games)`;
+    await syncToCloudAfterChange();
+  } catch (error) {
+    uploadStatus.textContent = "✗ Error";
+    uploadDetails.textContent = error.message;
+  }
+};
+
+// Rename an opponent or edit its league and venue
+if (opponentsTable) {
+  opponentsTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    const row = btn && btn.closest("tr[data-opponent-id]");
+    if (!row) return;
+
+    const opponentId = row.dataset.opponentId;
+    const opponent = window.basketStatData.getOpponents().find((o) => o.id === opponentId);
+    if (!opponent) return;
+
+    try {
+      if (btn.dataset.action === "rename-opponent") {
+        const name = prompt("Opponent name (renames every game)", opponent.name);
+        if (name === null || name.trim() === opponent.name) return;
+        window.basketStatData.updateOpponent(opponentId, { name });
+        uploadDetails.textContent = `${opponent.name} renamed to ${name.trim()}`;
+      } else if (btn.dataset.action === "edit-venue") {
+        const league = prompt("League", opponent.league || "");
+        if (league === null) return;
+        const venue = prompt("Home venue", opponent.venue || "");
+        if (venue === null) return;
+        window.basketStatData.updateOpponent(opponentId, { league, venue });
+        uploadDetails.textContent = `${opponent.name} updated`;
+      }
+      uploadStatus.textContent = "✓ Updated";
+      renderGames();
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+if (opponentSuggestions) {
+  opponentSuggestions.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-action]");
+    const row = btn && btn.closest("[data-source-id]");
+    if (!row) return;
+    const { sourceId, targetId } = row.dataset;
+    if (btn.dataset.action === "merge-opponent") runOpponentMerge(sourceId, targetId);
+    if (btn.dataset.action === "merge-opponent-reverse") runOpponentMerge(targetId, sourceId);
+  });
+}
+
+if (mergeOpponentsForm) {
+  mergeOpponentsForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    runOpponentMerge(
+      document.getElementById("mergeOpponentSource").value,
+      document.getElementById("mergeOpponentTarget").value
+    );
+  });
+}
+
+// Read the computed stat editor
+const readComputedStatForm = () => ({
+  key: document.getElementById("computedStatKey").value,
+  name: document.getElementById("computedStatName").value,
+  formula: document.getElementById("computedStatFormula").value,
+  missing: document.getElementById("computedStatMissing").value,
+  zeroAsNull: document.getElementById("computedStatZero").value === "null",
+  requiresMinutes: document.getElementById("computedStatMinutes").value === "required",
+});
+
+// Switch the computed stat editor between adding and editing a stat
+const fillComputedStatForm = (stat = null) => {
+  computedStatForm.reset();
+  document.getElementById("computedStatOriginalKey").value = stat ? stat.key : "";
+  document.getElementById("computedStatKey").readOnly = Boolean(stat && stat.builtIn);
+  document.getElementById("saveComputedStat").textContent = stat ? "Save Stat" : "Add Stat";
+  document.getElementById("cancelComputedStat").hidden = !stat;
+  computedStatPreview.innerHTML = "";
+  if (!stat) return;
+  document.getElementById("computedStatKey").value = stat.key;
+  document.getElementById("computedStatName").value = stat.name;
+  document.getElementById("computedStatFormula").value = stat.formula;
+  document.getElementById("computedStatMissing").value = stat.missing || "zero";
+  document.getElementById("computedStatZero").value = stat.zeroAsNull ? "null" : "";
+  document.getElementById("computedStatMinutes").value = stat.requiresMinutes ? "required" : "";
+};
+
+const formatPreviewValue = (value) => (value === null || value === undefined ? "—" : escapeHtml(value));
+
+// Evaluate the formula being edited against the latest games
+const renderComputedStatPreview = () => {
+  try {
+    const { rows, unknownKeys } = window.basketStatData.previewComputedStat(readComputedStatForm());
+    const warning = unknownKeys.length
+      ? `<div class="upload-status">No game has recorded: <strong>${unknownKeys.map(escapeHtml).join(", ")}</strong></div>`
+      : "";
+    const body = rows.length
+      ? rows.map((row) => `
+          <tr>
+            <td>${formatDate(row.date)}</td>
+            <td>${escapeHtml(row.opponent)}</td>
+            <td>${escapeHtml(row.player)}</td>
+            <td><strong>${formatPreviewValue(row.value)}</strong></td>
+            <td>${formatPreviewValue(row.current)}</td>
+          </tr>
+        `).join("")
+      : '<tr><td colspan="5" class="empty-state">No games to preview against yet</td></tr>';
+    computedStatPreview.innerHTML = `
+      ${warning}
+      <div class="data-table">
+        <table>
+          <thead>
+            <tr><th>Date</th><th>Opponent</th><th>Player</th><th>Preview</th><th>Saved</th></tr>
+          </thead>
+          <tbody>${body}</tbody>
+        </table>
+      </div>
+    `;
+  } catch (error) {
+    computedStatPreview.innerHTML = `<div class="upload-status">✗ ${escapeHtml(error.message)}</div>`;
+  }
+};
+
+if (computedStatForm) {
+  document.getElementById("previewComputedStat").addEventListener("click", renderComputedStatPreview);
+  document.getElementById("cancelComputedStat").addEventListener("click", () => fillComputedStatForm());
+
+  computedStatForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const originalKey = document.getElementById("computedStatOriginalKey").value || null;
+
+    try {
+      const stat = window.basketStatData.saveComputedStat(readComputedStatForm(), originalKey);
+      fillComputedStatForm();
+      renderGames();
+      uploadStatus.textContent = "✓ Saved";
+      uploadDetails.textContent = `${stat.name} recomputed for every game`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Edit, reset or delete a computed stat
+if (computedStatsTable) {
+  computedStatsTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    const row = btn && btn.closest("tr[data-stat-key]");
+    if (!row) return;
+
+    const stat = window.basketStatData.getComputedStat(row.dataset.statKey);
+    if (!stat) return;
+
+    try {
+      if (btn.dataset.action === "edit-stat") {
+        fillComputedStatForm(stat);
+        computedStatForm.scrollIntoView({ behavior: "smooth", block: "nearest" });
+        return;
+      }
+      if (btn.dataset.action === "reset-stat") {
+        if (!confirm(`Restore the default formula for ${stat.name}? Every game is recomputed.`)) return;
+        window.basketStatData.resetComputedStat(stat.key);
+        uploadStatus.textContent = "✓ Reset";
+        uploadDetails.textContent = `${stat.name} restored to its default formula`;
+      } else if (btn.dataset.action === "delete-stat") {
+        if (!confirm(`Delete ${stat.name}? Its values are removed from every game.`)) return;
+        window.basketStatData.deleteComputedStat(stat.key);
+        uploadStatus.textContent = "Deleted";
+        uploadDetails.textContent = `Removed computed stat ${stat.name}`;
+      }
+      renderGames();
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Read the import profile editor
+const readImportProfileForm = () => ({
+  id: document.getElementById("importProfileId").value || undefined,
+  name: document.getElementById("importProfileName").value,
+  player: {
+    column: document.getElementById("importProfilePlayerColumn").value,
+    format: document.getElementById("importProfilePlayerFormat").value,
+    numberColumn: document.getElementById("importProfileNumberColumn").value,
+  },
+  columns: document.getElementById("importProfileColumns").value,
+});
+
+// Switch the import profile editor between adding, copying and editing a profile
+const fillImportProfileForm = (profile = null, { copy = false } = {}) => {
+  const editing = Boolean(profile && !copy);
+  importProfileForm.reset();
+  document.getElementById("importProfileId").value = editing ? profile.id : "";
+  document.getElementById("saveImportProfile").textContent = editing ? "Save Profile" : "Add Profile";
+  document.getElementById("cancelImportProfile").hidden = !profile;
+  importProfileCheck.innerHTML = "";
+  if (!profile) return;
+  document.getElementById("importProfileName").value = copy ? `${profile.name} (copy)` : profile.name;
+  document.getElementById("importProfilePlayerColumn").value = profile.player.column;
+  document.getElementById("importProfilePlayerFormat").value = profile.player.format;
+  document.getElementById("importProfileNumberColumn").value = profile.player.numberColumn || "";
+  document.getElementById("importProfileColumns").value = window.basketStatData.formatColumnMapping(profile.columns);
+};
+
+// Show which mapped columns a sample header row has and which headers stay unused
+const checkImportProfile = () => {
+  const sample = document.getElementById("importProfileSample").value.trim();
+  if (!sample) {
+    importProfileCheck.innerHTML = '<div class="upload-status">Paste a header row or pick a CSV file first</div>';
+    return;
+  }
+
+  try {
+    const profile = readImportProfileForm();
+    const columns = window.basketStatData.parseColumnMapping(profile.columns);
+    const headers = sample.split(window.basketStatData.detectDelimiter(sample)).map((h) => h.trim().replace(/^"(.*)"$/, "$1"));
+    const present = new Set(headers.map((h) => h.toLowerCase()));
+    const has = (source) => present.has(source.toLowerCase());
+    const describe = (sources) => sources.map((source) => (has(source) ? escapeHtml(source) : `<s>${escapeHtml(source)}</s>`)).join(" + ");
+
+    const rows = Object.entries(columns).map(([key, spec]) => {
+      const sources = Array.isArray(spec) ? spec : [...spec.made, ...spec.attempted];
+      const found = sources.filter(has).length;
+      const mapping = Array.isArray(spec) ? describe(spec) : `${describe(spec.made)} / ${describe(spec.attempted)}`;
+      return `
+        <tr>
+          <td><strong>${escapeHtml(key)}</strong></td>
+          <td>${mapping}</td>
+          <td>${found === sources.length ? "✓" : found === 0 ? "✗ missing" : "⚠ partly missing"}</td>
+        </tr>
+      `;
+    }).join("");
+
+    const used = new Set([profile.player.column, profile.player.numberColumn, ...Object.values(columns)
+      .flatMap((spec) => (Array.isArray(spec) ? spec : [...spec.made, ...spec.attempted]))]
+      .filter(Boolean).map((c) => c.toLowerCase()));
+    const unused = headers.filter((h) => h && !used.has(h.toLowerCase()));
+    const playerStatus = has(profile.player.column) ? "" : `<div class="upload-status">✗ No "${escapeHtml(profile.player.column)}" player column in these headers</div>`;
+
+    importProfileCheck.innerHTML = `
+      ${playerStatus}
+      <div class="data-table">
+        <table>
+          <thead><tr><th>Stat</th><th>Columns</th><th></th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      ${unused.length ? `<small>Not imported: ${unused.map(escapeHtml).join(", ")}</small>` : ""}
+    `;
+  } catch (error) {
+    importProfileCheck.innerHTML = `<div class="upload-status">✗ ${escapeHtml(error.message)}</div>`;
+  }
+};
+
+if (importProfileForm) {
+  document.getElementById("importProfilePlayerFormat").innerHTML = Object.entries(window.basketStatData.PLAYER_CELL_FORMATS)
+    .map(([format, label]) => `<option value="${format}">${escapeHtml(label)}</option>`)
+    .join("");
+  document.getElementById("checkImportProfile").addEventListener("click", checkImportProfile);
+  document.getElementById("cancelImportProfile").addEventListener("click", () => fillImportProfileForm());
+  document.getElementById("importProfileSampleFile").addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const [headerLine = ""] = (await file.text()).split(/\r?\n/);
+    document.getElementById("importProfileSample").value = headerLine.trim();
+    checkImportProfile();
+  });
+
+  importProfileForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    try {
+      const profile = window.basketStatData.saveImportProfile(readImportProfileForm());
+      fillImportProfileForm();
+      renderImportProfiles();
+      uploadStatus.textContent = "✓ Saved";
+      uploadDetails.textContent = `Import profile ${profile.name} saved`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Edit, copy or delete an import profile
+if (importProfilesTable) {
+  importProfilesTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    const row = btn && btn.closest("tr[data-profile-id]");
+    if (!row) return;
+
+    const profile = window.basketStatData.getImportProfile(row.dataset.profileId);
+    if (!profile) return;
+
+    if (btn.dataset.action === "edit-profile" || btn.dataset.action === "copy-profile") {
+      fillImportProfileForm(profile, { copy: btn.dataset.action === "copy-profile" });
+      importProfileForm.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      return;
+    }
+    if (btn.dataset.action !== "delete-profile" || !confirm(`Delete import profile ${profile.name}?`)) return;
+
+    try {
+      window.basketStatData.deleteImportProfile(profile.id);
+      renderImportProfiles();
+      uploadStatus.textContent = "Deleted";
+      uploadDetails.textContent = `Removed import profile ${profile.name}`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Attach a play-by-play log to the selected game
+if (playByPlayForm) {
+  playByPlayGameSelect.addEventListener("change", () => renderPlayByPlaySummary());
+
+  playByPlayForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const game = window.basketStatData.loadData().games.find((g) => g.id === playByPlayGameSelect.value);
+    const file = document.getElementById("playByPlayFile").files[0];
+    if (!game || !file) return;
+    if (game.playByPlay && !confirm(`Replace the play-by-play of ${game.date} vs ${game.opponent}?`)) return;
+
+    try {
+      const { events, warnings } = window.basketStatData.parsePlayByPlay(await file.text(), { opponent: game.opponent });
+      window.basketStatData.importPlayByPlay(game.id, events, {
+        quarterMinutes: Number(document.getElementById("playByPlayQuarter").value),
+      });
+      playByPlayForm.reset();
+      renderGames();
+      playByPlayGameSelect.value = game.id;
+      renderPlayByPlaySummary(warnings);
+      uploadStatus.textContent = "✓ Imported";
+      uploadDetails.textContent = `${events.length} play-by-play events for ${game.date} vs ${game.opponent}`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+
+  removePlayByPlayBtn.addEventListener("click", async () => {
+    const game = window.basketStatData.loadData().games.find((g) => g.id === playByPlayGameSelect.value);
+    if (!game || !confirm(`Remove the play-by-play of ${game.date} vs ${game.opponent}?`)) return;
+
+    try {
+      window.basketStatData.removePlayByPlay(game.id);
+      renderGames();
+      uploadStatus.textContent = "Deleted";
+      uploadDetails.textContent = `Removed play-by-play of ${game.date} vs ${game.opponent}`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Attach a shot log to the selected game
+if (shotLogForm) {
+  document.getElementById("shotLogUnits").innerHTML = Object.entries(window.basketStatData.SHOT_UNITS)
+    .map(([units, { label }]) => `<option value="${units}">${escapeHtml(label)}</option>`)
+    .join("");
+  shotLogGameSelect.addEventListener("change", () => renderShotLogSummary());
+
+  shotLogForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const game = window.basketStatData.loadData().games.find((g) => g.id === shotLogGameSelect.value);
+    const file = document.getElementById("shotLogFile").files[0];
+    if (!game || !file) return;
+    if (game.shots && !confirm(`Replace the shots of ${game.date} vs ${game.opponent}?`)) return;
+
+    try {
+      const units = document.getElementById("shotLogUnits").value;
+      const { shots, warnings } = window.basketStatData.parseShotLog(await file.text(), { units });
+      window.basketStatData.importShots(game.id, shots);
+      shotLogForm.reset();
+      renderGames();
+      shotLogGameSelect.value = game.id;
+      renderShotLogSummary(warnings);
+      uploadStatus.textContent = "✓ Imported";
+      uploadDetails.textContent = `${shots.length} shots for ${game.date} vs ${game.opponent}`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+
+  removeShotLogBtn.addEventListener("click", async () => {
+    const game = window.basketStatData.loadData().games.find((g) => g.id === shotLogGameSelect.value);
+    if (!game || !confirm(`Remove the shots of ${game.date} vs ${game.opponent}?`)) return;
+
+    try {
+      window.basketStatData.removeShots(game.id);
+      renderGames();
+      uploadStatus.textContent = "Deleted";
+      uploadDetails.textContent = `Removed shots of ${game.date} vs ${game.opponent}`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Unusual games report: method picker and corrections
+if (anomalyTable) {
+  anomalyMethodSelect.innerHTML = Object.entries(window.basketStatData.ANOMALY_METHODS)
+    .map(([method, { label }]) => `<option value="${method}">${escapeHtml(label)}</option>`)
+    .join("");
+  anomalyThresholdInput.value = window.basketStatData.ANOMALY_METHODS[anomalyMethodSelect.value].threshold;
+  anomalyMethodSelect.addEventListener("change", () => {
+    anomalyThresholdInput.value = window.basketStatData.ANOMALY_METHODS[anomalyMethodSelect.value].threshold;
+    renderAnomalies();
+  });
+  anomalyThresholdInput.addEventListener("change", renderAnomalies);
+
+  anomalyTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest('[data-action="fix-anomaly"]');
+    if (!btn) return;
+    const { gameId, player } = btn.closest("tr").dataset;
+    // 'fg.attempted' flags are corrected on the fg pair
+    const stat = btn.closest("tr").dataset.stat.replace(/\.attempted$/, "");
+    const game = window.basketStatData.loadData().games.find((g) => g.id === gameId);
+    const stats = game && game.performances[player];
+    if (!stats) return;
+
+    const current = stats[stat];
+    const isPair = current && typeof current === "object";
+    const answer = prompt(
+      `${player}, ${game.date} vs ${game.opponent}: correct ${stat}${isPair ? " (made-attempted)" : ""}`,
+      isPair ? `${current.made}-${current.attempted}` : current
+    );
+    if (answer === null || answer.trim() === "") return;
+
+    const pair = answer.trim().match(/^(\d+)\s*[-/]\s*(\d+)$/);
+    const value = isPair && pair ? { made: Number(pair[1]), attempted: Number(pair[2]) } : Number(answer);
+    if ((!isPair && Number.isNaN(value)) || (isPair && !pair)) {
+      alert(isPair ? "Enter made-attempted, e.g. 4-9" : "Enter a number");
+      return;
+    }
+
+    window.basketStatData.updatePlayerStats(game.id, player, { ...stats, [stat]: value });
+    renderGames();
+    uploadStatus.textContent = "✓ Saved";
+    uploadDetails.textContent = `${player}'s ${stat} for ${game.date} vs ${game.opponent}`;
+
+    await syncToCloudAfterChange();
+  });
+}
+
+if (backtestPlayerSelect) {
+  backtestPlayerSelect.addEventListener("change", renderBacktest);
+}
+
+// Show which profile an upload will be read with
+const csvFileInput = document.getElementById("csvFile");
+if (csvFileInput && csvProfileHint) {
+  csvFileInput.addEventListener("change", async () => {
+    const file = csvFileInput.files[0];
+    if (!file) return;
+    const detected = await window.basketStatData.detectCsvProfile(file);
+    csvProfileHint.textContent = detected
+      ? `Detected: ${detected.profile.name}${detected.profile.columns ? ` (${Math.round(detected.score * 100)}% of its columns found)` : ""}`
+      : "No profile matches these headers. Pick one or add a profile below.";
+  });
+}
+
+// Add team form submit
+if (teamForm) {
+  teamForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    try {
+      const team = window.basketStatData.addTeam({
+        name: document.getElementById("teamName").value,
+        ageGroup: document.getElementById("teamAgeGroup").value,
+      });
+      teamForm.reset();
+      renderTeams();
+      uploadStatus.textContent = "✓ Added";
+      uploadDetails.textContent = `Team ${team.name} created`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Delete a season
+if (seasonsTable) {
+  seasonsTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest('[data-action="delete-season"]');
+    if (!btn) return;
+
+    const row = btn.closest("tr[data-season-id]");
+    const seasonId = row.dataset.seasonId;
+    const season = window.basketStatData.getSeasons().find((s) => s.id === seasonId);
+    if (!season) return;
+
+    if (confirm(`Delete season ${season.name}? Games stay, but are reassigned by date.`)) {
+      window.basketStatData.deleteSeason(seasonId);
+      renderSeasons();
+      uploadStatus.textContent = "Deleted";
+      uploadDetails.textContent = `Removed season ${season.name}`;
+
+      await syncToCloudAfterChange();
+    }
+  });
+}
+
+// Add season form submit
+if (seasonForm) {
+  seasonForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    try {
+      const season = window.basketStatData.addSeason({
+        name: document.getElementById("seasonName").value,
+        ageGroup: document.getElementById("seasonAgeGroup").value,
+        start: document.getElementById("seasonStart").value,
+        end: document.getElementById("seasonEnd").value,
+      });
+      seasonForm.reset();
+      renderSeasons();
+      uploadStatus.textContent = "✓ Added";
+      uploadDetails.textContent = `Season ${season.name} created`;
+
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Merge two players
+if (mergePlayersForm) {
+  mergePlayersForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const source = mergeSourceSelect.value;
+    const target = mergeTargetSelect.value;
+    if (!source || !target) return;
+    if (!confirm(`Merge ${source} into ${target}? All of ${source}'s games move to ${target}.`)) return;
+
+    try {
+      const merge = window.basketStatData.mergePlayers(source, target);
+      renderGames();
+      renderPlayers();
+      uploadStatus.textContent = "✓ Merged";
+      uploadDetails.textContent = `${source} → ${target} (${merge.gameIds.length} games)`;
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Undo a merge
+if (mergesTable) {
+  mergesTable.addEventListener("click", async (e) => {
+    const btn = e.target.closest('[data-action="unmerge"]');
+    const row = btn && btn.closest("tr[data-merge-id]");
+    if (!row) return;
+
+    try {
+      const restored = window.basketStatData.unmergePlayers(row.dataset.mergeId);
+      renderGames();
+      renderPlayers();
+      uploadStatus.textContent = "✓ Unmerged";
+      uploadDetails.textContent = `${restored} restored as a separate player`;
+      await syncToCloudAfterChange();
+    } catch (error) {
+      uploadStatus.textContent = "✗ Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
+// Parsed upload waiting for the validation preview to be confirmed
+let pendingUpload = null;
+
+// Game score to validate against (empty inputs mean unknown)
+const getValidationScores = ({ teamScore, opponentScore }) => ({
+  teamScore: teamScore === "" ? null : Number(teamScore),
+  opponentScore: opponentScore === "" ? null : Number(opponentScore),
+});
+
+// Describe a suggested fix for the validation preview
+const describeFix = ({ stat, value }) => {
+  if (value === null) return `clear ${stat}`;
+  if (typeof value === "object") return `set ${stat} to ${value.made}-${value.attempted}`;
+  return `set ${stat} to ${value}`;
+};
+
+// Show validation issues for the pending upload with fixes to pick and swaps to apply
+const renderUploadValidation = () => {
+  if (!uploadValidation) return;
+  if (!pendingUpload) {
+    uploadValidation.hidden = true;
+    uploadValidation.innerHTML = "";
+    return;
+  }
+
+  const { issues, swaps } = pendingUpload.validation;
+  const rows = issues.map((issue, index) => `
+    <tr>
+      <td>${issue.player ? escapeHtml(issue.player) : "<em>Team</em>"}</td>
+      <td class="issue-${issue.level}">${issue.level === "error" ? "✗" : "⚠"} ${escapeHtml(issue.message)}</td>
+      <td>${issue.fix
+        ? `<label><input type="checkbox" data-fix-index="${index}" checked /> ${escapeHtml(describeFix(issue.fix))}</label>`
+        : "—"}</td>
+    </tr>
+  `).join("");
+  const swapButtons = swaps.map((swap, index) => `
+    <div class="upload-status">
+      <span>⇄ ${escapeHtml(swap.message)}</span>
+      <button type="button" class="secondary" data-swap-index="${index}">Swap ${escapeHtml(swap.from)} and ${escapeHtml(swap.to)}</button>
+    </div>
+  `).join("");
+
+  uploadValidation.hidden = false;
+  uploadValidation.innerHTML = `
+    <strong>Check this box score before importing</strong>
+    ${swapButtons}
+    ${rows ? `
+      <div class="data-table">
+        <table>
+          <thead><tr><th>Player</th><th>Issue</th><th>Suggested fix</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    ` : ""}
+    <div class="button-row">
+      <button type="button" id="confirmUpload">Import${issues.some((issue) => issue.fix) ? " with Selected Fixes" : " Anyway"}</button>
+      <button type="button" id="cancelUpload" class="danger-link">Cancel</button>
+    </div>
+  `;
+};
+
+// Save the CSV to the server and add the (validated) game
+const importUpload = async ({ fields, file, performances, playersFound, profile }) => {
+  const aliased = confirmPlayerMatches(playersFound);
+
+  // Save CSV file to server
+  const formData = new FormData();
+  formData.append('csvFile', file);
+
+  try {
+    const uploadResponse = await fetch('/api/upload-csv', {
+      method: 'POST',
+      body: formData
+    });
+
+    if (uploadResponse.ok) {
+      const result = await uploadResponse.json();
+      console.log(`CSV saved to: ${result.path}`);
+    }
+  } catch (saveError) {
+    console.warn('Could not save CSV to server (server may not be running):', saveError);
+  }
+
+  // Add game to local storage
+  const game = window.basketStatData.addGame({
+    ...fields,
+    performances,
+    playersFound,
+    csvFile: file.name // Store reference to CSV filename
+  });
+
+  const playerCount = Object.keys(performances).length;
+  const scoreLabel = game.teamScore !== null ? ` - ${game.teamScore}–${game.opponentScore ?? "?"}` : "";
+  uploadStatus.textContent = "Done";
+  uploadDetails.textContent = `${playerCount} players - ${game.opponent} - ${fields.homeAway === "home" ? "Home" : "Away"}${scoreLabel}` +
+    (aliased ? ` - ${aliased} matched to existing players` : "") +
+    (profile.id !== "basketstat" ? ` - read as ${profile.name}` : "");
+  uploadForm.reset();
+  if (csvProfileHint) csvProfileHint.textContent = "Maps other box-score apps' columns to BasketStat stats";
+  // Keep the team selected for the next upload
+  if (uploadTeamSelect) uploadTeamSelect.value = fields.teamId;
+  pendingUpload = null;
+  renderUploadValidation();
+  renderGames();
+  renderPlayers();
+
+  // Sync to cloud after upload
+  syncToCloudAfterChange();
+};
+
 // Upload form submit
 uploadForm.addEventListener("submit", async (event) => {
   event.preventDefault();
@@ -290,6 +1658,9 @@ uploadForm.addEventListener("submit", async (event) => {
   const opponent = document.getElementById("opponent").value.trim();
   const league = document.getElementById("league").value.trim();
   const homeAway = document.getElementById("homeAway").value;
+  const teamId = uploadTeamSelect ? uploadTeamSelect.value : "";
+  const teamScore = document.getElementById("teamScore").value;
+  const opponentScore = document.getElementById("opponentScore").value;
   const file = document.getElementById("csvFile").files[0];
 
   if (!date || !opponent || !league || !homeAway || !file) {
@@ -300,56 +1671,61 @@ uploadForm.addEventListener("submit", async (event) => {
 
   try {
     // Parse CSV data
-    const { performances, playersFound } = await window.basketStatData.parseCsv(file);
-    
-    // Save CSV file to server
-    const formData = new FormData();
-    formData.append('csvFile', file);
-    
-    try {
-      const uploadResponse = await fetch('/api/upload-csv', {
-        method: 'POST',
-        body: formData
-      });
-      
-      if (uploadResponse.ok) {
-        const result = await uploadResponse.json();
-        console.log(`CSV saved to: ${result.path}`);
-      }
-    } catch (saveError) {
-      console.warn('Could not save CSV to server (server may not be running):', saveError);
+    const { performances, playersFound, profile } = await window.basketStatData.parseCsv(file, csvProfileSelect?.value || null);
+    const fields = { date, opponent, league, homeAway, teamId, teamScore, opponentScore };
+    const validation = window.basketStatData.validateBoxScore(performances, getValidationScores(fields));
+    const upload = { fields, file, performances, playersFound, profile, validation };
+
+    if (validation.issues.length === 0 && validation.swaps.length === 0) {
+      await importUpload(upload);
+      return;
     }
-    
-    // Add game to local storage
-    window.basketStatData.addGame({
-      date,
-      opponent,
-      league,
-      homeAway,
-      performances,
-      playersFound,
-      csvFile: file.name // Store reference to CSV filename
-    });
 
-    const playerCount = Object.keys(performances).length;
-    uploadStatus.textContent = "Done";
-    uploadDetails.textContent = `${playerCount} players - ${opponent} - ${homeAway === "home" ? "Home" : "Away"}`;
-    uploadForm.reset();
-    renderGames();
-    renderPlayers();
-    
-    // Sync to cloud after upload
-    syncToCloudAfterChange();
+    pendingUpload = upload;
+    renderUploadValidation();
+    uploadStatus.textContent = "Check";
+    uploadDetails.textContent = `${validation.issues.length} issue${validation.issues.length === 1 ? "" : "s"} found - review them below`;
   } catch (error) {
     uploadStatus.textContent = "Error";
     uploadDetails.textContent = error.message;
   }
 });
 
+// Swap columns, pick fixes and confirm or cancel the pending upload
+if (uploadValidation) {
+  uploadValidation.addEventListener("click", async (e) => {
+    if (!pendingUpload) return;
+    const swapBtn = e.target.closest("[data-swap-index]");
+
+    try {
+      if (swapBtn) {
+        const { from, to } = pendingUpload.validation.swaps[Number(swapBtn.dataset.swapIndex)];
+        pendingUpload.performances = window.basketStatData.swapStatColumns(pendingUpload.performances, from, to);
+        pendingUpload.validation = window.basketStatData.validateBoxScore(pendingUpload.performances, getValidationScores(pendingUpload.fields));
+        renderUploadValidation();
+        uploadDetails.textContent = `Swapped the ${from} and ${to} columns`;
+      } else if (e.target.id === "confirmUpload") {
+        const fixes = [...uploadValidation.querySelectorAll("[data-fix-index]:checked")]
+          .map((box) => pendingUpload.validation.issues[Number(box.dataset.fixIndex)].fix);
+        pendingUpload.performances = window.basketStatData.applyBoxScoreFixes(pendingUpload.performances, fixes);
+        await importUpload(pendingUpload);
+      } else if (e.target.id === "cancelUpload") {
+        pendingUpload = null;
+        renderUploadValidation();
+        uploadStatus.textContent = "Ready";
+        uploadDetails.textContent = "Upload cancelled";
+      }
+    } catch (error) {
+      uploadStatus.textContent = "Error";
+      uploadDetails.textContent = error.message;
+    }
+  });
+}
+
 // Clear all data
 clearData.addEventListener("click", async () => {
-  if (confirm("Clear all stored games and player data? This cannot be undone.")) {
-    window.basketStatData.saveData({ players: {}, games: [] });
+  if (confirm("Clear all stored games and player data? You can undo this from History.")) {
+    window.basketStatData.trackChange("Cleared all data", () => window.basketStatData.saveData({ players: {}, games: [] }));
     renderGames();
     renderPlayers();
     uploadStatus.textContent = "Cleared";
@@ -416,7 +1792,7 @@ if (importDataInput) {
       }
       
       if (action === "replace") {
-        window.basketStatData.saveData(data);
+        window.basketStatData.trackChange(`Imported ${file.name}`, () => window.basketStatData.saveData(data));
         uploadStatus.textContent = "Imported";
         uploadDetails.textContent = `${data.games.length} games loaded`;
       } else {
@@ -425,22 +1801,24 @@ if (importDataInput) {
         const existingKeys = new Set(existingData.games.map(g => `${g.date}-${g.opponent}`));
         
         let added = 0;
-        data.games.forEach(game => {
-          const key = `${game.date}-${game.opponent}`;
-          if (!existingIds.has(game.id) && !existingKeys.has(key)) {
-            window.basketStatData.addGame(game);
-            added++;
-          }
+        window.basketStatData.trackChange(`Merged games from ${file.name}`, () => {
+          data.games.forEach(game => {
+            const key = `${game.date}-${game.opponent}`;
+            if (!existingIds.has(game.id) && !existingKeys.has(key)) {
+              window.basketStatData.addGame(game);
+              added++;
+            }
+          });
+          
+          // Merge players
+          Object.entries(data.players || {}).forEach(([name, info]) => {
+            if (!existingData.players[name]) {
+              existingData.players[name] = info;
+            }
+          });
+          window.basketStatData.saveData(existingData);
         });
         
-        // Merge players
-        Object.entries(data.players || {}).forEach(([name, info]) => {
-          if (!existingData.players[name]) {
-            existingData.players[name] = info;
-          }
-        });
-        window.basketStatData.saveData(existingData);
-        
         uploadStatus.textContent = "Merged";
         uploadDetails.textContent = `${added} new games added`;
       }
@@ -664,7 +2042,7 @@ if (cloudSyncDownBtn) {
         }
       }
       
-      window.basketStatData.saveData(cloudData);
+      window.basketStatData.trackChange("Downloaded data from cloud", () => window.basketStatData.saveData(cloudData));
       renderGames();
       renderPlayers();
       
@@ -686,16 +2064,6 @@ if (cloudSyncDownBtn) {
 // Initialize cloud sync UI
 updateCloudSyncUI();
 
-// Initial render
-// Clean up any existing data with players who have no valid stats
-const removedCount = window.basketStatData.cleanupData();
-if (removedCount > 0) {
-  console.log(`Cleaned up ${removedCount} player entries with no valid stats`);
-}
-
-renderGames();
-renderPlayers();
-
 // Report player game counts to console
 const reportPlayerCounts = () => {
   const counts = window.basketStatData.getPlayerGameCounts();
@@ -705,7 +2073,22 @@ const reportPlayerCounts = () => {
   console.log(`Total: ${sorted.length} players with games`);
   return counts;
 };
-reportPlayerCounts();
+
+// Initial render (once the storage backend is ready)
+window.basketStatData.ready.then(() => {
+  // Clean up any existing data with players who have no valid stats
+  const removedCount = window.basketStatData.cleanupData();
+  if (removedCount > 0) {
+    console.log(`Cleaned up ${removedCount} player entries with no valid stats`);
+  }
+
+  renderGames();
+  renderPlayers();
+  reportPlayerCounts();
+}).catch((error) => {
+  // Data saved by a newer version: say so instead of offering to edit an empty store
+  if (!window.showDataLoadError(error)) throw error;
+});
 
 // Make rebuild available globally for manual use
 window.rebuildData = () => {
@@ -2,12 +2,34 @@ const playerSelect = document.getElementById("playerSelect");
 const statSelect = document.getElementById("statSelect");
 const windowSizeSelect = document.getElementById("windowSize");
 const leagueFilterSelect = document.getElementById("leagueFilter");
+const seasonFilterSelect = document.getElementById("seasonFilter");
+const seasonSummaryHead = document.getElementById("seasonSummaryHead");
+const seasonSummaryBody = document.getElementById("seasonSummaryBody");
+const resultFilterSelect = document.getElementById("resultFilter");
+const normalizationSelect = document.getElementById("normalization");
+const trendModelSelect = document.getElementById("trendModel");
+const chartColorModeSelect = document.getElementById("chartColorMode");
+const benchmarkProfileSelect = document.getElementById("benchmarkProfile");
+const trendHalfLifeField = document.getElementById("trendHalfLifeField");
+const trendHalfLifeInput = document.getElementById("trendHalfLife");
+const gameQueryInput = document.getElementById("gameQuery");
+const gameQueryError = document.getElementById("gameQueryError");
+const savedQuerySelect = document.getElementById("savedQuery");
+const saveQueryBtn = document.getElementById("saveQueryBtn");
+const deleteQueryBtn = document.getElementById("deleteQueryBtn");
+const resultSplitHead = document.getElementById("resultSplitHead");
+const resultSplitBody = document.getElementById("resultSplitBody");
 const scorecardGrid = document.getElementById("scorecardGrid");
 const trendingIndexValue = document.getElementById("trendingIndexValue");
 const trendingIndexDetail = document.getElementById("trendingIndexDetail");
 const trendStatIndicator = document.getElementById("trendStatIndicator");
 const aggregateStats = document.getElementById("aggregateStats");
 const chart = document.getElementById("chart");
+const periodChart = document.getElementById("periodChart");
+const shotChartSection = document.getElementById("shotChartSection");
+const shotChart = document.getElementById("shotChart");
+const shotZoneTable = document.getElementById("shotZoneTable");
+const shotChartNote = document.getElementById("shotChartNote");
 const gameTable = document.getElementById("gameTable");
 const statHeader = document.getElementById("statHeader");
 
@@ -56,7 +78,11 @@ const formatHandoutNumber = (value, decimals = 1) => {
   return numeric.toFixed(decimals);
 };
 
-const getStatSuffix = (stat) => ['fg%', '3pt%', 'ft%', 'shoot'].includes((stat || '').toLowerCase()) ? '%' : '';
+// Shot chart zones (rim, mid, c3, ab3): made/attempted stats with a matching % stat
+const COURT_ZONES = window.basketStatData.SHOT_ZONES;
+const SHOT_ZONE_PERCENTAGES = Object.fromEntries(COURT_ZONES.map(({ key }) => [`${key}%`, key]));
+
+const getStatSuffix = (stat) => ['fg%', '3pt%', 'ft%', 'shoot', 'efg%', 'ts%', ...Object.keys(SHOT_ZONE_PERCENTAGES)].includes((stat || '').toLowerCase()) ? '%' : '';
 
 const HANDOUT_PERIODS = {
   '6m': { months: 6, label: 'Last 6 months' },
@@ -65,6 +91,9 @@ const HANDOUT_PERIODS = {
 
 const HANDOUT_VISUAL_STATS = ['pts', 'reb', 'asst', 'shoot', 'atk', 'def', 'fg%', '3pt%', 'ft%'];
 
+// Stats compared in the season summary table (this season vs last season)
+const SEASON_SUMMARY_STATS = ['min', 'pts', 'reb', 'asst', 'stl', 'blk', 'to', 'fg%', '3pt%', 'ft%', 'atk', 'def', 'shoot'];
+
 const normalizeHintList = (value) => {
   if (!Array.isArray(value)) return [];
   return value
@@ -140,22 +169,118 @@ const populateLeagueFilter = (games) => {
   }
 };
 
-const buildData = () => {
+/**
+ * Returns the selected season ID, or 'all' for no season filter.
+ */
+const getSelectedSeason = () => (seasonFilterSelect ? seasonFilterSelect.value || 'all' : 'all');
+
+/**
+ * Populate the season filter with seasons that have games.
+ * Preserves the existing selection where possible.
+ */
+const populateSeasonFilter = (games) => {
+  if (!seasonFilterSelect) return;
+
+  const seasons = window.basketStatData.getSeasons();
+  const usedSeasonIds = new Set(games.map(g => window.basketStatData.getGameSeasonId(g, seasons)));
+  const prevSelected = getSelectedSeason();
+
+  // Newest season first
+  const options = seasons.filter(s => usedSeasonIds.has(s.id)).reverse();
+  seasonFilterSelect.innerHTML = '<option value="all">All seasons</option>' +
+    options.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(window.basketStatData.getSeasonLabel(s))}</option>`).join('');
+
+  seasonFilterSelect.value = options.some(s => s.id === prevSelected) ? prevSelected : 'all';
+};
+
+/**
+ * Games of the team selected in the header picker
+ */
+const getTeamGames = () => {
   const { games } = window.basketStatData.loadData();
+  return window.basketStatData.filterGamesByTeam(games, window.getActiveTeamId());
+};
+
+/**
+ * Returns the selected result ('W', 'L') or 'all' for no result filter.
+ */
+const getSelectedResult = () => (resultFilterSelect ? resultFilterSelect.value || 'all' : 'all');
+
+/**
+ * Returns the selected normalization mode ('game', 'per32', 'per40', 'per100').
+ */
+const getSelectedNormalization = () => (normalizationSelect ? normalizationSelect.value || 'game' : 'game');
+
+// Predicate compiled from the search box (null when empty or invalid)
+let gameQueryFilter = null;
+
+/**
+ * The selected smoothed trend model as { model, axis, halfLife },
+ * or null for the default last N vs previous N comparison
+ */
+const getSelectedTrendModel = () => {
+  const value = trendModelSelect ? trendModelSelect.value : 'window';
+  if (value === 'window') return null;
+  const [model, axis = 'game'] = value.split('-');
+  const halfLife = Math.min(20, Math.max(1, parseFloat(trendHalfLifeInput?.value) || 3));
+  return { model, axis, halfLife };
+};
+
+/**
+ * How chart points are colored: 'reference' (benchmark level) or 'team' (team percentile)
+ */
+const getChartColorMode = () => (chartColorModeSelect ? chartColorModeSelect.value : 'reference');
+
+/**
+ * Legend label for a trend model selection, e.g. "EWMA (half-life 3 games)"
+ */
+const describeTrendModel = ({ model, axis, halfLife }) => {
+  if (model === 'ewma') return `EWMA (half-life ${halfLife} game${halfLife === 1 ? '' : 's'})`;
+  if (model === 'ols') return `Linear by ${axis === 'date' ? 'date' : 'game'}`;
+  return window.basketStatData.TREND_MODELS[model].label;
+};
+
+/**
+ * Slope of a fitted trend model, e.g. "+0.42/game"
+ */
+const formatTrendSlope = (fit) => `${fit.slope >= 0.005 ? '+' : ''}${fit.slope.toFixed(2)}/${fit.slopeUnit}`;
+
+/**
+ * Team games narrowed by the season, league, search and (unless ignoreResult) result filters.
+ * Stat terms in the search apply to player when given, otherwise to any player in the game.
+ */
+const getFilteredGames = ({ ignoreResult = false, player = null } = {}) => {
+  const games = getTeamGames();
   const selectedLeagues = getSelectedLeagues();
-  const filteredGames = selectedLeagues.length === 0
-    ? games
-    : games.filter(g => selectedLeagues.includes((g.league || '').trim()));
-  return filteredGames
+  const seasonGames = window.basketStatData.filterGamesBySeason(games, getSelectedSeason());
+  const leagueGames = selectedLeagues.length === 0
+    ? seasonGames
+    : seasonGames.filter(g => selectedLeagues.includes((g.league || '').trim()));
+  const queryGames = gameQueryFilter ? leagueGames.filter(g => gameQueryFilter(g, player)) : leagueGames;
+  return ignoreResult
+    ? queryGames
+    : window.basketStatData.filterGamesByResult(queryGames, getSelectedResult());
+};
+
+const buildData = () => {
+  return getFilteredGames()
     .flatMap((game) => {
+      const result = window.basketStatData.getGameResult(game);
       // Handle both old format (entries array) and new format (performances object)
       if (game.performances) {
-        return Object.entries(game.performances).map(([playerName, stats]) => ({
+        return Object.entries(game.performances)
+          .filter(([playerName]) => !gameQueryFilter || gameQueryFilter(game, playerName))
+          .map(([playerName, stats]) => ({
+        gameId: game.id,
         date: game.date,
         opponent: game.opponent,
           league: game.league,
           homeAway: game.homeAway,
+          result,
+          teamScore: game.teamScore,
+          opponentScore: game.opponentScore,
           player: playerName,
+          possessions: window.basketStatData.estimatePlayerPossessions(game, playerName),
           stats: stats,
         }));
       } else if (game.entries) {
@@ -174,11 +299,12 @@ const buildData = () => {
     .sort((a, b) => new Date(a.date) - new Date(b.date));
 };
 
-// Stats to hide from the dashboard
-const HIDDEN_STATS = ['+/-'];
+// Stats to hide from the dashboard ('periods' holds per-period lines, not a stat)
+const HIDDEN_STATS = ['+/-', 'periods'];
 
 // Stat display order (min first as it's contextual, then scoring stats)
-const STAT_ORDER = ['min', 'pts', 'fg', 'fg%', '3pt', '3pt%', 'ft', 'ft%', 'oreb', 'dreb', 'asst', 'stl', 'blk', 'to', 'foul', 'a/to'];
+const STAT_ORDER = ['min', 'pts', 'fg', 'fg%', '3pt', '3pt%', 'ft', 'ft%', 'oreb', 'dreb', 'asst', 'stl', 'blk', 'to', 'foul', 'a/to', 'efg%', 'ts%', 'pir', 'gmsc',
+  ...COURT_ZONES.flatMap(({ key }) => [key, `${key}%`])];
 
 const updatePlayerSelector = (records) => {
   const players = window.basketStatData.unique(records.map((record) => record.player));
@@ -205,9 +331,126 @@ const getAvailableStats = (records) => {
  * Calculate windowed statistics for a stat
  * Uses the shared implementation from data.js
  */
-const calculateWindowedStats = (records, stat, windowSize) => {
+const calculateWindowedStats = (records, stat, windowSize, period = null, normalization = 'game', testTrend = true) => {
   // Use the shared function - statsNested=true for dashboard format
-  return window.basketStatData.calculateWindowedStatsShared(records, stat, windowSize, true);
+  return window.basketStatData.calculateWindowedStatsShared(records, stat, windowSize, true, period, normalization, testTrend);
+};
+
+/**
+ * Note for games a per-minute or per-possession window had to leave out
+ */
+const describeExcludedGames = (ws) => {
+  if (!ws?.excludedGames) return '';
+  const mode = window.basketStatData.NORMALIZATION_MODES[ws.normalization];
+  const missing = mode?.possessions ? 'possession data' : 'minutes';
+  return ` · ${ws.excludedGames} without ${missing} excluded`;
+};
+
+/**
+ * Range bound for a scorecard; normalized values are not whole numbers
+ */
+const formatRangeValue = (value) => (value === null || value === undefined ? '—' : Number(value.toFixed(1)));
+
+/**
+ * First-half vs second-half line for a scorecard (empty without period data)
+ */
+const renderHalfSplit = (playerRecords, stat, windowSize, normalization = 'game') => {
+  const firstHalf = calculateWindowedStats(playerRecords, stat, windowSize, 'H1', normalization);
+  const secondHalf = calculateWindowedStats(playerRecords, stat, windowSize, 'H2', normalization);
+  if (!firstHalf || !secondHalf) return '';
+
+  // A drop after half-time is a fade, unless lower is better (turnovers)
+  const inverted = window.referenceStats?.getStatReference(stat)?.invertedScale;
+  const change = secondHalf.avg - firstHalf.avg;
+  const trend = getTrendIndicator(inverted ? -change : change, 0.5);
+  return `
+    <div class="stat-half-split" title="Average per half over ${secondHalf.gamesInWindow} games with period data${describeExcludedGames(secondHalf)}">
+      1st half <strong>${firstHalf.avg.toFixed(1)}</strong> · 2nd half <strong>${secondHalf.avg.toFixed(1)}</strong>
+      <span class="stat-detail-trend ${trend.class}">${getTrendIndicator(change, 0.5).icon}</span>
+    </div>
+  `;
+};
+
+/**
+ * Slope line for a scorecard under the selected trend model (empty for the window model)
+ */
+const renderModelSlope = (playerRecords, stat, normalization = 'game') => {
+  const trendModel = getSelectedTrendModel();
+  if (!trendModel) return '';
+  const fit = window.basketStatData.calculateTrendModel(playerRecords, stat, trendModel.model, { ...trendModel, normalization });
+  if (!fit) return '';
+
+  const inverted = window.referenceStats?.getStatReference(stat)?.invertedScale;
+  const rounded = Number(fit.slope.toFixed(2));
+  const direction = rounded === 0 ? 'neutral' : (rounded > 0) !== !!inverted ? 'up' : 'down';
+  return `
+    <div class="stat-model-slope" title="${escapeHtml(describeTrendModel(trendModel))} fitted over ${fit.games} games">
+      Trend <strong class="stat-detail-trend ${direction}">${formatTrendSlope(fit)}</strong>
+    </div>
+  `;
+};
+
+/**
+ * "Next game" projection for a scorecard (empty when nothing can be projected).
+ * Every player's records feed the team prior the projection is shrunk toward.
+ */
+const renderProjection = (records, player, stat, normalization = 'game') => {
+  const reference = window.referenceStats?.getStatReference(stat, normalization)?.p50 ?? null;
+  const projection = window.basketStatData.calculateProjection(records, player, stat, { normalization, reference });
+  if (!projection || projection.games === 0) return '';
+
+  const suffix = stat.endsWith('%') ? '%' : '';
+  const level = Math.round(projection.level * 100);
+  const shrunk = Math.round(projection.shrinkage * 100);
+  const title = `Weighted toward recent games over ${projection.games} game${projection.games === 1 ? '' : 's'}` +
+    (projection.source ? `, ${shrunk}% pulled toward the ${projection.source === 'team' ? 'team' : 'reference'} average of ${formatRangeValue(projection.priorMean)}` : '') +
+    (projection.low === null ? '' : `. ${level}% of games should land in the range`);
+  return `
+    <div class="stat-detail stat-projection" title="${escapeHtml(title)}">
+      <span class="stat-detail-label">Next game</span>
+      <span class="stat-detail-value">
+        ${projection.projected.toFixed(1)}${suffix}
+        ${projection.low === null ? '' : `<span class="variance-range">${formatRangeValue(projection.low)} – ${formatRangeValue(projection.high)} (${level}%)</span>`}
+      </span>
+    </div>
+  `;
+};
+
+/**
+ * Every player's scorecard value for each stat under the current filters and window
+ * (made / attempted over the window for percentages), ranked within the team.
+ * Computed once per scorecard render; only averages and totals are read, so the trend test is skipped
+ * @returns {Object} calculateTeamPercentiles result by player, keyed by stat
+ */
+const getTeamRanks = (records, stats, windowSize, normalization = 'game') => {
+  const percentageToBase = { 'fg%': 'fg', '3pt%': '3pt', 'ft%': 'ft', ...SHOT_ZONE_PERCENTAGES };
+  const byPlayer = {};
+  records.forEach((record) => (byPlayer[record.player] = byPlayer[record.player] || []).push(record));
+
+  const ranks = {};
+  stats.forEach((stat) => {
+    const baseStat = percentageToBase[stat.toLowerCase()];
+    const values = {};
+    Object.entries(byPlayer).forEach(([player, playerRecords]) => {
+      if (baseStat) {
+        const totals = calculateWindowedStats(playerRecords, baseStat, windowSize, null, 'game', false)?.totals;
+        values[player] = totals?.attempted > 0 ? (totals.made / totals.attempted) * 100 : null;
+      } else {
+        values[player] = calculateWindowedStats(playerRecords, stat, windowSize, null, normalization, false)?.average ?? null;
+      }
+    });
+    const inverted = window.referenceStats?.getStatReference(stat)?.invertedScale;
+    ranks[stat] = window.basketStatData.calculateTeamPercentiles(values, { inverted });
+  });
+  return ranks;
+};
+
+/**
+ * Team percentile badge, e.g. "P75" (empty when the team is too small to rank)
+ */
+const renderPercentileBadge = (rank) => {
+  if (!rank) return '';
+  return `<span class="percentile-badge level-${rank.level}" title="#${rank.rank} of ${rank.of} on the team under the current filters and window">P${Math.round(rank.percentile)}</span>`;
 };
 
 /**
@@ -224,14 +467,41 @@ const getTrendIndicator = (trend, threshold = 0.5) => {
 };
 
 /**
- * Calculate trending index - ratio of improving to declining trends
- * Returns: { index, improving, declining, total }
+ * Trend indicator for a windowed stat: an arrow only when the Mann–Whitney test
+ * between the current and previous window is significant (see ws.trendTest)
+ */
+const getTestedTrendIndicator = (ws, key = 'avgTrend') => (
+  ws?.trendTest?.significant
+    ? getTrendIndicator(ws[key], Number.EPSILON)
+    : { icon: '→', class: 'neutral', text: 'stable' }
+);
+
+/**
+ * Tooltip describing a window trend test
+ */
+const describeTrendTest = (test) => (test
+  ? `Last ${test.currentGames} vs previous ${test.previousGames} games: Mann–Whitney p = ${test.pValue < 0.001 ? '<0.001' : test.pValue.toFixed(3)}` +
+    (test.significant ? '' : ' (could be game-to-game noise)')
+  : '');
+
+/**
+ * Confidence badge ("95%") for a significant window trend, empty otherwise
+ */
+const renderConfidenceBadge = (test, label = '') => (test?.significant
+  ? `<span class="trend-confidence conf-${Math.round(test.confidence * 100)}" title="${escapeHtml(describeTrendTest(test))}">${label}${Math.round(test.confidence * 100)}%</span>`
+  : '');
+
+/**
+ * Calculate trending index - ratio of improving to declining trends.
+ * Only significant window changes (ws.trendTest) count; the rest are stable.
+ * Returns: { index, improving, declining, stable, total, trends: [{ stat, direction, test }] }
  */
 const calculateTrendingIndex = (records, windowSize) => {
   const stats = getAvailableStats(records);
   let improving = 0;
   let declining = 0;
   let stable = 0;
+  const trends = [];
   
   stats.forEach(stat => {
     const ws = calculateWindowedStats(records, stat, windowSize);
@@ -243,9 +513,9 @@ const calculateTrendingIndex = (records, windowSize) => {
     
     // Determine if this trend is improving or declining
     const trend = ws.avgTrend;
-    const threshold = 0.5;
+    let direction = null;
     
-    if (Math.abs(trend) < threshold) {
+    if (!ws.trendTest?.significant || trend === 0) {
       stable++;
     } else if (customScale === 'fouls') {
       // For fouls, 3 is optimal - moving toward 3 is improving
@@ -255,20 +525,20 @@ const calculateTrendingIndex = (records, windowSize) => {
       
       if (at3) {
         stable++; // Already at optimal
-      } else if (movingToward3) {
-        improving++;
       } else {
-        declining++;
+        direction = movingToward3 ? 'improving' : 'declining';
       }
     } else if (isInverted) {
       // Inverted: lower is better (turnovers)
-      if (trend < 0) improving++;
-      else declining++;
+      direction = trend < 0 ? 'improving' : 'declining';
     } else {
       // Normal: higher is better
-      if (trend > 0) improving++;
-      else declining++;
+      direction = trend > 0 ? 'improving' : 'declining';
     }
+    
+    if (direction === 'improving') improving++;
+    if (direction === 'declining') declining++;
+    if (direction) trends.push({ stat, direction, test: ws.trendTest });
   });
   
   const total = improving + declining + stable;
@@ -287,13 +557,13 @@ const calculateTrendingIndex = (records, windowSize) => {
     index = improving / declining;
   }
   
-  return { index, improving, declining, stable, total };
+  return { index, improving, declining, stable, total, trends };
 };
 
 /**
  * Render aggregate stats (Attack Energy, Defence Domination, Shooting Star)
  */
-const renderAggregateStats = (playerRecords, windowSize, selectedStat) => {
+const renderAggregateStats = (playerRecords, windowSize, selectedStat, normalization = 'game') => {
   if (!aggregateStats) return;
   
   AGGREGATE_STATS.forEach(stat => {
@@ -303,7 +573,7 @@ const renderAggregateStats = (playerRecords, windowSize, selectedStat) => {
     
     if (!valueEl) return;
     
-    const ws = calculateWindowedStats(playerRecords, stat, windowSize);
+    const ws = calculateWindowedStats(playerRecords, stat, windowSize, null, normalization);
     
     if (!ws || ws.average === null || ws.average === undefined) {
       valueEl.textContent = '—';
@@ -318,18 +588,18 @@ const renderAggregateStats = (playerRecords, windowSize, selectedStat) => {
     valueEl.textContent = ws.average.toFixed(1) + unit;
     
     // Get performance level color
-    const perfLevel = window.referenceStats?.getPerformanceLevel(stat, ws.average) || 'average';
+    const perfLevel = window.referenceStats?.getPerformanceLevel(stat, ws.average, normalization) || 'average';
     valueEl.className = `aggregate-value perf-${perfLevel}`;
     
-    // Render trend
+    // Render trend (an arrow only for a significant change)
     if (trendEl && ws.hasPrevWindow) {
       const trend = ws.avgTrend;
-      if (Math.abs(trend) < 0.5) {
-        trendEl.innerHTML = `<span class="trend-neutral">→</span>`;
+      if (!ws.trendTest?.significant || trend === 0) {
+        trendEl.innerHTML = `<span class="trend-neutral" title="${escapeHtml(describeTrendTest(ws.trendTest))}">→</span>`;
       } else if (trend > 0) {
-        trendEl.innerHTML = `<span class="trend-up">↑ +${trend.toFixed(1)}</span>`;
+        trendEl.innerHTML = `<span class="trend-up">↑ +${trend.toFixed(1)}</span>${renderConfidenceBadge(ws.trendTest)}`;
       } else {
-        trendEl.innerHTML = `<span class="trend-down">↓ ${trend.toFixed(1)}</span>`;
+        trendEl.innerHTML = `<span class="trend-down">↓ ${trend.toFixed(1)}</span>${renderConfidenceBadge(ws.trendTest)}`;
       }
     } else if (trendEl) {
       trendEl.innerHTML = '';
@@ -360,7 +630,7 @@ const renderAggregateStats = (playerRecords, windowSize, selectedStat) => {
 /**
  * Render the player scorecard
  */
-const renderScorecard = (records, player, windowSize) => {
+const renderScorecard = (records, player, windowSize, normalization = 'game') => {
   const playerRecords = records.filter(r => r.player === player);
   const stats = getAvailableStats(playerRecords);
   const selectedStat = statSelect.value || stats[0] || 'pts';
@@ -407,21 +677,24 @@ const renderScorecard = (records, player, windowSize) => {
         <span class="up-count">↑ ${trendIndex.improving}</span> improving · 
         <span class="down-count">↓ ${trendIndex.declining}</span> declining · 
         ${trendIndex.stable} stable
+        ${trendIndex.trends.length ? `<div class="trend-badges">${trendIndex.trends.map(t =>
+          renderConfidenceBadge(t.test, `${t.direction === 'improving' ? '↑' : '↓'} ${escapeHtml(getStatDisplayName(t.stat))} `)).join('')}</div>` : ''}
       `;
     }
   }
   
   // Render aggregate stats (Attack Energy, Defence Domination, Shooting Star)
-  renderAggregateStats(playerRecords, windowSize, selectedStat);
+  renderAggregateStats(playerRecords, windowSize, selectedStat, normalization);
   
   // Filter out aggregate stats from the regular scorecard grid
   const regularStats = stats.filter(s => !AGGREGATE_STATS.includes(s));
+  const teamRanks = getTeamRanks(records, regularStats, windowSize, normalization);
   
   scorecardGrid.innerHTML = regularStats.map(stat => {
-    const ws = calculateWindowedStats(playerRecords, stat, windowSize);
+    const ws = calculateWindowedStats(playerRecords, stat, windowSize, null, normalization);
     
     // For percentage stats, calculate from base stat totals
-    const percentageToBase = { 'fg%': 'fg', '3pt%': '3pt', 'ft%': 'ft' };
+    const percentageToBase = { 'fg%': 'fg', '3pt%': '3pt', 'ft%': 'ft', ...SHOT_ZONE_PERCENTAGES };
     const baseStat = percentageToBase[stat.toLowerCase()];
     const isPercentageStat = !!baseStat;
     
@@ -455,16 +728,16 @@ const renderScorecard = (records, player, windowSize) => {
             <span class="stat-scorecard-name">${stat}</span>
             <span class="stat-scorecard-avg" style="color: var(--text-muted);">—</span>
           </div>
-          <div class="no-data-message" style="padding: 8px 0;">No data</div>
+          <div class="no-data-message" style="padding: 8px 0;">${normalization !== 'game' && calculateWindowedStats(playerRecords, stat, windowSize) ? 'No games with minutes' : 'No data'}</div>
         </div>
       `;
     }
     
     // Use calculated percentage for percentage stats
     const displayAverage = isPercentageStat ? calculatedPercentage : ws.average;
-    const perfLevel = window.referenceStats?.getPerformanceLevel(stat, displayAverage) || 'average';
-    const avgTrend = ws ? getTrendIndicator(ws.avgTrend) : { icon: '', class: 'neutral' };
-    const medianTrend = ws ? getTrendIndicator(ws.medianTrend) : { icon: '', class: 'neutral' };
+    const perfLevel = window.referenceStats?.getPerformanceLevel(stat, displayAverage, normalization) || 'average';
+    const avgTrend = ws ? getTestedTrendIndicator(ws, 'avgTrend') : { icon: '', class: 'neutral' };
+    const medianTrend = ws ? getTestedTrendIndicator(ws, 'medianTrend') : { icon: '', class: 'neutral' };
     const varianceTrend = ws ? getTrendIndicator(ws.varianceTrend, 1) : { icon: '', class: 'neutral' };
     
     // Determine trend color based on stat type
@@ -480,7 +753,7 @@ const renderScorecard = (records, player, windowSize) => {
       const movingToward3 = (currentAvg > 3 && ws.avgTrend < 0) || (currentAvg < 3 && ws.avgTrend > 0);
       const at3 = Math.abs(currentAvg - 3) < 0.5;
       
-      if (Math.abs(ws.avgTrend) < 0.5) {
+      if (avgTrend.class === 'neutral') {
         avgTrendClass = 'neutral';
       } else if (at3 || movingToward3) {
         avgTrendClass = 'up'; // Green - good trend
@@ -490,7 +763,7 @@ const renderScorecard = (records, player, windowSize) => {
       
       // Same logic for median
       const movingToward3Med = (ws.median > 3 && ws.medianTrend < 0) || (ws.median < 3 && ws.medianTrend > 0);
-      if (Math.abs(ws.medianTrend) < 0.5) {
+      if (medianTrend.class === 'neutral') {
         medTrendClass = 'neutral';
       } else if (Math.abs(ws.median - 3) < 0.5 || movingToward3Med) {
         medTrendClass = 'up';
@@ -512,7 +785,7 @@ const renderScorecard = (records, player, windowSize) => {
       return `
         <div class="stat-scorecard ${stat === selectedStat ? 'active' : ''}" data-stat="${stat}">
           <div class="stat-scorecard-header">
-            <span class="stat-scorecard-name">${stat}</span>
+            <span class="stat-scorecard-name">${stat}${renderPercentileBadge(teamRanks[stat][player])}</span>
             <span class="stat-scorecard-avg perf-${perfLevel}">
               ${displayAverage.toFixed(1)}%
             </span>
@@ -526,6 +799,7 @@ const renderScorecard = (records, player, windowSize) => {
               <span class="stat-detail-label">Attempted</span>
               <span class="stat-detail-value">${baseStatTotals.attempted}</span>
             </div>
+            ${renderProjection(records, player, stat, normalization)}
           </div>
           <div style="font-size: 9px; color: var(--text-muted); margin-top: 6px;">
             ${baseStatTotals.made}-${baseStatTotals.attempted} over window
@@ -537,10 +811,10 @@ const renderScorecard = (records, player, windowSize) => {
     return `
       <div class="stat-scorecard ${stat === selectedStat ? 'active' : ''}" data-stat="${stat}">
         <div class="stat-scorecard-header">
-          <span class="stat-scorecard-name">${stat}</span>
+          <span class="stat-scorecard-name">${stat}${renderPercentileBadge(teamRanks[stat][player])}</span>
           <span class="stat-scorecard-avg perf-${perfLevel}">
             ${displayAverage.toFixed(1)}
-            ${ws?.hasPrevWindow ? `<span class="stat-scorecard-trend ${avgTrendClass}">${avgTrend.icon}</span>` : ''}
+            ${ws?.hasPrevWindow ? `<span class="stat-scorecard-trend ${avgTrendClass}" title="${escapeHtml(describeTrendTest(ws.trendTest))}">${avgTrend.icon}</span>${renderConfidenceBadge(ws.trendTest)}` : ''}
           </span>
         </div>
         <div class="stat-scorecard-details">
@@ -555,15 +829,18 @@ const renderScorecard = (records, player, windowSize) => {
             <span class="stat-detail-label">Range</span>
             <span class="stat-detail-value">
               <span class="variance-range">
-                <span class="low">${ws?.min ?? '—'}</span> – <span class="high">${ws?.max ?? '—'}</span>
+                <span class="low">${formatRangeValue(ws?.min)}</span> – <span class="high">${formatRangeValue(ws?.max)}</span>
               </span>
               ${ws?.hasPrevWindow ? `<span class="stat-detail-trend ${varianceTrend.class}">${varianceTrend.icon}</span>` : ''}
             </span>
           </div>
+          ${renderProjection(records, player, stat, normalization)}
         </div>
         <div style="font-size: 9px; color: var(--text-muted); margin-top: 6px;">
-          ${ws?.gamesInWindow || 0} of ${ws?.totalGames || 0} games
+          ${ws?.gamesInWindow || 0} of ${ws?.totalGames || 0} games${describeExcludedGames(ws)}
         </div>
+        ${renderModelSlope(playerRecords, stat, normalization)}
+        ${renderHalfSplit(playerRecords, stat, windowSize, normalization)}
       </div>
     `;
   }).join('');
@@ -586,21 +863,40 @@ const renderScorecard = (records, player, windowSize) => {
   });
 };
 
-const updateGameTable = (records, player, stat) => {
+/**
+ * Unusual games for a player's stat, keyed by game ID. The baseline is the
+ * player's whole history with the team, so the filters do not move it.
+ */
+const getStatAnomalies = (player, stat) => {
+  const anomalies = window.basketStatData.findAnomalies(getTeamGames(), { stats: [stat], players: [player] });
+  return new Map(anomalies.map(anomaly => [anomaly.gameId, anomaly]));
+};
+
+/**
+ * Tooltip text for an unusual game, e.g. "Unusual: 42 vs typical 9.5 (robust z +21.9) · career high"
+ */
+const describeAnomaly = (anomaly) =>
+  `Unusual: ${Number(anomaly.value.toFixed(1))} vs typical ${Number(anomaly.expected.toFixed(1))} ` +
+  `(robust z ${anomaly.score > 0 ? '+' : ''}${anomaly.score.toFixed(1)})` +
+  (anomaly.high ? ' · career high' : anomaly.low ? ' · career low' : '');
+
+const updateGameTable = (records, player, stat, anomalies = new Map()) => {
   const filtered = records.filter((record) => record.player === player);
   
   if (statHeader) statHeader.textContent = stat;
   if (gameTable) {
   gameTable.innerHTML = filtered
-    .map(
-      (record) => `
+    .map((record) => {
+      const anomaly = anomalies.get(record.gameId);
+      return `
         <tr>
           <td>${formatDate(record.date)}</td>
           <td>${record.opponent}</td>
-            <td>${formatStatValue(record.stats[stat])}</td>
+          <td>${record.result ? `${record.result} ${record.teamScore}–${record.opponentScore}` : '—'}</td>
+            <td${anomaly ? ` class="anomaly-cell" title="${escapeHtml(describeAnomaly(anomaly))}"` : ''}>${formatStatValue(record.stats[stat])}</td>
         </tr>
-      `
-    )
+      `;
+    })
     .join("");
   }
 
@@ -620,11 +916,18 @@ const PERFORMANCE_COLORS = {
 
 /**
  * Get color based on performance relative to reference benchmarks
- * Uses the reference stats database to determine performance level
+ * Uses the reference stats database to determine performance level,
+ * or the value's percentile among teamValues when those are given
  */
-const getPerformanceColor = (value, stat) => {
+const getPerformanceColor = (value, stat, teamValues = null) => {
   if (value === null || value === undefined) return 'var(--text-muted)';
   
+  if (teamValues) {
+    const inverted = window.referenceStats?.getStatReference(stat)?.invertedScale;
+    const percentile = window.basketStatData.getTeamPercentile(value, teamValues, inverted);
+    return percentile === null ? PERFORMANCE_COLORS.average : PERFORMANCE_COLORS[window.basketStatData.getPercentileLevel(percentile)];
+  }
+  
   // Use reference stats if available
   if (window.referenceStats) {
     const level = window.referenceStats.getPerformanceLevel(stat, value);
@@ -652,7 +955,18 @@ const hasValidStatForDisplay = (statValue) => {
   return true;
 };
 
-const renderChart = (records, stat) => {
+/**
+ * Legend labels for the performance colors under each chart color mode
+ */
+const PERFORMANCE_LEGENDS = {
+  reference: { excellent: 'Excellent', good: 'Good', average: 'Average', below: 'Below', poor: 'Poor' },
+  team: { excellent: 'Top 10% of team', good: 'Top 25%', average: 'Above team median', below: 'Below median', poor: 'Bottom 25%' },
+};
+
+/**
+ * @param {Array} teamValues - Every team game value of the stat; colors points by team percentile when given
+ */
+const renderChart = (records, stat, anomalies = new Map(), teamValues = null) => {
   if (records.length === 0) {
     chart.innerHTML = "<p>No data</p>";
     return;
@@ -677,12 +991,26 @@ const renderChart = (records, stat) => {
   const pointsData = values.map((value, index) => {
     const xPercent = (index / Math.max(values.length - 1, 1)) * 100;
     const yPercent = (1 - value / max) * 100;
-    const color = getPerformanceColor(value, stat);
-    return { xPercent, yPercent, value, color, record: validRecords[index], originalIndex: records.indexOf(validRecords[index]) };
+    const color = getPerformanceColor(value, stat, teamValues);
+    return {
+      xPercent, yPercent, value, color,
+      record: validRecords[index],
+      originalIndex: records.indexOf(validRecords[index]),
+      anomaly: anomalies.get(validRecords[index].gameId) || null,
+    };
   });
   
   // Average line Y position as percentage
   const avgYPercent = (1 - average / max) * 100;
+
+  // Smoothed trend model over the same games (kept inside the plot)
+  const trendModel = getSelectedTrendModel();
+  const trendFit = trendModel
+    ? window.basketStatData.fitTrendModel(validRecords.map((record, i) => ({ date: record.date, value: values[i] })), trendModel.model, trendModel)
+    : null;
+  const trendLinePoints = trendFit
+    ? trendFit.fitted.map((value, i) => `${pointsData[i].xPercent},${Math.min(100, Math.max(0, (1 - value / max) * 100))}`).join(" ")
+    : '';
   
   // SVG line path (using percentage coordinates 0-100)
   const linePoints = pointsData.map(p => `${p.xPercent},${p.yPercent}`).join(" ");
@@ -695,9 +1023,10 @@ const renderChart = (records, stat) => {
   
   // HTML-based points (positioned with CSS percentages)
   const htmlPoints = pointsData.map((p, i) => `
-    <div class="chart-point" data-index="${i}" style="left: ${p.xPercent}%; top: ${p.yPercent}%;">
+    <div class="chart-point${p.anomaly ? ' outlier' : ''}" data-index="${i}" style="left: ${p.xPercent}%; top: ${p.yPercent}%;">
       <div class="point-ring" style="border-color: ${p.color}; box-shadow: 0 0 8px ${p.color}40;"></div>
       <div class="point-fill" style="background: ${p.color};"></div>
+      ${p.anomaly ? '<div class="point-outlier"></div>' : ''}
     </div>
   `).join("");
   
@@ -727,19 +1056,27 @@ const renderChart = (records, stat) => {
   ).join("");
 
   // Build legend with reference thresholds if available
-  let legendHtml = `
-    <div class="legend-item"><span class="legend-dot" style="background: #22c55e;"></span>Excellent</div>
-    <div class="legend-item"><span class="legend-dot" style="background: #84cc16;"></span>Good</div>
-    <div class="legend-item"><span class="legend-dot" style="background: #eab308;"></span>Average</div>
-    <div class="legend-item"><span class="legend-dot" style="background: #f97316;"></span>Below</div>
-    <div class="legend-item"><span class="legend-dot" style="background: #ef4444;"></span>Poor</div>
-  `;
+  let legendHtml = Object.entries(PERFORMANCE_LEGENDS[teamValues ? 'team' : 'reference']).map(([level, label]) => `
+    <div class="legend-item"><span class="legend-dot" style="background: ${PERFORMANCE_COLORS[level]};"></span>${label}</div>
+  `).join("");
+  
+  if (pointsData.some(p => p.anomaly)) {
+    legendHtml += `
+      <div class="legend-item"><span class="legend-outlier"></span>Unusual game</div>
+    `;
+  }
+  
+  if (trendFit) {
+    legendHtml += `
+      <div class="legend-item"><span class="legend-line"></span>${describeTrendModel(trendModel)}: ${formatTrendSlope(trendFit)}</div>
+    `;
+  }
   
   // Add reference info if available
   if (refStat) {
     legendHtml += `
       <div class="legend-ref">
-        <span class="ref-label">U14-U16 benchmarks:</span>
+        <span class="ref-label">${escapeHtml(window.referenceStats.getActiveProfile().name)} benchmarks:</span>
         <span class="ref-values">p50: ${refStat.p50} | p75: ${refStat.p75} | p90: ${refStat.p90}</span>
       </div>
     `;
@@ -773,6 +1110,9 @@ const renderChart = (records, stat) => {
         <!-- Data line -->
         <polyline points="${linePoints}" fill="none" stroke="url(#lineGradient)" stroke-width="2.5" 
                   stroke-linecap="round" stroke-linejoin="round" vector-effect="non-scaling-stroke" />
+        
+        ${trendFit ? `<!-- Trend model -->
+        <polyline class="trend-model-line" points="${trendLinePoints}" fill="none" vector-effect="non-scaling-stroke" />` : ''}
     </svg>
       
       <!-- HTML points layer -->
@@ -816,7 +1156,7 @@ const setupChartTooltips = (allRecords, stat, pointsData) => {
       
       let refContext = '';
       if (refStat) {
-        refContext = `<div class="tooltip-ref">vs U14-U16 avg: ${refStat.p50}</div>`;
+        refContext = `<div class="tooltip-ref">vs ${escapeHtml(window.referenceStats.getActiveProfile().name)} avg: ${refStat.p50}</div>`;
       }
       
       tooltip.innerHTML = `
@@ -825,6 +1165,7 @@ const setupChartTooltips = (allRecords, stat, pointsData) => {
         <div class="tooltip-value" style="color: ${data.color}">${formatStatValue(record.stats[stat])}</div>
         <div class="tooltip-level" style="color: ${data.color}">${perfLabel}</div>
         ${refContext}
+        ${data.anomaly ? `<div class="tooltip-anomaly">${escapeHtml(describeAnomaly(data.anomaly))}</div>` : ''}
       `;
       tooltip.classList.add('visible');
       
@@ -1076,7 +1417,8 @@ const getStatDisplayName = (stat) => {
     'blk': 'Blocks',
     'to': 'Turnovers',
     'foul': 'Fouls',
-    'a/to': 'Assist/TO Ratio'
+    'a/to': 'Assist/TO Ratio',
+    ...Object.fromEntries(COURT_ZONES.flatMap(({ key, label }) => [[key, label], [`${key}%`, `${label} %`]]))
   };
   return names[stat.toLowerCase()] || stat;
 };
@@ -1629,14 +1971,277 @@ const renderPlayerHandout = (context, aiHandout) => {
   }
 };
 
+/**
+ * Render the season summary table: the selected season (or the current one
+ * when "All seasons" is selected) side by side with the season before it.
+ */
+const renderSeasonSummary = (player) => {
+  if (!seasonSummaryHead || !seasonSummaryBody) return;
+
+  const seasons = window.basketStatData.getSeasons();
+  const selectedSeason = getSelectedSeason();
+  const baseSeason = selectedSeason !== 'all'
+    ? seasons.find(s => s.id === selectedSeason)
+    : window.basketStatData.getCurrentSeason(seasons);
+
+  if (!player || !baseSeason) {
+    seasonSummaryHead.innerHTML = '';
+    seasonSummaryBody.innerHTML = '<tr><td colspan="4" class="empty-state">No seasons yet</td></tr>';
+    return;
+  }
+
+  const { season, previousSeason, current, previous } =
+    window.basketStatData.comparePlayerSeasons(player, baseSeason.id, SEASON_SUMMARY_STATS, window.getActiveTeamId());
+  const seasonLabel = window.basketStatData.getSeasonLabel;
+
+  seasonSummaryHead.innerHTML = `
+    <tr>
+      <th>Stat</th>
+      <th>${escapeHtml(seasonLabel(season))}</th>
+      <th>${previousSeason ? escapeHtml(seasonLabel(previousSeason)) : 'Last season'}</th>
+      <th>Change</th>
+    </tr>
+  `;
+
+  const gamesRow = `
+    <tr>
+      <td>Games</td>
+      <td>${current.games}</td>
+      <td>${previous ? previous.games : '—'}</td>
+      <td></td>
+    </tr>
+  `;
+
+  const statRows = SEASON_SUMMARY_STATS
+    .filter(stat => current.stats[stat] || previous?.stats[stat])
+    .map(stat => {
+      const now = current.stats[stat]?.avg ?? null;
+      const before = previous?.stats[stat]?.avg ?? null;
+      let change = '';
+      if (now !== null && before !== null) {
+        // Lower is better for inverted stats (turnovers, fouls)
+        const inverted = window.referenceStats?.getStatReference(stat)?.invertedScale;
+        const trend = getTrendIndicator(inverted ? before - now : now - before, 0.1);
+        const diff = now - before;
+        change = `<span class="stat-scorecard-trend ${trend.class}">${diff > 0 ? '+' : ''}${formatHandoutNumber(diff)}</span>`;
+      }
+      return `
+        <tr>
+          <td>${escapeHtml(getStatDisplayName(stat))}</td>
+          <td>${formatHandoutNumber(now)}${now !== null ? getStatSuffix(stat) : ''}</td>
+          <td>${formatHandoutNumber(before)}${before !== null ? getStatSuffix(stat) : ''}</td>
+          <td>${change}</td>
+        </tr>
+      `;
+    })
+    .join('');
+
+  seasonSummaryBody.innerHTML = gamesRow + statRows;
+};
+
+/**
+ * Bar chart of the stat's average per period (Q1-Q4, OT), from games with period data
+ */
+const renderPeriodChart = (records, stat) => {
+  if (!periodChart) return;
+
+  const breakdown = window.basketStatData.getPeriodBreakdown(records, stat, true);
+  if (breakdown.length === 0) {
+    periodChart.innerHTML = '<p>Import period-split box scores to see a per-period breakdown</p>';
+    return;
+  }
+
+  const max = Math.max(...breakdown.map(p => p.avg), 1);
+  periodChart.innerHTML = `
+    <div class="period-bars">
+      ${breakdown.map(p => `
+        <div class="period-bar" title="${p.period}: ${p.avg.toFixed(1)} ${escapeHtml(stat)} over ${p.games} games">
+          <span class="period-bar-value">${p.avg.toFixed(1)}</span>
+          <div class="period-bar-fill" style="height: ${(p.avg / max) * 100}%;"></div>
+          <span class="period-bar-label">${p.period}</span>
+        </div>
+      `).join('')}
+    </div>
+  `;
+};
+
+/**
+ * Render the player's averages in wins vs losses (ignores the result filter)
+ */
+const renderResultSplit = (player) => {
+  if (!resultSplitHead || !resultSplitBody) return;
+
+  const games = getFilteredGames({ ignoreResult: true, player });
+  const record = window.basketStatData.getRecord(games.filter(g => g.performances?.[player]));
+  if (!player || record.wins + record.losses === 0) {
+    resultSplitHead.innerHTML = '';
+    resultSplitBody.innerHTML = '<tr><td colspan="4" class="empty-state">Enter game scores in Admin to see a win/loss split</td></tr>';
+    return;
+  }
+
+  const { wins, losses } = window.basketStatData.getPlayerResultSplit(player, games, SEASON_SUMMARY_STATS);
+  resultSplitHead.innerHTML = `
+    <tr>
+      <th>Stat</th>
+      <th>Wins (${record.wins})</th>
+      <th>Losses (${record.losses})</th>
+      <th>Difference</th>
+    </tr>
+  `;
+
+  resultSplitBody.innerHTML = SEASON_SUMMARY_STATS
+    .filter(stat => wins.stats[stat] || losses.stats[stat])
+    .map(stat => {
+      const inWins = wins.stats[stat]?.avg ?? null;
+      const inLosses = losses.stats[stat]?.avg ?? null;
+      let diff = '';
+      if (inWins !== null && inLosses !== null) {
+        const inverted = window.referenceStats?.getStatReference(stat)?.invertedScale;
+        const trend = getTrendIndicator(inverted ? inLosses - inWins : inWins - inLosses, 0.1);
+        const delta = inWins - inLosses;
+        diff = `<span class="stat-scorecard-trend ${trend.class}">${delta > 0 ? '+' : ''}${formatHandoutNumber(delta)}</span>`;
+      }
+      return `
+        <tr>
+          <td>${escapeHtml(getStatDisplayName(stat))}</td>
+          <td>${formatHandoutNumber(inWins)}${inWins !== null ? getStatSuffix(stat) : ''}</td>
+          <td>${formatHandoutNumber(inLosses)}${inLosses !== null ? getStatSuffix(stat) : ''}</td>
+          <td>${diff}</td>
+        </tr>
+      `;
+    })
+    .join('');
+};
+
+// Half-court drawing scale: COURT metres → SVG units (viewBox 300 × 280)
+const SHOT_CHART_SCALE = 20;
+
+/**
+ * SVG markup for the half court, its zones shaded by hit rate against the
+ * season and the window's shots as made (●) / missed (×) markers.
+ * Baseline at the top; zones are painted back to front (above-break 3,
+ * corners, inside the arc, rim).
+ */
+const buildShotChartSvg = (shots, zones, seasonZones) => {
+  const court = window.basketStatData.COURT;
+  const S = SHOT_CHART_SCALE;
+  const px = (x) => (x + court.width / 2) * S;
+  const py = (y) => y * S;
+  const basket = { x: px(0), y: py(court.basketY) };
+  const cornerLeft = px(-court.cornerX);
+  const cornerRight = px(court.cornerX);
+  const cornerY = py(court.cornerY);
+  const arc = `M ${cornerLeft} 0 L ${cornerLeft} ${cornerY} A ${court.threeRadius * S} ${court.threeRadius * S} 0 0 0 ${cornerRight} ${cornerY} L ${cornerRight} 0`;
+
+  const rate = ({ made, attempted }) => (attempted > 0 ? (made / attempted) * 100 : null);
+  const zoneFill = (key) => {
+    const now = rate(zones[key]);
+    if (now === null) return 'rgba(148, 163, 184, 0.04)';
+    const diff = rate(seasonZones[key]) === null ? 0 : now - rate(seasonZones[key]);
+    if (diff >= 5) return 'rgba(74, 222, 128, 0.3)';
+    if (diff <= -5) return 'rgba(248, 113, 113, 0.3)';
+    return 'rgba(148, 163, 184, 0.2)';
+  };
+  const zoneTitle = (key) => {
+    const zone = zones[key];
+    const label = COURT_ZONES.find((z) => z.key === key).label;
+    return `<title>${label}: ${zone.made}/${zone.attempted}${zone.attempted ? ` (${Math.round(rate(zone))}%)` : ''}</title>`;
+  };
+  const zoneText = (key, x, y) => {
+    const zone = zones[key];
+    return zone.attempted ? `<text class="zone-label" x="${x}" y="${y}">${zone.made}/${zone.attempted} · ${Math.round(rate(zone))}%</text>` : '';
+  };
+
+  const markers = shots.map((shot) => {
+    const x = px(shot.x);
+    const y = py(shot.y);
+    return shot.made
+      ? `<circle class="shot-made" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3.5"><title>Made (${shot.date})</title></circle>`
+      : `<path class="shot-missed" d="M ${(x - 3).toFixed(1)} ${(y - 3).toFixed(1)} l 6 6 m -6 0 l 6 -6"><title>Missed (${shot.date})</title></path>`;
+  }).join('');
+
+  return `
+    <rect x="0" y="0" width="${court.width * S}" height="${court.depth * S}" fill="${zoneFill('ab3')}">${zoneTitle('ab3')}</rect>
+    <rect x="0" y="0" width="${cornerLeft}" height="${cornerY}" fill="${zoneFill('c3')}">${zoneTitle('c3')}</rect>
+    <rect x="${cornerRight}" y="0" width="${cornerLeft}" height="${cornerY}" fill="${zoneFill('c3')}">${zoneTitle('c3')}</rect>
+    <path d="${arc} Z" fill="${zoneFill('mid')}">${zoneTitle('mid')}</path>
+    <circle cx="${basket.x}" cy="${basket.y}" r="${court.rimRadius * S}" fill="${zoneFill('rim')}">${zoneTitle('rim')}</circle>
+    <rect class="court-line" x="0" y="0" width="${court.width * S}" height="${court.depth * S}"/>
+    <rect class="court-line" x="${px(-2.45)}" y="0" width="${4.9 * S}" height="${5.8 * S}"/>
+    <circle class="court-line" cx="${basket.x}" cy="${py(5.8)}" r="${1.8 * S}"/>
+    <path class="court-line" d="${arc}"/>
+    <path class="court-line" d="M ${px(-0.9)} ${py(1.2)} L ${px(0.9)} ${py(1.2)}"/>
+    <circle class="court-line" cx="${basket.x}" cy="${basket.y}" r="${0.225 * S}"/>
+    <path class="court-line" d="M ${px(-1.8)} ${court.depth * S} A ${1.8 * S} ${1.8 * S} 0 0 1 ${px(1.8)} ${court.depth * S}"/>
+    ${zoneText('rim', basket.x, basket.y + court.rimRadius * S + 12)}
+    ${zoneText('mid', basket.x, py(court.basketY + court.threeRadius) - 14)}
+    ${zoneText('ab3', basket.x, py(court.basketY + court.threeRadius) + 24)}
+    ${markers}
+  `;
+};
+
+/**
+ * Shot chart for the player's last windowSize charted games (within the
+ * season/league/result filters), compared with all of their charted games
+ * in the season (the selected one, otherwise the current season).
+ */
+const renderShotChart = (player, windowSize) => {
+  if (!shotChartSection) return;
+
+  const api = window.basketStatData;
+  const charted = (games) => games.filter(g => g.shots && g.performances?.[player]);
+  const windowGames = charted(getFilteredGames({ player })).slice(-windowSize);
+  const shots = api.getPlayerShots(windowGames, player);
+  shotChartSection.hidden = shots.length === 0;
+  if (shots.length === 0) return;
+
+  const seasons = api.getSeasons();
+  const selectedSeason = getSelectedSeason();
+  const season = selectedSeason !== 'all' ? seasons.find(s => s.id === selectedSeason) : api.getCurrentSeason(seasons);
+  const seasonGames = season ? charted(api.filterGamesBySeason(getTeamGames(), season.id)) : [];
+  const zones = api.sumShotZones(shots);
+  const seasonZones = api.sumShotZones(api.getPlayerShots(seasonGames, player));
+
+  shotChart.innerHTML = buildShotChartSvg(shots, zones, seasonZones);
+
+  const formatZone = ({ made, attempted }) => (attempted ? `${made}/${attempted} (${Math.round((made / attempted) * 100)}%)` : '—');
+  shotZoneTable.innerHTML = COURT_ZONES.map(({ key, label }) => {
+    const now = zones[key];
+    const before = seasonZones[key];
+    let diff = '';
+    if (now.attempted && before.attempted) {
+      const delta = Math.round((now.made / now.attempted - before.made / before.attempted) * 100);
+      const trend = getTrendIndicator(delta, 5);
+      diff = `<span class="stat-scorecard-trend ${trend.class}">${delta > 0 ? '+' : ''}${delta}</span>`;
+    }
+    return `
+      <tr>
+        <td>${escapeHtml(label)}</td>
+        <td>${formatZone(now)}</td>
+        <td>${formatZone(before)}</td>
+        <td>${diff}</td>
+      </tr>
+    `;
+  }).join('');
+
+  shotChartNote.textContent = `${windowGames.length} charted game${windowGames.length === 1 ? '' : 's'} in the window` +
+    (season ? ` · season: ${api.getSeasonLabel(season)} (${seasonGames.length})` : '') +
+    ' · zones shaded green/red when 5+ points above/below the season';
+};
+
 const updateChartAndTable = () => {
   const data = buildData();
   if (data.length === 0) return;
   
   const player = playerSelect.value;
   const stat = statSelect.value;
-  const records = updateGameTable(data, player, stat);
-  renderChart(records, stat);
+  const anomalies = getStatAnomalies(player, stat);
+  const records = updateGameTable(data, player, stat, anomalies);
+  const teamValues = getChartColorMode() === 'team'
+    ? data.filter((record) => hasValidStatForDisplay(record.stats[stat])).map((record) => getNumericStatValue(record.stats[stat]))
+    : null;
+  renderChart(records, stat, anomalies, teamValues);
+  renderPeriodChart(records, stat);
   
   // Update the trend stat indicator
   if (trendStatIndicator) {
@@ -1647,24 +2252,59 @@ const updateChartAndTable = () => {
 const updateView = () => {
   const data = buildData();
   if (data.length === 0) {
+    if (gameQueryFilter) {
+      if (scorecardGrid) scorecardGrid.innerHTML = '<div class="no-data-message">No games match the search.</div>';
+      chart.innerHTML = "<p>No games match the search</p>";
+      if (gameTable) gameTable.innerHTML = "";
+    }
     clearAiHandout('No player data available for a handout yet.');
     return;
   }
 
   const player = playerSelect.value;
   const windowSize = parseInt(windowSizeSelect?.value || '5', 10);
+  applyBenchmarkProfile(player);
   
   // Render player profile card
   renderPlayerProfile(player);
   
   // Render scorecard for player
-  renderScorecard(data, player, windowSize);
+  renderScorecard(data, player, windowSize, getSelectedNormalization());
   
   // Update chart and table with selected stat
   updateChartAndTable();
+  renderSeasonSummary(player);
+  renderResultSplit(player);
+  renderShotChart(player, windowSize);
   clearAiHandout('Generate a fresh handout for the current player and filters.');
 };
 
+/**
+ * Fill the benchmark profile picker: auto by age (club or elite), then every profile
+ */
+const populateBenchmarkProfiles = () => {
+  if (!benchmarkProfileSelect || !window.referenceStats) return;
+  benchmarkProfileSelect.innerHTML = [
+    '<option value="auto-club">Auto by age (club)</option>',
+    '<option value="auto-elite">Auto by age (elite)</option>',
+    ...window.referenceStats.BENCHMARK_PROFILES.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`),
+  ].join('');
+  benchmarkProfileSelect.value = window.referenceStats.getProfileSelection();
+};
+
+/**
+ * Grade against the selected player's benchmark profile
+ */
+const applyBenchmarkProfile = (player) => {
+  if (!window.referenceStats) return;
+  window.referenceStats.useBenchmarkProfile(window.referenceStats.getPlayerProfileId(player));
+  const profile = window.referenceStats.getActiveProfile();
+  const summary = document.getElementById('benchmarksSummary');
+  if (summary) summary.textContent = `View ${profile.name} Benchmark Thresholds`;
+  if (benchmarkProfileSelect) benchmarkProfileSelect.title = `${player || 'This player'} is graded against ${profile.name}. Auto picks the profile for each player's age (from the birthdate, else the team's age group).`;
+  populateBenchmarksGrid();
+};
+
 /**
  * Populate the benchmarks grid with all reference statistics
  */
@@ -1688,8 +2328,10 @@ const populateBenchmarksGrid = () => {
     return aIdx - bIdx;
   });
   
+  // Thresholds follow the scorecards' normalization mode
+  const normalization = getSelectedNormalization();
   grid.innerHTML = sortedKeys.map(key => {
-    const stat = stats[key];
+    const stat = window.referenceStats.getStatReference(key, normalization) || stats[key];
     const isInverted = stat.invertedScale;
     
     return `
@@ -1720,6 +2362,7 @@ const populateBenchmarksGrid = () => {
 
 const init = () => {
   // Populate benchmarks grid
+  populateBenchmarkProfiles();
   populateBenchmarksGrid();
   
   // Ensure computed stats are calculated for all games
@@ -1730,6 +2373,10 @@ const init = () => {
       console.log(`📊 Computed ${count} player-game stat records`);
     }
   }
+
+  // Seasons, teams and stat keys the search refers to may have changed
+  compileSearch();
+  populateSavedQueries();
   
   const data = buildData();
   if (data.length === 0) {
@@ -1745,9 +2392,10 @@ const init = () => {
   const currentPlayer = playerSelect.value;
   const currentStat = statSelect.value;
 
-  // Populate league filter from the full (unfiltered) game list
-  const { games: allGames } = window.basketStatData.loadData();
-  populateLeagueFilter(allGames);
+  // Populate season and league filters from the team's full (unfiltered) game list
+  const teamGames = getTeamGames();
+  populateSeasonFilter(teamGames);
+  populateLeagueFilter(teamGames);
 
   // Update player selector
   updatePlayerSelector(data);
@@ -1775,6 +2423,146 @@ if (windowSizeSelect) {
   windowSizeSelect.addEventListener("change", updateView);
 }
 
+if (trendModelSelect) {
+  trendModelSelect.addEventListener("change", () => {
+    trendHalfLifeField.hidden = trendModelSelect.value !== 'ewma';
+    updateView();
+  });
+  trendHalfLifeInput.addEventListener("change", updateView);
+}
+
+if (benchmarkProfileSelect) {
+  benchmarkProfileSelect.addEventListener("change", () => {
+    window.referenceStats.setProfileSelection(benchmarkProfileSelect.value);
+    updateView();
+  });
+}
+
+if (chartColorModeSelect) {
+  chartColorModeSelect.addEventListener("change", updateChartAndTable);
+}
+
+if (normalizationSelect) {
+  normalizationSelect.addEventListener("change", () => {
+    populateBenchmarksGrid();
+    updateView();
+  });
+}
+
+// Switching team in the header picker rebuilds every selector
+window.addEventListener("basketstat:teamchange", init);
+
+// The player list depends on who played in the selected season / results
+const onGameFilterChange = () => {
+  const currentPlayer = playerSelect.value;
+  const data = buildData();
+  if (data.length > 0) {
+    updatePlayerSelector(data);
+    if ([...playerSelect.options].some(opt => opt.value === currentPlayer)) {
+      playerSelect.value = currentPlayer;
+    }
+  }
+  updateView();
+};
+
+if (seasonFilterSelect) {
+  seasonFilterSelect.addEventListener("change", onGameFilterChange);
+}
+
+if (resultFilterSelect) {
+  resultFilterSelect.addEventListener("change", onGameFilterChange);
+}
+
+// ========================================
+// GAME SEARCH
+// ========================================
+
+/**
+ * Compile the search box into gameQueryFilter, showing parse errors under it.
+ * An invalid search filters nothing.
+ */
+const compileSearch = () => {
+  if (!gameQueryInput) return;
+  const text = gameQueryInput.value.trim();
+  gameQueryFilter = null;
+  gameQueryError.hidden = true;
+  gameQueryInput.classList.remove('invalid');
+  if (!text) return;
+  try {
+    gameQueryFilter = window.basketStatData.compileGameQuery(text);
+  } catch (error) {
+    gameQueryError.textContent = error.message;
+    gameQueryError.hidden = false;
+    gameQueryInput.classList.add('invalid');
+  }
+};
+
+/**
+ * Fill the saved filter list, selecting the one matching the search box
+ */
+const populateSavedQueries = () => {
+  if (!savedQuerySelect) return;
+  const queries = window.basketStatData.getGameQueries();
+  const text = gameQueryInput.value.trim();
+  savedQuerySelect.innerHTML = '<option value="">Saved filters…</option>' +
+    queries.map(q => `<option value="${escapeHtml(q.id)}" title="${escapeHtml(q.query)}">${escapeHtml(q.name)}</option>`).join('');
+  const current = queries.find(q => q.query === text);
+  savedQuerySelect.value = current ? current.id : '';
+  deleteQueryBtn.hidden = !current;
+};
+
+const applySearch = () => {
+  compileSearch();
+  populateSavedQueries();
+  onGameFilterChange();
+};
+
+if (gameQueryInput) {
+  gameQueryInput.addEventListener("change", applySearch);
+  gameQueryInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && gameQueryInput.value) {
+      gameQueryInput.value = "";
+      applySearch();
+    }
+  });
+
+  savedQuerySelect.addEventListener("change", () => {
+    const saved = window.basketStatData.getGameQueries().find(q => q.id === savedQuerySelect.value);
+    if (!saved) return;
+    gameQueryInput.value = saved.query;
+    applySearch();
+  });
+
+  saveQueryBtn.addEventListener("click", async () => {
+    const query = gameQueryInput.value.trim();
+    if (!query) {
+      alert("Type a search to save first, e.g. opponent:Asker home pts>=15");
+      return;
+    }
+    const name = (prompt("Name for this filter") || "").trim();
+    if (!name) return;
+    // Saving under an existing name replaces that filter
+    const existing = window.basketStatData.getGameQueries().find(q => q.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Replace the saved filter "${existing.name}"?`)) return;
+    try {
+      window.basketStatData.saveGameQuery({ id: existing?.id, name, query });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    populateSavedQueries();
+    await syncToCloud();
+  });
+
+  deleteQueryBtn.addEventListener("click", async () => {
+    const saved = window.basketStatData.getGameQueries().find(q => q.id === savedQuerySelect.value);
+    if (!saved || !confirm(`Delete the saved filter "${saved.name}"?`)) return;
+    window.basketStatData.deleteGameQuery(saved.id);
+    populateSavedQueries();
+    await syncToCloud();
+  });
+}
+
 if (leagueFilterSelect) {
   leagueFilterSelect.addEventListener("change", (e) => {
     // Clicking "Any" clears all specific league selections
@@ -1926,7 +2714,7 @@ const savePlayerProfile = async () => {
     updates.birthdate = editBirthdate.value || null;
   }
   
-  // Save to data layer (localStorage)
+  // Save to data layer (IndexedDB or localStorage)
   window.basketStatData.updatePlayer(playerName, updates);
   
   // Sync to cloud
@@ -2256,7 +3044,7 @@ const buildAiContext = (playerName, records, windowSize) => {
     age: playerAge,
     height: profile.height,
     position: profile.position,
-    ageGroup: 'U14-U16 (14-16 years old)',
+    ageGroup: `${window.referenceStats?.getActiveProfile().name || 'U15 Club'} benchmarks`,
     league: 'Norwegian junior basketball (1. divisjon)',
     windowSize,
     totalGames: records.length,
@@ -2828,7 +3616,7 @@ const autoLoadFromCloud = async () => {
     const cloudData = result.record;
     
     if (cloudData && cloudData.games && Array.isArray(cloudData.games)) {
-      window.basketStatData.saveData(cloudData);
+      window.basketStatData.trackChange("Loaded data from cloud", () => window.basketStatData.saveData(cloudData));
       console.log(`Loaded ${cloudData.games.length} games from cloud`);
       return true;
     }
@@ -2853,16 +3641,24 @@ const hideLoading = () => {
 
 // Initialize the app (with optional cloud load)
 (async () => {
-  // Try to auto-load from cloud first
-  const loadedFromCloud = await autoLoadFromCloud();
-  
-  if (loadedFromCloud) {
-    console.log("Data loaded from cloud, initializing...");
+  try {
+    // Wait for the storage backend (IndexedDB or localStorage) and the shared benchmarks
+    await Promise.all([window.basketStatData.ready, window.referenceStats.ready]);
+
+    // Try to auto-load from cloud first
+    const loadedFromCloud = await autoLoadFromCloud();
+    
+    if (loadedFromCloud) {
+      console.log("Data loaded from cloud, initializing...");
+    }
+    
+    // Initialize the app
+    init();
+  } catch (error) {
+    // Data saved by a newer version: say so instead of showing an empty dashboard
+    if (!window.showDataLoadError(error)) throw error;
   }
   
-  // Initialize the app
-  init();
-  
   // Hide loading overlay after init completes
   hideLoading();
 })();
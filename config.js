@@ -66,12 +66,98 @@ async function applyRoleBasedUI() {
 
 document.addEventListener('DOMContentLoaded', applyRoleBasedUI);
 
+// ========================================
+// ACTIVE TEAM
+// ========================================
+
+const ACTIVE_TEAM_KEY = 'basketstat-team';
+
+/**
+ * The team selected in the header picker ('all' when none is selected)
+ */
+function getActiveTeamId() {
+  return localStorage.getItem(ACTIVE_TEAM_KEY) || 'all';
+}
+
+/**
+ * Select a team, switch to its benchmark set and notify the page
+ * via a "basketstat:teamchange" event on window.
+ */
+function setActiveTeamId(teamId) {
+  if (!teamId || teamId === 'all') {
+    localStorage.removeItem(ACTIVE_TEAM_KEY);
+  } else {
+    localStorage.setItem(ACTIVE_TEAM_KEY, teamId);
+  }
+  window.referenceStats?.useTeamBenchmarks(getActiveTeamId());
+  window.dispatchEvent(new CustomEvent('basketstat:teamchange', { detail: { teamId: getActiveTeamId() } }));
+}
+
+window.getActiveTeamId = getActiveTeamId;
+window.setActiveTeamId = setActiveTeamId;
+
+/**
+ * Fill every header team picker (select.team-picker) once data is ready.
+ * The picker is hidden while there is only one team to choose from.
+ */
+async function initTeamPicker() {
+  const pickers = document.querySelectorAll('.team-picker');
+  if (pickers.length === 0 || !window.basketStatData) return;
+
+  let teams;
+  try {
+    await window.basketStatData.ready;
+    teams = window.basketStatData.getTeams();
+  } catch (error) {
+    // Newer data is reported by the page itself
+    if (error.name === 'NewerSchemaError') return;
+    throw error;
+  }
+
+  // Forget a team that has since been deleted
+  if (!teams.some(t => t.id === getActiveTeamId())) {
+    localStorage.removeItem(ACTIVE_TEAM_KEY);
+  }
+
+  pickers.forEach(picker => {
+    picker.innerHTML = '<option value="all">All teams</option>';
+    teams.forEach(t => picker.appendChild(new Option(t.name, t.id)));
+    picker.value = getActiveTeamId();
+    picker.style.display = teams.length > 1 ? '' : 'none';
+    picker.addEventListener('change', () => setActiveTeamId(picker.value));
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initTeamPicker);
+
+// ========================================
+// DATA LOAD ERRORS
+// ========================================
+
+/**
+ * Show above the page content that the stored data was saved by a newer
+ * version of the app, so the page is not mistaken for an empty one.
+ * Returns false for any other error, which the caller should rethrow.
+ */
+function showDataLoadError(error) {
+  if (!error || error.name !== 'NewerSchemaError') return false;
+  const banner = document.createElement('div');
+  banner.className = 'data-load-error';
+  banner.setAttribute('role', 'alert');
+  banner.textContent = error.message;
+  (document.querySelector('main') || document.body).prepend(banner);
+  return true;
+}
+
+window.showDataLoadError = showDataLoadError;
+
 // ========================================
 // STAT INFO TOOLTIPS
 // ========================================
 
 /**
- * Extra formula/context info for stats not fully described by reference-stats.js
+ * Extra formula/context info for stats not fully described by reference-stats.js.
+ * Fallback only: a stat in the computed stat registry shows its current formula.
  */
 const STAT_FORMULAS = {
   'reb':   'OREB + DREB',
@@ -79,6 +165,10 @@ const STAT_FORMULAS = {
   'atk':   'FGA + FTA + AST + OREB',
   'def':   '(BLK + STL + DREB) × Foul Multiplier\n3 fouls = ×1.25 · 2 fouls = ×1.0 · 4 fouls = ×0.85 · 0/1/5 = ×0.70',
   'shoot': 'Avg(FG%, 3PT%, FT%) — only shot types with ≥1 attempt are counted',
+  'efg%':  '(FGM + 0.5 × 3PM) ÷ FGA',
+  'ts%':   'PTS ÷ (2 × (FGA + 0.44 × FTA))',
+  'pir':   '(PTS + REB + AST + STL + BLK) − (missed FG + missed FT + TO + PF)',
+  'gmsc':  'PTS + 0.4·FGM − 0.7·FGA − 0.4·(FTA − FTM) + 0.7·OREB + 0.3·DREB + STL + 0.7·AST + 0.7·BLK − 0.4·PF − TO',
   'foul':  '3 fouls = optimal · 0-1 = passive · 5 = fouled out',
   'to':    'Lower is better',
 };
@@ -86,7 +176,8 @@ const STAT_FORMULAS = {
 /**
  * Initialise the shared floating stat-info tooltip.
  * Any element with [data-stat-tooltip="statKey"] gets hover info
- * drawn from reference-stats.js + STAT_FORMULAS above.
+ * drawn from reference-stats.js + STAT_FORMULAS above, falling back to the
+ * computed stat registry (data.js) for admin-defined stats.
  */
 function initStatTooltips() {
   const tooltip = document.createElement('div');
@@ -110,11 +201,12 @@ function initStatTooltips() {
     clearTimeout(hideTimer);
     const key = target.dataset.statTooltip;
     const ref = window.referenceStats?.getStatReference(key);
-    const formula = STAT_FORMULAS[key] || null;
+    const computed = window.basketStatData?.getComputedStat(key);
+    const formula = computed?.formula || STAT_FORMULAS[key] || null;
 
     if (!ref && !formula) return;
 
-    nameEl.textContent = ref?.name || key.toUpperCase();
+    nameEl.textContent = ref?.name || computed?.name || key.toUpperCase();
 
     const parts = [];
     if (ref?.description) parts.push(ref.description);
@@ -1,11 +1,54 @@
 const STORAGE_KEY = "basketstat-data";
 
+/**
+ * Current version of the stored data layout.
+ * Bump this and append a step to DATA_MIGRATIONS whenever the shape changes.
+ */
+const SCHEMA_VERSION = 7;
+
 /**
  * Data Structure:
  * {
- *   players: { [name]: { number, active, height, position, birthdate } },
- *   games: [{ id, date, opponent, league, homeAway, performances: { [playerName]: stats } }]
+ *   schemaVersion: number,
+ *   players: { [name]: { id, number, active, height, position, birthdate, teams: [teamId] } },
+ *   aliases: { [aliasName]: playerId },
+ *   merges: [{ id, mergedAt, source: { name, info }, targetId, gameIds, movedAliases }],
+ *   opponents: [{ id, name, aliases: [name], league, venue }],
+ *   teams: [{ id, name, ageGroup }],
+ *   seasons: [{ id, name, start, end, ageGroup }],
+ *   computedStats?: [{ key, name, formula, missing, requiresMinutes, zeroAsNull }],
+ *   importProfiles?: [{ id, name, player: { column, format, numberColumn? }, columns: { [statKey]: [source] | { made, attempted } } }],
+ *   savedQueries?: [{ id, name, query }],
+ *   games: [{ id, date, opponent, league, homeAway, teamId, seasonId?,
+ *             teamScore, opponentScore, quarters: [{ team, opponent }], overtime: [{ team, opponent }],
+ *             performances: { [playerName]: { ...stats, periods?: { [period]: stats } } },
+ *             playByPlay?: { quarterMinutes, importedAt, events: [{ period, clock, team, type, player? }] },
+ *             shots?: [{ player, x, y, made, period? }] }]
  * }
+ *
+ * A game belongs to the season whose start/end range contains its date,
+ * unless game.seasonId pins it to another season (manual override).
+ *
+ * Every game belongs to exactly one team. A player who plays for two teams
+ * lists both in players[name].teams and gets a separate stat line per team.
+ *
+ * Players are keyed by their canonical display name in both the registry and
+ * performances. players[name].id is stable across renames and merges; the
+ * alias table maps other spellings to that ID so imports land on one player.
+ *
+ * A performance's top-level stats are always the full-game line. Period-split
+ * imports add performance.periods keyed Q1-Q4 / OT1.. (or H1/H2 for halves).
+ *
+ * game.playByPlay is an optional event log (clock = seconds left in the period)
+ * from which on-court lineups are rebuilt; see buildLineupStints.
+ * game.shots holds court coordinates in metres (see COURT); importing them
+ * also stores the zone splits (rim, mid, c3, ab3 and their %) as stats.
+ *
+ * Derived stats (reb, a/to, ...) are stored on every stat line and come from
+ * the computed stat registry: the built-in formulas plus computedStats edits.
+ *
+ * game.opponent always holds the canonical name from the opponent registry;
+ * addGame/updateGame map aliases ("Bislet" -> "Bislett") on the way in.
  * 
  * Player profile fields:
  * - height: number (in meters, e.g., 1.75)
@@ -13,38 +56,6 @@ const STORAGE_KEY = "basketstat-data";
  * - birthdate: string (ISO date, e.g., "2010-05-15")
  */
 
-const loadData = () => {
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if (!raw) {
-    return { players: {}, games: [] };
-  }
-  try {
-    const data = JSON.parse(raw);
-    // Migration: convert old format to new format
-    if (data.games && data.games.length > 0 && data.games[0].entries) {
-      return migrateOldFormat(data);
-    }
-    const result = { players: data.players || {}, games: data.games || [] };
-
-    // Ensure every game has a valid string ID
-    let repaired = false;
-    result.games.forEach((game, index) => {
-      if (!game.id || typeof game.id !== 'string') {
-        game.id = generateGameId() + '_r' + index;
-        repaired = true;
-      }
-    });
-    if (repaired) {
-      saveData(result);
-    }
-
-    return result;
-  } catch (error) {
-    console.warn("Failed to parse stored data", error);
-    return { players: {}, games: [] };
-  }
-};
-
 /**
  * Migrate from old format (entries array) to new format (performances object)
  */
@@ -72,8 +83,629 @@ const migrateOldFormat = (oldData) => {
   return { players, games };
 };
 
+/**
+ * Ordered migration chain. Step N upgrades a payload from version N-1 to N.
+ * Payloads without a schemaVersion are treated as version 0.
+ * Every step must be idempotent: running it on already-migrated data is a no-op.
+ */
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Convert games[].entries arrays to performances objects",
+    migrate: (data) => {
+      const hasEntries = (data.games || []).some((game) => game.entries && !game.performances);
+      if (!hasEntries) return data;
+      const migrated = migrateOldFormat(data);
+      return {
+        ...data,
+        players: { ...migrated.players, ...(data.players || {}) },
+        games: migrated.games,
+      };
+    },
+  },
+  {
+    version: 2,
+    description: "Ensure every game has a unique string ID",
+    migrate: (data) => {
+      const games = (data.games || []).map((game, index) => {
+        if (game.id && typeof game.id === 'string') return game;
+        return { ...game, id: generateGameId() + '_r' + index };
+      });
+      return { ...data, games };
+    },
+  },
+  {
+    version: 3,
+    description: "Add seasons covering the existing games",
+    migrate: (data) => {
+      if (Array.isArray(data.seasons)) return data;
+      const seasons = [];
+      (data.games || []).forEach((game) => {
+        const season = getDefaultSeasonForDate(game.date);
+        if (season && !seasons.some((s) => s.id === season.id)) {
+          seasons.push(season);
+        }
+      });
+      return { ...data, seasons: sortSeasons(seasons) };
+    },
+  },
+  {
+    version: 4,
+    description: "Add teams and assign existing games to a default team",
+    migrate: (data) => {
+      if (Array.isArray(data.teams)) return data;
+      const migrated = { ...data, teams: [] };
+      if ((data.games || []).length > 0) {
+        migrated.teams = [{ ...DEFAULT_TEAM }];
+        migrated.games = data.games.map((game) => (game.teamId ? game : { ...game, teamId: DEFAULT_TEAM.id }));
+        migrated.players = { ...(data.players || {}) };
+        syncPlayerTeams(migrated);
+      }
+      return migrated;
+    },
+  },
+  {
+    version: 5,
+    description: "Add stable player IDs, the alias table and the merge log",
+    migrate: (data) => {
+      const players = { ...(data.players || {}) };
+      (data.games || []).forEach((game) => {
+        Object.keys(game.performances || {}).forEach((name) => {
+          if (!players[name]) players[name] = { number: null, active: true };
+        });
+      });
+      Object.keys(players).forEach((name) => {
+        if (!players[name].id) players[name] = { ...players[name], id: generatePlayerId() };
+      });
+      return {
+        ...data,
+        players,
+        aliases: data.aliases || {},
+        merges: data.merges || [],
+      };
+    },
+  },
+  {
+    version: 6,
+    description: "Add the opponent registry",
+    migrate: (data) => {
+      const migrated = { ...data, opponents: (data.opponents || []).map((opponent) => ({ ...opponent })) };
+      migrated.games = (data.games || []).map((game) => (
+        game.opponent ? { ...game, opponent: ensureOpponent(migrated, game.opponent, game.league) } : game
+      ));
+      return migrated;
+    },
+  },
+  {
+    version: 7,
+    description: "Add game scores, deriving our score from summed player points",
+    migrate: (data) => ({
+      ...data,
+      games: (data.games || []).map((game) => ({
+        ...game,
+        teamScore: game.teamScore !== undefined ? game.teamScore : sumTeamPoints(game.performances),
+        opponentScore: game.opponentScore !== undefined ? game.opponentScore : null,
+        quarters: game.quarters || [],
+        overtime: game.overtime || [],
+      })),
+    }),
+  },
+];
+
+/**
+ * Run the migration chain on a raw payload (localStorage, /api/data, cloud or JSON import).
+ * Returns { data, fromVersion, migrated }.
+ * Throws if the payload was written by a newer version of the app, so it is
+ * never truncated and saved back in an older shape.
+ */
+const migrateData = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error("Invalid data format");
+  }
+
+  const fromVersion = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 0;
+  if (fromVersion > SCHEMA_VERSION) {
+    // Named so pages can tell it from other failures (see showDataLoadError in config.js)
+    const error = new Error(
+      `This data was saved by a newer version of the app: schema version ${fromVersion} is newer than this app supports (${SCHEMA_VERSION}). Reload the page to get the latest version.`
+    );
+    error.name = "NewerSchemaError";
+    throw error;
+  }
+
+  let data = { ...raw, players: raw.players || {}, games: raw.games || [] };
+  DATA_MIGRATIONS
+    .filter((step) => step.version > fromVersion)
+    .forEach((step) => {
+      data = step.migrate(data);
+      data.schemaVersion = step.version;
+    });
+  data.schemaVersion = SCHEMA_VERSION;
+
+  return { data, fromVersion, migrated: fromVersion < SCHEMA_VERSION };
+};
+
+// Active persistence backend. Starts on localStorage and switches to
+// IndexedDB once initStorage() has hydrated the in-memory copy.
+let storageBackend = "localStorage";
+let memoryData = null;
+let pendingWrite = Promise.resolve();
+// Undo / redo journal in IndexedDB mode (see HISTORY); localStorage mode reads it from its key
+let memoryHistory = null;
+// IndexedDB mode: the data as this tab last read or wrote it (see snapshotData).
+// Saves write only what differs, so another tab's records are not overwritten.
+let storedSnapshot = null;
+// Writes queued by this tab, so a reload for another tab's write never drops one
+let localWrites = 0;
+// Tabs announce their IndexedDB writes on this channel (null without BroadcastChannel)
+let syncChannel = null;
+// Parsed computed stat registry (see COMPUTED STATS), dropped on every save
+let computedStatCache = null;
+
+const loadData = () => {
+  // IndexedDB mode: serve the in-memory copy instead of re-parsing JSON.
+  // Callers that mutate the returned object must call saveData afterwards.
+  if (storageBackend === "indexedDB") {
+    return memoryData || { players: {}, games: [] };
+  }
+
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) {
+    return { players: {}, games: [] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    console.warn("Failed to parse stored data", error);
+    return { players: {}, games: [] };
+  }
+
+  // Newer-schema errors propagate: returning empty data here would let the
+  // next save overwrite the newer payload.
+  const { data, migrated, fromVersion } = migrateData(parsed);
+  if (migrated) {
+    console.log(`Migrated stored data from schema v${fromVersion} to v${SCHEMA_VERSION}`);
+    saveData(data);
+  }
+  return data;
+};
+
+/**
+ * Persist data. Payloads from older app versions are migrated first and
+ * payloads from newer versions are rejected (see migrateData).
+ * In IndexedDB mode the write is queued; await flushStorage() to wait for it.
+ */
 const saveData = (data) => {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  const { data: current } = migrateData(data);
+  computedStatCache = null;
+
+  if (storageBackend === "indexedDB") {
+    const snapshot = snapshotData(current);
+    const changes = getStoredChanges(storedSnapshot, snapshot, current);
+    memoryData = current;
+    storedSnapshot = snapshot;
+    if (!changes) return;
+    localWrites++;
+    pendingWrite = pendingWrite
+      .then(() => window.basketStatStorage.writeDataChanges(changes))
+      .then(notifyOtherTabs)
+      .catch((error) => console.error("Failed to write data to IndexedDB", error));
+    return;
+  }
+
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+};
+
+/**
+ * Resolve once all queued IndexedDB writes have completed
+ */
+const flushStorage = () => pendingWrite;
+
+/**
+ * The games, players and top-level fields that differ between two snapshots
+ * of the data, as changes for basketStatStorage.writeDataChanges (null when none)
+ */
+const getStoredChanges = (before, after, data) => {
+  const changed = (bucket) => Object.keys(after[bucket]).filter((key) => before[bucket][key] !== after[bucket][key]);
+  const removed = (bucket) => Object.keys(before[bucket]).filter((key) => after[bucket][key] === undefined);
+  const gamesById = new Map(data.games.map((game) => [String(game.id), game]));
+
+  const changes = {
+    games: changed("games").map((id) => gamesById.get(id)),
+    deletedGameIds: removed("games"),
+    players: Object.fromEntries(changed("players").map((name) => [name, data.players[name]])),
+    deletedPlayers: removed("players"),
+    root: Object.fromEntries(changed("fields").map((key) => [key, data[key]])),
+    deletedRootKeys: removed("fields"),
+  };
+  const empty = changes.games.length === 0 && changes.deletedGameIds.length === 0 &&
+    Object.keys(changes.players).length === 0 && changes.deletedPlayers.length === 0 &&
+    Object.keys(changes.root).length === 0 && changes.deletedRootKeys.length === 0;
+  return empty ? null : changes;
+};
+
+/**
+ * Tell other open tabs that IndexedDB changed
+ */
+const notifyOtherTabs = () => {
+  if (syncChannel) syncChannel.postMessage({ type: "changed" });
+};
+
+/**
+ * Replace the in-memory copy with what is stored, after another tab wrote.
+ * Runs after this tab's queued writes; if this tab writes again meanwhile,
+ * it re-reads once those writes are stored too.
+ */
+const reloadFromStorage = () => {
+  const writes = localWrites;
+  pendingWrite = pendingWrite
+    .then(async () => {
+      const storage = window.basketStatStorage;
+      const [stored, history] = await Promise.all([storage.readAllData(), storage.readHistory()]);
+      if (writes !== localWrites) {
+        reloadFromStorage();
+        return;
+      }
+      const { data } = migrateData(stored);
+      memoryData = data;
+      storedSnapshot = snapshotData(data);
+      memoryHistory = history && Array.isArray(history.undo) ? history : emptyHistory();
+      computedStatCache = null;
+    })
+    .catch((error) => console.error("Failed to reload data written by another tab", error));
+};
+
+/**
+ * Switch to the IndexedDB backend when available.
+ * On first run the existing localStorage blob is migrated into IndexedDB
+ * and removed from localStorage to free the quota.
+ * @returns {Promise<string>} the active backend ("indexedDB" or "localStorage")
+ */
+const initStorage = async () => {
+  const storage = window.basketStatStorage;
+  if (!storage || !storage.isIndexedDbAvailable()) {
+    return storageBackend;
+  }
+
+  try {
+    let stored = await storage.readAllData();
+    const firstRun = stored === null;
+    if (firstRun) {
+      stored = loadData();
+    }
+
+    const { data, migrated } = migrateData(stored);
+    if (firstRun || migrated) {
+      await storage.writeAllData(data);
+    }
+    if (firstRun && localStorage.getItem(STORAGE_KEY)) {
+      localStorage.removeItem(STORAGE_KEY);
+      console.log(`Moved ${data.games.length} games from localStorage to IndexedDB`);
+    }
+
+    // The journal follows the data, so a journal kept in localStorage moves along
+    let history = await storage.readHistory();
+    if (history === null && localStorage.getItem(HISTORY_KEY) !== null) {
+      history = loadHistory();
+      await storage.writeHistory(history);
+      localStorage.removeItem(HISTORY_KEY);
+    }
+
+    memoryData = data;
+    memoryHistory = history && Array.isArray(history.undo) ? history : emptyHistory();
+    storedSnapshot = snapshotData(data);
+    storageBackend = "indexedDB";
+    computedStatCache = null;
+
+    if (typeof BroadcastChannel !== "undefined") {
+      syncChannel = new BroadcastChannel(`${storage.DB_NAME}-sync`);
+      syncChannel.onmessage = reloadFromStorage;
+    }
+  } catch (error) {
+    // Falling back would show newer data as empty; pages report it instead
+    if (error.name === "NewerSchemaError") throw error;
+    console.warn("IndexedDB unavailable, using localStorage", error);
+  }
+
+  return storageBackend;
+};
+
+// Pages await this before their first loadData() call
+const ready = initStorage();
+
+/**
+ * Async data API (waits for storage initialisation)
+ */
+const loadDataAsync = async () => {
+  await ready;
+  return loadData();
+};
+
+const saveDataAsync = async (data) => {
+  await ready;
+  saveData(data);
+  await flushStorage();
+};
+
+/**
+ * Query games by player, league and/or date range ({ player, league, from, to }).
+ * Uses the IndexedDB indexes when available.
+ */
+const queryGames = async (filters = {}) => {
+  await ready;
+  if (storageBackend === "indexedDB") {
+    await flushStorage();
+    return window.basketStatStorage.queryGames(filters);
+  }
+
+  const { player, league, from, to } = filters;
+  return loadData().games.filter((game) => {
+    if (player && !(game.performances && player in game.performances)) return false;
+    if (league && game.league !== league) return false;
+    if (from && game.date < from) return false;
+    if (to && game.date > to) return false;
+    return true;
+  });
+};
+
+/**
+ * Which backend is currently persisting data
+ */
+const getStorageBackend = () => storageBackend;
+
+// ========================================
+// HISTORY (undo / redo)
+// ========================================
+
+// The journal is kept apart from the data so undoing never rewinds the journal
+// itself: in IndexedDB next to the data, else under its own localStorage key.
+// Entries store only what changed: the before/after value of each touched
+// game (by ID), registry player (by name) and top-level field.
+const HISTORY_KEY = "basketstat-history";
+const HISTORY_LIMIT = 50;
+
+// Nested tracked calls (an import calling addGame) journal as one step
+let historyDepth = 0;
+
+const emptyHistory = () => ({ undo: [], redo: [] });
+
+const loadHistory = () => {
+  if (storageBackend === "indexedDB") {
+    return memoryHistory;
+  }
+  try {
+    const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+    return history && Array.isArray(history.undo) ? history : emptyHistory();
+  } catch (error) {
+    return emptyHistory();
+  }
+};
+
+/**
+ * Persist the journal, dropping the oldest entries if it does not fit the quota
+ */
+const saveHistory = (history) => {
+  if (storageBackend === "indexedDB") {
+    memoryHistory = history;
+    localWrites++;
+    pendingWrite = pendingWrite
+      .then(() => window.basketStatStorage.writeHistory(history))
+      .then(notifyOtherTabs)
+      .catch((error) => console.error("Failed to write history to IndexedDB", error));
+    return;
+  }
+  while (true) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+      return;
+    } catch (error) {
+      if (history.undo.length === 0 && history.redo.length === 0) {
+        console.warn("History journal does not fit in localStorage", error);
+        return;
+      }
+      if (history.undo.length > 0) history.undo.shift();
+      else history.redo.shift();
+    }
+  }
+};
+
+/**
+ * Serialized top-level fields, registry players and games of data (the current data
+ * by default) as { fields, players, games } maps of JSON strings. Comparing two snapshots
+ * finds the changed items without deep-copying the data set. Taken at the
+ * current schema, so a first save's migration does not show up as a change.
+ */
+const snapshotData = (data = loadData()) => {
+  if ((data.schemaVersion || 0) < SCHEMA_VERSION) {
+    data = migrateData(data).data;
+  }
+  const snapshot = { fields: {}, players: {}, games: {} };
+  Object.keys(data)
+    .filter((key) => !["players", "games", "schemaVersion"].includes(key))
+    .forEach((key) => { snapshot.fields[key] = JSON.stringify(data[key]); });
+  Object.entries(data.players || {}).forEach(([name, info]) => { snapshot.players[name] = JSON.stringify(info); });
+  (data.games || []).forEach((game) => { snapshot.games[String(game.id)] = JSON.stringify(game); });
+  return snapshot;
+};
+
+// An item of a snapshot as a value (null when absent)
+const readSnapshot = (snapshot, bucket, key) => (
+  snapshot[bucket][key] === undefined ? null : JSON.parse(snapshot[bucket][key])
+);
+
+/**
+ * Changes between two snapshots as { fields, players, games } maps of [before, after].
+ * null stands for "absent".
+ */
+const diffData = (before, after) => {
+  const changes = { fields: {}, players: {}, games: {} };
+  Object.keys(changes).forEach((bucket) => {
+    new Set([...Object.keys(before[bucket]), ...Object.keys(after[bucket])]).forEach((key) => {
+      if (before[bucket][key] === after[bucket][key]) return;
+      changes[bucket][key] = [readSnapshot(before, bucket, key), readSnapshot(after, bucket, key)];
+    });
+  });
+  return changes;
+};
+
+const hasChanges = (changes) => ["fields", "players", "games"].some((bucket) => Object.keys(changes[bucket]).length > 0);
+
+/**
+ * Apply one side of a change set (0 = before, 1 = after) to data
+ */
+const applyChanges = (data, changes, side) => {
+  const expected = 1 - side;
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b);
+  const games = Object.fromEntries(data.games.map((g) => [String(g.id), g]));
+
+  // Refuse when the data no longer matches the journal (e.g. a cloud download or backup restore)
+  const stale =
+    Object.entries(changes.fields).some(([key, values]) => !same(data[key], values[expected])) ||
+    Object.entries(changes.players).some(([name, values]) => !same(data.players[name], values[expected])) ||
+    Object.entries(changes.games).some(([id, values]) => !same(games[id], values[expected]));
+  if (stale) {
+    throw new Error("Data changed outside the history since this step. Clear the history to continue.");
+  }
+
+  Object.entries(changes.fields).forEach(([key, values]) => {
+    if (values[side] === null) delete data[key];
+    else data[key] = values[side];
+  });
+  Object.entries(changes.players).forEach(([name, values]) => {
+    if (values[side] === null) delete data.players[name];
+    else data.players[name] = values[side];
+  });
+  Object.entries(changes.games).forEach(([id, values]) => {
+    if (values[side] === null) delete games[id];
+    else games[id] = values[side];
+  });
+  data.games = Object.values(games).sort((a, b) => new Date(a.date) - new Date(b.date));
+  return data;
+};
+
+/**
+ * Run a mutation and journal what it changed.
+ * label is a string or ({ args, result, before }) => string; before is the
+ * snapshot taken ahead of the mutation (see snapshotData).
+ */
+const trackChange = (label, mutate, ...args) => {
+  if (historyDepth > 0) return mutate(...args);
+
+  const before = snapshotData();
+  let result;
+  historyDepth++;
+  try {
+    result = mutate(...args);
+  } finally {
+    historyDepth--;
+  }
+  const changes = diffData(before, snapshotData());
+
+  if (hasChanges(changes)) {
+    const history = loadHistory();
+    history.undo.push({
+      id: `h_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      label: typeof label === "function" ? label({ args, result, before }) : label,
+      at: new Date().toISOString(),
+      changes,
+    });
+    history.undo = history.undo.slice(-HISTORY_LIMIT);
+    history.redo = [];
+    saveHistory(history);
+  }
+  return result;
+};
+
+/**
+ * Wrap a mutating function so every call is journaled
+ */
+const withHistory = (label, mutate) => (...args) => trackChange(label, mutate, ...args);
+
+const stepHistory = (from, to, side) => {
+  const history = loadHistory();
+  const entry = history[from].pop();
+  if (!entry) return null;
+
+  saveData(applyChanges(loadData(), entry.changes, side));
+  history[to].push(entry);
+  saveHistory(history);
+  return entry;
+};
+
+/**
+ * Revert the most recent change. Returns the entry, or null when there is nothing to undo.
+ */
+const undo = () => stepHistory("undo", "redo", 0);
+
+/**
+ * Re-apply the most recently undone change
+ */
+const redo = () => stepHistory("redo", "undo", 1);
+
+/**
+ * Journal summary for the history panel, newest first (without the change payloads)
+ */
+const getHistory = () => {
+  const { undo: done, redo: undone } = loadHistory();
+  const summary = ({ id, label, at }) => ({ id, label, at });
+  return { undo: done.map(summary).reverse(), redo: undone.map(summary).reverse() };
+};
+
+const clearHistory = () => {
+  if (storageBackend === "indexedDB") {
+    saveHistory(emptyHistory());
+    return;
+  }
+  localStorage.removeItem(HISTORY_KEY);
+};
+
+const findGameLabel = (before, gameId) => {
+  const game = readSnapshot(before, "games", String(gameId));
+  return game ? `${game.date} vs ${game.opponent}` : gameId;
+};
+
+// Name of a team, season or opponent by ID in a snapshot's registry field
+const findRegistryLabel = (before, field, id) => {
+  const entry = (readSnapshot(before, "fields", field) || []).find((e) => e.id === id);
+  return entry ? entry.name : id;
+};
+
+const findOpponentLabel = (before, opponentId) => findRegistryLabel(before, "opponents", opponentId);
+
+// Journal labels for every public mutation (applied to window.basketStatData below)
+const HISTORY_LABELS = {
+  addGame: ({ result }) => `Added game ${result.date} vs ${result.opponent}`,
+  updateGame: ({ before, args }) => `Edited game ${findGameLabel(before, args[0])}`,
+  deleteGame: ({ before, args }) => `Deleted game ${findGameLabel(before, args[0])}`,
+  updatePlayerStats: ({ before, args }) => `Edited ${args[1]}'s stats (${findGameLabel(before, args[0])})`,
+  updatePlayer: ({ args }) => `Edited player ${args[0]}`,
+  cleanupData: ({ result }) => (result ? `Cleaned up data (${result} empty records)` : "Cleaned up player list"),
+  forceRecomputeAllStats: "Recomputed stats",
+  addPlayerAlias: ({ args }) => `Added alias ${args[0]} for ${args[1]}`,
+  removePlayerAlias: ({ args }) => `Removed alias ${args[0]}`,
+  mergePlayers: ({ args }) => `Merged ${args[0]} into ${args[1]}`,
+  unmergePlayers: ({ result }) => `Unmerged ${result}`,
+  updateOpponent: ({ before, args }) => `Edited opponent ${findOpponentLabel(before, args[0])}`,
+  mergeOpponents: ({ before, args }) => `Merged ${findOpponentLabel(before, args[0])} into ${findOpponentLabel(before, args[1])}`,
+  addTeam: ({ result }) => `Added team ${result.name}`,
+  updateTeam: ({ result }) => `Edited team ${result.name}`,
+  deleteTeam: ({ before, args }) => `Deleted team ${findRegistryLabel(before, "teams", args[0])}`,
+  addSeason: ({ result }) => `Added season ${result.name}`,
+  updateSeason: ({ result }) => `Edited season ${result.name}`,
+  deleteSeason: ({ before, args }) => `Deleted season ${findRegistryLabel(before, "seasons", args[0])}`,
+  saveComputedStat: ({ result }) => `Saved computed stat ${result.name}`,
+  deleteComputedStat: ({ result }) => `Deleted computed stat ${result.name}`,
+  resetComputedStat: ({ result }) => `Reset computed stat ${result.name}`,
+  saveImportProfile: ({ result }) => `Saved import profile ${result.name}`,
+  deleteImportProfile: ({ result }) => `Deleted import profile ${result.name}`,
+  importPlayByPlay: ({ before, args }) => `Imported play-by-play (${findGameLabel(before, args[0])})`,
+  removePlayByPlay: ({ before, args }) => `Removed play-by-play (${findGameLabel(before, args[0])})`,
+  importShots: ({ before, args }) => `Imported shot chart (${findGameLabel(before, args[0])})`,
+  removeShots: ({ before, args }) => `Removed shot chart (${findGameLabel(before, args[0])})`,
+  saveGameQuery: ({ result }) => `Saved query ${result.name}`,
+  deleteGameQuery: ({ result }) => `Deleted query ${result.name}`,
 };
 
 /**
@@ -197,100 +829,786 @@ const detectDelimiter = (headerLine) => {
   return best;
 };
 
+// ========================================
+// IMPORT PROFILES
+// ========================================
+
 /**
- * Parse CSV file and return game data
+ * How a CSV names its players:
+ * - hash: "#22 Christoffer" (rows without "#" are team/total rows)
+ * - number-name: "22 Christoffer" or "#22 Christoffer"
+ * - name: the name only, the number (if any) in profile.player.numberColumn
+ * - last-first: "Hansen, Christoffer"
  */
-const parseCsv = async (file) => {
-  const text = await file.text();
-  const [headerLine, ...rows] = text.trim().split(/\r?\n/);
-  const delimiter = detectDelimiter(headerLine);
-  const headers = headerLine.split(delimiter).map(cleanCsvValue);
-  
-  console.log("CSV Headers (cleaned):", headers, "| delimiter:", JSON.stringify(delimiter));
-  
-  const playerIndex = headers.findIndex((header) => header.toLowerCase() === "player");
+const PLAYER_CELL_FORMATS = {
+  hash: '#NN Name',
+  'number-name': 'NN Name',
+  name: 'Name only',
+  'last-first': 'Last, First',
+};
 
-  if (playerIndex === -1) {
-    throw new Error(`CSV must include a 'player' column. Found: ${headers.join(", ")}`);
-  }
+// Player-column rows that are not players in name-only exports
+const NON_PLAYER_ROWS = /^(team|teams|totals?|team rebounds?|coach(es)?|bench)$/i;
 
-  const statHeaders = headers.filter((_, index) => index !== playerIndex);
-  const playersFound = {};
-  const performances = {};
+// Stat keys the dashboard, benchmarks and computed stats understand
+const CANONICAL_STAT_KEYS = ['min', 'pts', 'fg', 'fg%', '3pt', '3pt%', 'ft', 'ft%', 'oreb', 'dreb', 'asst', 'stl', 'blk', 'to', 'foul', '+/-'];
 
-  rows
-    .map((row) => row.split(delimiter).map(cleanCsvValue))
-    .filter((row) => row.length === headers.length)
-    .filter((columns) => columns[playerIndex].startsWith("#"))
-    .forEach((columns) => {
-      const { name, number } = extractPlayerInfo(columns[playerIndex]);
-      
-      // Build stats object
-      const stats = {};
-      statHeaders.forEach((header) => {
-        const value = columns[headers.indexOf(header)];
-        stats[header] = parseStatValue(value);
-      });
-      
-      // Only include players with valid stats (played in the game)
-      if (hasValidStats(stats)) {
-        playersFound[name] = { number, active: true };
-        performances[name] = stats;
-      }
-    });
+// Made/attempted pairs whose percentage is derived after mapping
+const SHOT_PAIRS = ['fg', '3pt', 'ft'];
 
-  return { statHeaders, performances, playersFound };
-};
+/**
+ * Built-in import profiles. A profile maps source headers (case-insensitive)
+ * to stat keys: a list of columns is summed, and { made, attempted } builds a
+ * made/attempted pair from separate columns. columns: null keeps the headers
+ * as stat keys (the app's own export format).
+ * Custom profiles are stored in data.importProfiles.
+ */
+const DEFAULT_IMPORT_PROFILES = [
+  {
+    id: 'basketstat',
+    name: 'BasketStat',
+    player: { column: 'player', format: 'hash' },
+    columns: null,
+  },
+  {
+    id: 'fiba-livestats',
+    name: 'FIBA LiveStats',
+    player: { column: 'Name', format: 'name', numberColumn: 'No' },
+    columns: {
+      min: ['MIN'],
+      pts: ['PTS'],
+      fg: { made: ['FGM'], attempted: ['FGA'] },
+      '3pt': { made: ['3PM'], attempted: ['3PA'] },
+      ft: { made: ['FTM'], attempted: ['FTA'] },
+      oreb: ['OREB'],
+      dreb: ['DREB'],
+      asst: ['AST'],
+      stl: ['STL'],
+      blk: ['BLK'],
+      to: ['TO'],
+      foul: ['PF'],
+      '+/-': ['+/-'],
+    },
+  },
+  {
+    id: 'split-2pt',
+    name: 'Separate 2PT/3PT columns',
+    player: { column: 'Player', format: 'number-name' },
+    columns: {
+      min: ['MIN'],
+      pts: ['PTS'],
+      fg: { made: ['2PM', '3PM'], attempted: ['2PA', '3PA'] },
+      '3pt': { made: ['3PM'], attempted: ['3PA'] },
+      ft: { made: ['FTM'], attempted: ['FTA'] },
+      oreb: ['OR'],
+      dreb: ['DR'],
+      asst: ['AST'],
+      stl: ['ST'],
+      blk: ['BS'],
+      to: ['TO'],
+      foul: ['PF'],
+    },
+  },
+];
+
+const isBuiltInImportProfile = (id) => DEFAULT_IMPORT_PROFILES.some((p) => p.id === id);
 
 /**
- * Add a new game to the data store
+ * Built-in profiles followed by the stored custom ones
  */
-const addGame = (gameData) => {
-  const data = loadData();
-  
-  // Update player registry
-  Object.entries(gameData.playersFound || {}).forEach(([name, info]) => {
-    if (!data.players[name]) {
-      data.players[name] = info;
-    } else if (info.number) {
-      // Update number if we have a new one
-      data.players[name].number = info.number;
+const getImportProfiles = () => [
+  ...DEFAULT_IMPORT_PROFILES.map((profile) => ({ ...profile, builtIn: true })),
+  ...(loadData().importProfiles || []).map((profile) => ({ ...profile, builtIn: false })),
+];
+
+const getImportProfile = (id) => getImportProfiles().find((p) => p.id === id) || null;
+
+// Every source header a profile reads, player columns included
+const getProfileSourceColumns = (profile) => [
+  profile.player.column,
+  ...(profile.player.numberColumn ? [profile.player.numberColumn] : []),
+  ...Object.values(profile.columns || {}).flatMap((spec) => (
+    Array.isArray(spec) ? spec : [...spec.made, ...(spec.attempted || [])]
+  )),
+];
+
+// Share of a mapped profile's columns a header row must have for the profile to be picked
+const MIN_PROFILE_MATCH = 0.5;
+
+/**
+ * Pick the profile that best fits a header row.
+ * A profile needs its player column; it scores by the share of its mapped
+ * columns present and must reach MIN_PROFILE_MATCH. Pass-through profiles fit
+ * any header row with their player column and score by the share of headers
+ * that are known stat keys. Returns { profile, score } or null when nothing fits.
+ */
+const detectImportProfile = (headers) => {
+  const present = new Set(headers.map((h) => h.trim().toLowerCase()));
+  const knownKeys = new Set([...CANONICAL_STAT_KEYS, ...getComputedStatKeys()]);
+  let best = null;
+
+  getImportProfiles().forEach((profile) => {
+    if (!present.has(profile.player.column.toLowerCase())) return;
+    let score;
+    if (profile.columns) {
+      const sources = [...new Set(getProfileSourceColumns(profile).map((c) => c.toLowerCase()))];
+      score = sources.filter((c) => present.has(c)).length / sources.length;
+      if (score < MIN_PROFILE_MATCH) return;
+    } else {
+      const statHeaders = [...present].filter((h) => h !== profile.player.column.toLowerCase() && !PERIOD_COLUMNS.includes(h));
+      score = statHeaders.length ? statHeaders.filter((h) => knownKeys.has(h)).length / statHeaders.length : 0;
     }
+    if (!best || score > best.score) best = { profile, score };
   });
-  
-  // Add computed stats to each player's performance
-  const performancesWithComputed = {};
-  Object.entries(gameData.performances || {}).forEach(([name, stats]) => {
-    performancesWithComputed[name] = {
-      ...stats,
-      'reb': computeTotalRebounds(stats),
-      'a/to': computeAstToRatio(stats),
-      'atk': computeAttackEnergy(stats),
-      'def': computeDefenceDomination(stats),
-      'shoot': computeShootingStar(stats)
-    };
-  });
-  
-  // Add game
-  const game = {
-    id: generateGameId(),
-    date: gameData.date,
-    opponent: gameData.opponent,
-    league: gameData.league,
+
+  return best;
+};
+
+/**
+ * Read name and number from a player cell in a profile's format.
+ * Returns null for rows that are not a player (totals, team rows).
+ */
+const readPlayerCell = (value, format, number = null) => {
+  const cell = cleanCsvValue(value);
+  if (format === 'hash') {
+    return cell.startsWith('#') ? extractPlayerInfo(cell) : null;
+  }
+  if (format === 'number-name') {
+    const match = cell.match(/^#?(\d+)\s+(.+)$/);
+    return match ? { number: parseInt(match[1], 10), name: match[2].trim() } : null;
+  }
+  if (!cell || NON_PLAYER_ROWS.test(cell)) return null;
+  const parsedNumber = parseInt(cleanCsvValue(String(number ?? '')).replace(/^#/, ''), 10);
+  const name = format === 'last-first' && cell.includes(',')
+    ? cell.split(',').map((part) => part.trim()).reverse().join(' ').trim()
+    : cell;
+  return { number: Number.isNaN(parsedNumber) ? null : parsedNumber, name };
+};
+
+/**
+ * Add up parsed CSV values: numbers sum, "M-A" pairs sum per part.
+ * One value is passed through unchanged; all-empty gives null.
+ */
+const sumParsedValues = (values) => {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (present.length <= 1) return present.length ? present[0] : null;
+  if (present.every((v) => typeof v === 'object')) {
+    return present.reduce((sum, v) => ({ made: sum.made + v.made, attempted: sum.attempted + v.attempted }), { made: 0, attempted: 0 });
+  }
+  return present.reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0);
+};
+
+/**
+ * Build a stat line from one CSV row using a profile's column map.
+ * Made/attempted pairs get their percentage (fg%, 3pt%, ft%) when the
+ * profile does not map one.
+ */
+const mapProfileColumns = (profile, headers, columns) => {
+  const indexOf = {};
+  headers.forEach((header, index) => {
+    const key = header.toLowerCase();
+    if (!(key in indexOf)) indexOf[key] = index;
+  });
+  const read = (sources) => sumParsedValues(sources
+    .map((source) => indexOf[source.toLowerCase()])
+    .filter((index) => index !== undefined)
+    .map((index) => parseStatValue(columns[index])));
+
+  const stats = {};
+  Object.entries(profile.columns).forEach(([key, spec]) => {
+    if (Array.isArray(spec)) {
+      stats[key] = read(spec);
+      return;
+    }
+    const made = read(spec.made);
+    if (!spec.attempted || spec.attempted.length === 0) {
+      stats[key] = made;
+      return;
+    }
+    const attempted = read(spec.attempted);
+    stats[key] = typeof made === 'number' && typeof attempted === 'number' ? { made, attempted } : null;
+  });
+
+  SHOT_PAIRS.forEach((key) => {
+    const pair = stats[key];
+    if (!pair || `${key}%` in profile.columns) return;
+    stats[`${key}%`] = pair.attempted > 0 ? Math.round((pair.made / pair.attempted) * 100) : null;
+  });
+  return stats;
+};
+
+const PLUS_MINUS_PLACEHOLDER = '\u0000';
+
+/**
+ * Parse the profile editor's mapping text, one "key = SOURCE" line per stat:
+ *   pts = PTS
+ *   foul = PF + TF                 (columns are summed)
+ *   fg = 2PM + 3PM / 2PA + 3PA     (made / attempted)
+ */
+const parseColumnMapping = (text) => {
+  const columns = {};
+  String(text || '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('//')) return;
+    const match = line.match(/^([^=]+)=(.+)$/);
+    if (!match) throw new Error(`Mapping line ${index + 1}: use "stat = COLUMN"`);
+    const key = match[1].trim().toLowerCase();
+    if (!key || /\s/.test(key) || key === PERIODS_KEY) throw new Error(`Mapping line ${index + 1}: "${key}" cannot be used as a stat key`);
+    if (key in columns) throw new Error(`Mapping line ${index + 1}: "${key}" is mapped twice`);
+
+    // "+/-" is a column name, not a sum or a made/attempted split
+    const value = match[2].trim().replace(/\+\/-/g, PLUS_MINUS_PLACEHOLDER);
+    const sources = (part) => part.split('+')
+      .map((s) => s.trim().replace(PLUS_MINUS_PLACEHOLDER, '+/-'))
+      .filter(Boolean);
+    const halves = value.split('/');
+    if (halves.length > 2 || halves.some((h) => sources(h).length === 0)) {
+      throw new Error(`Mapping line ${index + 1}: expected "COLUMN" or "MADE / ATTEMPTED"`);
+    }
+    columns[key] = halves.length === 2
+      ? { made: sources(halves[0]), attempted: sources(halves[1]) }
+      : sources(value);
+  });
+  return columns;
+};
+
+/**
+ * Render a profile's column map back into editor lines
+ */
+const formatColumnMapping = (columns) => Object.entries(columns || {})
+  .map(([key, spec]) => (Array.isArray(spec)
+    ? `${key} = ${spec.join(' + ')}`
+    : `${key} = ${spec.made.join(' + ')} / ${(spec.attempted || []).join(' + ')}`))
+  .join('\n');
+
+/**
+ * Check and normalize an import profile (throws on invalid input).
+ * columns may be an object or mapping text (see parseColumnMapping).
+ */
+const normalizeImportProfile = (profile) => {
+  const name = String(profile.name || '').trim();
+  const player = profile.player || {};
+  const column = String(player.column || '').trim();
+  const format = player.format || 'hash';
+  const numberColumn = String(player.numberColumn || '').trim();
+  const columns = parseColumnMapping(typeof profile.columns === 'string' ? profile.columns : formatColumnMapping(profile.columns));
+  const computedKey = Object.keys(columns).find((key) => getComputedStatKeys().includes(key));
+
+  if (!name) throw new Error("Profile name is required");
+  if (!column) throw new Error("Player column is required");
+  if (!PLAYER_CELL_FORMATS[format]) throw new Error(`Unknown player format "${format}"`);
+  if (Object.keys(columns).length === 0) throw new Error("Map at least one stat column");
+  if (computedKey) throw new Error(`"${computedKey}" is a computed stat. Map the stats it is computed from instead.`);
+
+  return {
+    id: profile.id || `ip_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    player: numberColumn ? { column, format, numberColumn } : { column, format },
+    columns,
+  };
+};
+
+/**
+ * Create or edit a custom import profile. Built-in profiles are read-only;
+ * save a copy under a new name instead.
+ */
+const saveImportProfile = (profile) => {
+  const data = loadData();
+  if (profile.id && isBuiltInImportProfile(profile.id)) throw new Error("Built-in profiles cannot be edited. Save a copy instead.");
+  const saved = normalizeImportProfile(profile);
+  const stored = [...(data.importProfiles || [])];
+  if (getImportProfiles().some((p) => p.id !== saved.id && p.name.toLowerCase() === saved.name.toLowerCase())) {
+    throw new Error(`Import profile "${saved.name}" already exists`);
+  }
+
+  const index = stored.findIndex((p) => p.id === saved.id);
+  if (index >= 0) stored[index] = saved;
+  else stored.push(saved);
+  data.importProfiles = stored;
+  saveData(data);
+  return saved;
+};
+
+/**
+ * Delete a custom import profile
+ */
+const deleteImportProfile = (id) => {
+  const data = loadData();
+  const profile = (data.importProfiles || []).find((p) => p.id === id);
+  if (!profile) throw new Error(isBuiltInImportProfile(id) ? "Built-in profiles cannot be deleted" : "Import profile not found");
+  data.importProfiles = data.importProfiles.filter((p) => p.id !== id);
+  saveData(data);
+  return profile;
+};
+
+/**
+ * Split a CSV row on the delimiter, keeping delimiters inside double quotes
+ * ("Hansen, Alice") as part of the cell
+ */
+const splitCsvRow = (row, delimiter) => {
+  const cells = [''];
+  let quoted = false;
+  for (const char of row) {
+    if (char === '"') quoted = !quoted;
+    if (char === delimiter && !quoted) cells.push('');
+    else cells[cells.length - 1] += char;
+  }
+  return cells;
+};
+
+/**
+ * Parse CSV file and return game data
+ * @param {File} file - Box score CSV
+ * @param {string|null} profileId - Import profile to read it with; detected from the header row when null
+ * @returns {Promise<Object>} { statHeaders, performances, playersFound, profile: { id, name } }
+ */
+const parseCsv = async (file, profileId = null) => {
+  const text = await file.text();
+  const [headerLine, ...rows] = text.trim().split(/\r?\n/);
+  const delimiter = detectDelimiter(headerLine);
+  const headers = headerLine.split(delimiter).map(cleanCsvValue);
+  
+  console.log("CSV Headers (cleaned):", headers, "| delimiter:", JSON.stringify(delimiter));
+  
+  const profile = profileId ? getImportProfile(profileId) : detectImportProfile(headers)?.profile;
+  if (profileId && !profile) {
+    throw new Error(`Import profile "${profileId}" not found`);
+  }
+  if (!profile) {
+    throw new Error(`CSV must include a 'player' column or match an import profile. Found: ${headers.join(", ")}`);
+  }
+
+  const findColumn = (name) => headers.findIndex((header) => header.toLowerCase() === name.toLowerCase());
+  const playerIndex = findColumn(profile.player.column);
+  const numberIndex = profile.player.numberColumn ? findColumn(profile.player.numberColumn) : -1;
+
+  if (playerIndex === -1) {
+    throw new Error(`CSV must include a '${profile.player.column}' column for the ${profile.name} profile. Found: ${headers.join(", ")}`);
+  }
+
+  // Period-split exports repeat each player once per period (plus an optional total row)
+  const periodIndex = headers.findIndex((header) => PERIOD_COLUMNS.includes(header.toLowerCase()));
+  const statHeaders = profile.columns
+    ? Object.keys(mapProfileColumns(profile, headers, headers.map(() => '')))
+    : headers.filter((_, index) => index !== playerIndex && index !== periodIndex);
+  const playersFound = {};
+  const performances = {};
+  const periodLines = {};
+
+  rows
+    .map((row) => splitCsvRow(row, delimiter).map(cleanCsvValue))
+    .filter((row) => row.length === headers.length)
+    .forEach((columns) => {
+      const player = readPlayerCell(columns[playerIndex], profile.player.format, numberIndex === -1 ? null : columns[numberIndex]);
+      if (!player) return;
+      const { name, number } = player;
+      
+      // Build stats object
+      const stats = profile.columns ? mapProfileColumns(profile, headers, columns) : {};
+      if (!profile.columns) {
+        statHeaders.forEach((header) => {
+          const value = columns[headers.indexOf(header)];
+          stats[header] = parseStatValue(value);
+        });
+      }
+      
+      const period = periodIndex === -1 ? null : normalizePeriodLabel(columns[periodIndex]);
+      if (period) {
+        if (!periodLines[name]) periodLines[name] = { number, lines: {} };
+        periodLines[name].lines[period] = stats;
+        return;
+      }
+      
+      // Only include players with valid stats (played in the game)
+      if (hasValidStats(stats)) {
+        playersFound[name] = { number, active: true };
+        performances[name] = stats;
+      }
+    });
+
+  // Full-game line: the export's total row when present, otherwise the summed periods
+  Object.entries(periodLines).forEach(([name, { number, lines }]) => {
+    const total = performances[name] || sumStatLines(Object.values(lines));
+    if (!hasValidStats(total)) return;
+    playersFound[name] = { number, active: true };
+    performances[name] = { ...total, [PERIODS_KEY]: lines };
+  });
+
+  return { statHeaders, performances, playersFound, profile: { id: profile.id, name: profile.name } };
+};
+
+/**
+ * Detect the import profile for a CSV file from its header row
+ * @returns {Promise<Object|null>} { profile, score } or null
+ */
+const detectCsvProfile = async (file) => {
+  const [headerLine = ''] = (await file.text()).trim().split(/\r?\n/);
+  return detectImportProfile(headerLine.split(detectDelimiter(headerLine)).map(cleanCsvValue));
+};
+
+// ========================================
+// BOX SCORE VALIDATION
+// ========================================
+
+// Common game lengths in minutes (4x8, 4x10, 4x12); overtimes add 5 minutes each
+const GAME_LENGTHS = [32, 40, 48];
+const OVERTIME_MINUTES = 5;
+const MAX_OVERTIMES = 2;
+// Allowed shortfall in a box score's minute total (rounding, untracked stints)
+const MINUTE_TOTAL_TOLERANCE = 0.1;
+
+// Plausible single-game ranges used to spot swapped columns
+const STAT_RANGES = {
+  min: [0, Math.max(...GAME_LENGTHS) + MAX_OVERTIMES * OVERTIME_MINUTES],
+  pts: [0, 100],
+  oreb: [0, 30],
+  dreb: [0, 30],
+  asst: [0, 30],
+  stl: [0, 20],
+  blk: [0, 20],
+  to: [0, 20],
+  foul: [0, 6],
+  '+/-': [-100, 100],
+};
+
+// Share of players a column swap must fix before it is suggested
+const SWAP_MIN_GAIN = 0.5;
+
+/**
+ * Whether a box score's minutes add up to a full game of a common length
+ * (possibly with overtime), allowing for some untracked minutes
+ */
+const isPlausibleMinuteTotal = (total) => GAME_LENGTHS.some((length) => {
+  const full = 5 * length;
+  return total >= full * (1 - MINUTE_TOTAL_TOLERANCE) && total <= full + 5 * MAX_OVERTIMES * OVERTIME_MINUTES;
+});
+
+const isShotPair = (value) => Boolean(value) && typeof value === 'object' && 'made' in value && 'attempted' in value;
+
+const formatPair = (pair) => `${pair.made}-${pair.attempted}`;
+
+/**
+ * Points a line's made shots add up to (2×FGM + 3PM + FTM), or null without fg and ft
+ */
+const shotPoints = (stats) => (isShotPair(stats.fg) && isShotPair(stats.ft)
+  ? 2 * stats.fg.made + (isShotPair(stats['3pt']) ? stats['3pt'].made : 0) + stats.ft.made
+  : null);
+
+/**
+ * A made/attempted pair as a whole percentage, or null without attempts
+ */
+const pairPercentage = (pair) => (isShotPair(pair) && pair.attempted > 0 ? Math.round((pair.made / pair.attempted) * 100) : null);
+
+/**
+ * Whether a value is plausible for a stat in one player's line
+ * (minutes must be above 0 for a player who has stats)
+ */
+const fitsStatRange = (stat, value, stats) => {
+  if (typeof value !== 'number') return false;
+  if (stat === 'pts' && shotPoints(stats) !== null) {
+    return value === shotPoints(stats);
+  }
+  const [low, high] = STAT_RANGES[stat];
+  return value >= low && value <= high && !(stat === 'min' && value === 0);
+};
+
+/**
+ * Find numeric columns whose values fit each other's ranges much better
+ * than their own, e.g. min and +/- exported in each other's place.
+ * Returns [{ from, to, fixed, message }] where fixed is the number of
+ * players whose line becomes plausible.
+ */
+const detectSwappedColumns = (performances) => {
+  const lines = Object.values(performances);
+  const keys = Object.keys(STAT_RANGES).filter((key) => lines.some((stats) => typeof stats[key] === 'number'));
+  const fit = (stat, column) => lines.filter((stats) => fitsStatRange(stat, stats[column], { ...stats, [stat]: stats[column] })).length;
+  // Minutes moved in from another column must also add up to a game
+  const fitsMinuteTotal = (column) => isPlausibleMinuteTotal(lines.reduce((sum, stats) => sum + (stats[column] || 0), 0));
+  const swaps = [];
+
+  keys.forEach((a, i) => {
+    keys.slice(i + 1).forEach((b) => {
+      if ((a === 'min' && !fitsMinuteTotal(b)) || (b === 'min' && !fitsMinuteTotal(a))) return;
+      const before = fit(a, a) + fit(b, b);
+      const after = fit(a, b) + fit(b, a);
+      if (after - before >= lines.length * SWAP_MIN_GAIN && after >= lines.length * 1.5) {
+        swaps.push({
+          from: a,
+          to: b,
+          fixed: after - before,
+          message: `The ${a} and ${b} columns look swapped: exchanging them makes ${after - before} more values plausible`,
+        });
+      }
+    });
+  });
+  return swaps.sort((x, y) => y.fixed - x.fixed);
+};
+
+/**
+ * Check a parsed box score for inconsistent or implausible values.
+ * @param {Object} performances - { [playerName]: stats } as returned by parseCsv
+ * @param {Object} options - { teamScore, opponentScore } when known
+ * @returns {Object} { issues: [{ player, stat, level, message, fix }], swaps }
+ *   level is 'error' (impossible) or 'warning' (suspicious); fix is
+ *   { player, stat, value } for a suggested correction, or null.
+ *   player is null for checks on the whole box score.
+ */
+const validateBoxScore = (performances, { teamScore = null, opponentScore = null } = {}) => {
+  const issues = [];
+  const add = (player, stat, level, message, value) => issues.push({
+    player,
+    stat,
+    level,
+    message,
+    fix: value === undefined ? null : { player, stat, value },
+  });
+  const scoresKnown = typeof teamScore === 'number' && typeof opponentScore === 'number';
+  const lines = Object.values(performances);
+  // Reported once for the team rather than once per player
+  const minutesUntracked = lines.length > 1 && lines.every((stats) => stats.min === 0);
+
+  Object.entries(performances).forEach(([player, stats]) => {
+    // Made never exceeds attempted; a reversed pair is the likely fix
+    SHOT_PAIRS.forEach((key) => {
+      const pair = stats[key];
+      if (isShotPair(pair) && pair.made > pair.attempted) {
+        add(player, key, 'error', `${key} ${formatPair(pair)}: more made than attempted`, { made: pair.attempted, attempted: pair.made });
+      }
+    });
+
+    // Threes are field goals too
+    if (isShotPair(stats.fg) && isShotPair(stats['3pt'])
+      && (stats['3pt'].made > stats.fg.made || stats['3pt'].attempted > stats.fg.attempted)) {
+      add(player, '3pt', 'warning', `3pt ${formatPair(stats['3pt'])} is more than fg ${formatPair(stats.fg)}, which should include threes`);
+    }
+
+    // Points follow from the made shots
+    const expected = shotPoints(stats);
+    if (typeof stats.pts === 'number' && expected !== null) {
+      if (stats.pts !== expected) {
+        add(player, 'pts', 'error', `pts is ${stats.pts} but 2×FGM + 3PM + FTM = ${expected}`, expected);
+      }
+    }
+
+    // Percentages match made/attempted (within rounding)
+    SHOT_PAIRS.forEach((key) => {
+      const pair = stats[key];
+      const pct = stats[`${key}%`];
+      if (!isShotPair(pair) || pct === undefined) return;
+      const expected = pairPercentage(pair);
+      if (expected === null ? pct !== null : typeof pct !== 'number' || Math.abs(pct - expected) > 1) {
+        add(player, `${key}%`, 'warning', `${key}% is ${pct ?? 'empty'} but ${formatPair(pair)} gives ${expected ?? 'no percentage'}`, expected);
+      }
+    });
+
+    // Minutes: zero for a player with stats usually means minutes were not tracked
+    if (stats.min === 0) {
+      if (!minutesUntracked) add(player, 'min', 'warning', 'min is 0 although the player has stats; minutes were probably not recorded', null);
+    } else if (typeof stats.min === 'number' && !fitsStatRange('min', stats.min, stats)) {
+      add(player, 'min', 'error', `min ${stats.min} is more than a game can last`);
+    }
+
+    // +/- can never exceed the winning score
+    const plusMinus = stats['+/-'];
+    const bound = scoresKnown ? Math.max(teamScore, opponentScore) : STAT_RANGES['+/-'][1];
+    if (typeof plusMinus === 'number' && Math.abs(plusMinus) > bound) {
+      add(player, '+/-', 'warning', `+/- ${plusMinus} is larger than ${scoresKnown ? `the winning score (${bound})` : 'plausible'}`);
+    }
+  });
+
+  // Whole-team checks
+  if (minutesUntracked) {
+    add(null, 'min', 'warning', 'min is 0 for every player; minutes were not recorded for this game', null);
+  }
+  const minutes = lines.map((stats) => stats.min);
+  if (lines.length > 0 && minutes.every((m) => typeof m === 'number' && m > 0)) {
+    const total = minutes.reduce((a, b) => a + b, 0);
+    if (!isPlausibleMinuteTotal(total)) {
+      add(null, 'min', 'warning', `Minutes add up to ${total} (${(total / 5).toFixed(1)} per court spot); a full game is ${GAME_LENGTHS.join(', ')} minutes`);
+    }
+  }
+  if (scoresKnown) {
+    const points = lines.reduce((sum, stats) => sum + (typeof stats.pts === 'number' ? stats.pts : 0), 0);
+    if (points !== teamScore) {
+      add(null, 'pts', 'warning', `Players' points add up to ${points}; the team score is ${teamScore}`);
+    }
+    if (lines.length > 0 && lines.every((stats) => typeof stats['+/-'] === 'number')) {
+      const sum = lines.reduce((total, stats) => total + stats['+/-'], 0);
+      const expected = 5 * (teamScore - opponentScore);
+      if (sum !== expected) {
+        const untracked = sum === 5 * teamScore ? "; the opponent's points were probably not recorded" : '';
+        add(null, '+/-', 'warning', `+/- adds up to ${sum}; five players on court for a ${teamScore}–${opponentScore} game give ${expected}${untracked}`);
+      }
+    }
+  } else if (lines.length > 0 && lines.every((stats) => typeof stats['+/-'] === 'number' && typeof stats.pts === 'number')) {
+    // Without the score, the players' points still bound +/-: it adds up to five times the
+    // margin, so a sum of five times the team's points leaves the opponent nothing
+    const points = lines.reduce((total, stats) => total + stats.pts, 0);
+    const sum = lines.reduce((total, stats) => total + stats['+/-'], 0);
+    if (points > 0 && sum === 5 * points) {
+      add(null, '+/-', 'warning', `+/- adds up to ${sum}, five times the team's ${points} points: the opponent's points were not recorded, so the column holds points scored while on court`);
+    } else if (sum > 5 * points) {
+      add(null, '+/-', 'warning', `+/- adds up to ${sum}, more than five times the team's ${points} points`);
+    }
+  }
+
+  return { issues, swaps: detectSwappedColumns(performances) };
+};
+
+// Columns validateBoxScore can report as not recorded or holding something else
+const UNRELIABLE_COLUMN_STATS = ['min', '+/-'];
+
+/**
+ * Columns a stored game's box score did not record or filled with something else,
+ * per validateBoxScore's whole-team checks (e.g. every min 0, or +/- adding up
+ * to on-court points)
+ * @returns {Set} stat keys
+ */
+const getUnreliableColumns = (game) => new Set(
+  validateBoxScore(game.performances || {}, { teamScore: game.teamScore, opponentScore: game.opponentScore }).issues
+    .filter((issue) => issue.player === null && UNRELIABLE_COLUMN_STATS.includes(issue.stat))
+    .map((issue) => issue.stat)
+);
+
+/**
+ * Copy of a player's line, period lines included
+ */
+const copyStatLine = (stats) => (stats[PERIODS_KEY]
+  ? { ...stats, [PERIODS_KEY]: Object.fromEntries(Object.entries(stats[PERIODS_KEY]).map(([period, line]) => [period, { ...line }])) }
+  : { ...stats });
+
+/**
+ * Recompute the percentage column of a changed made/attempted pair (or of a
+ * changed percentage) from the pair, when the line has that column
+ */
+const derivePercentage = (stats, stat) => {
+  const pairKey = stat.endsWith('%') ? stat.slice(0, -1) : stat;
+  if (SHOT_PAIRS.includes(pairKey) && `${pairKey}%` in stats) {
+    stats[`${pairKey}%`] = pairPercentage(stats[pairKey]);
+  }
+};
+
+/**
+ * Apply suggested fixes ([{ player, stat, value }]) to a copy of the performances.
+ * Period lines follow: a reversed made/attempted pair is reversed in every period,
+ * a cleared stat is cleared, and percentages and pts are recomputed per period.
+ */
+const applyBoxScoreFixes = (performances, fixes) => {
+  const fixed = Object.fromEntries(Object.entries(performances).map(([player, stats]) => [player, copyStatLine(stats)]));
+  fixes.forEach(({ player, stat, value }) => {
+    const stats = fixed[player];
+    if (!stats) return;
+    const current = stats[stat];
+    const reversed = isShotPair(current) && isShotPair(value)
+      && value.made === current.attempted && value.attempted === current.made;
+    stats[stat] = value;
+    derivePercentage(stats, stat);
+
+    Object.values(stats[PERIODS_KEY] || {}).forEach((line) => {
+      if (reversed && isShotPair(line[stat])) {
+        line[stat] = { made: line[stat].attempted, attempted: line[stat].made };
+      } else if (value === null && stat in line) {
+        line[stat] = null;
+      }
+      derivePercentage(line, stat);
+      if (stat === 'pts' && shotPoints(line) !== null) line.pts = shotPoints(line);
+    });
+  });
+  return fixed;
+};
+
+/**
+ * Exchange two stat columns for every player and period line (copy),
+ * recomputing the percentages of swapped made/attempted pairs
+ */
+const swapStatColumns = (performances, a, b) => {
+  const swapLine = (stats) => {
+    const swapped = { ...stats, [a]: stats[b], [b]: stats[a] };
+    derivePercentage(swapped, a);
+    derivePercentage(swapped, b);
+    return swapped;
+  };
+  return Object.fromEntries(Object.entries(performances).map(([player, stats]) => {
+    const swapped = swapLine(stats);
+    if (stats[PERIODS_KEY]) {
+      swapped[PERIODS_KEY] = Object.fromEntries(Object.entries(stats[PERIODS_KEY]).map(([period, line]) => [period, swapLine(line)]));
+    }
+    return [player, swapped];
+  }));
+};
+
+/**
+ * Add a new game to the data store
+ */
+const addGame = (gameData) => {
+  const data = loadData();
+  
+  // Unknown team IDs (e.g. from another installation's export) fall back to the default team
+  const teamId = (data.teams || []).some((t) => t.id === gameData.teamId)
+    ? gameData.teamId
+    : ensureDefaultTeam(data);
+  
+  // Spelling variants and old names are stored under the canonical player
+  const canonicalName = (name) => resolvePlayerName(name, data);
+  
+  // Update player registry
+  Object.entries(gameData.playersFound || {}).forEach(([rawName, info]) => {
+    const name = canonicalName(rawName);
+    if (!data.players[name]) {
+      data.players[name] = { ...info, id: generatePlayerId() };
+    } else if (info.number) {
+      // Update number if we have a new one
+      data.players[name].number = info.number;
+    }
+  });
+  
+  // Add computed stats to each player's performance
+  const registry = getCompiledComputedStats();
+  const performancesWithComputed = {};
+  Object.entries(gameData.performances || {}).forEach(([rawName, stats]) => {
+    const name = canonicalName(rawName);
+    performancesWithComputed[name] = addComputedStats(stats, registry);
+    if (stats[PERIODS_KEY]) {
+      performancesWithComputed[name][PERIODS_KEY] = Object.fromEntries(
+        Object.entries(stats[PERIODS_KEY]).map(([period, line]) => [period, addComputedStats(line, registry)])
+      );
+    }
+  });
+  
+  // Our score: entered final, else the period scores, else the players' summed points
+  const scores = normalizeScoreFields(gameData);
+  const quarters = scores.quarters || [];
+  const overtime = scores.overtime || [];
+  const periodTotal = quarters.length > 0 ? sumPeriods([...quarters, ...overtime]) : null;
+  
+  // Add game
+  const game = {
+    id: generateGameId(),
+    date: gameData.date,
+    opponent: ensureOpponent(data, gameData.opponent, gameData.league),
+    league: gameData.league,
     homeAway: gameData.homeAway,
+    teamId,
+    teamScore: scores.teamScore ?? periodTotal?.team ?? sumTeamPoints(performancesWithComputed),
+    opponentScore: scores.opponentScore ?? periodTotal?.opponent ?? null,
+    quarters,
+    overtime,
     performances: performancesWithComputed,
     csvFile: gameData.csvFile || null, // Reference to source CSV file
   };
   
   data.games.push(game);
   data.games.sort((a, b) => new Date(a.date) - new Date(b.date));
+  ensureSeasonForDate(data, game.date);
+  syncPlayerTeams(data);
   
   saveData(data);
   return game;
 };
 
 /**
- * Update an existing game
+ * Update an existing game. Edited period scores carry over to the final score,
+ * as addGame derives it, unless the final score is edited as well.
  */
 const updateGame = (gameId, updates) => {
   const data = loadData();
@@ -300,11 +1618,25 @@ const updateGame = (gameId, updates) => {
     throw new Error("Game not found");
   }
   
-  data.games[gameIndex] = { ...data.games[gameIndex], ...updates };
+  const previous = data.games[gameIndex];
+  const scores = normalizeScoreFields(updates);
+  const game = { ...previous, ...updates, ...scores };
+  const periodsChanged = ['quarters', 'overtime']
+    .some((key) => key in scores && formatPeriodScores(scores[key]) !== formatPeriodScores(previous[key]));
+  if (periodsChanged && game.quarters.length > 0) {
+    const periodTotal = sumPeriods([...game.quarters, ...game.overtime]);
+    if (scores.teamScore === undefined || scores.teamScore === previous.teamScore) game.teamScore = periodTotal.team;
+    if (scores.opponentScore === undefined || scores.opponentScore === previous.opponentScore) game.opponentScore = periodTotal.opponent;
+  }
+  if (!game.seasonId) delete game.seasonId;
+  if (updates.opponent) game.opponent = ensureOpponent(data, updates.opponent, game.league);
+  data.games[gameIndex] = game;
   data.games.sort((a, b) => new Date(a.date) - new Date(b.date));
+  ensureSeasonForDate(data, game.date);
+  syncPlayerTeams(data);
   
   saveData(data);
-  return data.games[gameIndex];
+  return game;
 };
 
 /**
@@ -313,11 +1645,12 @@ const updateGame = (gameId, updates) => {
 const deleteGame = (gameId) => {
   const data = loadData();
   data.games = data.games.filter((g) => String(g.id) !== String(gameId));
+  syncPlayerTeams(data);
   saveData(data);
 };
 
 /**
- * Update a player's stats for a specific game
+ * Update a player's stats for a specific game (derived stats are recomputed)
  */
 const updatePlayerStats = (gameId, playerName, stats) => {
   const data = loadData();
@@ -327,7 +1660,7 @@ const updatePlayerStats = (gameId, playerName, stats) => {
     throw new Error("Game not found");
   }
   
-  game.performances[playerName] = stats;
+  game.performances[playerName] = addComputedStats(stats);
   saveData(data);
   return game;
 };
@@ -338,7 +1671,7 @@ const updatePlayerStats = (gameId, playerName, stats) => {
 const updatePlayer = (playerName, updates) => {
   const data = loadData();
   if (!data.players[playerName]) {
-    data.players[playerName] = { number: null, active: true };
+    data.players[playerName] = { id: generatePlayerId(), number: null, active: true };
   }
   data.players[playerName] = { ...data.players[playerName], ...updates };
   saveData(data);
@@ -391,7 +1724,9 @@ const getAllStatKeys = () => {
   const keys = new Set();
   data.games.forEach((game) => {
     Object.values(game.performances || {}).forEach((stats) => {
-      Object.keys(stats).forEach((key) => keys.add(key));
+      Object.keys(stats).forEach((key) => {
+        if (key !== PERIODS_KEY) keys.add(key);
+      });
     });
   });
   return Array.from(keys);
@@ -434,6 +1769,7 @@ const cleanupData = () => {
       delete data.players[name];
     }
   });
+  syncPlayerTeams(data);
   
   saveData(data);
   return removedCount;
@@ -457,421 +1793,3522 @@ const getPlayerGameCounts = () => {
   return counts;
 };
 
+// ========================================
+// PLAYER IDENTITY
+// ========================================
+
 /**
- * Compute Assist to Turnover Ratio (A/TO)
- * Higher is better - measures playmaking efficiency
- * Formula: assists / turnovers
- * When TO = 0: use assists directly (equivalent to assists per 1 theoretical TO)
- * This keeps values within benchmark scale (p50=1.0, p90=2.5)
+ * Generate a unique player ID
  */
-const computeAstToRatio = (stats) => {
-  const assists = typeof stats.asst === 'number' ? stats.asst : 0;
-  const turnovers = typeof stats.to === 'number' ? stats.to : 0;
-  
-  // No assists and no turnovers = no playmaking activity
-  if (assists === 0 && turnovers === 0) {
-    return null;
-  }
-  
-  // No turnovers: use assists as the ratio (assists per 1 theoretical TO)
-  // This rewards good ball security while keeping values reasonable
-  if (turnovers === 0) {
-    return Math.round(assists * 100) / 100;
-  }
-  
-  return Math.round((assists / turnovers) * 100) / 100; // Round to 2 decimal places
-};
+const generatePlayerId = () => `p_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
 /**
- * Compute Total Rebounds (REB)
- * Sum of offensive and defensive rebounds
+ * Normalise a player or team name for comparison: lower case, no accents, single spaces
  */
-const computeTotalRebounds = (stats) => {
-  const oreb = typeof stats.oreb === 'number' ? stats.oreb : 0;
-  const dreb = typeof stats.dreb === 'number' ? stats.dreb : 0;
-  
-  // If both are 0, return null (no rebounding activity)
-  if (oreb === 0 && dreb === 0) {
-    return null;
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9æøå\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Levenshtein edit distance
+ */
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
   }
-  
-  return oreb + dreb;
+  return prev[b.length];
 };
 
 /**
- * Compute Attack Energy (ATK)
- * Higher is better - measures total offensive involvement per game
- * Formula: FG Attempts + FT Attempts + Assists + Offensive Rebounds
+ * Name similarity between 0 and 1.
+ * Takes the best of: whole-name edit distance, the same with name parts
+ * sorted ("Doe John" vs "John Doe"), and initial + surname ("J. Doe").
  */
-const computeAttackEnergy = (stats) => {
-  // Require minutes > 0 to confirm player actually played
-  const rawMinutes = typeof stats.min === 'number' ? stats.min : 0;
-  if (Math.floor(rawMinutes) <= 0) return null;
-  
-  // Get FG attempts (from made-attempted format)
-  let fga = 0;
-  if (stats.fg && typeof stats.fg === 'object' && 'attempted' in stats.fg) {
-    fga = stats.fg.attempted || 0;
-  }
-  
-  // Get FT attempts (from made-attempted format)
-  let fta = 0;
-  if (stats.ft && typeof stats.ft === 'object' && 'attempted' in stats.ft) {
-    fta = stats.ft.attempted || 0;
-  }
-  
-  // Get assists
-  const assists = typeof stats.asst === 'number' ? stats.asst : 0;
-  
-  // Get offensive rebounds
-  const oreb = typeof stats.oreb === 'number' ? stats.oreb : 0;
-  
-  // If no offensive activity at all, return null
-  const rawTotal = fga + fta + assists + oreb;
-  if (rawTotal === 0) {
-    return null;
+const nameSimilarity = (a, b) => {
+  const na = normalizeName(a);
+  const nb = normalizeName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ratio = (x, y) => 1 - editDistance(x, y) / Math.max(x.length, y.length);
+  const sorted = (x) => x.split(' ').sort().join(' ');
+  let score = Math.max(ratio(na, nb), ratio(sorted(na), sorted(nb)));
+
+  const pa = na.split(' ');
+  const pb = nb.split(' ');
+  if (pa.length > 1 && pb.length > 1 && pa[pa.length - 1] === pb[pb.length - 1] && pa[0][0] === pb[0][0]) {
+    score = Math.max(score, 0.85);
   }
-  
-  return Math.round(rawTotal * 10) / 10;
+  return score;
 };
 
 /**
- * Get foul grade multiplier for Defence Domination calculation
- * Rewards optimal foul count (3) and penalizes passive or excessive fouling
+ * Find the registry name of a player ID
  */
-const getFoulMultiplier = (fouls) => {
-  if (fouls === 3) return 1.25;  // Excellent - optimal aggression bonus
-  if (fouls === 2) return 1.0;   // Good - full credit
-  if (fouls === 4) return 0.85;  // Average - slight penalty for foul trouble
-  return 0.7;                     // Below (0, 1, 5) - penalty for passive or fouling out
-};
+const getPlayerNameById = (data, playerId) => (
+  Object.keys(data.players || {}).find((name) => data.players[name].id === playerId) || null
+);
 
 /**
- * Compute Defence Domination (DEF)
- * Higher is better - measures total defensive impact per game with foul efficiency
- * Formula: (Blocks + Steals + Defensive Rebounds) * Foul Multiplier
+ * Map an imported name to the canonical registry name.
+ * Registry names win, then exact aliases, then aliases equal after normalisation.
+ * Unknown names are returned unchanged.
  */
-const computeDefenceDomination = (stats) => {
-  // Require minutes > 0 to confirm player actually played
-  const rawMinutes = typeof stats.min === 'number' ? stats.min : 0;
-  if (Math.floor(rawMinutes) <= 0) return null;
-  
-  const blocks = typeof stats.blk === 'number' ? stats.blk : 0;
-  const steals = typeof stats.stl === 'number' ? stats.stl : 0;
-  const dreb = typeof stats.dreb === 'number' ? stats.dreb : 0;
-  const fouls = typeof stats.foul === 'number' ? stats.foul : 0;
-  
-  const rawDefence = blocks + steals + dreb;
-  
-  // If no defensive activity, return null
-  if (rawDefence === 0) {
+const resolvePlayerName = (name, data = loadData()) => {
+  if (data.players && data.players[name]) return name;
+
+  const aliases = data.aliases || {};
+  let playerId = aliases[name];
+  if (!playerId) {
+    const normalized = normalizeName(name);
+    const match = Object.keys(aliases).find((alias) => normalizeName(alias) === normalized);
+    playerId = match ? aliases[match] : null;
+  }
+  return (playerId && getPlayerNameById(data, playerId)) || name;
+};
+
+/**
+ * Suggest existing players an unknown imported name may refer to.
+ * Score = name similarity, +0.15 when the jersey number matches (capped at 1).
+ * A matching number alone is still suggested, to catch renamed players.
+ * @returns {Array} [{ name, id, number, score }] best match first
+ */
+const suggestPlayerMatches = (name, number = null, { threshold = 0.75, limit = 3 } = {}) => {
+  const data = loadData();
+  if (resolvePlayerName(name, data) !== name || data.players[name]) return [];
+
+  return Object.entries(data.players)
+    .map(([candidate, info]) => {
+      const sameNumber = number !== null && number !== undefined && info.number === number;
+      const score = Math.min(1, nameSimilarity(name, candidate) + (sameNumber ? 0.15 : 0));
+      return { name: candidate, id: info.id, number: info.number, score, sameNumber };
+    })
+    .filter((match) => match.score >= threshold || match.sameNumber)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ sameNumber, ...match }) => match);
+};
+
+/**
+ * Record that an alias (spelling variant, nickname, old name) means an existing player
+ */
+const addPlayerAlias = (alias, playerName) => {
+  const data = loadData();
+  const player = data.players[playerName];
+  const name = String(alias || '').trim();
+
+  if (!player) {
+    throw new Error("Player not found");
+  }
+  if (!name || name === playerName) {
+    throw new Error("Alias must differ from the player name");
+  }
+  if (data.players[name]) {
+    throw new Error(`"${name}" is a separate player. Merge the players instead.`);
+  }
+
+  data.aliases = { ...(data.aliases || {}), [name]: player.id };
+  saveData(data);
+};
+
+/**
+ * Remove an alias
+ */
+const removePlayerAlias = (alias) => {
+  const data = loadData();
+  const aliases = { ...(data.aliases || {}) };
+  delete aliases[alias];
+  data.aliases = aliases;
+  saveData(data);
+};
+
+/**
+ * Aliases pointing at a player
+ */
+const getPlayerAliases = (playerName) => {
+  const data = loadData();
+  const player = data.players[playerName];
+  if (!player) return [];
+  return Object.keys(data.aliases || {}).filter((alias) => data.aliases[alias] === player.id);
+};
+
+/**
+ * Merge one player into another in a single save: every game's performance
+ * is re-keyed to the target, the source leaves the registry and its name
+ * (and aliases) become aliases of the target. Returns the merge record used
+ * by unmergePlayers.
+ */
+const mergePlayers = (sourceName, targetName) => {
+  const data = loadData();
+  const source = data.players[sourceName];
+  const target = data.players[targetName];
+
+  if (!source || !target) {
+    throw new Error("Player not found");
+  }
+  if (sourceName === targetName) {
+    throw new Error("Cannot merge a player into itself");
+  }
+
+  const clash = data.games.find((game) => game.performances?.[sourceName] && game.performances?.[targetName]);
+  if (clash) {
+    throw new Error(`${sourceName} and ${targetName} both played on ${clash.date} vs ${clash.opponent}`);
+  }
+
+  const gameIds = [];
+  data.games.forEach((game) => {
+    if (!game.performances || !game.performances[sourceName]) return;
+    game.performances[targetName] = game.performances[sourceName];
+    delete game.performances[sourceName];
+    gameIds.push(game.id);
+  });
+
+  const aliases = { ...(data.aliases || {}) };
+  const movedAliases = Object.keys(aliases).filter((alias) => aliases[alias] === source.id);
+  movedAliases.forEach((alias) => { aliases[alias] = target.id; });
+  aliases[sourceName] = target.id;
+
+  if (target.number === null || target.number === undefined) {
+    target.number = source.number;
+  }
+  delete data.players[sourceName];
+
+  const merge = {
+    id: `m_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    mergedAt: new Date().toISOString(),
+    source: { name: sourceName, info: source },
+    targetId: target.id,
+    gameIds,
+    movedAliases,
+  };
+
+  data.aliases = aliases;
+  data.merges = [...(data.merges || []), merge];
+  syncPlayerTeams(data);
+  saveData(data);
+  return merge;
+};
+
+/**
+ * Undo a merge: the source player returns with its original ID, profile,
+ * games and aliases. Works after the target has been renamed.
+ */
+const unmergePlayers = (mergeId) => {
+  const data = loadData();
+  const merge = (data.merges || []).find((m) => m.id === mergeId);
+
+  if (!merge) {
+    throw new Error("Merge not found");
+  }
+
+  const sourceName = merge.source.name;
+  const targetName = getPlayerNameById(data, merge.targetId);
+  if (data.players[sourceName]) {
+    throw new Error(`A player named ${sourceName} already exists`);
+  }
+
+  const mergedGames = new Set(merge.gameIds.map(String));
+  data.games.forEach((game) => {
+    if (!mergedGames.has(String(game.id)) || !targetName) return;
+    if (!game.performances || !game.performances[targetName]) return;
+    game.performances[sourceName] = game.performances[targetName];
+    delete game.performances[targetName];
+  });
+
+  const aliases = { ...(data.aliases || {}) };
+  delete aliases[sourceName];
+  merge.movedAliases.forEach((alias) => {
+    if (aliases[alias] === merge.targetId) aliases[alias] = merge.source.info.id;
+  });
+
+  data.players[sourceName] = merge.source.info;
+  data.aliases = aliases;
+  data.merges = data.merges.filter((m) => m.id !== mergeId);
+  syncPlayerTeams(data);
+  saveData(data);
+  return sourceName;
+};
+
+/**
+ * Merge log, newest first, with the target's current name
+ */
+const getPlayerMerges = () => {
+  const data = loadData();
+  return (data.merges || [])
+    .map((merge) => ({ ...merge, targetName: getPlayerNameById(data, merge.targetId) }))
+    .reverse();
+};
+
+// ========================================
+// PERIOD SPLITS
+// ========================================
+
+const PERIODS_KEY = 'periods';
+
+// CSV headers that mark a period-split export
+const PERIOD_COLUMNS = ['period', 'periode', 'quarter', 'qtr', 'q'];
+
+// Halves are built from quarters, or taken as-is from games played in halves
+const HALF_PERIODS = { H1: ['Q1', 'Q2'], H2: ['Q3', 'Q4'] };
+
+/**
+ * Normalise a period label ("1", "Q1", "1st", "OT", "5", "H2") to Q1-Q4, OTn, H1 or H2.
+ * Total rows ("", "Total", "Tot") return null.
+ */
+const normalizePeriodLabel = (value) => {
+  const label = String(value || '').trim().toUpperCase().replace(/[\s.]/g, '');
+  if (!label || ['TOTAL', 'TOT', 'SUM', 'GAME', 'ALL'].includes(label)) return null;
+
+  let match = label.match(/^(?:Q|P|QTR|QUARTER|PERIOD|PERIODE)?(\d+)(?:ST|ND|RD|TH|Q)?$/);
+  if (match) {
+    const n = Number(match[1]);
+    if (n >= 1) return n <= 4 ? `Q${n}` : `OT${n - 4}`;
+  }
+  match = label.match(/^OT(\d*)$/);
+  if (match) return `OT${match[1] || 1}`;
+  match = label.match(/^(?:H|HALF)([12])$/) || label.match(/^([12])H$/);
+  if (match) return `H${match[1]}`;
+
+  throw new Error(`Unknown period "${value}". Use 1-4, Q1-Q4, OT or H1/H2`);
+};
+
+/**
+ * Sort key for period labels: H1, Q1, Q2, H2, Q3, Q4, OT1, OT2...
+ */
+const periodRank = (period) => {
+  const n = Number(period.slice(period[0] === 'O' ? 2 : 1));
+  if (period[0] === 'H') return n === 1 ? 0.5 : 2.5;
+  if (period[0] === 'O') return 4 + n;
+  return n;
+};
+
+const sortPeriods = (periods) => [...periods].sort((a, b) => periodRank(a) - periodRank(b));
+
+/**
+ * Sum stat lines into one line. Counting stats and made/attempted pairs are
+ * added; percentages are recomputed from the summed made/attempted.
+ */
+const sumStatLines = (lines) => {
+  const total = {};
+  const percentKeys = new Set();
+  const computedKeys = new Set(getComputedStatKeys());
+
+  lines.forEach((line) => {
+    Object.entries(line || {}).forEach(([key, value]) => {
+      if (key === PERIODS_KEY || computedKeys.has(key)) return;
+      if (key.endsWith('%')) {
+        percentKeys.add(key);
+        return;
+      }
+      if (value && typeof value === 'object' && 'made' in value) {
+        const current = total[key] && typeof total[key] === 'object' ? total[key] : { made: 0, attempted: 0 };
+        total[key] = { made: current.made + (value.made || 0), attempted: current.attempted + (value.attempted || 0) };
+      } else if (typeof value === 'number') {
+        total[key] = (typeof total[key] === 'number' ? total[key] : 0) + value;
+      } else if (!(key in total)) {
+        total[key] = null;
+      }
+    });
+  });
+
+  percentKeys.forEach((key) => {
+    const base = total[key.slice(0, -1)];
+    total[key] = base && base.attempted > 0 ? Math.round((base.made / base.attempted) * 100) : null;
+  });
+  return total;
+};
+
+/**
+ * A performance's stat line for one period, or for a half ('H1' = Q1+Q2).
+ * Quarters the player has no line for count as zero when the game was
+ * recorded in quarters. Returns null without period data.
+ */
+const getPeriodLine = (stats, period) => {
+  const periods = stats && stats[PERIODS_KEY];
+  if (!periods) return null;
+  if (periods[period]) return addComputedStats(periods[period]);
+
+  const recordedIn = (prefix) => Object.keys(periods).some((p) => p.startsWith(prefix));
+  if (!recordedIn('Q') || !(HALF_PERIODS[period] || /^Q[1-4]$/.test(period))) return null;
+
+  // All-zero line with the same stat keys, so a quarter on the bench counts as zero
+  const zero = Object.fromEntries(Object.entries(Object.values(periods)[0]).map(([key, value]) => [
+    key,
+    value && typeof value === 'object' ? { made: 0, attempted: 0 } : (typeof value === 'number' ? 0 : value),
+  ]));
+  const quarters = HALF_PERIODS[period] || [period];
+  return addComputedStats(sumStatLines([zero, ...quarters.map((p) => periods[p]).filter(Boolean)]));
+};
+
+/**
+ * Periods recorded in any of the records
+ */
+const getRecordedPeriods = (playerRecords, statsNested = true) => {
+  const periods = new Set();
+  playerRecords.forEach((r) => {
+    Object.keys((statsNested ? r.stats : r)?.[PERIODS_KEY] || {}).forEach((p) => periods.add(p));
+  });
+  return sortPeriods(periods);
+};
+
+/**
+ * Average of a stat per recorded period, for the period breakdown chart
+ * @returns {Array} [{ period, avg, games }]
+ */
+const getPeriodBreakdown = (playerRecords, stat, statsNested = true) => (
+  getRecordedPeriods(playerRecords, statsNested)
+    .map((period) => {
+      const ws = calculateWindowedStatsShared(playerRecords, stat, 'all', statsNested, period);
+      return ws ? { period, avg: ws.avg, games: ws.gamesInWindow } : null;
+    })
+    .filter(Boolean)
+);
+
+// ========================================
+// GAME RESULTS
+// ========================================
+
+/**
+ * Our score from the players' summed points (null when no player has pts)
+ */
+const sumTeamPoints = (performances) => {
+  const points = Object.values(performances || {})
+    .map((stats) => getNumericStat(stats && stats.pts))
+    .filter((pts) => pts !== null);
+  return points.length > 0 ? points.reduce((sum, pts) => sum + pts, 0) : null;
+};
+
+const sumPeriods = (periods) => periods.reduce(
+  (total, period) => ({ team: total.team + period.team, opponent: total.opponent + period.opponent }),
+  { team: 0, opponent: 0 }
+);
+
+const parseScore = (value, label) => {
+  if (value === null || value === undefined || value === '') return null;
+  const score = Number(value);
+  if (!Number.isInteger(score) || score < 0) {
+    throw new Error(`${label} must be a whole number of points`);
+  }
+  return score;
+};
+
+/**
+ * Parse period scores written as "18-12, 20-15" (ours first) into [{ team, opponent }]
+ */
+const parsePeriodScores = (text) => {
+  if (Array.isArray(text)) {
+    return text.map((p) => ({ team: parseScore(p.team, 'Period score'), opponent: parseScore(p.opponent, 'Period score') }));
+  }
+  return String(text || '')
+    .split(/[,;]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(\d+)\s*[-–:]\s*(\d+)$/);
+      if (!match) {
+        throw new Error(`Invalid period score "${part}". Use ours-theirs, e.g. 18-12`);
+      }
+      return { team: Number(match[1]), opponent: Number(match[2]) };
+    });
+};
+
+/**
+ * Format period scores back to "18-12, 20-15"
+ */
+const formatPeriodScores = (periods) => (periods || []).map((p) => `${p.team}-${p.opponent}`).join(', ');
+
+/**
+ * Validate the score fields present in input (teamScore, opponentScore, quarters, overtime).
+ * Keys missing from input are left out of the result.
+ */
+const normalizeScoreFields = (input) => {
+  const fields = {};
+  if ('teamScore' in input) fields.teamScore = parseScore(input.teamScore, 'Our score');
+  if ('opponentScore' in input) fields.opponentScore = parseScore(input.opponentScore, 'Opponent score');
+  if ('quarters' in input) {
+    fields.quarters = parsePeriodScores(input.quarters);
+    if (fields.quarters.length > 4) {
+      throw new Error("A game has at most 4 quarters. Enter extra periods as overtime");
+    }
+  }
+  if ('overtime' in input) fields.overtime = parsePeriodScores(input.overtime);
+  return fields;
+};
+
+/**
+ * 'W', 'L' or 'T' from our point of view, null until both scores are known
+ */
+const getGameResult = (game) => {
+  if (!game || game.teamScore === null || game.teamScore === undefined ||
+      game.opponentScore === null || game.opponentScore === undefined) {
     return null;
   }
-  
-  const multiplier = getFoulMultiplier(fouls);
-  
-  return Math.round(rawDefence * multiplier * 10) / 10;
+  if (game.teamScore > game.opponentScore) return 'W';
+  if (game.teamScore < game.opponentScore) return 'L';
+  return 'T';
+};
+
+/**
+ * Filter games by result ('W', 'L', 'T'). 'all' or empty returns every game.
+ */
+const filterGamesByResult = (games, result) => {
+  if (!result || result === 'all') return games;
+  return games.filter((game) => getGameResult(game) === result);
+};
+
+/**
+ * Win/loss record and points for/against over the games with a known result
+ */
+const getRecord = (games) => {
+  const record = { wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0 };
+  games.forEach((game) => {
+    const result = getGameResult(game);
+    if (!result) return;
+    if (result === 'W') record.wins++;
+    else if (result === 'L') record.losses++;
+    else record.ties++;
+    record.pointsFor += game.teamScore;
+    record.pointsAgainst += game.opponentScore;
+  });
+  return record;
+};
+
+/**
+ * A player's averages in wins and in losses
+ * @returns {Object} { wins, losses } summaries from calculateAllPlayerStats
+ */
+const getPlayerResultSplit = (playerName, games, statKeys) => {
+  const summarize = (result) => calculateAllPlayerStats(
+    filterGamesByResult(games, result)
+      .filter((game) => game.performances && game.performances[playerName])
+      .map((game) => ({ date: game.date, ...game.performances[playerName] })),
+    statKeys,
+    'all',
+    false
+  );
+  return { wins: summarize('W'), losses: summarize('L') };
+};
+
+// ========================================
+// OPPONENTS
+// ========================================
+
+/**
+ * Generate a unique opponent ID
+ */
+const generateOpponentId = () => `o_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Find a registry entry by name or alias (accent, case and spacing insensitive)
+ */
+const findOpponent = (opponents, name) => {
+  const key = normalizeName(name);
+  if (!key) return null;
+  return (opponents || []).find((o) => (
+    normalizeName(o.name) === key || (o.aliases || []).some((alias) => normalizeName(alias) === key)
+  )) || null;
+};
+
+/**
+ * Return the canonical opponent name, adding unknown opponents to the registry.
+ * Mutates data; callers save.
+ */
+const ensureOpponent = (data, name, league = '') => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return trimmed;
+  if (!data.opponents) data.opponents = [];
+
+  const existing = findOpponent(data.opponents, trimmed);
+  if (existing) {
+    if (!existing.league && league) existing.league = league;
+    return existing.name;
+  }
+
+  data.opponents.push({ id: generateOpponentId(), name: trimmed, aliases: [], league: league || '', venue: '' });
+  return trimmed;
+};
+
+/**
+ * Get the opponent registry sorted by name
+ */
+const getOpponents = () => {
+  const data = loadData();
+  return [...(data.opponents || [])].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Canonical name for an opponent, or the input when unknown
+ */
+const resolveOpponentName = (name) => {
+  const opponent = findOpponent(loadData().opponents, name);
+  return opponent ? opponent.name : String(name || '').trim();
+};
+
+/**
+ * Rename an opponent or change its league/venue.
+ * A rename rewrites every game and keeps the old name as an alias.
+ */
+const updateOpponent = (opponentId, updates) => {
+  const data = loadData();
+  const opponent = (data.opponents || []).find((o) => o.id === opponentId);
+
+  if (!opponent) {
+    throw new Error("Opponent not found");
+  }
+
+  const name = updates.name !== undefined ? String(updates.name).trim() : opponent.name;
+  if (!name) {
+    throw new Error("Opponent needs a name");
+  }
+  const clash = findOpponent(data.opponents.filter((o) => o.id !== opponentId), name);
+  if (clash) {
+    throw new Error(`Opponent "${clash.name}" already exists. Merge the opponents instead.`);
+  }
+
+  if (name !== opponent.name) {
+    data.games.forEach((game) => {
+      if (game.opponent === opponent.name) game.opponent = name;
+    });
+    opponent.aliases = [...new Set([...(opponent.aliases || []), opponent.name])].filter((alias) => alias !== name);
+    opponent.name = name;
+  }
+  if (updates.league !== undefined) opponent.league = String(updates.league).trim();
+  if (updates.venue !== undefined) opponent.venue = String(updates.venue).trim();
+
+  saveData(data);
+  return opponent;
+};
+
+/**
+ * Merge one opponent into another: games are renamed and the source's
+ * name and aliases become aliases of the target
+ */
+const mergeOpponents = (sourceId, targetId) => {
+  const data = loadData();
+  const opponents = data.opponents || [];
+  const source = opponents.find((o) => o.id === sourceId);
+  const target = opponents.find((o) => o.id === targetId);
+
+  if (!source || !target) {
+    throw new Error("Opponent not found");
+  }
+  if (sourceId === targetId) {
+    throw new Error("Cannot merge an opponent into itself");
+  }
+
+  let gamesMoved = 0;
+  data.games.forEach((game) => {
+    if (game.opponent === source.name) {
+      game.opponent = target.name;
+      gamesMoved++;
+    }
+  });
+
+  target.aliases = [...new Set([...(target.aliases || []), source.name, ...(source.aliases || [])])];
+  if (!target.league) target.league = source.league;
+  if (!target.venue) target.venue = source.venue;
+  data.opponents = opponents.filter((o) => o.id !== sourceId);
+
+  saveData(data);
+  return gamesMoved;
+};
+
+/**
+ * Pairs of opponents whose names look like the same club ("Bislet" / "Bislett")
+ * @returns {Array} [{ a, b, score }] most similar first
+ */
+const suggestOpponentMerges = (threshold = 0.8) => {
+  const opponents = getOpponents();
+  const pairs = [];
+  opponents.forEach((a, i) => {
+    opponents.slice(i + 1).forEach((b) => {
+      const score = nameSimilarity(a.name, b.name);
+      if (score >= threshold) pairs.push({ a, b, score });
+    });
+  });
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+// ========================================
+// TEAMS
+// ========================================
+
+// Team created for games uploaded before teams existed
+const DEFAULT_TEAM = { id: 't_default', name: 'Main team', ageGroup: '' };
+
+/**
+ * Generate a unique team ID
+ */
+const generateTeamId = () => `t_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Return the ID of the first team, creating the default team when there is none
+ */
+const ensureDefaultTeam = (data) => {
+  if (!Array.isArray(data.teams)) data.teams = [];
+  if (data.teams.length === 0) data.teams.push({ ...DEFAULT_TEAM });
+  return data.teams[0].id;
+};
+
+/**
+ * Rebuild players[name].teams from the games each player appears in
+ */
+const syncPlayerTeams = (data) => {
+  const teamsByPlayer = {};
+  (data.games || []).forEach((game) => {
+    Object.keys(game.performances || {}).forEach((name) => {
+      if (!teamsByPlayer[name]) teamsByPlayer[name] = new Set();
+      if (game.teamId) teamsByPlayer[name].add(game.teamId);
+    });
+  });
+
+  const teamOrder = (data.teams || []).map((t) => t.id);
+  Object.entries(data.players || {}).forEach(([name, info]) => {
+    info.teams = Array.from(teamsByPlayer[name] || [])
+      .sort((a, b) => teamOrder.indexOf(a) - teamOrder.indexOf(b));
+  });
+};
+
+/**
+ * Get all teams
+ */
+const getTeams = () => loadData().teams || [];
+
+const validateTeamName = (name, teams, ignoreId = null) => {
+  if (!name) {
+    throw new Error("Team needs a name");
+  }
+  const taken = teams.some((t) => t.id !== ignoreId && t.name.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    throw new Error(`Team "${name}" already exists`);
+  }
+};
+
+/**
+ * Create a team
+ * @param {Object} team - { name, ageGroup }
+ */
+const addTeam = ({ name, ageGroup = '' }) => {
+  const data = loadData();
+  const teams = data.teams || [];
+  const team = {
+    id: generateTeamId(),
+    name: String(name || '').trim(),
+    ageGroup: String(ageGroup || '').trim(),
+  };
+  validateTeamName(team.name, teams);
+
+  data.teams = [...teams, team];
+  saveData(data);
+  return team;
+};
+
+/**
+ * Rename a team or change its age group
+ */
+const updateTeam = (teamId, updates) => {
+  const data = loadData();
+  const teams = data.teams || [];
+  const index = teams.findIndex((t) => t.id === teamId);
+
+  if (index === -1) {
+    throw new Error("Team not found");
+  }
+
+  const team = { ...teams[index], ...updates, id: teamId };
+  team.name = String(team.name || '').trim();
+  validateTeamName(team.name, teams, teamId);
+  teams[index] = team;
+  data.teams = teams;
+  saveData(data);
+  return team;
+};
+
+/**
+ * Delete a team. Teams that still have games cannot be deleted.
+ */
+const deleteTeam = (teamId) => {
+  const data = loadData();
+  if (data.games.some((game) => game.teamId === teamId)) {
+    throw new Error("Team still has games");
+  }
+  data.teams = (data.teams || []).filter((t) => t.id !== teamId);
+  saveData(data);
+};
+
+/**
+ * Filter games to a team. An empty teamId, 'all' or an unknown team returns every game.
+ */
+const filterGamesByTeam = (games, teamId, teams) => {
+  if (!teamId || teamId === 'all') return games;
+  const list = teams || getTeams();
+  if (!list.some((t) => t.id === teamId)) return games;
+  return games.filter((game) => game.teamId === teamId);
+};
+
+// ========================================
+// SEASONS
+// ========================================
+
+// Default seasons run from August 1st to July 31st (Norwegian junior calendar)
+const SEASON_START_MONTH = 8;
+
+/**
+ * Generate a unique season ID
+ */
+const generateSeasonId = () => `s_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+/**
+ * Sort seasons by start date (oldest first)
+ */
+const sortSeasons = (seasons) => [...seasons].sort((a, b) => String(a.start).localeCompare(String(b.start)));
+
+/**
+ * Build the default season containing a date, e.g. "2025-10-11" ->
+ * { id: "s_2025", name: "2025/26", start: "2025-08-01", end: "2026-07-31" }.
+ * The ID is derived from the start year so every device creates the same one.
+ */
+const getDefaultSeasonForDate = (date) => {
+  const match = /^(\d{4})-(\d{2})/.exec(String(date || ''));
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const startYear = month >= SEASON_START_MONTH ? year : year - 1;
+  const pad = (n) => String(n).padStart(2, '0');
+  const lastDay = new Date(startYear + 1, SEASON_START_MONTH - 1, 0).getDate();
+  return {
+    id: `s_${startYear}`,
+    name: `${startYear}/${String(startYear + 1).slice(-2)}`,
+    start: `${startYear}-${pad(SEASON_START_MONTH)}-01`,
+    end: `${startYear + 1}-${pad(SEASON_START_MONTH - 1)}-${pad(lastDay)}`,
+    ageGroup: '',
+  };
+};
+
+/**
+ * Find the season whose date range contains a date.
+ * When ranges overlap the most recently started season wins.
+ */
+const findSeasonForDate = (date, seasons) => {
+  const day = String(date || '').slice(0, 10);
+  const matches = sortSeasons(seasons || []).filter((s) => s.start <= day && day <= s.end);
+  return matches.length ? matches[matches.length - 1] : null;
+};
+
+/**
+ * Add a default season to data.seasons if no season covers the date yet
+ */
+const ensureSeasonForDate = (data, date) => {
+  if (!Array.isArray(data.seasons)) data.seasons = [];
+  if (findSeasonForDate(date, data.seasons)) return;
+  const season = getDefaultSeasonForDate(date);
+  if (season && !data.seasons.some((s) => s.id === season.id)) {
+    data.seasons = sortSeasons([...data.seasons, season]);
+  }
+};
+
+/**
+ * Get all seasons sorted by start date
+ */
+const getSeasons = () => sortSeasons(loadData().seasons || []);
+
+/**
+ * Display label for a season, e.g. "2025/26 (U16)"
+ */
+const getSeasonLabel = (season) => {
+  if (!season) return '';
+  return season.ageGroup ? `${season.name} (${season.ageGroup})` : season.name;
+};
+
+const validateSeason = (season) => {
+  if (!season.name || !season.start || !season.end) {
+    throw new Error("Season needs a name, start date and end date");
+  }
+  if (season.start > season.end) {
+    throw new Error("Season start must be on or before its end");
+  }
+};
+
+/**
+ * Create a season
+ * @param {Object} season - { name, start, end, ageGroup } (ISO dates)
+ */
+const addSeason = ({ name, start, end, ageGroup = '' }) => {
+  const season = {
+    id: generateSeasonId(),
+    name: String(name || '').trim(),
+    start,
+    end,
+    ageGroup: String(ageGroup || '').trim(),
+  };
+  validateSeason(season);
+
+  const data = loadData();
+  data.seasons = sortSeasons([...(data.seasons || []), season]);
+  saveData(data);
+  return season;
+};
+
+/**
+ * Update a season's name, dates or age group
+ */
+const updateSeason = (seasonId, updates) => {
+  const data = loadData();
+  const seasons = data.seasons || [];
+  const index = seasons.findIndex((s) => s.id === seasonId);
+
+  if (index === -1) {
+    throw new Error("Season not found");
+  }
+
+  const season = { ...seasons[index], ...updates, id: seasonId };
+  validateSeason(season);
+  seasons[index] = season;
+  data.seasons = sortSeasons(seasons);
+  saveData(data);
+  return season;
+};
+
+/**
+ * Delete a season. Games pinned to it fall back to date-based assignment.
+ */
+const deleteSeason = (seasonId) => {
+  const data = loadData();
+  data.seasons = (data.seasons || []).filter((s) => s.id !== seasonId);
+  data.games.forEach((game) => {
+    if (game.seasonId === seasonId) delete game.seasonId;
+  });
+  saveData(data);
+};
+
+/**
+ * Resolve which season a game belongs to: the manual override when it
+ * points to an existing season, otherwise the season covering its date.
+ * @returns {string|null} season ID
+ */
+const getGameSeasonId = (game, seasons) => {
+  const list = seasons || getSeasons();
+  if (game.seasonId && list.some((s) => s.id === game.seasonId)) {
+    return game.seasonId;
+  }
+  const season = findSeasonForDate(game.date, list);
+  return season ? season.id : null;
+};
+
+/**
+ * Filter games to a season. An empty seasonId or 'all' returns every game.
+ */
+const filterGamesBySeason = (games, seasonId, seasons) => {
+  if (!seasonId || seasonId === 'all') return games;
+  const list = seasons || getSeasons();
+  return games.filter((game) => getGameSeasonId(game, list) === seasonId);
+};
+
+/**
+ * The season containing today, or the most recent one that has started
+ */
+const getCurrentSeason = (seasons) => {
+  const list = sortSeasons(seasons || getSeasons());
+  const today = new Date().toISOString().slice(0, 10);
+  const started = list.filter((s) => s.start <= today);
+  return findSeasonForDate(today, list) || started[started.length - 1] || list[list.length - 1] || null;
+};
+
+/**
+ * The season that started before the given one (by start date)
+ */
+const getPreviousSeason = (seasonId, seasons) => {
+  const list = sortSeasons(seasons || getSeasons());
+  const index = list.findIndex((s) => s.id === seasonId);
+  return index > 0 ? list[index - 1] : null;
+};
+
+/**
+ * Summarise a player's season: averages over every game they played in it,
+ * optionally limited to one team
+ * @returns {Object} { games, stats: { statKey: windowed stats over 'all' } }
+ */
+const getPlayerSeasonSummary = (playerName, seasonId, statKeys, teamId = 'all') => {
+  const data = loadData();
+  const teamGames = filterGamesByTeam(data.games, teamId, data.teams || []);
+  const records = filterGamesBySeason(teamGames, seasonId, data.seasons || [])
+    .filter((game) => game.performances && game.performances[playerName])
+    .map((game) => ({ date: game.date, ...game.performances[playerName] }));
+  return calculateAllPlayerStats(records, statKeys, 'all', false);
+};
+
+/**
+ * Compare a player's season with the season before it
+ * @returns {Object} { season, previousSeason, current, previous } (previous is null without a prior season)
+ */
+const comparePlayerSeasons = (playerName, seasonId, statKeys, teamId = 'all') => {
+  const seasons = getSeasons();
+  const season = seasons.find((s) => s.id === seasonId) || null;
+  const previousSeason = season ? getPreviousSeason(season.id, seasons) : null;
+  return {
+    season,
+    previousSeason,
+    current: season ? getPlayerSeasonSummary(playerName, season.id, statKeys, teamId) : null,
+    previous: previousSeason ? getPlayerSeasonSummary(playerName, previousSeason.id, statKeys, teamId) : null,
+  };
+};
+
+// ========================================
+// COMPUTED STATS
+// ========================================
+
+/**
+ * Built-in derived stats. Each one is a formula over raw stat keys (see
+ * parseFormula) plus its null-handling rules:
+ * - missing: 'zero' counts absent stats as 0, 'null' makes arithmetic on them null
+ * - requiresMinutes: null unless the player logged at least one full minute
+ * - zeroAsNull: a result of 0 is stored as null (no activity rather than a poor game)
+ * Stats are evaluated in order, so a formula can use the keys defined above it.
+ * Admin edits and custom stats live in data.computedStats, keyed by stat key.
+ */
+const DEFAULT_COMPUTED_STATS = [
+  {
+    key: 'reb',
+    name: 'Total Rebounds',
+    formula: 'oreb + dreb',
+    missing: 'zero',
+    requiresMinutes: false,
+    zeroAsNull: true,
+  },
+  {
+    // No turnovers: assists per one theoretical turnover, which keeps values on the benchmark scale
+    key: 'a/to',
+    name: 'Assist/Turnover',
+    formula: 'if(asst + to == 0, null, round(asst / max(to, 1), 2))',
+    missing: 'zero',
+    requiresMinutes: false,
+    zeroAsNull: false,
+  },
+  {
+    key: 'atk',
+    name: 'Attack Energy',
+    formula: 'round(fg.attempted + ft.attempted + asst + oreb, 1)',
+    missing: 'zero',
+    requiresMinutes: true,
+    zeroAsNull: true,
+  },
+  {
+    // 3 fouls is optimal aggression; passive (0-1) or fouled-out (5) players are penalized
+    key: 'def',
+    name: 'Defence Domination',
+    formula: 'round((blk + stl + dreb) * if(foul == 3, 1.25, if(foul == 2, 1, if(foul == 4, 0.85, 0.7))), 1)',
+    missing: 'zero',
+    requiresMinutes: true,
+    zeroAsNull: true,
+  },
+  {
+    // pct() is null without attempts, so only shot types the player tried are averaged
+    key: 'shoot',
+    name: 'Shooting Star',
+    formula: 'round(avg(pct(fg), pct(3pt), pct(ft)), 1)',
+    missing: 'zero',
+    requiresMinutes: false,
+    zeroAsNull: false,
+  },
+  {
+    // Effective FG%: a made three is worth 1.5 made twos (fg includes threes)
+    key: 'efg%',
+    name: 'Effective FG%',
+    formula: 'round((fg.made + 0.5 * 3pt.made) / fg.attempted * 100, 1)',
+    missing: 'zero',
+    requiresMinutes: false,
+    zeroAsNull: false,
+  },
+  {
+    // True shooting %: points per scoring attempt, with 0.44 FTA per possession-ending trip
+    key: 'ts%',
+    name: 'True Shooting %',
+    formula: 'round(pts / (2 * (fg.attempted + 0.44 * ft.attempted)) * 100, 1)',
+    missing: 'zero',
+    requiresMinutes: false,
+    zeroAsNull: false,
+  },
+  {
+    // FIBA Performance Index Rating; fouls drawn and shots rejected are not in our box scores
+    key: 'pir',
+    name: 'PIR (FIBA Efficiency)',
+    formula: 'pts + oreb + dreb + asst + stl + blk - (fg.attempted - fg.made) - (ft.attempted - ft.made) - to - foul',
+    missing: 'zero',
+    requiresMinutes: true,
+    zeroAsNull: false,
+  },
+  {
+    // John Hollinger's Game Score
+    key: 'gmsc',
+    name: 'Game Score',
+    formula: 'round(pts + 0.4 * fg.made - 0.7 * fg.attempted - 0.4 * (ft.attempted - ft.made) + 0.7 * oreb + 0.3 * dreb + stl + 0.7 * asst + 0.7 * blk - 0.4 * foul - to, 1)',
+    missing: 'zero',
+    requiresMinutes: true,
+    zeroAsNull: false,
+  },
+];
+
+const MISSING_STAT_RULES = ['zero', 'null'];
+
+// Numbers, stat keys (fg, 3pt, fg%), [bracketed keys] such as [a/to], and operators
+const FORMULA_TOKEN = /(\d+(?:\.\d+)?)(?![\w%])|([A-Za-z0-9_%]+)|\[([^\]]*)\]|(==|!=|<=|>=|[-+*/(),.<>])/y;
+const FORMULA_MEMBERS = ['made', 'attempted'];
+
+/**
+ * Numeric value of a formula operand: made/attempted pairs count their makes,
+ * anything that is not a finite number is null
+ */
+const toFormulaNumber = (value) => {
+  if (value && typeof value === 'object') return toFormulaNumber(value.made || 0);
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+const formulaNumbers = (values) => values.map(toFormulaNumber).filter((value) => value !== null);
+
+const FORMULA_OPERATORS = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+  '==': (a, b) => Number(a === b),
+  '!=': (a, b) => Number(a !== b),
+  '<': (a, b) => Number(a < b),
+  '<=': (a, b) => Number(a <= b),
+  '>': (a, b) => Number(a > b),
+  '>=': (a, b) => Number(a >= b),
+};
+
+// Functions available in formulas: [min args, max args] and the implementation.
+// if(condition, then, else) is handled by the evaluator so only one branch runs.
+const FORMULA_FUNCTIONS = {
+  min: { arity: [1, Infinity], apply: (args) => (formulaNumbers(args).length ? Math.min(...formulaNumbers(args)) : null) },
+  max: { arity: [1, Infinity], apply: (args) => (formulaNumbers(args).length ? Math.max(...formulaNumbers(args)) : null) },
+  avg: {
+    arity: [1, Infinity],
+    apply: (args) => {
+      const values = formulaNumbers(args);
+      return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    },
+  },
+  abs: { arity: [1, 1], apply: ([value]) => (toFormulaNumber(value) === null ? null : Math.abs(toFormulaNumber(value))) },
+  round: {
+    arity: [1, 2],
+    apply: ([value, digits = 0]) => {
+      const number = toFormulaNumber(value);
+      const factor = 10 ** (toFormulaNumber(digits) || 0);
+      return number === null ? null : Math.round(number * factor) / factor;
+    },
+  },
+  pct: {
+    arity: [1, 1],
+    apply: ([value]) => (value && typeof value === 'object' && value.attempted > 0
+      ? ((value.made || 0) / value.attempted) * 100
+      : null),
+  },
+};
+
+const formulaError = (pos, message) => new Error(`Formula error at position ${pos + 1}: ${message}`);
+
+const tokenizeFormula = (formula) => {
+  const source = String(formula || '');
+  const tokens = [];
+  let pos = 0;
+  while (pos < source.length) {
+    if (/\s/.test(source[pos])) {
+      pos++;
+      continue;
+    }
+    FORMULA_TOKEN.lastIndex = pos;
+    const match = FORMULA_TOKEN.exec(source);
+    if (!match) throw formulaError(pos, `unexpected "${source[pos]}"`);
+    const [text, number, name, bracketed, op] = match;
+    if (number !== undefined) tokens.push({ type: 'number', value: Number(number), pos });
+    else if (name !== undefined) tokens.push({ type: 'name', value: name.toLowerCase(), pos });
+    else if (bracketed !== undefined) tokens.push({ type: 'stat', value: bracketed.trim().toLowerCase(), pos });
+    else tokens.push({ type: 'op', value: op, pos });
+    pos += text.length;
+  }
+  tokens.push({ type: 'end', value: '', pos: source.length });
+  return tokens;
+};
+
+const describeArity = ([min, max]) => {
+  if (max === Infinity) return `at least ${min} argument${min === 1 ? '' : 's'}`;
+  return min === max ? `${min} argument${min === 1 ? '' : 's'}` : `${min} or ${max} arguments`;
+};
+
+/**
+ * Parse a formula into an expression tree. Supports numbers, stat keys
+ * (`pts`, `3pt`, `[a/to]`), `.made`/`.attempted`, + - * /, comparisons,
+ * parentheses, `null` and the functions in FORMULA_FUNCTIONS plus if().
+ * Nothing is evaluated as code, so formulas are safe to store and share.
+ * Throws with the position of the first error.
+ */
+const parseFormula = (formula) => {
+  const tokens = tokenizeFormula(formula);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (token, ...ops) => token.type === 'op' && ops.includes(token.value);
+  const fail = (token, message) => {
+    throw formulaError(token.pos, message);
+  };
+  const expectOp = (op) => {
+    if (!isOp(peek(), op)) fail(peek(), `expected "${op}"`);
+    index++;
+  };
+
+  const parseExpression = () => {
+    const left = parseSum();
+    if (!isOp(peek(), '==', '!=', '<', '<=', '>', '>=')) return left;
+    const op = tokens[index++].value;
+    return { type: 'binary', op, left, right: parseSum() };
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (isOp(peek(), '+', '-')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (isOp(peek(), '*', '/')) {
+      const op = tokens[index++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp(peek(), '-')) {
+      index++;
+      return { type: 'negate', arg: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseCall = (token) => {
+    index++; // opening parenthesis
+    const args = [];
+    if (!isOp(peek(), ')')) {
+      args.push(parseExpression());
+      while (isOp(peek(), ',')) {
+        index++;
+        args.push(parseExpression());
+      }
+    }
+    expectOp(')');
+
+    if (token.value === 'if') {
+      if (args.length !== 3) fail(token, 'if() takes 3 arguments: condition, then, else');
+      return { type: 'if', args };
+    }
+    const fn = FORMULA_FUNCTIONS[token.value];
+    if (!fn) fail(token, `unknown function "${token.value}"`);
+    if (args.length < fn.arity[0] || args.length > fn.arity[1]) {
+      fail(token, `${token.value}() takes ${describeArity(fn.arity)}`);
+    }
+    return { type: 'call', name: token.value, args };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.type === 'number') {
+      index++;
+      return { type: 'number', value: token.value };
+    }
+    if (isOp(token, '(')) {
+      index++;
+      const node = parseExpression();
+      expectOp(')');
+      return node;
+    }
+    if (token.type === 'name' && isOp(tokens[index + 1], '(')) {
+      index++;
+      return parseCall(token);
+    }
+    if (token.type === 'name' && token.value === 'null') {
+      index++;
+      return { type: 'null' };
+    }
+    if (token.type === 'name' || token.type === 'stat') {
+      if (!token.value) fail(token, 'empty stat key');
+      index++;
+      let member = null;
+      if (isOp(peek(), '.')) {
+        index++;
+        const memberToken = peek();
+        if (memberToken.type !== 'name' || !FORMULA_MEMBERS.includes(memberToken.value)) {
+          fail(memberToken, 'expected "made" or "attempted" after "."');
+        }
+        index++;
+        member = memberToken.value;
+      }
+      return { type: 'stat', key: token.value, member };
+    }
+    return fail(token, token.type === 'end' ? 'unexpected end of formula' : `unexpected "${token.value}"`);
+  };
+
+  if (peek().type === 'end') fail(peek(), 'formula is empty');
+  const tree = parseExpression();
+  if (peek().type !== 'end') fail(peek(), `unexpected "${peek().value}"`);
+  return tree;
+};
+
+/**
+ * Stat keys a parsed formula reads
+ */
+const getFormulaStatKeys = (node) => {
+  if (node.type === 'stat') return [node.key];
+  const children = node.args || [node.left, node.right, node.arg].filter(Boolean);
+  return unique(children.flatMap(getFormulaStatKeys));
+};
+
+const evaluateFormulaNode = (node, stats, missing) => {
+  const evaluate = (child) => evaluateFormulaNode(child, stats, missing);
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'null':
+      return null;
+    case 'stat': {
+      const raw = stats[node.key];
+      const value = node.member ? (raw && typeof raw === 'object' ? raw[node.member] : undefined) : raw;
+      if ((typeof value === 'number' && Number.isFinite(value)) || (value && typeof value === 'object')) return value;
+      return missing === 'zero' ? 0 : null;
+    }
+    case 'negate': {
+      const value = toFormulaNumber(evaluate(node.arg));
+      return value === null ? null : -value;
+    }
+    case 'binary': {
+      const left = toFormulaNumber(evaluate(node.left));
+      const right = toFormulaNumber(evaluate(node.right));
+      return left === null || right === null ? null : FORMULA_OPERATORS[node.op](left, right);
+    }
+    case 'if': {
+      const condition = toFormulaNumber(evaluate(node.args[0]));
+      return evaluate(condition !== null && condition !== 0 ? node.args[1] : node.args[2]);
+    }
+    case 'call':
+      return FORMULA_FUNCTIONS[node.name].apply(node.args.map(evaluate));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Evaluate a compiled computed stat on one stat line, applying its null rules
+ */
+const evaluateComputedStat = (definition, stats) => {
+  if (definition.requiresMinutes && Math.floor(typeof stats.min === 'number' ? stats.min : 0) <= 0) return null;
+  const value = toFormulaNumber(evaluateFormulaNode(definition.tree, stats, definition.missing));
+  if (value === null || (definition.zeroAsNull && value === 0)) return null;
+  return value;
+};
+
+/**
+ * The registry: built-ins (with any stored edits applied) followed by custom stats
+ */
+const mergeComputedStats = (stored = []) => {
+  const isBuiltIn = (key) => DEFAULT_COMPUTED_STATS.some((definition) => definition.key === key);
+  return [
+    ...DEFAULT_COMPUTED_STATS.map((definition) => ({
+      ...definition,
+      ...(stored.find((edit) => edit.key === definition.key) || {}),
+      builtIn: true,
+    })),
+    ...stored.filter((definition) => !isBuiltIn(definition.key)).map((definition) => ({ ...definition, builtIn: false })),
+  ];
+};
+
+const compileComputedStats = (stored) => mergeComputedStats(stored).flatMap((definition) => {
+  try {
+    return [{ ...definition, tree: parseFormula(definition.formula) }];
+  } catch (error) {
+    console.warn(`Skipping computed stat "${definition.key}": ${error.message}`);
+    return [];
+  }
+});
+
+const getCompiledComputedStats = () => {
+  if (!computedStatCache) {
+    computedStatCache = compileComputedStats(loadData().computedStats);
+  }
+  return computedStatCache;
+};
+
+/**
+ * All computed stat definitions, in evaluation order
+ * @returns {Array<{key, name, formula, missing, requiresMinutes, zeroAsNull, builtIn}>}
+ */
+const getComputedStats = () => mergeComputedStats(loadData().computedStats);
+
+const getComputedStat = (key) => getComputedStats().find((definition) => definition.key === key) || null;
+
+const getComputedStatKeys = () => getCompiledComputedStats().map((definition) => definition.key);
+
+/**
+ * Evaluate one registry stat on a stat line (null for unknown keys)
+ */
+const computeStat = (key, stats) => {
+  const definition = getCompiledComputedStats().find((d) => d.key === key);
+  return definition ? evaluateComputedStat(definition, stats) : null;
+};
+
+// Shorthands for the built-in stats
+const computeTotalRebounds = (stats) => computeStat('reb', stats);
+const computeAstToRatio = (stats) => computeStat('a/to', stats);
+const computeAttackEnergy = (stats) => computeStat('atk', stats);
+const computeDefenceDomination = (stats) => computeStat('def', stats);
+const computeShootingStar = (stats) => computeStat('shoot', stats);
+
+/**
+ * Add every computed stat in the registry to a player's stats object
+ * Returns a new object with the computed stats added
+ */
+const addComputedStats = (stats, registry = getCompiledComputedStats()) => {
+  const line = { ...stats };
+  registry.forEach((definition) => {
+    line[definition.key] = evaluateComputedStat(definition, line);
+  });
+  return line;
+};
+
+/**
+ * Recompute the registry on every performance and period line in place,
+ * deleting removedKeys. Returns the number of lines that changed.
+ */
+const recomputeGameStats = (data, registry, removedKeys = []) => {
+  let changed = 0;
+  const recompute = (line) => {
+    let lineChanged = false;
+    removedKeys.forEach((key) => {
+      if (key in line) {
+        delete line[key];
+        lineChanged = true;
+      }
+    });
+    registry.forEach((definition) => {
+      const value = evaluateComputedStat(definition, line);
+      if (line[definition.key] !== value) {
+        line[definition.key] = value;
+        lineChanged = true;
+      }
+    });
+    if (lineChanged) changed++;
+  };
+
+  data.games.forEach((game) => {
+    Object.values(game.performances || {}).forEach((stats) => {
+      recompute(stats);
+      Object.values(stats[PERIODS_KEY] || {}).forEach(recompute);
+    });
+  });
+  return changed;
+};
+
+/**
+ * Process all games and add computed stats to each player's performance
+ * This updates the stored data with the computed stats
+ */
+const addComputedStatsToAllGames = () => {
+  const data = loadData();
+  const updated = recomputeGameStats(data, getCompiledComputedStats()) > 0;
+
+  if (updated) {
+    saveData(data);
+  }
+
+  return updated;
+};
+
+const unique = (values) => Array.from(new Set(values));
+
+/**
+ * Force recomputation of all computed stats (for debugging/migration)
+ */
+const forceRecomputeAllStats = () => {
+  const data = loadData();
+  // Pages call this on every load; saving only when a value changed keeps
+  // a page load from writing (and from touching another tab's edits)
+  const changed = recomputeGameStats(data, getCompiledComputedStats());
+  const count = data.games.reduce((sum, game) => sum + Object.keys(game.performances || {}).length, 0);
+
+  if (changed > 0) saveData(data);
+  console.log(`✅ Recomputed stats for ${count} player-game records`);
+  return count;
+};
+
+/**
+ * Check and normalize a computed stat definition (throws on invalid input)
+ */
+const normalizeComputedStat = (definition) => {
+  const key = String(definition.key || '').trim().toLowerCase();
+  const name = String(definition.name || '').trim();
+  const formula = String(definition.formula || '').trim();
+  const missing = definition.missing || 'zero';
+
+  if (!key) throw new Error("Stat key is required");
+  if (/[\s[\]]/.test(key) || key === PERIODS_KEY) throw new Error(`"${key}" cannot be used as a stat key`);
+  if (!name) throw new Error("Display name is required");
+  if (!MISSING_STAT_RULES.includes(missing)) throw new Error(`Unknown missing-stat rule "${missing}"`);
+  parseFormula(formula);
+
+  return {
+    key,
+    name,
+    formula,
+    missing,
+    requiresMinutes: Boolean(definition.requiresMinutes),
+    zeroAsNull: Boolean(definition.zeroAsNull),
+  };
+};
+
+const isRecordedStatKey = (data, key) => data.games.some((game) => (
+  Object.values(game.performances || {}).some((stats) => key in stats)
+));
+
+/**
+ * Create or edit a computed stat and recompute every game with it.
+ * Pass originalKey when editing; built-in stats keep their key.
+ */
+const saveComputedStat = (definition, originalKey = null) => {
+  const data = loadData();
+  const registry = mergeComputedStats(data.computedStats);
+  const saved = normalizeComputedStat(definition);
+  const previous = originalKey ? registry.find((d) => d.key === originalKey) : null;
+
+  if (originalKey && !previous) throw new Error(`Computed stat "${originalKey}" not found`);
+  if (previous?.builtIn && saved.key !== previous.key) throw new Error("Built-in stats cannot change their key");
+  if (saved.key !== originalKey) {
+    if (registry.some((d) => d.key === saved.key)) throw new Error(`Computed stat "${saved.key}" already exists`);
+    if (isRecordedStatKey(data, saved.key)) throw new Error(`"${saved.key}" is a recorded stat. Choose another key.`);
+  }
+
+  // Edits keep their place in the evaluation order
+  const stored = [...(data.computedStats || [])];
+  const index = stored.findIndex((d) => d.key === (originalKey || saved.key));
+  if (index >= 0) stored[index] = saved;
+  else stored.push(saved);
+  data.computedStats = stored;
+
+  const removedKeys = originalKey && originalKey !== saved.key ? [originalKey] : [];
+  recomputeGameStats(data, compileComputedStats(stored), removedKeys);
+  saveData(data);
+  return saved;
+};
+
+/**
+ * Delete a custom computed stat and its values from every game
+ */
+const deleteComputedStat = (key) => {
+  const data = loadData();
+  const definition = mergeComputedStats(data.computedStats).find((d) => d.key === key);
+  if (!definition) throw new Error(`Computed stat "${key}" not found`);
+  if (definition.builtIn) throw new Error("Built-in stats cannot be deleted. Reset them to restore the default formula.");
+
+  data.computedStats = (data.computedStats || []).filter((d) => d.key !== key);
+  recomputeGameStats(data, compileComputedStats(data.computedStats), [key]);
+  saveData(data);
+  return definition;
+};
+
+/**
+ * Restore a built-in stat's default formula and rules
+ */
+const resetComputedStat = (key) => {
+  const data = loadData();
+  if (!DEFAULT_COMPUTED_STATS.some((d) => d.key === key)) throw new Error(`"${key}" is not a built-in stat`);
+
+  data.computedStats = (data.computedStats || []).filter((d) => d.key !== key);
+  recomputeGameStats(data, compileComputedStats(data.computedStats));
+  saveData(data);
+  return getComputedStat(key);
+};
+
+/**
+ * Try a definition against the most recent games without saving it.
+ * Returns { rows: [{ date, opponent, player, value, current }], unknownKeys }
+ * where current is the stored value under the same key (if any) and
+ * unknownKeys lists referenced stats that no game has recorded.
+ * Throws on an invalid formula.
+ */
+const previewComputedStat = (definition, gameCount = 3) => {
+  const data = loadData();
+  const tree = parseFormula(definition.formula);
+  const compiled = {
+    ...definition,
+    missing: definition.missing || 'zero',
+    tree,
+  };
+
+  const knownKeys = new Set(getComputedStatKeys());
+  data.games.forEach((game) => Object.values(game.performances || {}).forEach((stats) => {
+    Object.keys(stats).forEach((key) => knownKeys.add(key));
+  }));
+
+  const rows = data.games.slice(-gameCount).reverse().flatMap((game) => (
+    Object.entries(game.performances || {}).map(([player, stats]) => ({
+      date: game.date,
+      opponent: game.opponent,
+      player,
+      value: evaluateComputedStat(compiled, stats),
+      current: definition.key && definition.key in stats ? stats[definition.key] : undefined,
+    }))
+  ));
+
+  return { rows, unknownKeys: getFormulaStatKeys(tree).filter((key) => !knownKeys.has(key)) };
+};
+
+// Note: Computed stats are now added in app.js after data is fully loaded
+// This ensures cloud data is processed correctly
+
+/**
+ * Get numeric value from a stat (handles made/attempted objects)
+ */
+const getNumericStat = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object' && value !== null && 'made' in value) {
+    return value.made;
+  }
+  const num = typeof value === 'number' ? value : Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Check if a stat value is valid for calculations
+ */
+const hasValidStatValue = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'object' && 'made' in value) {
+    return typeof value.made === 'number';
+  }
+  return typeof value === 'number' || !isNaN(Number(value));
+};
+
+// ========================================
+// NORMALIZATION
+// ========================================
+
+/**
+ * How counting stats are scaled in windowed stats. Per-minute and
+ * per-possession modes skip games without minutes (or possessions).
+ */
+const NORMALIZATION_MODES = {
+  game: { label: 'Per game' },
+  per32: { label: 'Per 32 min', minutes: 32 },
+  per40: { label: 'Per 40 min', minutes: 40 },
+  per100: { label: 'Per 100 possessions', possessions: 100 },
+};
+
+// Rates that already mean the same thing for any playing time
+const UNSCALED_STATS = ['min', 'a/to', 'shoot'];
+
+const isNormalizableStat = (stat) => {
+  const key = String(stat || '').toLowerCase();
+  return !key.endsWith('%') && !UNSCALED_STATS.includes(key);
+};
+
+/**
+ * Estimated team possessions from a box score: FGA + 0.44 × FTA − OREB + TO
+ */
+const estimateTeamPossessions = (performances) => Object.values(performances || {}).reduce((sum, stats) => {
+  const attempts = (key) => (stats[key] && typeof stats[key] === 'object' ? stats[key].attempted || 0 : 0);
+  const count = (key) => (typeof stats[key] === 'number' ? stats[key] : 0);
+  return sum + attempts('fg') + 0.44 * attempts('ft') - count('oreb') + count('to');
+}, 0);
+
+/**
+ * Possessions a player was on court for: the team's possessions times the
+ * player's share of the five court slots (at most all of them, for box
+ * scores that list fewer than five players). Null without minutes.
+ */
+const estimatePlayerPossessions = (game, playerName) => {
+  const performances = game.performances || {};
+  const minutes = getNumericStat(performances[playerName]?.min);
+  const totalMinutes = Object.values(performances).reduce((sum, stats) => sum + (getNumericStat(stats.min) || 0), 0);
+  const teamPossessions = estimateTeamPossessions(performances);
+  if (!(minutes > 0) || !(totalMinutes > 0) || !(teamPossessions > 0)) return null;
+  const share = Math.min(1, (minutes * 5) / totalMinutes);
+  return Math.round(teamPossessions * share * 10) / 10;
+};
+
+/**
+ * Scale one game's stat value to a normalization mode.
+ * Returns null when the mode needs minutes or possessions the game lacks.
+ * @param {Object} basis - { min, possessions } for the game
+ */
+const normalizeStatValue = (value, stat, normalization, { min, possessions } = {}) => {
+  const mode = NORMALIZATION_MODES[normalization];
+  if (value === null || !mode || !isNormalizableStat(stat)) return value;
+  if (mode.minutes) return min > 0 ? (value * mode.minutes) / min : null;
+  if (mode.possessions) return possessions > 0 ? (value * mode.possessions) / possessions : null;
+  return value;
+};
+
+// ========================================
+// TREND SIGNIFICANCE
+// ========================================
+
+// A window-to-window change counts as a trend when the test's p-value is at most this
+const TREND_SIGNIFICANCE = 0.1;
+
+// Confidence badges, strongest first
+const TREND_CONFIDENCE_LEVELS = [0.99, 0.95, 0.9];
+
+/**
+ * Two-sided Mann–Whitney U test between two samples. The p-value is exact:
+ * it counts every way to split the pooled, mid-ranked values into groups of
+ * the same sizes, so ties and 3-game windows need no normal approximation.
+ * @returns {Object|null} { u, pValue } with u for the second sample; null when a sample is empty
+ */
+const mannWhitneyTest = (before, after) => {
+  const n1 = after.length;
+  const n = before.length + n1;
+  if (before.length === 0 || n1 === 0) return null;
+
+  const pooled = [
+    ...after.map((value) => ({ value, later: true })),
+    ...before.map((value) => ({ value, later: false })),
+  ].sort((a, b) => a.value - b.value);
+
+  // Doubled mid-ranks keep tied ranks whole numbers
+  const ranks = [];
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && pooled[j + 1].value === pooled[i].value) j++;
+    for (let k = i; k <= j; k++) ranks.push(i + j + 2);
+    i = j + 1;
+  }
+  const observed = ranks.reduce((sum, rank, i) => sum + (pooled[i].later ? rank : 0), 0);
+
+  // ways[k][s]: groups of k values whose doubled ranks sum to s
+  const maxSum = ranks.reduce((sum, rank) => sum + rank, 0);
+  const ways = Array.from({ length: n1 + 1 }, () => new Float64Array(maxSum + 1));
+  ways[0][0] = 1;
+  ranks.forEach((rank) => {
+    for (let k = n1; k >= 1; k--) {
+      for (let sum = maxSum; sum >= rank; sum--) ways[k][sum] += ways[k - 1][sum - rank];
+    }
+  });
+
+  const expected = n1 * (n + 1);
+  const distance = Math.abs(observed - expected);
+  let total = 0;
+  let extreme = 0;
+  ways[n1].forEach((count, sum) => {
+    total += count;
+    if (Math.abs(sum - expected) >= distance - 1e-9) extreme += count;
+  });
+
+  return { u: observed / 2 - (n1 * (n1 + 1)) / 2, pValue: Math.min(1, extreme / total) };
+};
+
+/**
+ * Test the current window against the previous one.
+ * @returns {Object|null} { method, u, pValue, confidence, significant, previousGames, currentGames };
+ *                        confidence is the strongest TREND_CONFIDENCE_LEVELS met (null below 90%)
+ */
+const testWindowTrend = (prevWindow, currentWindow) => {
+  const result = mannWhitneyTest(prevWindow, currentWindow);
+  if (!result) return null;
+  return {
+    method: 'mann-whitney',
+    ...result,
+    confidence: TREND_CONFIDENCE_LEVELS.find((level) => result.pValue <= 1 - level + 1e-9) || null,
+    significant: result.pValue <= TREND_SIGNIFICANCE + 1e-9,
+    previousGames: prevWindow.length,
+    currentGames: currentWindow.length,
+  };
+};
+
+// ========================================
+// TREND MODELS
+// ========================================
+
+/**
+ * Smoothed trend models for a stat over time. 'window' is the classic
+ * last N vs previous N comparison (calculateWindowedStatsShared); the others
+ * fit every game (see fitTrendModel).
+ */
+const TREND_MODELS = {
+  window: { label: 'Last N vs previous N' },
+  ewma: { label: 'EWMA' },
+  ols: { label: 'Linear' },
+  loess: { label: 'LOESS' },
+};
+
+const DAYS_PER_MONTH = 365.25 / 12;
+
+/**
+ * Weighted least squares line through (xs, ys)
+ * @returns {Object} { intercept, slope } (slope 0 when every x is the same)
+ */
+const weightedLinearFit = (xs, ys, weights = xs.map(() => 1)) => {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const meanX = xs.reduce((sum, x, i) => sum + weights[i] * x, 0) / total;
+  const meanY = ys.reduce((sum, y, i) => sum + weights[i] * y, 0) / total;
+  let sxx = 0;
+  let sxy = 0;
+  xs.forEach((x, i) => {
+    sxx += weights[i] * (x - meanX) ** 2;
+    sxy += weights[i] * (x - meanX) * (ys[i] - meanY);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { intercept: meanY - slope * meanX, slope };
+};
+
+/**
+ * Fit a trend model to a stat series.
+ * @param {Array} points - [{ date, value }] oldest first
+ * @param {string} model - 'ewma', 'ols' or 'loess'
+ * @param {Object} options
+ *   axis: 'game' (game index) or 'date' (calendar days; slope reported per month)
+ *   halfLife: EWMA half-life in games (default 3)
+ *   span: share of the games in each LOESS neighbourhood (default 0.75)
+ * @returns {Object|null} { model, axis, fitted: [number], slope, slopeUnit: 'game'|'month', games }
+ *   slope: OLS line slope; EWMA slope weighted by the same half-life; LOESS local slope at the last game.
+ *   Null with fewer than 2 points.
+ */
+const fitTrendModel = (points, model, { axis = 'game', halfLife = 3, span = 0.75 } = {}) => {
+  if (!TREND_MODELS[model] || model === 'window') throw new Error(`Unknown trend model "${model}"`);
+  if (!points || points.length < 2) return null;
+
+  const ys = points.map((p) => p.value);
+  const first = Date.parse(points[0].date);
+  const xs = axis === 'date'
+    ? points.map((p) => (Date.parse(p.date) - first) / 86400000)
+    : points.map((p, i) => i);
+  const n = points.length;
+  let fitted;
+  let slope;
+
+  if (model === 'ols') {
+    const line = weightedLinearFit(xs, ys);
+    fitted = xs.map((x) => line.intercept + line.slope * x);
+    slope = line.slope;
+  } else if (model === 'ewma') {
+    const alpha = 1 - 0.5 ** (1 / Math.max(halfLife, 0.1));
+    fitted = [];
+    ys.forEach((y, i) => fitted.push(i === 0 ? y : alpha * y + (1 - alpha) * fitted[i - 1]));
+    // Recent games weigh as much in the slope as in the smoothed line
+    const weights = xs.map((x, i) => 0.5 ** ((n - 1 - i) / Math.max(halfLife, 0.1)));
+    slope = weightedLinearFit(xs, ys, weights).slope;
+  } else {
+    // Local linear fits over the nearest games with tricube weights
+    const neighbours = Math.min(n, Math.max(3, Math.ceil(span * n)));
+    const localFit = (x0) => {
+      const distances = xs.map((x) => Math.abs(x - x0));
+      // Widened a little so the farthest neighbour still counts
+      const radius = Math.max([...distances].sort((a, b) => a - b)[neighbours - 1], 1e-9) * 1.001;
+      const weights = distances.map((d) => (d < radius ? (1 - (d / radius) ** 3) ** 3 : 0));
+      return weightedLinearFit(xs, ys, weights);
+    };
+    const lines = xs.map(localFit);
+    fitted = lines.map((line, i) => line.intercept + line.slope * xs[i]);
+    slope = lines[n - 1].slope;
+  }
+
+  return {
+    model,
+    axis,
+    fitted,
+    slope: axis === 'date' ? slope * DAYS_PER_MONTH : slope,
+    slopeUnit: axis === 'date' ? 'month' : 'game',
+    games: n,
+  };
+};
+
+/**
+ * A stat's values from player records, oldest first, in a normalization mode.
+ * Games without the stat (or without minutes when normalized) are left out.
+ * @returns {Array} [{ date, value }]
+ */
+const readStatSeries = (playerRecords, stat, { statsNested = true, normalization = 'game' } = {}) => (
+  [...playerRecords]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((r) => {
+      const line = (statsNested ? r.stats : r) || {};
+      const value = normalizeStatValue(getNumericStat(line[stat]), stat, normalization, {
+        min: getNumericStat(line.min),
+        possessions: r.possessions,
+      });
+      return { date: r.date, value };
+    })
+    .filter((p) => p.value !== null && !(stat === 'min' && p.value === 0))
+);
+
+/**
+ * Fit a trend model to a player's stat, reading records like calculateWindowedStatsShared
+ * @param {Object} options - fitTrendModel options plus statsNested (default true) and normalization
+ * @returns {Object|null} fitTrendModel result
+ */
+const calculateTrendModel = (playerRecords, stat, model, { statsNested = true, normalization = 'game', ...options } = {}) => (
+  fitTrendModel(readStatSeries(playerRecords, stat, { statsNested, normalization }), model, options)
+);
+
+/**
+ * Calculate windowed statistics for a player's stat
+ * This is the canonical implementation used by both dashboard and team views
+ * 
+ * @param {Array} playerRecords - Array of {date, stats: {...}} or {date, ...stats}
+ * @param {string} stat - The stat key to calculate
+ * @param {number|string} windowSize - Number of games or 'all'
+ * @param {boolean} statsNested - Whether stats are in a nested .stats object (true for dashboard, false for team)
+ * @param {string|null} period - Use the period line ('Q1'..'Q4', 'OT1', 'H1', 'H2') instead of the full game;
+ *                               games without period data are skipped
+ * @param {string} normalization - Key of NORMALIZATION_MODES; records carry `possessions`
+ *                                 (see estimatePlayerPossessions) for 'per100'
+ * @param {boolean} testTrend - Run testWindowTrend; pass false when only the averages or totals are read
+ * @returns {Object|null} Windowed stats including avg, median, trends, etc.
+ *                        trendTest (see testWindowTrend) says whether avgTrend / medianTrend
+ *                        are more than game-to-game noise; null without a previous window
+ */
+const calculateWindowedStatsShared = (playerRecords, stat, windowSize, statsNested = true, period = null, normalization = 'game', testTrend = true) => {
+  const records = !period ? playerRecords : playerRecords
+    .map((r) => {
+      const full = statsNested ? r.stats : r;
+      const line = getPeriodLine(full, period);
+      if (!line) return null;
+      // A period gets the game's possessions in proportion to the minutes played in it
+      const fullMinutes = getNumericStat(full.min);
+      const possessions = r.possessions > 0 && fullMinutes > 0 && line.min > 0
+        ? (r.possessions * line.min) / fullMinutes
+        : null;
+      return statsNested ? { ...r, stats: line, possessions } : { date: r.date, ...line, possessions };
+    })
+    .filter(Boolean);
+  
+  // Sort by date ascending (oldest first)
+  const sorted = [...records].sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  // For made/attempted stats (fg, 3pt, ft), also track totals
+  const madeAttemptedStats = ['fg', '3pt', 'ft', ...SHOT_ZONE_KEYS];
+  const isMadeAttempted = madeAttemptedStats.includes(stat.toLowerCase());
+  let madeAttemptedData = [];
+  // Games with the stat that a per-minute/possession mode had to leave out
+  let excludedGames = 0;
+  
+  // Extract values with validation
+  const values = sorted
+    .map((r, idx) => {
+      const line = (statsNested ? r.stats : r) || {};
+      const statValue = line[stat];
+      const value = normalizeStatValue(getNumericStat(statValue), stat, normalization, {
+        min: getNumericStat(line.min),
+        possessions: r.possessions,
+      });
+      if (value === null && getNumericStat(statValue) !== null) {
+        excludedGames++;
+        return null;
+      }
+      // Track made/attempted data for totals
+      if (isMadeAttempted && statValue && typeof statValue === 'object') {
+        madeAttemptedData.push({
+          idx,
+          made: statValue.made || 0,
+          attempted: statValue.attempted || 0
+        });
+      }
+      return value;
+    })
+    .filter((v, idx) => {
+      if (v === null) return false;
+      // For minutes, only include games where player actually played (min > 0)
+      if (stat === 'min' && v === 0) return false;
+      return true;
+    });
+  
+  if (values.length === 0) {
+    return null;
+  }
+  
+  // Determine actual window size
+  const actualWindowSize = windowSize === 'all' ? values.length : Math.min(windowSize, values.length);
+  
+  // Current window (last N games - most recent)
+  const currentWindow = values.slice(-actualWindowSize);
+  // Previous window (N games before current window)
+  const prevWindow = values.slice(-actualWindowSize * 2, -actualWindowSize);
+  
+  if (currentWindow.length === 0) {
+    return null;
+  }
+  
+  // Calculate current window stats
+  const currentAvg = currentWindow.reduce((a, b) => a + b, 0) / currentWindow.length;
+  const sortedCurrent = [...currentWindow].sort((a, b) => a - b);
+  const currentMedian = sortedCurrent.length % 2 === 0
+    ? (sortedCurrent[sortedCurrent.length / 2 - 1] + sortedCurrent[sortedCurrent.length / 2]) / 2
+    : sortedCurrent[Math.floor(sortedCurrent.length / 2)];
+  const currentMax = Math.max(...currentWindow);
+  const currentMin = Math.min(...currentWindow);
+  
+  // Calculate previous window stats (if available)
+  let prevAvg = null;
+  let prevMedian = null;
+  let prevMax = null;
+  let prevMin = null;
+  
+  if (prevWindow.length >= 3) {
+    prevAvg = prevWindow.reduce((a, b) => a + b, 0) / prevWindow.length;
+    const sortedPrev = [...prevWindow].sort((a, b) => a - b);
+    prevMedian = sortedPrev.length % 2 === 0
+      ? (sortedPrev[sortedPrev.length / 2 - 1] + sortedPrev[sortedPrev.length / 2]) / 2
+      : sortedPrev[Math.floor(sortedPrev.length / 2)];
+    prevMax = Math.max(...prevWindow);
+    prevMin = Math.min(...prevWindow);
+  }
+  
+  // Calculate trends
+  const avgTrend = prevAvg !== null ? currentAvg - prevAvg : 0;
+  const medianTrend = prevMedian !== null ? currentMedian - prevMedian : 0;
+  const varianceTrend = prevMax !== null && prevMin !== null 
+    ? ((currentMax - currentMin) - (prevMax - prevMin)) 
+    : 0;
+  
+  // Calculate totals for made/attempted stats (for window)
+  let totals = null;
+  if (isMadeAttempted && madeAttemptedData.length > 0) {
+    // Get the last N entries for the current window
+    const windowData = madeAttemptedData.slice(-actualWindowSize);
+    totals = {
+      made: windowData.reduce((sum, d) => sum + d.made, 0),
+      attempted: windowData.reduce((sum, d) => sum + d.attempted, 0)
+    };
+  }
+  
+  return {
+    gamesInWindow: currentWindow.length,
+    totalGames: values.length,
+    average: currentAvg,
+    avg: currentAvg, // Alias for compatibility
+    avgTrend,
+    median: currentMedian,
+    medianTrend,
+    max: currentMax,
+    min: currentMin,
+    varianceTrend,
+    hasPrevWindow: prevWindow.length >= 3,
+    trendTest: testTrend && prevWindow.length >= 3 ? testWindowTrend(prevWindow, currentWindow) : null,
+    values: currentWindow, // Include values for trend calculations
+    totals, // Made/attempted totals for fg, 3pt, ft and shot zones (null for other stats)
+    normalization,
+    excludedGames
+  };
+};
+
+/**
+ * Get all player stats for a given window
+ * @param {Array} playerRecords - Player's game records
+ * @param {Array} statKeys - Array of stat keys to calculate
+ * @param {number|string} windowSize - Window size
+ * @param {boolean} statsNested - Whether stats are nested
+ * @param {string|null} period - Period or half to calculate (see calculateWindowedStatsShared)
+ * @param {string} normalization - Normalization mode (see NORMALIZATION_MODES)
+ * @returns {Object} { games, excludedGames, stats: { statKey: { avg, values, ... } } }
+ */
+const calculateAllPlayerStats = (playerRecords, statKeys, windowSize, statsNested = false, period = null, normalization = 'game') => {
+  const result = {
+    games: 0,
+    excludedGames: 0, // Games left out by a per-minute/possession mode
+    stats: {}
+  };
+  
+  statKeys.forEach(stat => {
+    const ws = calculateWindowedStatsShared(playerRecords, stat, windowSize, statsNested, period, normalization);
+    if (ws) {
+      result.stats[stat] = ws;
+      result.games = Math.max(result.games, ws.gamesInWindow);
+    }
+  });
+  
+  // Counted on the records so a player with no usable game still reports them
+  result.excludedGames = playerRecords.filter((r) => normalizeStatValue(1, 'pts', normalization, {
+    min: getNumericStat((statsNested ? r.stats : r)?.min),
+    possessions: r.possessions,
+  }) === null).length;
+  
+  return result;
+};
+
+// ========================================
+// PLAY-BY-PLAY & LINEUPS
+// ========================================
+
+// Event types kept from a play-by-play log. Shots carry the result in the type.
+const PLAY_EVENT_TYPES = [
+  '2pt made', '2pt miss', '3pt made', '3pt miss', 'ft made', 'ft miss',
+  'oreb', 'dreb', 'asst', 'stl', 'blk', 'to', 'foul', 'sub in', 'sub out', 'start',
+];
+
+// Other spellings, matched after lower-casing and turning _ and - into spaces.
+// 'sub' is a substitution row with separate in/out columns.
+const PLAY_EVENT_ALIASES = {
+  '2pm': '2pt made', '2pt missed': '2pt miss', '2px': '2pt miss',
+  '3pm': '3pt made', '3pt missed': '3pt miss', '3px': '3pt miss',
+  'ftm': 'ft made', 'ft missed': 'ft miss', 'ftx': 'ft miss',
+  'or': 'oreb', 'offensive rebound': 'oreb', 'dr': 'dreb', 'defensive rebound': 'dreb',
+  'ast': 'asst', 'assist': 'asst', 'steal': 'stl', 'block': 'blk', 'tov': 'to', 'turnover': 'to',
+  'pf': 'foul', 'in': 'sub in', 'out': 'sub out', 'starter': 'start',
+  'substitution': 'sub', 'sub': 'sub',
+};
+
+// Source fields (case-insensitive) for each event field in CSV headers and JSON keys
+const PLAY_EVENT_FIELDS = {
+  period: PERIOD_COLUMNS,
+  clock: ['clock', 'time', 'game clock'],
+  team: ['team', 'side'],
+  player: ['player', 'name'],
+  type: ['event', 'type', 'action'],
+  in: ['in', 'player in', 'sub in'],
+  out: ['out', 'player out', 'sub out'],
+};
+
+// Team column values that mark an opponent event (besides the opponent's name)
+const OPPONENT_SIDES = ['opp', 'opponent', 'opponents', 'them', 'away team'];
+
+const PLAY_EVENT_POINTS = { '2pt made': 2, '3pt made': 3, 'ft made': 1 };
+
+// Possession estimate per event: FGA + 0.44 × FTA − OREB + TO
+const PLAY_EVENT_POSSESSIONS = {
+  '2pt made': 1, '2pt miss': 1, '3pt made': 1, '3pt miss': 1,
+  'ft made': 0.44, 'ft miss': 0.44, oreb: -1, to: 1,
+};
+
+const COURT_SIZE = 5;
+
+/**
+ * Map a raw event name to a PLAY_EVENT_TYPES entry (or 'sub'); null when unknown
+ */
+const normalizePlayEventType = (value) => {
+  const key = String(value || '').trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+  const type = PLAY_EVENT_ALIASES[key] || key;
+  return type === 'sub' || PLAY_EVENT_TYPES.includes(type) ? type : null;
+};
+
+/**
+ * Parse a clock reading (time left in the period) to seconds: "7:45", "0:03.4" or plain seconds
+ */
+const parseGameClock = (value) => {
+  const text = String(value ?? '').trim();
+  const match = text.match(/^(\d+):([0-5]\d(?:\.\d+)?)$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  throw new Error(`Unknown clock "${value}". Use MM:SS (time left in the period)`);
+};
+
+const formatGameClock = (seconds) => {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Length of a period in seconds: halves are two quarters, overtimes OVERTIME_MINUTES
+ */
+const getPeriodSeconds = (period, quarterMinutes) => {
+  if (period.startsWith('OT')) return OVERTIME_MINUTES * 60;
+  return (period.startsWith('H') ? 2 : 1) * quarterMinutes * 60;
+};
+
+// Q1-Q4 / H1-H2 by number, overtimes after them
+const getPeriodOrder = (period) => (
+  period.startsWith('OT') ? 4 + Number(period.slice(2)) : Number(period.slice(1))
+);
+
+// Read an event field from a record with case-insensitive keys
+const pickPlayEventField = (record, field) => {
+  const key = Object.keys(record).find((name) => PLAY_EVENT_FIELDS[field].includes(name.trim().toLowerCase()));
+  const value = key === undefined ? null : record[key];
+  return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+};
+
+/**
+ * Parse a play-by-play log: CSV rows or a JSON array (or { events: [...] }) of
+ * objects with period, clock (time left), team, player and event columns.
+ * Substitutions are "sub in"/"sub out" rows, or "sub" rows with in/out columns.
+ * Opponent rows (team "opp"/"opponent" or the opponent's name) only need the event.
+ * @param {string} text - File contents
+ * @param {Object} options - { opponent } name of the opponent, also accepted in the team column
+ * @returns {Object} { events: [{ period, clock, team: 'team'|'opponent', type, player? }], warnings }
+ */
+const parsePlayByPlay = (text, { opponent = '' } = {}) => {
+  const content = String(text || '').trim();
+  if (!content) {
+    throw new Error("Play-by-play file is empty");
+  }
+
+  let records;
+  if (content.startsWith('[') || content.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid play-by-play JSON: ${error.message}`);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed.events;
+    if (!Array.isArray(records)) {
+      throw new Error("Play-by-play JSON must be a list of events or { events: [...] }");
+    }
+  } else {
+    const [headerLine, ...rows] = content.split(/\r?\n/);
+    const delimiter = detectDelimiter(headerLine);
+    const headers = headerLine.split(delimiter).map(cleanCsvValue);
+    ['period', 'clock', 'type'].forEach((field) => {
+      if (!headers.some((header) => PLAY_EVENT_FIELDS[field].includes(header.toLowerCase()))) {
+        throw new Error(`Play-by-play CSV must include a '${PLAY_EVENT_FIELDS[field][0]}' column. Found: ${headers.join(", ")}`);
+      }
+    });
+    records = rows
+      .filter((row) => row.trim())
+      .map((row) => {
+        const cells = splitCsvRow(row, delimiter).map(cleanCsvValue);
+        return Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']));
+      });
+  }
+
+  const opponentName = normalizeName(opponent);
+  const isOpponent = (side) => !!side && (
+    OPPONENT_SIDES.includes(side.toLowerCase()) || (!!opponentName && normalizeName(side) === opponentName)
+  );
+  const readName = (value) => (value ? extractPlayerInfo(value).name : null);
+
+  const events = [];
+  const warnings = [];
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const rawType = pickPlayEventField(record, 'type');
+    const type = normalizePlayEventType(rawType);
+    if (!type) {
+      warnings.push(`Event ${row}: unknown event "${rawType || ''}" skipped`);
+      return;
+    }
+
+    let period;
+    let clock;
+    try {
+      period = normalizePeriodLabel(pickPlayEventField(record, 'period'));
+      clock = parseGameClock(pickPlayEventField(record, 'clock'));
+    } catch (error) {
+      throw new Error(`Event ${row}: ${error.message}`);
+    }
+    if (!period) {
+      throw new Error(`Event ${row}: missing period`);
+    }
+
+    const team = isOpponent(pickPlayEventField(record, 'team')) ? 'opponent' : 'team';
+    const player = team === 'team' ? readName(pickPlayEventField(record, 'player')) : null;
+    const base = { period, clock, team };
+
+    if (type === 'sub') {
+      const out = readName(pickPlayEventField(record, 'out'));
+      const inPlayer = readName(pickPlayEventField(record, 'in'));
+      if (team === 'opponent') return;
+      if (!out && !inPlayer) {
+        warnings.push(`Event ${row}: substitution without in/out players skipped`);
+        return;
+      }
+      if (out) events.push({ ...base, type: 'sub out', player: out });
+      if (inPlayer) events.push({ ...base, type: 'sub in', player: inPlayer });
+      return;
+    }
+
+    const subject = player || (type === 'sub in' ? readName(pickPlayEventField(record, 'in'))
+      : type === 'sub out' ? readName(pickPlayEventField(record, 'out')) : null);
+    if (['sub in', 'sub out', 'start'].includes(type) && team === 'team' && !subject) {
+      warnings.push(`Event ${row}: "${rawType}" without a player skipped`);
+      return;
+    }
+    events.push(subject ? { ...base, type, player: subject } : { ...base, type });
+  });
+
+  if (events.length === 0) {
+    throw new Error("Play-by-play has no recognised events");
+  }
+
+  // Chronological: period by period, clock counting down; file order breaks ties
+  const ordered = events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => (getPeriodOrder(a.event.period) - getPeriodOrder(b.event.period))
+      || (b.event.clock - a.event.clock) || (a.index - b.index))
+    .map(({ event }) => event);
+
+  return { events: ordered, warnings };
+};
+
+/**
+ * Attach a parsed play-by-play log to a game, replacing any earlier one.
+ * Player names are stored under their canonical registry names.
+ * @param {number} quarterMinutes - Quarter length; halves are two quarters
+ */
+const importPlayByPlay = (gameId, events, { quarterMinutes = 10 } = {}) => {
+  const data = loadData();
+  const game = data.games.find((g) => String(g.id) === String(gameId));
+  const minutes = Number(quarterMinutes);
+
+  if (!game) {
+    throw new Error("Game not found");
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error("Play-by-play has no events");
+  }
+  if (!(minutes > 0)) {
+    throw new Error("Quarter length must be a positive number of minutes");
+  }
+  const late = events.find((event) => event.clock > getPeriodSeconds(event.period, minutes));
+  if (late) {
+    throw new Error(`Clock ${formatGameClock(late.clock)} in ${late.period} is longer than the period`);
+  }
+
+  game.playByPlay = {
+    quarterMinutes: minutes,
+    importedAt: new Date().toISOString(),
+    events: events.map((event) => (event.player ? { ...event, player: resolvePlayerName(event.player, data) } : event)),
+  };
+  saveData(data);
+  return game;
+};
+
+/**
+ * Detach the play-by-play log from a game
+ */
+const removePlayByPlay = (gameId) => {
+  const data = loadData();
+  const game = data.games.find((g) => String(g.id) === String(gameId));
+  if (!game) {
+    throw new Error("Game not found");
+  }
+  delete game.playByPlay;
+  saveData(data);
+  return game;
+};
+
+/**
+ * Players on court when a period starts: explicit "start" rows, otherwise
+ * everyone whose first event in the period is not a sub in. Players of the
+ * previous period's closing unit who stay silent fill the remaining spots.
+ */
+const inferPeriodStarters = (events, previous) => {
+  const ours = events.filter((event) => event.team === 'team' && event.player);
+  const listed = ours.filter((event) => event.type === 'start').map((event) => event.player);
+  if (listed.length > 0) return unique(listed);
+
+  const seen = new Set();
+  const starters = [];
+  ours.forEach(({ player, type }) => {
+    if (seen.has(player)) return;
+    seen.add(player);
+    if (type !== 'sub in') starters.push(player);
+  });
+  previous
+    .filter((player) => !seen.has(player))
+    .forEach((player) => {
+      if (starters.length < COURT_SIZE) starters.push(player);
+    });
+  return starters;
+};
+
+/**
+ * Split a game's play-by-play into stints: stretches with the same players on court.
+ * @returns {Array} [{ period, players: [sorted names], seconds, pointsFor, pointsAgainst, possessions }]
+ *                  possessions average both teams' estimates when the log has opponent events
+ */
+const buildLineupStints = (game, data = loadData()) => {
+  const log = game.playByPlay;
+  if (!log || !Array.isArray(log.events) || log.events.length === 0) return [];
+
+  const events = log.events.map((event) => (
+    event.player ? { ...event, player: resolvePlayerName(event.player, data) } : event
+  ));
+  const hasOpponentPossessions = events.some((event) => event.team === 'opponent' && PLAY_EVENT_POSSESSIONS[event.type]);
+  const periods = unique(events.map((event) => event.period));
+
+  const stints = [];
+  let onCourt = [];
+  periods.forEach((period) => {
+    const periodEvents = events.filter((event) => event.period === period);
+    onCourt = inferPeriodStarters(periodEvents, onCourt);
+
+    const open = (start) => ({
+      period, players: [...onCourt].sort(), start, seconds: 0, pointsFor: 0, pointsAgainst: 0, team: 0, opponent: 0, events: 0,
+    });
+    const close = (stint, end) => {
+      stint.seconds = Math.max(0, stint.start - end);
+      if (stint.seconds > 0 || stint.events > 0) stints.push(stint);
+    };
+
+    let stint = open(getPeriodSeconds(period, log.quarterMinutes || 10));
+    periodEvents.forEach((event) => {
+      if (event.type === 'sub in' || event.type === 'sub out') {
+        if (event.team !== 'team') return;
+        const next = event.type === 'sub in'
+          ? unique([...onCourt, event.player])
+          : onCourt.filter((player) => player !== event.player);
+        if (next.length === onCourt.length) return;
+        close(stint, event.clock);
+        onCourt = next;
+        stint = open(event.clock);
+        return;
+      }
+      const points = PLAY_EVENT_POINTS[event.type] || 0;
+      const possessions = PLAY_EVENT_POSSESSIONS[event.type] || 0;
+      if (!points && !possessions) return;
+      stint[event.team] += possessions;
+      if (event.team === 'opponent') stint.pointsAgainst += points;
+      else stint.pointsFor += points;
+      stint.events++;
+    });
+    close(stint, 0);
+  });
+
+  return stints.map(({ period, players, seconds, pointsFor, pointsAgainst, team, opponent }) => ({
+    period,
+    players,
+    seconds,
+    pointsFor,
+    pointsAgainst,
+    possessions: hasOpponentPossessions ? (team + opponent) / 2 : team,
+  }));
+};
+
+// All ways to pick `size` players from a (sorted) list, keeping the order
+const getPlayerCombinations = (players, size) => {
+  if (size === 0) return [[]];
+  return players.flatMap((player, index) => (
+    getPlayerCombinations(players.slice(index + 1), size - 1).map((rest) => [player, ...rest])
+  ));
+};
+
+/**
+ * On-court totals per unit across games: five-man lineups (size 5), pairs (2)
+ * or single players (1). Stints with more than five players on court (a missing
+ * sub out in the log) are left out; five-man units need exactly five.
+ * Net rating is points for minus against per 100 possessions.
+ * @returns {Array} [{ players, minutes, pointsFor, pointsAgainst, plusMinus, possessions, netRating, games }]
+ *                  most minutes first
+ */
+const getLineupStats = (games, size = COURT_SIZE, data = loadData()) => {
+  if (!Number.isInteger(size) || size < 1 || size > COURT_SIZE) {
+    throw new Error(`Lineup size must be 1-${COURT_SIZE}`);
+  }
+
+  const units = {};
+  games.forEach((game) => {
+    buildLineupStints(game, data)
+      .filter((stint) => stint.players.length <= COURT_SIZE)
+      .forEach((stint) => {
+        getPlayerCombinations(stint.players, size).forEach((players) => {
+          const key = players.join('|');
+          if (!units[key]) {
+            units[key] = { players, seconds: 0, pointsFor: 0, pointsAgainst: 0, possessions: 0, gameIds: new Set() };
+          }
+          const unit = units[key];
+          unit.seconds += stint.seconds;
+          unit.pointsFor += stint.pointsFor;
+          unit.pointsAgainst += stint.pointsAgainst;
+          unit.possessions += stint.possessions;
+          unit.gameIds.add(game.id);
+        });
+      });
+  });
+
+  const round1 = (value) => Math.round(value * 10) / 10;
+  return Object.values(units)
+    .map((unit) => ({
+      players: unit.players,
+      minutes: round1(unit.seconds / 60),
+      pointsFor: unit.pointsFor,
+      pointsAgainst: unit.pointsAgainst,
+      plusMinus: unit.pointsFor - unit.pointsAgainst,
+      possessions: round1(unit.possessions),
+      netRating: unit.possessions > 0 ? round1((100 * (unit.pointsFor - unit.pointsAgainst)) / unit.possessions) : null,
+      games: unit.gameIds.size,
+    }))
+    .sort((a, b) => b.minutes - a.minutes || b.plusMinus - a.plusMinus);
+};
+
+/**
+ * Check a game's play-by-play against its box score.
+ * @returns {Object} { events, lineups, points: { team, opponent }, incompleteMinutes,
+ *                     unknownPlayers: [name], plusMinus: [{ player, playByPlay, boxScore }] }
+ *                  incompleteMinutes = time without exactly five players on court;
+ *                  plusMinus lists players whose on-court +/- differs from the box score
+ */
+const summarizePlayByPlay = (game, data = loadData()) => {
+  const stints = buildLineupStints(game, data);
+  const performances = game.performances || {};
+  const onCourt = getLineupStats([game], 1, data);
+  const total = (key) => stints.reduce((sum, stint) => sum + stint[key], 0);
+
+  return {
+    events: (game.playByPlay?.events || []).length,
+    lineups: getLineupStats([game], COURT_SIZE, data).length,
+    points: { team: total('pointsFor'), opponent: total('pointsAgainst') },
+    incompleteMinutes: Math.round(stints
+      .filter((stint) => stint.players.length !== COURT_SIZE)
+      .reduce((sum, stint) => sum + stint.seconds, 0) / 6) / 10,
+    unknownPlayers: onCourt.map((unit) => unit.players[0]).filter((player) => !performances[player]),
+    plusMinus: onCourt
+      .filter((unit) => typeof performances[unit.players[0]]?.['+/-'] === 'number'
+        && performances[unit.players[0]]['+/-'] !== unit.plusMinus)
+      .map((unit) => ({ player: unit.players[0], playByPlay: unit.plusMinus, boxScore: performances[unit.players[0]]['+/-'] })),
+  };
+};
+
+// ========================================
+// SHOT LOCATIONS
+// ========================================
+
+/**
+ * Shot chart zones. Each zone is a made/attempted stat (and a `<key>%` stat)
+ * on the performances of games with a shot log, so zones trend like fg/3pt.
+ */
+const SHOT_ZONES = [
+  { key: 'rim', label: 'At rim' },
+  { key: 'mid', label: 'Mid-range' },
+  { key: 'c3', label: 'Corner 3' },
+  { key: 'ab3', label: 'Above-break 3' },
+];
+const SHOT_ZONE_KEYS = SHOT_ZONES.map((zone) => zone.key);
+
+// FIBA half court in metres: x across (0 = centre line of the basket), y from the baseline
+const COURT = {
+  width: 15,
+  depth: 14,
+  basketY: 1.575,
+  threeRadius: 6.75,
+  cornerX: 6.6,     // corner three lines, 0.9 m in from the sidelines
+  cornerY: 2.99,    // where the corner lines meet the arc
+  rimRadius: 1.5,   // "at rim" shots
+};
+
+// Coordinate systems accepted by the shot import, converted to COURT metres
+const SHOT_UNITS = {
+  m: { label: 'Metres from the baseline centre', toCourt: (x, y) => [x, y] },
+  ft: { label: 'Feet from the baseline centre', toCourt: (x, y) => [x * 0.3048, y * 0.3048] },
+  pct: { label: 'Percent of the half court (0-100, baseline at 0)', toCourt: (x, y) => [(x / 100 - 0.5) * COURT.width, (y / 100) * COURT.depth] },
+};
+
+// Source columns (case-insensitive) for each shot field
+const SHOT_FIELDS = {
+  player: ['player', 'name', 'shooter'],
+  x: ['x', 'loc x', 'x coordinate'],
+  y: ['y', 'loc y', 'y coordinate'],
+  made: ['made', 'result', 'outcome'],
+  period: PERIOD_COLUMNS,
+};
+
+const SHOT_MADE_VALUES = ['1', 'true', 'yes', 'y', 'made', 'make', 'hit', 'good', 'scored'];
+const SHOT_MISSED_VALUES = ['0', 'false', 'no', 'n', 'miss', 'missed', 'x', 'blocked'];
+
+/**
+ * Zone of a shot at court position { x, y } (metres, see COURT)
+ */
+const classifyShotZone = ({ x, y }) => {
+  const distance = Math.hypot(x, y - COURT.basketY);
+  if (distance <= COURT.rimRadius) return 'rim';
+  const corner = y <= COURT.cornerY;
+  const three = corner ? Math.abs(x) >= COURT.cornerX : distance >= COURT.threeRadius;
+  if (!three) return 'mid';
+  return corner ? 'c3' : 'ab3';
+};
+
+/**
+ * Parse a shot log: CSV rows or a JSON array (or { shots: [...] }) with
+ * player, x, y and made columns, plus an optional period.
+ * @param {string} text - File contents
+ * @param {Object} options - { units } key of SHOT_UNITS the coordinates are in
+ * @returns {Object} { shots: [{ player, x, y, made, period? }], warnings }
+ */
+const parseShotLog = (text, { units = 'm' } = {}) => {
+  const system = SHOT_UNITS[units];
+  if (!system) {
+    throw new Error(`Unknown coordinate units "${units}"`);
+  }
+  const content = String(text || '').trim();
+  if (!content) {
+    throw new Error("Shot log is empty");
+  }
+
+  let records;
+  if (content.startsWith('[') || content.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid shot log JSON: ${error.message}`);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed.shots;
+    if (!Array.isArray(records)) {
+      throw new Error("Shot log JSON must be a list of shots or { shots: [...] }");
+    }
+  } else {
+    const [headerLine, ...rows] = content.split(/\r?\n/);
+    const delimiter = detectDelimiter(headerLine);
+    const headers = headerLine.split(delimiter).map(cleanCsvValue);
+    ['player', 'x', 'y', 'made'].forEach((field) => {
+      if (!headers.some((header) => SHOT_FIELDS[field].includes(header.toLowerCase()))) {
+        throw new Error(`Shot log CSV must include a '${SHOT_FIELDS[field][0]}' column. Found: ${headers.join(", ")}`);
+      }
+    });
+    records = rows
+      .filter((row) => row.trim())
+      .map((row) => {
+        const cells = splitCsvRow(row, delimiter).map(cleanCsvValue);
+        return Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']));
+      });
+  }
+
+  const pick = (record, field) => {
+    const key = Object.keys(record).find((name) => SHOT_FIELDS[field].includes(name.trim().toLowerCase()));
+    const value = key === undefined ? null : record[key];
+    return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+  };
+  const round2 = (value) => Math.round(value * 100) / 100;
+
+  const shots = [];
+  const warnings = [];
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const player = pick(record, 'player');
+    if (!player || NON_PLAYER_ROWS.test(player)) {
+      warnings.push(`Shot ${row}: no player, skipped`);
+      return;
+    }
+
+    const rawX = Number(pick(record, 'x'));
+    const rawY = Number(pick(record, 'y'));
+    if (pick(record, 'x') === null || pick(record, 'y') === null || Number.isNaN(rawX) || Number.isNaN(rawY)) {
+      throw new Error(`Shot ${row}: x and y must be numbers`);
+    }
+    const [x, y] = system.toCourt(rawX, rawY);
+    // Heaves from the back court are allowed; anything off the court is a units mix-up
+    if (Math.abs(x) > COURT.width / 2 + 0.5 || y < -0.5 || y > COURT.depth * 2) {
+      throw new Error(`Shot ${row}: (${rawX}, ${rawY}) is off the court. Check the coordinate units`);
+    }
+
+    const result = String(pick(record, 'made') ?? '').toLowerCase();
+    if (!SHOT_MADE_VALUES.includes(result) && !SHOT_MISSED_VALUES.includes(result)) {
+      throw new Error(`Shot ${row}: unknown result "${pick(record, 'made') ?? ''}". Use made/missed or 1/0`);
+    }
+
+    const shot = { player: extractPlayerInfo(player).name, x: round2(x), y: round2(y), made: SHOT_MADE_VALUES.includes(result) };
+    const period = pick(record, 'period');
+    if (period) {
+      try {
+        shot.period = normalizePeriodLabel(period);
+      } catch (error) {
+        throw new Error(`Shot ${row}: ${error.message}`);
+      }
+    }
+    shots.push(shot);
+  });
+
+  if (shots.length === 0) {
+    throw new Error("Shot log has no shots");
+  }
+  return { shots, warnings };
+};
+
+/**
+ * Made/attempted per zone for a list of shots
+ * @returns {Object} { [zone]: { made, attempted } }
+ */
+const sumShotZones = (shots) => {
+  const zones = Object.fromEntries(SHOT_ZONE_KEYS.map((key) => [key, { made: 0, attempted: 0 }]));
+  shots.forEach((shot) => {
+    const zone = zones[classifyShotZone(shot)];
+    zone.attempted++;
+    if (shot.made) zone.made++;
+  });
+  return zones;
+};
+
+// Write (or clear) the zone stats on every performance of a game
+const applyShotZoneStats = (game, data) => {
+  Object.entries(game.performances || {}).forEach(([name, stats]) => {
+    SHOT_ZONE_KEYS.forEach((key) => {
+      delete stats[key];
+      delete stats[`${key}%`];
+    });
+    if (!game.shots) return;
+
+    const zones = sumShotZones(game.shots.filter((shot) => resolvePlayerName(shot.player, data) === name));
+    Object.entries(zones).forEach(([key, zone]) => {
+      stats[key] = zone;
+      stats[`${key}%`] = zone.attempted > 0 ? Math.round((zone.made / zone.attempted) * 100) : null;
+    });
+  });
+};
+
+/**
+ * Attach a parsed shot log to a game, replacing any earlier one, and store
+ * the zone splits on its performances. Every player in the box score gets
+ * zone lines (0/0 when they took no shot).
+ */
+const importShots = (gameId, shots) => {
+  const data = loadData();
+  const game = data.games.find((g) => String(g.id) === String(gameId));
+
+  if (!game) {
+    throw new Error("Game not found");
+  }
+  if (!Array.isArray(shots) || shots.length === 0) {
+    throw new Error("Shot log has no shots");
+  }
+
+  game.shots = shots.map((shot) => ({ ...shot, player: resolvePlayerName(shot.player, data) }));
+  applyShotZoneStats(game, data);
+  saveData(data);
+  return game;
+};
+
+/**
+ * Detach the shot log from a game and drop its zone stats
+ */
+const removeShots = (gameId) => {
+  const data = loadData();
+  const game = data.games.find((g) => String(g.id) === String(gameId));
+  if (!game) {
+    throw new Error("Game not found");
+  }
+  delete game.shots;
+  applyShotZoneStats(game, data);
+  saveData(data);
+  return game;
+};
+
+/**
+ * A player's shots across games, with their zones
+ * @returns {Array} [{ x, y, made, zone, gameId, date }]
+ */
+const getPlayerShots = (games, playerName, data = loadData()) => games.flatMap((game) => (game.shots || [])
+  .filter((shot) => resolvePlayerName(shot.player, data) === playerName)
+  .map((shot) => ({ x: shot.x, y: shot.y, made: shot.made, zone: classifyShotZone(shot), gameId: game.id, date: game.date })));
+
+/**
+ * Check a game's shot log against its box score.
+ * @returns {Object} { shots, zones, unknownPlayers: [name], mismatches: [{ player, stat, chart, boxScore }] }
+ *                  mismatches compare charted attempts with fg / 3pt attempted
+ */
+const summarizeShots = (game, data = loadData()) => {
+  const shots = (game.shots || []).map((shot) => ({ ...shot, player: resolvePlayerName(shot.player, data) }));
+  const performances = game.performances || {};
+  const players = unique(shots.map((shot) => shot.player));
+  const mismatches = [];
+
+  players.filter((player) => performances[player]).forEach((player) => {
+    const zones = sumShotZones(shots.filter((shot) => shot.player === player));
+    const charted = {
+      fg: SHOT_ZONE_KEYS.reduce((sum, key) => sum + zones[key].attempted, 0),
+      '3pt': zones.c3.attempted + zones.ab3.attempted,
+    };
+    Object.entries(charted).forEach(([stat, chart]) => {
+      const boxScore = performances[player][stat]?.attempted;
+      if (typeof boxScore === 'number' && boxScore !== chart) mismatches.push({ player, stat, chart, boxScore });
+    });
+  });
+
+  return {
+    shots: shots.length,
+    zones: sumShotZones(shots),
+    unknownPlayers: players.filter((player) => !performances[player]),
+    mismatches,
+  };
+};
+
+// ========================================
+// GAME QUERIES
+// ========================================
+
+// Query syntax: space-separated terms that must all match.
+// - field:value     text contains (dates: starts with, e.g. date:2025-11)
+// - field=value, field!=value, and >=, <=, >, < for numbers and full dates
+// - -term           negates a term
+// - "quoted values" keep their spaces, e.g. league:"1. divisjon"
+// - bare words: home, away, win, loss, tie, ot; anything else is searched
+//   in the opponent, league and player names
+// Fields: opponent (vs), league, team, season, player, date, location
+// (home/away), result, margin, score, allowed; any other field is a stat key
+// (pts, fg%, fg.attempted, ...).
+
+// Game fields by kind; aliases map to the field name
+const QUERY_TEXT_FIELDS = ['opponent', 'league', 'team', 'season', 'player'];
+const QUERY_NUMBER_FIELDS = ['margin', 'score', 'allowed'];
+const QUERY_FIELD_ALIASES = { vs: 'opponent', opp: 'opponent', location: 'homeaway', venue: 'homeaway' };
+
+const QUERY_KEYWORDS = {
+  home: { field: 'homeaway', value: 'home' },
+  away: { field: 'homeaway', value: 'away' },
+  win: { field: 'result', value: 'W' },
+  loss: { field: 'result', value: 'L' },
+  tie: { field: 'result', value: 'T' },
+  ot: { field: 'ot' },
+};
+
+const QUERY_RESULTS = { w: 'W', win: 'W', won: 'W', l: 'L', loss: 'L', lost: 'L', t: 'T', tie: 'T' };
+
+/**
+ * Split a query into terms, keeping quoted values together.
+ * @returns {Array} [{ text, position }] with 1-based positions
+ */
+const tokenizeGameQuery = (text) => {
+  const tokens = [];
+  let current = null;
+  let quoted = false;
+  [...String(text || '')].forEach((char, index) => {
+    if (/\s/.test(char) && !quoted) {
+      if (current) tokens.push(current);
+      current = null;
+      return;
+    }
+    if (!current) current = { text: '', position: index + 1 };
+    if (char === '"') quoted = !quoted;
+    current.text += char;
+  });
+  if (quoted) throw new Error(`Query error at position ${current.position}: missing closing quote`);
+  if (current) tokens.push(current);
+  return tokens;
+};
+
+const queryParseError = (token, message) => new Error(`Query error at position ${token.position}: ${message}`);
+
+const unquoteQueryValue = (value) => value.replace(/^"(.*)"$/, '$1').replace(/"/g, '');
+
+/**
+ * Turn one token into a term { negate, field, op, value, stat? }
+ */
+const parseQueryTerm = (token, statKeys) => {
+  const negate = /^-[^\d.]/.test(token.text);
+  const body = negate ? token.text.slice(1) : token.text;
+  const match = body.match(/^([^:<>=!"]+)(>=|<=|!=|:|=|>|<)(.*)$/);
+
+  if (!match) {
+    const word = unquoteQueryValue(body).trim();
+    const keyword = QUERY_KEYWORDS[word.toLowerCase()];
+    if (keyword) return { negate, op: '=', ...keyword };
+    return { negate, field: 'text', op: ':', value: word.toLowerCase() };
+  }
+
+  const [, rawField, op, rawValue] = match;
+  const name = rawField.toLowerCase();
+  const field = QUERY_FIELD_ALIASES[name] || name;
+  const value = unquoteQueryValue(rawValue).trim();
+  if (value === '') throw queryParseError(token, `missing value for ${rawField}`);
+  const isComparison = !['=', '!=', ':'].includes(op);
+
+  if (field === 'date') {
+    const full = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    if (op === ':' ? !/^\d{4}(-\d{2}){0,2}$/.test(value) : !full) {
+      throw queryParseError(token, op === ':' ? 'dates look like 2025, 2025-11 or 2025-11-01' : 'compare dates as YYYY-MM-DD');
+    }
+    return { negate, field, op, value };
+  }
+  if (field === 'homeaway') {
+    const side = { home: 'home', h: 'home', away: 'away', a: 'away' }[value.toLowerCase()];
+    if (!side || isComparison) throw queryParseError(token, 'location is home or away');
+    return { negate: negate !== (op === '!='), field, op: '=', value: side };
+  }
+  if (field === 'result') {
+    const result = QUERY_RESULTS[value.toLowerCase()];
+    if (!result || isComparison) throw queryParseError(token, 'result is win, loss or tie');
+    return { negate: negate !== (op === '!='), field, op: '=', value: result };
+  }
+  if (QUERY_TEXT_FIELDS.includes(field)) {
+    if (isComparison) throw queryParseError(token, `${rawField} cannot be compared with ${op}`);
+    return { negate, field, op, value: value.toLowerCase() };
+  }
+
+  // Numbers: game margins and scores, or a stat with an optional .made / .attempted part
+  const [statKey, part] = field.split(/\.(made|attempted)$/);
+  if (!QUERY_NUMBER_FIELDS.includes(field) && !statKeys.has(statKey)) {
+    throw queryParseError(token, `unknown field "${rawField}"`);
+  }
+  const number = Number(value.replace(/%$/, ''));
+  if (Number.isNaN(number)) throw queryParseError(token, `${rawField} needs a number`);
+  return QUERY_NUMBER_FIELDS.includes(field)
+    ? { negate, field, op: op === ':' ? '=' : op, value: number }
+    : { negate, field: 'stat', stat: statKey, part: part || null, op: op === ':' ? '=' : op, value: number };
+};
+
+/**
+ * Parse a game query into terms. Throws "Query error at position N: ..."
+ * @returns {Array} [{ negate, field, op, value, stat?, part? }]
+ */
+const parseGameQuery = (text) => {
+  const statKeys = new Set([
+    ...CANONICAL_STAT_KEYS,
+    ...SHOT_ZONE_KEYS,
+    ...getComputedStats().map((stat) => stat.key),
+    ...getAllStatKeys(),
+  ].map((key) => key.toLowerCase()));
+  return tokenizeGameQuery(text).map((token) => parseQueryTerm(token, statKeys));
+};
+
+const compareQueryValue = (actual, op, expected) => {
+  if (actual === null || actual === undefined) return false;
+  switch (op) {
+    case ':': return String(actual).toLowerCase().includes(expected);
+    case '=': return typeof expected === 'number' ? actual === expected : String(actual).toLowerCase() === expected;
+    case '!=': return typeof expected === 'number' ? actual !== expected : String(actual).toLowerCase() !== expected;
+    case '>=': return actual >= expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '<': return actual < expected;
+    default: return false;
+  }
+};
+
+// Player terms are checked against one performance; the rest only need the game
+const isPlayerQueryTerm = (term) => term.field === 'player' || term.field === 'stat' || term.field === 'text';
+
+/**
+ * Compile a query into a predicate (game, playerName?) => boolean.
+ * With a player, stat and player terms test that player's line. Without one,
+ * a game matches when a single player in it matches every player term.
+ * An empty query matches everything.
+ */
+const compileGameQuery = (text, data = loadData()) => {
+  const terms = parseGameQuery(text);
+  const seasons = sortSeasons(data.seasons || []);
+  const teams = data.teams || [];
+  const hasPlayerTerms = terms.some(isPlayerQueryTerm);
+
+  const fieldValue = (term, game, player) => {
+    const stats = player ? (game.performances || {})[player] : null;
+    switch (term.field) {
+      case 'opponent': return game.opponent;
+      case 'league': return game.league;
+      case 'date': return term.op === ':' ? (game.date || '').startsWith(term.value) : game.date;
+      case 'homeaway': return (game.homeAway || 'home').toLowerCase();
+      case 'result': return getGameResult(game);
+      case 'ot': return (game.overtime || []).length > 0;
+      case 'team': return (teams.find((t) => t.id === game.teamId) || {}).name;
+      case 'season': return getSeasonLabel(seasons.find((s) => s.id === getGameSeasonId(game, seasons)));
+      case 'player': return player;
+      case 'margin': return getGameResult(game) ? game.teamScore - game.opponentScore : null;
+      case 'score': return game.teamScore ?? null;
+      case 'allowed': return game.opponentScore ?? null;
+      case 'stat': {
+        const entry = stats && Object.keys(stats).find((key) => key.toLowerCase() === term.stat);
+        const value = entry ? stats[entry] : null;
+        if (term.part) return value && typeof value === 'object' ? value[term.part] : null;
+        return getNumericStat(value);
+      }
+      default: return null;
+    }
+  };
+
+  const testTerm = (term, game, player) => {
+    let matched;
+    if (term.field === 'text') {
+      matched = [game.opponent, game.league, player].some((value) => compareQueryValue(value, ':', term.value));
+    } else if (term.field === 'ot' || (term.field === 'date' && term.op === ':')) {
+      matched = fieldValue(term, game, player);
+    } else if (term.field === 'homeaway' || term.field === 'result') {
+      matched = fieldValue(term, game, player) === term.value;
+    } else {
+      matched = compareQueryValue(fieldValue(term, game, player), term.op, term.value);
+    }
+    return term.negate ? !matched : matched;
+  };
+
+  const matchesAll = (game, player) => terms.every((term) => testTerm(term, game, player));
+
+  return (game, playerName) => {
+    if (playerName) return matchesAll(game, playerName);
+    if (!hasPlayerTerms) return matchesAll(game, null);
+    return Object.keys(game.performances || {}).some((player) => matchesAll(game, player));
+  };
+};
+
+/**
+ * Saved queries, reused as named filters on the dashboard and team page
+ */
+const getGameQueries = () => loadData().savedQueries || [];
+
+/**
+ * Save a named query (checked by parsing it). Pass an existing id to update it.
+ */
+const saveGameQuery = ({ id, name, query }) => {
+  const data = loadData();
+  const saved = {
+    id: id || `q_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: String(name || '').trim(),
+    query: String(query || '').trim(),
+  };
+  if (!saved.name) throw new Error("Saved query needs a name");
+  if (!saved.query) throw new Error("Saved query is empty");
+  parseGameQuery(saved.query);
+
+  const stored = [...(data.savedQueries || [])];
+  if (stored.some((q) => q.id !== saved.id && q.name.toLowerCase() === saved.name.toLowerCase())) {
+    throw new Error(`Saved query "${saved.name}" already exists`);
+  }
+  const index = stored.findIndex((q) => q.id === saved.id);
+  if (index >= 0) stored[index] = saved;
+  else stored.push(saved);
+  data.savedQueries = stored;
+  saveData(data);
+  return saved;
+};
+
+/**
+ * Delete a saved query
+ */
+const deleteGameQuery = (id) => {
+  const data = loadData();
+  const query = (data.savedQueries || []).find((q) => q.id === id);
+  if (!query) throw new Error("Saved query not found");
+  data.savedQueries = data.savedQueries.filter((q) => q.id !== id);
+  saveData(data);
+  return query;
 };
 
+// ========================================
+// ANOMALIES
+// ========================================
+
 /**
- * Compute Shooting Star (SHOOT)
- * Higher is better - average of FG%, 3PT%, and FT%
- * Only categories with at least 1 attempt are included.
- * A category with 0 attempts is ignored entirely (not counted as 0%).
- * A category with attempts but 0 makes (0%) IS included.
+ * How a game is scored against the player's other games of the same stat:
+ * - mad: robust z-score, 0.6745 × (value − median) / median absolute deviation
+ *   (Iglewicz & Hoaglin); one wild game barely moves the baseline
+ * - z: classic z-score against the mean and standard deviation
+ * threshold is the |score| from which a game is flagged.
  */
-const computeShootingStar = (stats) => {
-  const percentages = [];
+const ANOMALY_METHODS = {
+  mad: { label: 'Robust z (median / MAD)', threshold: 3.5 },
+  z: { label: 'z-score (mean / SD)', threshold: 3 },
+};
 
-  // FG: include only if there were attempts
-  if (stats.fg && typeof stats.fg === 'object' && stats.fg.attempted > 0) {
-    percentages.push((stats.fg.made / stats.fg.attempted) * 100);
-  }
+// Games with the stat a player needs before any of them can be flagged
+const MIN_ANOMALY_GAMES = 5;
 
-  // 3PT: include only if there were attempts
-  if (stats['3pt'] && typeof stats['3pt'] === 'object' && stats['3pt'].attempted > 0) {
-    percentages.push((stats['3pt'].made / stats['3pt'].attempted) * 100);
-  }
+// Stats are mostly whole-number counts: a spread under one unit (a player who
+// always has 0 blocks) would turn a single block into an extreme score
+const MIN_ANOMALY_SCALE = 1;
 
-  // FT: include only if there were attempts
-  if (stats.ft && typeof stats.ft === 'object' && stats.ft.attempted > 0) {
-    percentages.push((stats.ft.made / stats.ft.attempted) * 100);
-  }
+const sampleMedian = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
 
-  if (percentages.length === 0) {
-    return null;
+/**
+ * Score one value against a history that leaves it out
+ * @returns {Object} { score, expected } - expected is the median (mad) or mean (z)
+ */
+const scoreAnomaly = (value, history, method = 'mad') => {
+  if (method === 'z') {
+    const mean = history.reduce((sum, v) => sum + v, 0) / history.length;
+    const variance = history.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(history.length - 1, 1);
+    return { score: (value - mean) / Math.max(Math.sqrt(variance), MIN_ANOMALY_SCALE), expected: mean };
   }
+  const center = sampleMedian(history);
+  const mad = sampleMedian(history.map((v) => Math.abs(v - center)));
+  return { score: (0.6745 * (value - center)) / Math.max(mad, MIN_ANOMALY_SCALE), expected: center };
+};
+
+/**
+ * Flag unusual player-game stat lines. Each game is scored against the same
+ * player's other games in `games` (leave-one-out, so the game cannot hide itself).
+ * @param {Array} games - Games forming each player's history
+ * @param {Object} options
+ *   method: key of ANOMALY_METHODS (default 'mad'); threshold: |score| to flag (method default)
+ *   stats: stat keys to check (default: box score stats, leaving out computed stats and percentages).
+ *          Made/attempted stats are scored on makes; 'fg.attempted' scores the attempts.
+ *   players: only score these players; minGames: history needed (default MIN_ANOMALY_GAMES)
+ *   min 0 (minutes not tracked) and columns a game's box score did not record or misfilled
+ *   (see getUnreliableColumns) are left out of both the scored games and the history.
+ * @returns {Array} [{ gameId, date, opponent, player, stat, value, expected, score, high, low }]
+ *   sorted by |score|, strongest first; high / low mark a career high or low in `games`
+ */
+const findAnomalies = (games, { method = 'mad', threshold, stats = null, players = null, minGames = MIN_ANOMALY_GAMES } = {}) => {
+  if (!ANOMALY_METHODS[method]) throw new Error(`Unknown anomaly method "${method}"`);
+  const limit = threshold ?? ANOMALY_METHODS[method].threshold;
+  const computed = new Set(getComputedStats().map((stat) => stat.key));
+  const isChecked = stats
+    ? (key) => stats.includes(key)
+    : (key) => key !== PERIODS_KEY && !computed.has(key) && !key.endsWith('%');
+
+  // player -> stat -> [{ game, value }]
+  const series = {};
+  games.forEach((game) => {
+    const unreliable = getUnreliableColumns(game);
+    Object.entries(game.performances || {}).forEach(([player, line]) => {
+      if (players && !players.includes(player)) return;
+      const add = (stat, value) => {
+        if (!isChecked(stat) || value === null || value === undefined) return;
+        if (unreliable.has(stat) || (stat === 'min' && value === 0)) return;
+        series[player] = series[player] || {};
+        (series[player][stat] = series[player][stat] || []).push({ game, value });
+      };
+      Object.entries(line).forEach(([stat, raw]) => {
+        add(stat, getNumericStat(raw));
+        if (raw && typeof raw === 'object' && typeof raw.attempted === 'number') add(`${stat}.attempted`, raw.attempted);
+      });
+    });
+  });
+
+  const anomalies = [];
+  Object.entries(series).forEach(([player, byStat]) => {
+    Object.entries(byStat).forEach(([stat, entries]) => {
+      if (entries.length < minGames) return;
+      entries.forEach(({ game, value }, i) => {
+        const history = entries.filter((_, j) => j !== i).map((e) => e.value);
+        const { score, expected } = scoreAnomaly(value, history, method);
+        if (Math.abs(score) < limit) return;
+        anomalies.push({
+          gameId: game.id,
+          date: game.date,
+          opponent: game.opponent,
+          player,
+          stat,
+          value,
+          expected,
+          score,
+          high: value > Math.max(...history),
+          low: value < Math.min(...history),
+        });
+      });
+    });
+  });
 
-  const avg = percentages.reduce((sum, p) => sum + p, 0) / percentages.length;
-  return Math.round(avg * 10) / 10;
+  return anomalies.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
 };
 
+// ========================================
+// PROJECTIONS
+// ========================================
+
 /**
- * Add computed stats (like A/TO ratio, Attack Energy, Defence Domination, Shooting Star) to a player's stats object
- * Returns a new object with the computed stats added
+ * Next-game projections. A player's games, weighted toward the recent ones,
+ * are shrunk toward a prior: the team's average player, trusted as much as
+ * players on the team really differ (empirical Bayes), or a reference mean
+ * when the team is too small to tell. The range is a normal prediction
+ * interval around the projection.
+ */
+const PROJECTION_LEVEL = 0.8;
+const PROJECTION_Z = 1.2816; // two-sided 80% normal quantile
+const PROJECTION_HALF_LIFE = 5; // games
+
+// Games' worth of weight a reference mean gets; a team prior is capped at the maximum
+const PROJECTION_PRIOR_GAMES = 5;
+const MAX_PROJECTION_PRIOR_GAMES = 20;
+
+// Players with two or more games needed to estimate a team prior
+const MIN_PRIOR_PLAYERS = 3;
+
+// Stats in the backtest report
+const PROJECTION_STATS = ['pts', 'reb', 'asst', 'fg%', '3pt%', 'ft%'];
+
+const sampleMean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const sampleVariance = (values) => {
+  if (values.length < 2) return 0;
+  const center = sampleMean(values);
+  return values.reduce((sum, v) => sum + (v - center) ** 2, 0) / (values.length - 1);
+};
+
+/**
+ * Team prior for a stat
+ * @param {Object} seriesByPlayer - { player: [values] }
+ * @returns {Object|null} { mean, weight, variance, players, source: 'team' }
+ *   mean: the average player's mean; variance: pooled game-to-game variance;
+ *   weight: games' worth of trust in the mean (game-to-game / player-to-player variance).
+ *   Null with fewer than MIN_PRIOR_PLAYERS players with two or more games.
  */
-const addComputedStats = (stats) => {
+const estimateProjectionPrior = (seriesByPlayer) => {
+  const players = Object.values(seriesByPlayer).filter((values) => values.length >= 2);
+  if (players.length < MIN_PRIOR_PLAYERS) return null;
+
+  const dof = players.reduce((sum, values) => sum + values.length - 1, 0);
+  const within = players.reduce((sum, values) => sum + sampleVariance(values) * (values.length - 1), 0) / dof;
+  const means = players.map(sampleMean);
+  // Spread of the players' true levels: the spread of their means less sampling noise
+  const between = sampleVariance(means) - within * sampleMean(players.map((values) => 1 / values.length));
   return {
-    ...stats,
-    'reb': computeTotalRebounds(stats),
-    'a/to': computeAstToRatio(stats),
-    'atk': computeAttackEnergy(stats),
-    'def': computeDefenceDomination(stats),
-    'shoot': computeShootingStar(stats)
+    mean: sampleMean(means),
+    weight: between > 0 ? Math.min(within / between, MAX_PROJECTION_PRIOR_GAMES) : MAX_PROJECTION_PRIOR_GAMES,
+    variance: within,
+    players: players.length,
+    source: 'team',
   };
 };
 
 /**
- * Process all games and add computed stats to each player's performance
- * This updates the stored data with the computed stats
+ * Project the next value of a series
+ * @param {Array} values - The player's values, oldest first
+ * @param {Object|null} prior - { mean, weight, variance, source } (see estimateProjectionPrior)
+ * @param {Object} options - halfLife in games (default PROJECTION_HALF_LIFE); min / max clamp the result
+ * @returns {Object|null} { projected, low, high, level, games, playerMean, priorMean, shrinkage, source }
+ *   low / high: PROJECTION_LEVEL range, null when no game-to-game spread is known;
+ *   shrinkage: share of the projection taken from the prior. Null without values or prior.
  */
-const addComputedStatsToAllGames = () => {
-  const data = loadData();
-  let updated = false;
-  
-  data.games.forEach((game) => {
-    Object.entries(game.performances || {}).forEach(([name, stats]) => {
-      // Compute Total Rebounds
-      const totalReb = computeTotalRebounds(stats);
-      if (stats['reb'] !== totalReb) {
-        stats['reb'] = totalReb;
-        updated = true;
-      }
-      
-      // Compute A/TO ratio
-      const atoRatio = computeAstToRatio(stats);
-      if (stats['a/to'] !== atoRatio) {
-        stats['a/to'] = atoRatio;
-        updated = true;
-      }
-      
-      // Compute Attack Energy
-      const atkEnergy = computeAttackEnergy(stats);
-      if (stats['atk'] !== atkEnergy) {
-        stats['atk'] = atkEnergy;
-        updated = true;
-      }
-      
-      // Compute Defence Domination
-      const defDom = computeDefenceDomination(stats);
-      if (stats['def'] !== defDom) {
-        stats['def'] = defDom;
-        updated = true;
-      }
-      
-      // Compute Shooting Star
-      const shootStar = computeShootingStar(stats);
-      if (stats['shoot'] !== shootStar) {
-        stats['shoot'] = shootStar;
-        updated = true;
-      }
-    });
+const projectNextGame = (values, prior = null, { halfLife = PROJECTION_HALF_LIFE, min = -Infinity, max = Infinity } = {}) => {
+  const n = values.length;
+  if (n === 0 && !prior) return null;
+  const clamp = (v) => Math.min(Math.max(v, min), max);
+
+  const weights = values.map((_, i) => 0.5 ** ((n - 1 - i) / halfLife));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const playerMean = n ? values.reduce((sum, v, i) => sum + weights[i] * v, 0) / total : null;
+  const effectiveGames = n ? total ** 2 / weights.reduce((sum, w) => sum + w * w, 0) : 0;
+  const priorWeight = prior ? prior.weight : 0;
+  const shrinkage = n ? priorWeight / (effectiveGames + priorWeight) : 1;
+  const projected = shrinkage === 0 ? playerMean : (1 - shrinkage) * (playerMean ?? 0) + shrinkage * prior.mean;
+
+  // Game-to-game spread: the player's own, pooled with the team's when known
+  const ownDof = Math.max(n - 1, 0);
+  const teamDof = prior && prior.variance !== null && prior.variance !== undefined ? Math.max(priorWeight, 1) : 0;
+  const variance = ownDof + teamDof > 0
+    ? (ownDof * sampleVariance(values) + teamDof * (prior?.variance || 0)) / (ownDof + teamDof)
+    : null;
+  const spread = variance === null ? null : Math.sqrt(variance * (1 + 1 / Math.max(effectiveGames + priorWeight, 1)));
+
+  return {
+    projected: clamp(projected),
+    low: spread === null ? null : clamp(projected - PROJECTION_Z * spread),
+    high: spread === null ? null : clamp(projected + PROJECTION_Z * spread),
+    level: PROJECTION_LEVEL,
+    games: n,
+    playerMean,
+    priorMean: prior ? prior.mean : null,
+    shrinkage,
+    source: prior ? prior.source : null,
+  };
+};
+
+// Percentages stay within 0-100; stats nobody has gone below zero in do not project below it
+const getProjectionBounds = (stat, series) => {
+  if (stat.endsWith('%')) return { min: 0, max: 100 };
+  return { min: series.some((values) => values.some((v) => v < 0)) ? -Infinity : 0 };
+};
+
+/**
+ * Project a player's next game for a stat from dashboard-style records ({ player, date, stats })
+ * @param {Array} records - Every player's records; the others form the team prior
+ * @param {Object} options
+ *   statsNested (default true) and normalization as in calculateWindowedStatsShared;
+ *   reference: mean to shrink toward when the team is too small for a prior; halfLife
+ * @returns {Object|null} projectNextGame result
+ */
+const calculateProjection = (records, player, stat, { statsNested = true, normalization = 'game', reference = null, halfLife } = {}) => {
+  const byPlayer = {};
+  records.forEach((r) => (byPlayer[r.player] = byPlayer[r.player] || []).push(r));
+  const series = {};
+  Object.entries(byPlayer).forEach(([name, playerRecords]) => {
+    series[name] = readStatSeries(playerRecords, stat, { statsNested, normalization }).map((p) => p.value);
   });
-  
-  if (updated) {
-    saveData(data);
-  }
-  
-  return updated;
+
+  const prior = estimateProjectionPrior(series)
+    || (reference === null || reference === undefined
+      ? null
+      : { mean: reference, weight: PROJECTION_PRIOR_GAMES, variance: null, source: 'reference' });
+  return projectNextGame(series[player] || [], prior, { halfLife, ...getProjectionBounds(stat, Object.values(series)) });
 };
 
-const unique = (values) => Array.from(new Set(values));
+// A stat from a stored performance; percentages missing from the line come from the made/attempted pair
+const readPerformanceStat = (line, stat) => {
+  const value = getNumericStat(line[stat]);
+  if (value !== null || !stat.endsWith('%')) return value;
+  const pair = line[stat.slice(0, -1)];
+  return pair && pair.attempted > 0 ? (pair.made / pair.attempted) * 100 : null;
+};
 
 /**
- * Force recomputation of all computed stats (for debugging/migration)
+ * Accuracy of backtest rows per stat (see backtestProjections)
+ * @returns {Object} { [stat]: { count, mae, baselineMae, bias, coverage } }
  */
-const forceRecomputeAllStats = () => {
-  const data = loadData();
-  let count = 0;
-  
-  data.games.forEach((game) => {
-    Object.entries(game.performances || {}).forEach(([name, stats]) => {
-      stats['reb'] = computeTotalRebounds(stats);
-      stats['a/to'] = computeAstToRatio(stats);
-      stats['atk'] = computeAttackEnergy(stats);
-      stats['def'] = computeDefenceDomination(stats);
-      stats['shoot'] = computeShootingStar(stats);
-      count++;
+const summarizeProjectionBacktest = (rows, stats = PROJECTION_STATS) => {
+  const summary = {};
+  stats.forEach((stat) => {
+    const statRows = rows.filter((r) => r.stat === stat);
+    if (statRows.length === 0) return;
+    const ranged = statRows.filter((r) => r.inRange !== null);
+    summary[stat] = {
+      count: statRows.length,
+      mae: sampleMean(statRows.map((r) => Math.abs(r.error))),
+      baselineMae: sampleMean(statRows.map((r) => Math.abs(r.actual - r.baseline))),
+      bias: sampleMean(statRows.map((r) => r.error)),
+      coverage: ranged.length ? ranged.filter((r) => r.inRange).length / ranged.length : null,
+    };
+  });
+  return summary;
+};
+
+/**
+ * Replay games in date order, projecting each player-game from the games
+ * before it, and compare with what happened.
+ * @param {Array} games
+ * @param {Object} options
+ *   stats (default PROJECTION_STATS); players: only report these players;
+ *   minHistory: games a player needs before being projected (default 3); halfLife
+ * @returns {Object} { rows, summary }
+ *   rows: [{ gameId, date, opponent, player, stat, projected, low, high, actual, error, inRange, baseline }]
+ *     newest first; error = actual − projected; baseline is the player's plain average before the game
+ *   summary: { [stat]: { count, mae, baselineMae, bias, coverage } } - coverage is the share of
+ *     actual values inside the range (PROJECTION_LEVEL when the ranges are honest)
+ */
+const backtestProjections = (games, { stats = PROJECTION_STATS, players = null, minHistory = 3, halfLife } = {}) => {
+  const registry = getCompiledComputedStats();
+  const history = Object.fromEntries(stats.map((stat) => [stat, {}]));
+  const rows = [];
+
+  [...games].sort((a, b) => new Date(a.date) - new Date(b.date)).forEach((game) => {
+    const lines = Object.entries(game.performances || {}).map(([player, line]) => [player, addComputedStats(line, registry)]);
+    stats.forEach((stat) => {
+      const series = history[stat];
+      const prior = estimateProjectionPrior(series);
+      const bounds = getProjectionBounds(stat, Object.values(series));
+      const actuals = lines
+        .map(([player, line]) => [player, readPerformanceStat(line, stat)])
+        .filter(([, actual]) => actual !== null);
+
+      actuals.forEach(([player, actual]) => {
+        const past = series[player] || [];
+        if (past.length < Math.max(minHistory, 1) || (players && !players.includes(player))) return;
+        const projection = projectNextGame(past, prior, { halfLife, ...bounds });
+        rows.push({
+          gameId: game.id,
+          date: game.date,
+          opponent: game.opponent,
+          player,
+          stat,
+          projected: projection.projected,
+          low: projection.low,
+          high: projection.high,
+          actual,
+          error: actual - projection.projected,
+          inRange: projection.low === null ? null : actual >= projection.low && actual <= projection.high,
+          baseline: sampleMean(past),
+        });
+      });
+      // Only added once every player in the game is projected
+      actuals.forEach(([player, actual]) => (series[player] = series[player] || []).push(actual));
     });
   });
-  
-  saveData(data);
-  console.log(`✅ Recomputed stats for ${count} player-game records`);
-  return count;
+
+  rows.sort((a, b) => new Date(b.date) - new Date(a.date));
+  return { rows, summary: summarizeProjectionBacktest(rows, stats) };
 };
 
-// Note: Computed stats are now added in app.js after data is fully loaded
-// This ensures cloud data is processed correctly
+// ========================================
+// TEAM PERCENTILES
+// ========================================
+
+// Percentile from which each level starts, mirroring the reference p25/p50/p75/p90 bands
+const PERCENTILE_LEVELS = [
+  { min: 90, level: 'excellent' },
+  { min: 75, level: 'good' },
+  { min: 50, level: 'average' },
+  { min: 25, level: 'below' },
+  { min: 0, level: 'poor' },
+];
+
+// Players with a value needed before ranks mean anything
+const MIN_PERCENTILE_PLAYERS = 3;
 
 /**
- * Get numeric value from a stat (handles made/attempted objects)
+ * Where a value sits among the team's values: the share of the other values
+ * it beats, ties counting half (0 = worst, 100 = best)
+ * @param {number} value
+ * @param {Array<number>} values - Every value, this one included
+ * @param {boolean} inverted - Lower is better (turnovers)
+ * @returns {number|null} Null with fewer than two values
  */
-const getNumericStat = (value) => {
-  if (value === null || value === undefined) return null;
-  if (typeof value === 'object' && value !== null && 'made' in value) {
-    return value.made;
-  }
-  const num = typeof value === 'number' ? value : Number(value);
-  return isNaN(num) ? null : num;
+const getTeamPercentile = (value, values, inverted = false) => {
+  if (value === null || value === undefined || values.length < 2) return null;
+  let beaten = 0;
+  let ties = -1; // the value itself
+  values.forEach((other) => {
+    if (other === value) ties += 1;
+    else if (inverted ? other > value : other < value) beaten += 1;
+  });
+  return ((beaten + ties / 2) / (values.length - 1)) * 100;
 };
 
 /**
- * Check if a stat value is valid for calculations
+ * Performance level ('excellent' ... 'poor', as getPerformanceLevel) for a team percentile
  */
-const hasValidStatValue = (value) => {
-  if (value === null || value === undefined) return false;
-  if (typeof value === 'object' && 'made' in value) {
-    return typeof value.made === 'number';
-  }
-  return typeof value === 'number' || !isNaN(Number(value));
-};
+const getPercentileLevel = (percentile) => PERCENTILE_LEVELS.find((band) => percentile >= band.min).level;
 
 /**
- * Calculate windowed statistics for a player's stat
- * This is the canonical implementation used by both dashboard and team views
- * 
- * @param {Array} playerRecords - Array of {date, stats: {...}} or {date, ...stats}
- * @param {string} stat - The stat key to calculate
- * @param {number|string} windowSize - Number of games or 'all'
- * @param {boolean} statsNested - Whether stats are in a nested .stats object (true for dashboard, false for team)
- * @returns {Object|null} Windowed stats including avg, median, trends, etc.
+ * Rank every player's value within the team
+ * @param {Object} valuesByPlayer - { player: value }; null values are left out
+ * @param {Object} options - inverted: lower is better
+ * @returns {Object} { player: { percentile, rank, of, level } } - rank 1 is the best;
+ *   empty with fewer than MIN_PERCENTILE_PLAYERS values
  */
-const calculateWindowedStatsShared = (playerRecords, stat, windowSize, statsNested = true) => {
-  // Sort by date ascending (oldest first)
-  const sorted = [...playerRecords].sort((a, b) => new Date(a.date) - new Date(b.date));
-  
-  // For made/attempted stats (fg, 3pt, ft), also track totals
-  const madeAttemptedStats = ['fg', '3pt', 'ft'];
-  const isMadeAttempted = madeAttemptedStats.includes(stat.toLowerCase());
-  let madeAttemptedData = [];
-  
-  // Extract values with validation
-  const values = sorted
-    .map((r, idx) => {
-      const statValue = statsNested ? r.stats?.[stat] : r[stat];
-      // Track made/attempted data for totals
-      if (isMadeAttempted && statValue && typeof statValue === 'object') {
-        madeAttemptedData.push({
-          idx,
-          made: statValue.made || 0,
-          attempted: statValue.attempted || 0
-        });
-      }
-      return getNumericStat(statValue);
-    })
-    .filter((v, idx) => {
-      if (v === null) return false;
-      // For minutes, only include games where player actually played (min > 0)
-      if (stat === 'min' && v === 0) return false;
-      return true;
-    });
-  
-  if (values.length === 0) {
-    return null;
-  }
-  
-  // Determine actual window size
-  const actualWindowSize = windowSize === 'all' ? values.length : Math.min(windowSize, values.length);
-  
-  // Current window (last N games - most recent)
-  const currentWindow = values.slice(-actualWindowSize);
-  // Previous window (N games before current window)
-  const prevWindow = values.slice(-actualWindowSize * 2, -actualWindowSize);
-  
-  if (currentWindow.length === 0) {
-    return null;
-  }
-  
-  // Calculate current window stats
-  const currentAvg = currentWindow.reduce((a, b) => a + b, 0) / currentWindow.length;
-  const sortedCurrent = [...currentWindow].sort((a, b) => a - b);
-  const currentMedian = sortedCurrent.length % 2 === 0
-    ? (sortedCurrent[sortedCurrent.length / 2 - 1] + sortedCurrent[sortedCurrent.length / 2]) / 2
-    : sortedCurrent[Math.floor(sortedCurrent.length / 2)];
-  const currentMax = Math.max(...currentWindow);
-  const currentMin = Math.min(...currentWindow);
-  
-  // Calculate previous window stats (if available)
-  let prevAvg = null;
-  let prevMedian = null;
-  let prevMax = null;
-  let prevMin = null;
-  
-  if (prevWindow.length >= 3) {
-    prevAvg = prevWindow.reduce((a, b) => a + b, 0) / prevWindow.length;
-    const sortedPrev = [...prevWindow].sort((a, b) => a - b);
-    prevMedian = sortedPrev.length % 2 === 0
-      ? (sortedPrev[sortedPrev.length / 2 - 1] + sortedPrev[sortedPrev.length / 2]) / 2
-      : sortedPrev[Math.floor(sortedPrev.length / 2)];
-    prevMax = Math.max(...prevWindow);
-    prevMin = Math.min(...prevWindow);
-  }
-  
-  // Calculate trends
-  const avgTrend = prevAvg !== null ? currentAvg - prevAvg : 0;
-  const medianTrend = prevMedian !== null ? currentMedian - prevMedian : 0;
-  const varianceTrend = prevMax !== null && prevMin !== null 
-    ? ((currentMax - currentMin) - (prevMax - prevMin)) 
-    : 0;
-  
-  // Calculate totals for made/attempted stats (for window)
-  let totals = null;
-  if (isMadeAttempted && madeAttemptedData.length > 0) {
-    // Get the last N entries for the current window
-    const windowData = madeAttemptedData.slice(-actualWindowSize);
-    totals = {
-      made: windowData.reduce((sum, d) => sum + d.made, 0),
-      attempted: windowData.reduce((sum, d) => sum + d.attempted, 0)
+const calculateTeamPercentiles = (valuesByPlayer, { inverted = false } = {}) => {
+  const entries = Object.entries(valuesByPlayer).filter(([, value]) => value !== null && value !== undefined && !Number.isNaN(value));
+  if (entries.length < MIN_PERCENTILE_PLAYERS) return {};
+  const values = entries.map(([, value]) => value);
+  const ranks = {};
+  entries.forEach(([player, value]) => {
+    const percentile = getTeamPercentile(value, values, inverted);
+    ranks[player] = {
+      percentile,
+      rank: 1 + values.filter((other) => (inverted ? other < value : other > value)).length,
+      of: values.length,
+      level: getPercentileLevel(percentile),
     };
-  }
-  
-  return {
-    gamesInWindow: currentWindow.length,
-    totalGames: values.length,
-    average: currentAvg,
-    avg: currentAvg, // Alias for compatibility
-    avgTrend,
-    median: currentMedian,
-    medianTrend,
-    max: currentMax,
-    min: currentMin,
-    varianceTrend,
-    hasPrevWindow: prevWindow.length >= 3,
-    values: currentWindow, // Include values for trend calculations
-    totals // Made/attempted totals for fg, 3pt, ft (null for other stats)
-  };
+  });
+  return ranks;
+};
+
+// ========================================
+// BENCHMARK CALIBRATION
+// ========================================
+
+// Benchmark thresholds, by the percentile of players they mark
+const BENCHMARK_PERCENTILES = { p25: 25, p50: 50, p75: 75, p90: 90 };
+
+// Samples a stat needs before thresholds are proposed
+const MIN_CALIBRATION_SAMPLES = 10;
+
+const CALIBRATION_BINS = 12;
+
+// Linear interpolation between the closest ranks of a sorted list
+const sampleQuantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
 };
 
 /**
- * Get all player stats for a given window
- * @param {Array} playerRecords - Player's game records
- * @param {Array} statKeys - Array of stat keys to calculate
- * @param {number|string} windowSize - Window size
- * @param {boolean} statsNested - Whether stats are nested
- * @returns {Object} { games, stats: { statKey: { avg, values, ... } } }
+ * Equal-width histogram of a sorted list
+ * @returns {Array} [{ from, to, count }] - the last bin includes its upper edge
  */
-const calculateAllPlayerStats = (playerRecords, statKeys, windowSize, statsNested = false) => {
-  const result = {
-    games: 0,
-    stats: {}
-  };
-  
-  statKeys.forEach(stat => {
-    const ws = calculateWindowedStatsShared(playerRecords, stat, windowSize, statsNested);
-    if (ws) {
-      result.stats[stat] = ws;
-      result.games = Math.max(result.games, ws.gamesInWindow);
+const buildHistogram = (sorted, bins = CALIBRATION_BINS) => {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / bins || 1;
+  const histogram = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  sorted.forEach((value) => {
+    histogram[Math.min(Math.floor((value - min) / width), bins - 1)].count += 1;
+  });
+  return histogram;
+};
+
+/**
+ * Propose benchmark thresholds from recorded games.
+ * @param {Array} games - Games to learn from
+ * @param {Object} stats - Benchmarks to calibrate, as in reference-stats.js:
+ *   { key: { invertedScale, customScale } }. Inverted stats (lower is better) take
+ *   their thresholds from the other end, so p90 is the value only 10% get under.
+ *   Custom scales (fouls) are not percentile based and are left alone.
+ * @param {Object} options
+ *   players: only these players; minMinutes: only games with at least these minutes
+ *   (games without minutes are left out when set); basis: 'games' (every player-game
+ *   is a sample) or 'players' (each player's average, percentages from made / attempted totals)
+ * @returns {Object} { [stat]: { samples, min, max, histogram, proposed, reason } }
+ *   proposed: { p25, p50, p75, p90 } rounded to 0.1, or null with the reason why
+ */
+const calibrateBenchmarks = (games, stats, { players = null, minMinutes = 0, basis = 'games' } = {}) => {
+  const registry = getCompiledComputedStats();
+  // stat -> player -> [values]; percentages also keep made / attempted totals per player
+  const samples = {};
+  const totals = {};
+  Object.keys(stats).forEach((stat) => {
+    samples[stat] = {};
+    totals[stat] = {};
+  });
+
+  games.forEach((game) => {
+    Object.entries(game.performances || {}).forEach(([player, raw]) => {
+      if (players && !players.includes(player)) return;
+      const line = addComputedStats(raw, registry);
+      if (minMinutes > 0 && !(getNumericStat(line.min) >= minMinutes)) return;
+      Object.keys(stats).forEach((stat) => {
+        const value = readPerformanceStat(line, stat);
+        if (value === null) return;
+        (samples[stat][player] = samples[stat][player] || []).push(value);
+        const pair = stat.endsWith('%') ? line[stat.slice(0, -1)] : null;
+        if (pair && pair.attempted > 0) {
+          totals[stat][player] = totals[stat][player] || { made: 0, attempted: 0 };
+          totals[stat][player].made += pair.made;
+          totals[stat][player].attempted += pair.attempted;
+        }
+      });
+    });
+  });
+
+  const calibration = {};
+  Object.entries(stats).forEach(([stat, benchmark]) => {
+    const values = basis === 'players'
+      ? Object.entries(samples[stat]).map(([player, list]) => {
+        const sum = totals[stat][player];
+        return sum ? (sum.made / sum.attempted) * 100 : sampleMean(list);
+      })
+      : Object.values(samples[stat]).flat();
+    const sorted = values.sort((a, b) => a - b);
+    const result = {
+      samples: sorted.length,
+      min: sorted.length ? sorted[0] : null,
+      max: sorted.length ? sorted[sorted.length - 1] : null,
+      histogram: sorted.length ? buildHistogram(sorted) : [],
+      proposed: null,
+      reason: null,
+    };
+
+    if (benchmark && benchmark.customScale) {
+      result.reason = 'Graded on its own scale, not by percentiles';
+    } else if (sorted.length < MIN_CALIBRATION_SAMPLES) {
+      result.reason = `Only ${sorted.length} ${basis === 'players' ? 'player' : 'game'}${sorted.length === 1 ? '' : 's'} (${MIN_CALIBRATION_SAMPLES} needed)`;
+    } else {
+      result.proposed = {};
+      Object.entries(BENCHMARK_PERCENTILES).forEach(([key, percentile]) => {
+        const q = benchmark && benchmark.invertedScale ? 1 - percentile / 100 : percentile / 100;
+        result.proposed[key] = Math.round(sampleQuantile(sorted, q) * 10) / 10;
+      });
     }
+    calibration[stat] = result;
   });
-  
-  return result;
+  return calibration;
 };
 
 // Export API
 window.basketStatData = {
+  SCHEMA_VERSION,
+  ready,
   loadData,
   saveData,
+  loadDataAsync,
+  saveDataAsync,
+  flushStorage,
+  queryGames,
+  getStorageBackend,
+  migrateData,
   parseCsv,
+  PLAYER_CELL_FORMATS,
+  getImportProfiles,
+  getImportProfile,
+  detectImportProfile,
+  detectCsvProfile,
+  parseColumnMapping,
+  formatColumnMapping,
+  saveImportProfile,
+  deleteImportProfile,
+  validateBoxScore,
+  applyBoxScoreFixes,
+  swapStatColumns,
   addGame,
   updateGame,
   deleteGame,
@@ -882,6 +5319,51 @@ window.basketStatData = {
   getAllStatKeys,
   cleanupData,
   getPlayerGameCounts,
+  normalizeName,
+  nameSimilarity,
+  resolvePlayerName,
+  suggestPlayerMatches,
+  addPlayerAlias,
+  removePlayerAlias,
+  getPlayerAliases,
+  mergePlayers,
+  unmergePlayers,
+  getPlayerMerges,
+  sumTeamPoints,
+  parsePeriodScores,
+  formatPeriodScores,
+  getGameResult,
+  filterGamesByResult,
+  getRecord,
+  getPlayerResultSplit,
+  PERIODS_KEY,
+  normalizePeriodLabel,
+  sumStatLines,
+  getPeriodLine,
+  getRecordedPeriods,
+  getPeriodBreakdown,
+  getOpponents,
+  resolveOpponentName,
+  updateOpponent,
+  mergeOpponents,
+  suggestOpponentMerges,
+  getTeams,
+  addTeam,
+  updateTeam,
+  deleteTeam,
+  filterGamesByTeam,
+  getSeasons,
+  getSeasonLabel,
+  getDefaultSeasonForDate,
+  addSeason,
+  updateSeason,
+  deleteSeason,
+  getGameSeasonId,
+  filterGamesBySeason,
+  getCurrentSeason,
+  getPreviousSeason,
+  getPlayerSeasonSummary,
+  comparePlayerSeasons,
   hasValidStats,
   unique,
   generateGameId,
@@ -891,12 +5373,78 @@ window.basketStatData = {
   computeAttackEnergy,
   computeDefenceDomination,
   computeShootingStar,
-  getFoulMultiplier,
+  computeStat,
+  parseFormula,
+  getComputedStats,
+  getComputedStat,
+  getComputedStatKeys,
+  saveComputedStat,
+  deleteComputedStat,
+  resetComputedStat,
+  previewComputedStat,
   addComputedStats,
   addComputedStatsToAllGames,
   forceRecomputeAllStats,
   getNumericStat,
   hasValidStatValue,
+  NORMALIZATION_MODES,
+  isNormalizableStat,
+  estimatePlayerPossessions,
+  normalizeStatValue,
   calculateWindowedStatsShared,
+  TREND_SIGNIFICANCE,
+  mannWhitneyTest,
+  testWindowTrend,
+  TREND_MODELS,
+  fitTrendModel,
+  calculateTrendModel,
   calculateAllPlayerStats,
+  PLAY_EVENT_TYPES,
+  parsePlayByPlay,
+  importPlayByPlay,
+  removePlayByPlay,
+  buildLineupStints,
+  getLineupStats,
+  summarizePlayByPlay,
+  SHOT_ZONES,
+  SHOT_UNITS,
+  COURT,
+  classifyShotZone,
+  parseShotLog,
+  importShots,
+  removeShots,
+  sumShotZones,
+  getPlayerShots,
+  summarizeShots,
+  parseGameQuery,
+  compileGameQuery,
+  getGameQueries,
+  saveGameQuery,
+  deleteGameQuery,
+  ANOMALY_METHODS,
+  MIN_ANOMALY_GAMES,
+  findAnomalies,
+  PROJECTION_LEVEL,
+  PROJECTION_STATS,
+  estimateProjectionPrior,
+  projectNextGame,
+  calculateProjection,
+  backtestProjections,
+  summarizeProjectionBacktest,
+  MIN_PERCENTILE_PLAYERS,
+  getTeamPercentile,
+  getPercentileLevel,
+  calculateTeamPercentiles,
+  MIN_CALIBRATION_SAMPLES,
+  calibrateBenchmarks,
+  trackChange,
+  undo,
+  redo,
+  getHistory,
+  clearHistory,
 };
+
+// Journal every public mutation so it can be undone
+Object.entries(HISTORY_LABELS).forEach(([name, label]) => {
+  window.basketStatData[name] = withHistory(label, window.basketStatData[name]);
+});
@@ -0,0 +1,222 @@
+// =============================================
+// LINEUPS - Five-man units and pairs from play-by-play
+// =============================================
+
+(function () {
+  'use strict';
+
+  // ---- Constants ------------------------------------------------
+
+  const COLUMNS = [
+    { key: 'games',         label: 'GP' },
+    { key: 'minutes',       label: 'Min' },
+    { key: 'pointsFor',     label: 'PF' },
+    { key: 'pointsAgainst', label: 'PA' },
+    { key: 'plusMinus',     label: '+/-' },
+    { key: 'possessions',   label: 'Poss' },
+    { key: 'netRating',     label: 'Net Rtg' }
+  ];
+
+  // ---- State ----------------------------------------------------
+
+  let windowSize = 'all';   // number of logged games | 'all'
+  let currentSeason = 'all';
+  let currentResult = 'all';
+  let minMinutes = 2;
+  const sortState = { 5: { key: 'minutes', dir: 'desc' }, 2: { key: 'minutes', dir: 'desc' } };
+
+  // ---- DOM refs -------------------------------------------------
+
+  const luWindow = document.getElementById('luWindow');
+  const luSeason = document.getElementById('luSeason');
+  const luLeague = document.getElementById('luLeague');
+  const luResult = document.getElementById('luResult');
+  const luMinMinutes = document.getElementById('luMinMinutes');
+  const luGames = document.getElementById('luGames');
+  const tables = document.querySelectorAll('.lu-table');
+
+  // ---- Helpers --------------------------------------------------
+
+  function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  }
+
+  /**
+   * Selected leagues; an empty list means "Any".
+   */
+  function getSelectedLeagues() {
+    const selected = Array.from(luLeague.selectedOptions).map(o => o.value);
+    return selected.includes('') ? [] : selected;
+  }
+
+  /**
+   * Team games narrowed by the season, league and result filters
+   */
+  function getFilteredGames() {
+    const api = window.basketStatData;
+    const leagues = getSelectedLeagues();
+    const teamGames = api.filterGamesByTeam(api.loadData().games || [], window.getActiveTeamId());
+    const seasonGames = api.filterGamesBySeason(teamGames, currentSeason);
+    const leagueGames = leagues.length === 0
+      ? seasonGames
+      : seasonGames.filter(g => leagues.includes((g.league || '').trim()));
+    return api.filterGamesByResult(leagueGames, currentResult);
+  }
+
+  /**
+   * Filtered games with a play-by-play log, limited to the window (newest games)
+   */
+  function getWindowedGames() {
+    const logged = getFilteredGames().filter(g => g.playByPlay && g.playByPlay.events && g.playByPlay.events.length);
+    return windowSize === 'all' ? logged : logged.slice(-windowSize);
+  }
+
+  function populateSeasons() {
+    const api = window.basketStatData;
+    const games = api.filterGamesByTeam(api.loadData().games || [], window.getActiveTeamId());
+    const seasons = api.getSeasons();
+    const used = new Set(games.map(g => api.getGameSeasonId(g, seasons)));
+    const options = seasons.filter(s => used.has(s.id)).reverse();
+
+    luSeason.innerHTML = '<option value="all">All seasons</option>' +
+      options.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(api.getSeasonLabel(s))}</option>`).join('');
+    luSeason.value = options.some(s => s.id === currentSeason) ? currentSeason : 'all';
+    currentSeason = luSeason.value;
+  }
+
+  function populateLeagues() {
+    const games = window.basketStatData.loadData().games || [];
+    const leagues = [...new Set(games.map(g => (g.league || '').trim()).filter(Boolean))].sort();
+    const selected = getSelectedLeagues();
+
+    luLeague.innerHTML = '<option value="">Any</option>' +
+      leagues.map(l => `<option value="${escapeHtml(l)}"${selected.includes(l) ? ' selected' : ''}>${escapeHtml(l)}</option>`).join('');
+    luLeague.size = Math.min(leagues.length + 1, 4);
+    if (getSelectedLeagues().length === 0) luLeague.options[0].selected = true;
+  }
+
+  // ---- Rendering ------------------------------------------------
+
+  function formatCell(key, value) {
+    if (value === null || value === undefined) return '—';
+    if (key === 'plusMinus' || key === 'netRating') {
+      const cls = value > 0 ? 'lu-positive' : value < 0 ? 'lu-negative' : '';
+      return `<span class="${cls}">${value > 0 ? '+' : ''}${value}</span>`;
+    }
+    return String(value);
+  }
+
+  function renderTable(table, units) {
+    const size = Number(table.dataset.size);
+    const { key, dir } = sortState[size];
+    const rows = units
+      .filter(u => u.minutes >= minMinutes)
+      .sort((a, b) => {
+        // Units without possessions have no net rating and always sort last
+        const av = a[key] ?? -Infinity;
+        const bv = b[key] ?? -Infinity;
+        return (dir === 'asc' ? av - bv : bv - av) || b.minutes - a.minutes;
+      });
+
+    table.querySelector('thead').innerHTML = `<tr>
+      <th>${size === 5 ? 'Lineup' : 'Pair'}</th>
+      ${COLUMNS.map(c => `<th data-sort="${c.key}" class="${c.key === key ? `sorted-${dir}` : ''}">${c.label}</th>`).join('')}
+    </tr>`;
+
+    const body = table.querySelector('tbody');
+    if (rows.length === 0) {
+      body.innerHTML = `<tr><td colspan="${COLUMNS.length + 1}" class="empty-state">${units.length
+        ? `No ${size === 5 ? 'lineup' : 'pair'} has played ${minMinutes} minutes`
+        : 'No play-by-play logs in the selected games'}</td></tr>`;
+      return;
+    }
+    body.innerHTML = rows.map(unit => `<tr>
+      <td>${unit.players.map(escapeHtml).join(' · ')}</td>
+      ${COLUMNS.map(c => `<td>${formatCell(c.key, unit[c.key])}</td>`).join('')}
+    </tr>`).join('');
+  }
+
+  function refresh() {
+    const games = getWindowedGames();
+    const data = window.basketStatData.loadData();
+    const logged = getFilteredGames().filter(g => g.playByPlay).length;
+
+    luGames.textContent = `${games.length} of ${logged} logged game${logged === 1 ? '' : 's'}`;
+    tables.forEach(table => {
+      const size = Number(table.dataset.size);
+      renderTable(table, window.basketStatData.getLineupStats(games, size, data));
+    });
+  }
+
+  // ---- Events ---------------------------------------------------
+
+  luWindow.addEventListener('change', () => {
+    windowSize = luWindow.value === 'all' ? 'all' : parseInt(luWindow.value, 10);
+    refresh();
+  });
+
+  luSeason.addEventListener('change', () => {
+    currentSeason = luSeason.value;
+    refresh();
+  });
+
+  luLeague.addEventListener('change', e => {
+    // Clicking "Any" clears the specific leagues and vice versa
+    const anyOpt = luLeague.options[0];
+    if (e.target === luLeague) {
+      if (anyOpt.selected && getSelectedLeagues().length === 0) {
+        Array.from(luLeague.options).forEach(o => { o.selected = o.value === ''; });
+      } else if (getSelectedLeagues().length > 0) {
+        anyOpt.selected = false;
+      } else {
+        anyOpt.selected = true;
+      }
+    }
+    refresh();
+  });
+
+  luResult.addEventListener('change', () => {
+    currentResult = luResult.value;
+    refresh();
+  });
+
+  luMinMinutes.addEventListener('input', () => {
+    minMinutes = Math.max(0, Number(luMinMinutes.value) || 0);
+    refresh();
+  });
+
+  tables.forEach(table => {
+    table.querySelector('thead').addEventListener('click', e => {
+      const th = e.target.closest('th[data-sort]');
+      if (!th) return;
+      const state = sortState[table.dataset.size];
+      state.dir = state.key === th.dataset.sort && state.dir === 'desc' ? 'asc' : 'desc';
+      state.key = th.dataset.sort;
+      refresh();
+    });
+  });
+
+  window.addEventListener('basketstat:teamchange', () => {
+    populateSeasons();
+    refresh();
+  });
+
+  // ---- Initialisation ------------------------------------------
+
+  function init() {
+    populateSeasons();
+    populateLeagues();
+    refresh();
+  }
+
+  // Wait for DOM + data.js storage backend
+  const start = () => window.basketStatData.ready.then(init).catch((error) => {
+    if (!window.showDataLoadError(error)) throw error;
+  });
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+})();
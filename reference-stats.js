@@ -5,6 +5,8 @@
  * Values are based on typical club-level junior basketball (U14-U16).
  * 
  * You can edit these values to match your league's standards.
+ * They are the U15 club profile; the other benchmark profiles (U13, U17,
+ * senior; club or elite) are derived from them, see BENCHMARK_PROFILES.
  * 
  * Structure:
  * - Each stat has percentile thresholds (p25, p50, p75, p90)
@@ -27,6 +29,10 @@ const referenceStats = {
     ageGroup: "U14-U16",
     level: "Club/Regional",
     gameLength: "32 minutes (4x8)",
+    // Typical playing time and possessions behind the per-game benchmarks,
+    // used to scale them for per-minute and per-possession views
+    minutesPerGame: 20,
+    possessionsPerGame: 40,
     lastUpdated: "2026-01-18",
     notes: "Benchmarks for Norwegian junior basketball (1. divisjon junior level)"
   },
@@ -250,16 +256,84 @@ const referenceStats = {
       p90: 62,
       description: "Average of FG%, 3PT%, FT% (overall shooting efficiency)",
       invertedScale: false  // Higher is better
+    },
+
+    // Effective FG% - field goal % with threes worth 1.5 made shots
+    "efg%": {
+      name: "Effective FG%",
+      unit: "percentage",
+      p25: 33,
+      p50: 41,
+      p75: 48,
+      p90: 55,
+      description: "(FGM + 0.5 × 3PM) ÷ FGA",
+      invertedScale: false  // Higher is better
+    },
+
+    // True Shooting % - scoring efficiency including free throws
+    "ts%": {
+      name: "True Shooting %",
+      unit: "percentage",
+      p25: 36,
+      p50: 44,
+      p75: 51,
+      p90: 58,
+      description: "PTS ÷ (2 × (FGA + 0.44 × FTA))",
+      invertedScale: false  // Higher is better
+    },
+
+    // FIBA PIR / Efficiency - all-round box score contribution
+    "pir": {
+      name: "PIR (FIBA Efficiency)",
+      unit: "per game",
+      p25: 0,
+      p50: 4,
+      p75: 9,
+      p90: 14,
+      description: "Positive box score stats minus misses, turnovers and fouls",
+      invertedScale: false  // Higher is better
+    },
+
+    // Game Score - Hollinger's single-game productivity rating
+    "gmsc": {
+      name: "Game Score",
+      unit: "per game",
+      p25: 0,
+      p50: 3,
+      p75: 7,
+      p90: 11,
+      description: "Weighted box score total (Hollinger), on a points-like scale",
+      invertedScale: false  // Higher is better
     }
   }
 };
 
+/**
+ * Factor that turns a per-game benchmark into a normalization mode
+ * (see basketStatData.NORMALIZATION_MODES). Percentages and ratios stay at 1.
+ * @param {string|null} profileId - Benchmark profile (default: the active one)
+ */
+const getBenchmarkScale = (statKey, normalization = 'game', profileId = null) => {
+  const key = statKey.toLowerCase();
+  const benchmarks = getBenchmarks(profileId);
+  const stat = benchmarks.stats[key];
+  const data = window.basketStatData;
+  const mode = data?.NORMALIZATION_MODES?.[normalization];
+  if (!stat || !mode || !data.isNormalizableStat(key)) return 1;
+  if (mode.minutes) return mode.minutes / benchmarks.meta.minutesPerGame;
+  if (mode.possessions) return mode.possessions / benchmarks.meta.possessionsPerGame;
+  return 1;
+};
+
 /**
  * Get the performance level for a stat value
  * Returns: 'poor', 'below', 'average', 'good', or 'excellent'
+ * @param {string} normalization - Mode the value is expressed in; thresholds are scaled to match
+ * @param {string|null} profileId - Benchmark profile to grade against (default: the active one,
+ *                                  see useBenchmarkProfile)
  */
-const getPerformanceLevel = (statKey, value) => {
-  const stat = referenceStats.stats[statKey.toLowerCase()];
+const getPerformanceLevel = (statKey, value, normalization = 'game', profileId = null) => {
+  const stat = getBenchmarks(profileId).stats[statKey.toLowerCase()];
   if (!stat) return 'average'; // Unknown stat, default to average
   
   if (value === null || value === undefined) return 'average';
@@ -267,6 +341,7 @@ const getPerformanceLevel = (statKey, value) => {
   // Handle made-attempted objects (use 'made' value)
   const numValue = typeof value === 'object' && 'made' in value ? value.made : Number(value);
   if (isNaN(numValue)) return 'average';
+  const scale = getBenchmarkScale(statKey, normalization, profileId);
   
   // Special handling for fouls - non-linear scale where 3 is optimal
   // 3 = excellent (aggressive but smart)
@@ -274,35 +349,54 @@ const getPerformanceLevel = (statKey, value) => {
   // 4 = average (aggressive but foul trouble)
   // 1, 0, 5 = below (too passive or fouled out)
   // Note: 5 fouls = fouled out in youth/FIBA rules
+  // Normalized values are converted back to a typical game first
   if (stat.customScale === 'fouls') {
-    if (numValue === 3) return 'excellent';
-    if (numValue === 2) return 'good';
-    if (numValue === 4) return 'average';
+    const fouls = scale === 1 ? numValue : Math.round(numValue / scale);
+    if (fouls === 3) return 'excellent';
+    if (fouls === 2) return 'good';
+    if (fouls === 4) return 'average';
     return 'below'; // 0, 1, or 5 (too passive or fouled out)
   }
   
+  const p90 = stat.p90 * scale;
+  const p75 = stat.p75 * scale;
+  const p50 = stat.p50 * scale;
+  const p25 = stat.p25 * scale;
+  
   // For inverted scales (turnovers), lower is better
   if (stat.invertedScale) {
-    if (numValue <= stat.p90) return 'excellent';
-    if (numValue <= stat.p75) return 'good';
-    if (numValue <= stat.p50) return 'average';
-    if (numValue <= stat.p25) return 'below';
+    if (numValue <= p90) return 'excellent';
+    if (numValue <= p75) return 'good';
+    if (numValue <= p50) return 'average';
+    if (numValue <= p25) return 'below';
     return 'poor';
   }
   
   // Normal scale: higher is better
-  if (numValue >= stat.p90) return 'excellent';
-  if (numValue >= stat.p75) return 'good';
-  if (numValue >= stat.p50) return 'average';
-  if (numValue >= stat.p25) return 'below';
+  if (numValue >= p90) return 'excellent';
+  if (numValue >= p75) return 'good';
+  if (numValue >= p50) return 'average';
+  if (numValue >= p25) return 'below';
   return 'poor';
 };
 
 /**
- * Get reference thresholds for a stat
+ * Get reference thresholds for a stat, scaled to a normalization mode
+ * @param {string|null} profileId - Benchmark profile (default: the active one)
  */
-const getStatReference = (statKey) => {
-  return referenceStats.stats[statKey.toLowerCase()] || null;
+const getStatReference = (statKey, normalization = 'game', profileId = null) => {
+  const stat = getBenchmarks(profileId).stats[statKey.toLowerCase()] || null;
+  const scale = getBenchmarkScale(statKey, normalization, profileId);
+  if (!stat || scale === 1) return stat;
+  const scaled = (p) => Math.round(stat[p] * scale * 10) / 10;
+  return {
+    ...stat,
+    unit: window.basketStatData.NORMALIZATION_MODES[normalization].label.toLowerCase(),
+    p25: scaled('p25'),
+    p50: scaled('p50'),
+    p75: scaled('p75'),
+    p90: scaled('p90')
+  };
 };
 
 /**
@@ -347,29 +441,82 @@ const addReferenceStat = (statKey, statData) => {
   return false;
 };
 
+// Built-in values, kept so switching teams starts from a clean set
+const defaultStats = JSON.parse(JSON.stringify(referenceStats.stats));
+const defaultMeta = { ...referenceStats.meta };
+
+/**
+ * Benchmark profiles by age group and level. The built-in values above are
+ * the U15 club profile; the others are derived from them: per-game volume
+ * stats are multiplied by `volume` (longer games, stronger players) and
+ * percentages move by `shooting` points, while ratios and fouls stay put.
+ * Derived values are a starting point to edit in reference-admin.html.
+ * ages: player ages (basketStatData.calculateAge) a profile is picked for automatically.
+ */
+const BENCHMARK_PROFILES = [
+  { id: 'u13-club', name: 'U13 Club', ageGroup: 'U13', level: 'club', ages: [0, 12], gameLength: '32 minutes (4x8)', minutesPerGame: 16, possessionsPerGame: 36, volume: 0.75, shooting: -4 },
+  { id: 'u13-elite', name: 'U13 Elite', ageGroup: 'U13', level: 'elite', ages: [0, 12], gameLength: '32 minutes (4x8)', minutesPerGame: 18, possessionsPerGame: 38, volume: 0.95, shooting: 0 },
+  { id: 'u15-club', name: 'U15 Club', ageGroup: 'U15', level: 'club', ages: [13, 14], gameLength: '32 minutes (4x8)', minutesPerGame: 20, possessionsPerGame: 40, volume: 1, shooting: 0 },
+  { id: 'u15-elite', name: 'U15 Elite', ageGroup: 'U15', level: 'elite', ages: [13, 14], gameLength: '32 minutes (4x8)', minutesPerGame: 22, possessionsPerGame: 42, volume: 1.25, shooting: 4 },
+  { id: 'u17-club', name: 'U17 Club', ageGroup: 'U17', level: 'club', ages: [15, 17], gameLength: '40 minutes (4x10)', minutesPerGame: 22, possessionsPerGame: 46, volume: 1.2, shooting: 3 },
+  { id: 'u17-elite', name: 'U17 Elite', ageGroup: 'U17', level: 'elite', ages: [15, 17], gameLength: '40 minutes (4x10)', minutesPerGame: 24, possessionsPerGame: 48, volume: 1.45, shooting: 6 },
+  { id: 'senior-club', name: 'Senior Club', ageGroup: 'Senior', level: 'club', ages: [18, Infinity], gameLength: '40 minutes (4x10)', minutesPerGame: 24, possessionsPerGame: 48, volume: 1.3, shooting: 5 },
+  { id: 'senior-elite', name: 'Senior Elite', ageGroup: 'Senior', level: 'elite', ages: [18, Infinity], gameLength: '40 minutes (4x10)', minutesPerGame: 26, possessionsPerGame: 50, volume: 1.6, shooting: 8 }
+];
+
+const DEFAULT_PROFILE_ID = 'u15-club';
+
+// 'auto-club' / 'auto-elite' pick each player's profile from their age; anything else is a profile ID
+const PROFILE_SELECTION_KEY = 'benchmarkProfile';
+const DEFAULT_PROFILE_SELECTION = 'auto-club';
+
+let benchmarkTeamId = 'all';
+let benchmarkProfileId = DEFAULT_PROFILE_ID;
+
+// Loaded profiles for the current team: profileId -> { meta, stats }
+const profileCache = new Map();
+
+/**
+ * Profile definition by ID (the default profile for unknown IDs)
+ */
+const getBenchmarkProfile = (profileId) => (
+  BENCHMARK_PROFILES.find(p => p.id === profileId) || BENCHMARK_PROFILES.find(p => p.id === DEFAULT_PROFILE_ID)
+);
+
+/**
+ * localStorage key of a benchmark set.
+ * 'referenceStats' holds the club-wide set; 'referenceStats:<teamId>' a team's own set.
+ * Other profiles than the default add '@<profileId>', so sets saved before
+ * profiles existed stay with the default profile.
+ */
+const getBenchmarkStorageKey = (teamId, profileId = DEFAULT_PROFILE_ID) => {
+  const key = teamId && teamId !== 'all' ? `referenceStats:${teamId}` : 'referenceStats';
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`;
+};
+
 /**
- * Load saved reference stats from localStorage
+ * Load saved reference stats from localStorage into a benchmark set
  * Merges saved values with defaults (saved values take precedence)
  */
-const loadSavedStats = () => {
+const loadSavedStats = (storageKey = 'referenceStats', target = referenceStats) => {
   try {
-    const saved = localStorage.getItem('referenceStats');
+    const saved = localStorage.getItem(storageKey);
     if (saved) {
       const parsed = JSON.parse(saved);
       if (parsed.stats) {
         // Merge saved stats into defaults
         for (const [key, savedStat] of Object.entries(parsed.stats)) {
-          if (referenceStats.stats[key]) {
+          if (target.stats[key]) {
             // Update existing stat
-            Object.assign(referenceStats.stats[key], savedStat);
+            Object.assign(target.stats[key], savedStat);
           } else {
             // Add new custom stat
-            referenceStats.stats[key] = savedStat;
+            target.stats[key] = savedStat;
           }
         }
       }
       if (parsed.meta?.lastUpdated) {
-        referenceStats.meta.lastUpdated = parsed.meta.lastUpdated;
+        target.meta.lastUpdated = parsed.meta.lastUpdated;
       }
     }
   } catch (e) {
@@ -377,15 +524,187 @@ const loadSavedStats = () => {
   }
 };
 
-// Load saved stats on module initialization
-loadSavedStats();
+/**
+ * Built-in thresholds of a profile, derived from the U15 club values
+ */
+const deriveProfileStats = (profile) => {
+  const stats = JSON.parse(JSON.stringify(defaultStats));
+  Object.values(stats).forEach(stat => {
+    if (stat.customScale || stat.unit === 'ratio') return;
+    ['p25', 'p50', 'p75', 'p90'].forEach(p => {
+      stat[p] = stat.unit === 'percentage'
+        ? Math.min(100, Math.max(0, stat[p] + profile.shooting))
+        : Math.round(stat[p] * profile.volume * 10) / 10;
+    });
+  });
+  return stats;
+};
+
+/**
+ * A profile's benchmark set for the current team: built-in values, then the
+ * club-wide set, then the team's own overrides.
+ * @returns {Object} { meta, stats }
+ */
+const getProfileBenchmarks = (profileId) => {
+  const profile = getBenchmarkProfile(profileId);
+  if (!profileCache.has(profile.id)) {
+    const benchmarks = {
+      meta: {
+        ...defaultMeta,
+        ageGroup: profile.ageGroup,
+        level: profile.level === 'elite' ? 'Elite/National' : 'Club/Regional',
+        gameLength: profile.gameLength,
+        minutesPerGame: profile.minutesPerGame,
+        possessionsPerGame: profile.possessionsPerGame,
+        profileId: profile.id,
+        profileName: profile.name
+      },
+      stats: deriveProfileStats(profile)
+    };
+    loadSavedStats(getBenchmarkStorageKey('all', profile.id), benchmarks);
+    if (benchmarkTeamId !== 'all') {
+      loadSavedStats(getBenchmarkStorageKey(benchmarkTeamId, profile.id), benchmarks);
+    }
+    profileCache.set(profile.id, benchmarks);
+  }
+  return profileCache.get(profile.id);
+};
+
+// A profile's set, or the active one
+const getBenchmarks = (profileId) => (profileId ? getProfileBenchmarks(profileId) : referenceStats);
+
+/**
+ * Make a profile the active one: getPerformanceLevel and friends grade
+ * against it unless told otherwise
+ */
+const useBenchmarkProfile = (profileId) => {
+  benchmarkProfileId = getBenchmarkProfile(profileId).id;
+  const benchmarks = getProfileBenchmarks(benchmarkProfileId);
+  referenceStats.meta = benchmarks.meta;
+  referenceStats.stats = benchmarks.stats;
+};
+
+/**
+ * Profile whose benchmarks are currently active
+ */
+const getActiveProfile = () => getBenchmarkProfile(benchmarkProfileId);
+
+/**
+ * Switch to a team's benchmark sets (see getProfileBenchmarks), keeping the active profile
+ */
+const useTeamBenchmarks = (teamId = 'all') => {
+  benchmarkTeamId = teamId || 'all';
+  profileCache.clear();
+  useBenchmarkProfile(benchmarkProfileId);
+};
+
+/**
+ * Team whose benchmark set is currently loaded ('all' for the club-wide set)
+ */
+const getBenchmarkTeamId = () => benchmarkTeamId;
+
+/**
+ * The profile picker's value: 'auto-club', 'auto-elite' or a profile ID
+ */
+const getProfileSelection = () => localStorage.getItem(PROFILE_SELECTION_KEY) || DEFAULT_PROFILE_SELECTION;
+
+const setProfileSelection = (selection) => {
+  localStorage.setItem(PROFILE_SELECTION_KEY, selection || DEFAULT_PROFILE_SELECTION);
+};
+
+/**
+ * Profile for an age at a level ('club' / 'elite'); null without an age
+ */
+const getProfileForAge = (age, level = 'club') => {
+  if (age === null || age === undefined || isNaN(age)) return null;
+  const profile = BENCHMARK_PROFILES.find(p => p.level === level && age >= p.ages[0] && age <= p.ages[1]);
+  return profile ? profile.id : null;
+};
+
+/**
+ * Profile a player is graded against: the picked profile, or under auto the
+ * profile for the player's age (from their birthdate), else for the active
+ * team's age group ("U16" counts as age 15), else the U15 profile.
+ */
+const getPlayerProfileId = (playerName) => {
+  const selection = getProfileSelection();
+  if (!selection.startsWith('auto-')) return getBenchmarkProfile(selection).id;
+  const level = selection.slice('auto-'.length);
+  const data = window.basketStatData;
+
+  const birthdate = playerName && data ? data.getPlayerProfile(playerName).birthdate : null;
+  let age = birthdate ? data.calculateAge(birthdate) : null;
+  if (age === null && data) {
+    const team = data.getTeams().find(t => t.id === benchmarkTeamId);
+    const under = /^U(\d+)/i.exec(team?.ageGroup || '');
+    if (under) age = Number(under[1]) - 1;
+  }
+  return getProfileForAge(age, level) || getProfileForAge(13, level);
+};
+
+/**
+ * Whether a localStorage key holds a benchmark set (see getBenchmarkStorageKey)
+ */
+const isBenchmarkStorageKey = (key) => /^referenceStats(:[\w-]+)?(@[\w-]+)?$/.test(key);
+
+/**
+ * Replace this browser's benchmark sets with the ones stored on the server, so
+ * every coach grades with the same thresholds. localStorage stays as the cache
+ * the lookups read from; it is left alone when the server is unreachable or has
+ * never stored a set.
+ * @returns {Promise<boolean>} Whether the server's sets were applied
+ */
+const syncServerBenchmarks = async () => {
+  if (typeof fetch !== 'function') return false;
+  try {
+    const response = await fetch('/api/benchmarks');
+    if (!response.ok) return false;
+    const { sets, updatedAt } = await response.json();
+    if (!updatedAt) return false;
+
+    Object.keys(localStorage)
+      .filter(key => isBenchmarkStorageKey(key) && !sets[key])
+      .forEach(key => localStorage.removeItem(key));
+    Object.entries(sets).forEach(([key, stats]) => {
+      localStorage.setItem(key, JSON.stringify({ stats, meta: { lastUpdated: updatedAt.split('T')[0] } }));
+    });
+    useTeamBenchmarks(benchmarkTeamId);
+    return true;
+  } catch (e) {
+    console.warn('Failed to load benchmarks from the server:', e);
+    return false;
+  }
+};
+
+// Load saved stats for the active team on module initialization
+useTeamBenchmarks(window.getActiveTeamId ? window.getActiveTeamId() : 'all');
+
+// Pages wait for this before grading so they start with the shared sets
+const benchmarksReady = syncServerBenchmarks();
 
 // Export for use in other modules
 window.referenceStats = {
+  ready: benchmarksReady,
+  syncServerBenchmarks,
   getPerformanceLevel,
+  getBenchmarkScale,
   getStatReference,
   getAllReferenceStats,
   updateReferenceStat,
   addReferenceStat,
+  useTeamBenchmarks,
+  getBenchmarkTeamId,
+  getBenchmarkStorageKey,
+  BENCHMARK_PROFILES,
+  DEFAULT_PROFILE_ID,
+  getBenchmarkProfile,
+  getProfileBenchmarks,
+  getProfileDefaults: (profileId) => deriveProfileStats(getBenchmarkProfile(profileId)),
+  useBenchmarkProfile,
+  getActiveProfile,
+  getProfileSelection,
+  setProfileSelection,
+  getProfileForAge,
+  getPlayerProfileId,
   data: referenceStats
 };
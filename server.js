@@ -173,7 +173,7 @@ initAuditLog().catch(e => console.error('Failed to initialize audit log:', e));
  */
 function createSessionToken(role = 'user', email = '') {
   const timestamp = Date.now();
-  const emailHash = crypto.createHash('md5').update(email.toLowerCase()).digest('hex').slice(0, 8);
+  const emailHash = hashEmail(email);
   const data = `${timestamp}.${role}.${emailHash}`;
   const signature = crypto
     .createHmac('sha256', SESSION_SECRET)
@@ -182,6 +182,13 @@ function createSessionToken(role = 'user', email = '') {
   return `${timestamp}.${role}.${emailHash}.${signature}`;
 }
 
+/**
+ * Short email hash carried in session tokens
+ */
+function hashEmail(email) {
+  return crypto.createHash('md5').update(email.toLowerCase()).digest('hex').slice(0, 8);
+}
+
 /**
  * Verify a session token and extract role/email hash
  * Returns { valid: boolean, role: string | null, emailHash: string | null }
@@ -426,11 +433,13 @@ app.get('/api/audit-log', async (req, res) => {
 // Serve static assets (CSS, JS, images) - always public
 app.use('/style.css', express.static(path.join(__dirname, 'style.css')));
 app.use('/config.js', express.static(path.join(__dirname, 'config.js')));
+app.use('/storage.js', express.static(path.join(__dirname, 'storage.js')));
 app.use('/data.js', express.static(path.join(__dirname, 'data.js')));
 app.use('/app.js', express.static(path.join(__dirname, 'app.js')));
 app.use('/admin.js', express.static(path.join(__dirname, 'admin.js')));
 app.use('/reference-stats.js', express.static(path.join(__dirname, 'reference-stats.js')));
 app.use('/team-builder.js', express.static(path.join(__dirname, 'team-builder.js')));
+app.use('/lineups.js', express.static(path.join(__dirname, 'lineups.js')));
 
 // ========================================
 // AUTHENTICATION MIDDLEWARE
@@ -447,11 +456,13 @@ const authMiddleware = (req, res, next) => {
     '/api/auth/logout',
     '/style.css',
     '/config.js',
+    '/storage.js',
     '/data.js',
     '/app.js',
     '/admin.js',
     '/reference-stats.js',
-    '/team-builder.js'
+    '/team-builder.js',
+    '/lineups.js'
   ];
   
   // Admin-only paths (require admin role)
@@ -574,6 +585,10 @@ app.get('/team-builder.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'team-builder.html'));
 });
 
+app.get('/lineups.html', (req, res) => {
+  res.sendFile(path.join(__dirname, 'lineups.html'));
+});
+
 app.get('/bulk-import.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'bulk-import.html'));
 });
@@ -734,7 +749,23 @@ app.post('/api/data', (req, res) => {
     // Ensure required structure
     if (!data.players) data.players = {};
     if (!data.games) data.games = [];
-    
+
+    // Refuse to overwrite data written by a newer client schema
+    if (fs.existsSync(dataFilePath)) {
+      try {
+        const existing = JSON.parse(fs.readFileSync(dataFilePath, 'utf-8'));
+        const existingVersion = existing.schemaVersion || 0;
+        const incomingVersion = data.schemaVersion || 0;
+        if (existingVersion > incomingVersion) {
+          return res.status(409).json({
+            error: `Stored data uses schema v${existingVersion}; refusing to overwrite with v${incomingVersion}`
+          });
+        }
+      } catch (e) {
+        console.warn('Could not read existing data file for version check:', e.message);
+      }
+    }
+
     // Write with pretty formatting for debugging
     fs.writeFileSync(dataFilePath, JSON.stringify(data, null, 2), 'utf-8');
     
@@ -760,6 +791,214 @@ app.post('/api/data', (req, res) => {
   }
 });
 
+// ========================================
+// REFERENCE BENCHMARKS (shared by every coach)
+// ========================================
+// Benchmark sets are keyed like the browser's localStorage keys ('referenceStats',
+// 'referenceStats:<teamId>', '...@<profileId>'). Every change is kept as a version
+// with its author and a field-by-field diff, so it can be reviewed and restored.
+
+const benchmarksPath = path.join(dataDir, 'benchmarks.json');
+const BENCHMARKS_BLOB_NAME = 'benchmarks/basketstat-benchmarks.json';
+const MAX_BENCHMARK_VERSIONS = 200;
+const BENCHMARK_KEY_PATTERN = /^referenceStats(:[\w-]+)?(@[\w-]+)?$/;
+
+/**
+ * Read the benchmark store: { sets: { key: stats }, versions: [...] }
+ * Read on every request, so serverless instances never serve stale sets.
+ */
+async function readBenchmarkStore() {
+  const empty = { sets: {}, versions: [] };
+  if (IS_VERCEL) {
+    const blobLoaded = await loadBlobModule();
+    if (!blobLoaded || !blobList) return empty;
+    const { blobs } = await blobList({ prefix: 'benchmarks/' });
+    const storeBlob = blobs.find(b => b.pathname === BENCHMARKS_BLOB_NAME);
+    if (!storeBlob) return empty;
+    const response = await fetch(storeBlob.url, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Benchmark blob fetch failed: ${response.status}`);
+    return { ...empty, ...(await response.json()) };
+  }
+  if (!fs.existsSync(benchmarksPath)) return empty;
+  return { ...empty, ...JSON.parse(fs.readFileSync(benchmarksPath, 'utf-8')) };
+}
+
+/**
+ * Write the benchmark store (Vercel Blob in production, data/benchmarks.json locally)
+ */
+async function writeBenchmarkStore(store) {
+  const json = JSON.stringify(store, null, 2);
+  if (IS_VERCEL) {
+    const blobLoaded = await loadBlobModule();
+    if (!blobLoaded || !blobPut) throw new Error('Vercel Blob is not available');
+    await blobPut(BENCHMARKS_BLOB_NAME, json, {
+      access: 'public',
+      contentType: 'application/json',
+      addRandomSuffix: false
+    });
+    return;
+  }
+  fs.writeFileSync(benchmarksPath, json, 'utf-8');
+}
+
+/**
+ * Field-by-field changes between two versions of a set (null = no set)
+ * @returns {Array} [{ stat, field, from, to }] - from/to are null when added/removed
+ */
+function diffBenchmarkSets(before, after) {
+  const changes = [];
+  const statKeys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  statKeys.forEach(stat => {
+    const from = before?.[stat] || {};
+    const to = after?.[stat] || {};
+    new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+      if (JSON.stringify(from[field]) === JSON.stringify(to[field])) return;
+      changes.push({ stat, field, from: from[field] ?? null, to: to[field] ?? null });
+    });
+  });
+  return changes;
+}
+
+/**
+ * Record a new state of a set as a version and save the store.
+ * baseline: the values in effect without the set (built-in, or the club set under a
+ * team set). The diff starts from it when nothing is stored yet and ends on it for a
+ * reset; it is kept on the version so restoring can do the same.
+ */
+async function commitBenchmarkSet(store, { key, stats, action, req, email, baseline = null, restoredFrom = null }) {
+  const { emailHash } = verifySessionToken(req.cookies?.[SESSION_COOKIE_NAME]);
+  // The editor's email comes from the browser; keep it only when it matches the session
+  const claimed = typeof email === 'string' ? email.toLowerCase().trim() : '';
+  const verifiedEmail = claimed && (!emailHash || hashEmail(claimed) === emailHash) ? claimed : null;
+  const version = {
+    id: `v_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    timestamp: new Date().toISOString(),
+    key,
+    action,
+    email: verifiedEmail,
+    emailHash: emailHash || null,
+    changes: diffBenchmarkSets(store.sets[key] || baseline, stats || baseline),
+    stats,
+    restoredFrom
+  };
+  if (baseline && (!store.sets[key] || !stats)) {
+    version.baseline = baseline;
+  }
+
+  if (stats) {
+    store.sets[key] = stats;
+  } else {
+    delete store.sets[key];
+  }
+  store.updatedAt = version.timestamp;
+  store.versions.push(version);
+  if (store.versions.length > MAX_BENCHMARK_VERSIONS) {
+    store.versions = store.versions.slice(-MAX_BENCHMARK_VERSIONS);
+  }
+  await writeBenchmarkStore(store);
+
+  logAudit({
+    action: `BENCHMARKS_${action.toUpperCase()}`,
+    email: verifiedEmail || undefined,
+    emailHash: emailHash || undefined,
+    ip: req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown',
+    success: true,
+    role: 'admin',
+    reason: `${key}: ${version.changes.length} change(s)`
+  });
+  return version;
+}
+
+// API: Current benchmark sets (every signed-in page grades with them)
+app.get('/api/benchmarks', async (req, res) => {
+  try {
+    const store = await readBenchmarkStore();
+    res.json({
+      sets: store.sets,
+      updatedAt: store.updatedAt || null,
+      storage: IS_VERCEL ? 'vercel-blob' : 'local-file'
+    });
+  } catch (error) {
+    console.error('Error reading benchmarks:', error);
+    res.status(500).json({ error: 'Failed to read benchmarks' });
+  }
+});
+
+// API: Save (or, with stats: null, reset) one benchmark set (admin only)
+app.put('/api/benchmarks', async (req, res) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  const { key, stats, email, baseline } = req.body || {};
+  if (typeof key !== 'string' || !BENCHMARK_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ error: 'Invalid benchmark set key' });
+  }
+  const isStatsObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  if ((stats !== null && !isStatsObject(stats)) || (baseline != null && !isStatsObject(baseline))) {
+    return res.status(400).json({ error: 'Invalid benchmark stats' });
+  }
+
+  try {
+    const store = await readBenchmarkStore();
+    const version = await commitBenchmarkSet(store, {
+      key,
+      stats,
+      action: stats ? 'save' : 'reset',
+      req,
+      email,
+      baseline: baseline || null
+    });
+    res.json({ success: true, version, updatedAt: store.updatedAt });
+  } catch (error) {
+    console.error('Error saving benchmarks:', error);
+    res.status(500).json({ error: 'Failed to save benchmarks' });
+  }
+});
+
+// API: Version history, most recent first, optionally of one set (admin only)
+app.get('/api/benchmarks/versions', async (req, res) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  try {
+    const store = await readBenchmarkStore();
+    const versions = store.versions
+      .filter(v => !req.query.key || v.key === req.query.key)
+      .reverse();
+    res.json({ total: versions.length, versions });
+  } catch (error) {
+    console.error('Error reading benchmark versions:', error);
+    res.status(500).json({ error: 'Failed to read benchmark versions' });
+  }
+});
+
+// API: Put a set back to how a version left it (admin only); recorded as a new version
+app.post('/api/benchmarks/versions/:id/restore', async (req, res) => {
+  if (!isAdmin(req)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  try {
+    const store = await readBenchmarkStore();
+    const target = store.versions.find(v => v.id === req.params.id);
+    if (!target) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    const version = await commitBenchmarkSet(store, {
+      key: target.key,
+      stats: target.stats,
+      action: 'restore',
+      req,
+      email: req.body?.email,
+      baseline: target.baseline || null,
+      restoredFrom: target.id
+    });
+    res.json({ success: true, version, updatedAt: store.updatedAt });
+  } catch (error) {
+    console.error('Error restoring benchmarks:', error);
+    res.status(500).json({ error: 'Failed to restore benchmarks' });
+  }
+});
+
 // ========================================
 // CLOUD PROXY API (Protects API keys)
 // ========================================
@@ -0,0 +1,288 @@
+// ========================================
+// BASKETSTAT INDEXEDDB STORAGE
+// ========================================
+// Games and players live in separate object stores so the dashboard never
+// has to parse one large JSON blob. data.js keeps an in-memory copy and
+// uses this module as its persistence backend when IndexedDB is available.
+
+(function () {
+  "use strict";
+
+  const DB_NAME = "basketstat";
+  const DB_VERSION = 1;
+
+  const STORES = {
+    games: "games",
+    players: "players",
+    meta: "meta",
+  };
+
+  // Key of the meta record holding top-level fields (schemaVersion, etc.)
+  const META_ROOT_KEY = "root";
+
+  // Key of the meta record holding the undo / redo journal (see data.js HISTORY)
+  const META_HISTORY_KEY = "history";
+
+  let dbPromise = null;
+
+  /**
+   * Check whether IndexedDB can be used in this environment
+   */
+  const isIndexedDbAvailable = () => {
+    try {
+      return typeof indexedDB !== "undefined" && indexedDB !== null;
+    } catch (error) {
+      // Some browsers throw when storage is disabled (e.g. private mode)
+      return false;
+    }
+  };
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  /**
+   * Resolve when a transaction commits, reject when it fails or aborts
+   */
+  const transactionDone = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+
+  /**
+   * Open (and create/upgrade) the database. The connection is cached.
+   */
+  const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(STORES.games)) {
+          const games = db.createObjectStore(STORES.games, { keyPath: "id" });
+          games.createIndex("date", "date");
+          games.createIndex("league", "league");
+          // _players is derived from Object.keys(performances) on write
+          games.createIndex("player", "_players", { multiEntry: true });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.players)) {
+          db.createObjectStore(STORES.players, { keyPath: "name" });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.meta)) {
+          db.createObjectStore(STORES.meta, { keyPath: "key" });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  };
+
+  /**
+   * Close the cached connection (used by tests and before deleting the database)
+   */
+  const closeDatabase = async () => {
+    if (!dbPromise) return;
+    const db = await dbPromise.catch(() => null);
+    if (db) db.close();
+    dbPromise = null;
+  };
+
+  /**
+   * Convert a stored game record back to the data.js game shape
+   */
+  const fromGameRecord = (record) => {
+    const { _players, ...game } = record;
+    return game;
+  };
+
+  /**
+   * Convert a data.js game to a stored record with index fields
+   */
+  const toGameRecord = (game) => ({
+    ...game,
+    _players: Object.keys(game.performances || {}),
+  });
+
+  /**
+   * Read the full data set. Returns null when the database has never been written.
+   */
+  const readAllData = async () => {
+    const db = await openDatabase();
+    const tx = db.transaction([STORES.games, STORES.players, STORES.meta], "readonly");
+
+    const [gameRecords, playerRecords, root] = await Promise.all([
+      requestToPromise(tx.objectStore(STORES.games).getAll()),
+      requestToPromise(tx.objectStore(STORES.players).getAll()),
+      requestToPromise(tx.objectStore(STORES.meta).get(META_ROOT_KEY)),
+    ]);
+
+    if (!root) return null;
+
+    const players = {};
+    playerRecords.forEach(({ name, ...info }) => {
+      players[name] = info;
+    });
+
+    const games = gameRecords
+      .map(fromGameRecord)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return { ...root.value, players, games };
+  };
+
+  /**
+   * Replace the full data set in a single transaction
+   */
+  const writeAllData = async (data) => {
+    const db = await openDatabase();
+    const tx = db.transaction([STORES.games, STORES.players, STORES.meta], "readwrite");
+    const done = transactionDone(tx);
+
+    const gamesStore = tx.objectStore(STORES.games);
+    const playersStore = tx.objectStore(STORES.players);
+    const metaStore = tx.objectStore(STORES.meta);
+
+    gamesStore.clear();
+    playersStore.clear();
+
+    (data.games || []).forEach((game) => gamesStore.put(toGameRecord(game)));
+    Object.entries(data.players || {}).forEach(([name, info]) => {
+      playersStore.put({ ...info, name });
+    });
+
+    const { players, games, ...root } = data;
+    metaStore.put({ key: META_ROOT_KEY, value: root });
+
+    await done;
+  };
+
+  /**
+   * Write only the given records in a single transaction. Everything else stays
+   * as stored, so records another tab wrote in the meantime are kept.
+   * @param {Object} changes - { games: [game], deletedGameIds: [id],
+   *   players: { name: info }, deletedPlayers: [name],
+   *   root: { field: value }, deletedRootKeys: [field] } (all optional)
+   */
+  const writeDataChanges = async ({
+    games = [],
+    deletedGameIds = [],
+    players = {},
+    deletedPlayers = [],
+    root = {},
+    deletedRootKeys = [],
+  }) => {
+    const db = await openDatabase();
+    const tx = db.transaction([STORES.games, STORES.players, STORES.meta], "readwrite");
+    const done = transactionDone(tx);
+
+    const gamesStore = tx.objectStore(STORES.games);
+    const playersStore = tx.objectStore(STORES.players);
+    const metaStore = tx.objectStore(STORES.meta);
+
+    games.forEach((game) => gamesStore.put(toGameRecord(game)));
+    deletedGameIds.forEach((id) => gamesStore.delete(id));
+    Object.entries(players).forEach(([name, info]) => playersStore.put({ ...info, name }));
+    deletedPlayers.forEach((name) => playersStore.delete(name));
+
+    // Top-level fields are merged into the stored root record field by field
+    if (Object.keys(root).length > 0 || deletedRootKeys.length > 0) {
+      const request = metaStore.get(META_ROOT_KEY);
+      request.onsuccess = () => {
+        const value = { ...(request.result ? request.result.value : {}), ...root };
+        deletedRootKeys.forEach((key) => delete value[key]);
+        metaStore.put({ key: META_ROOT_KEY, value });
+      };
+    }
+
+    await done;
+  };
+
+  /**
+   * Read the undo / redo journal. Returns null when none has been written.
+   */
+  const readHistory = async () => {
+    const db = await openDatabase();
+    const store = db.transaction(STORES.meta, "readonly").objectStore(STORES.meta);
+    const record = await requestToPromise(store.get(META_HISTORY_KEY));
+    return record ? record.value : null;
+  };
+
+  /**
+   * Replace the undo / redo journal (null deletes it)
+   */
+  const writeHistory = async (history) => {
+    const db = await openDatabase();
+    const tx = db.transaction(STORES.meta, "readwrite");
+    const done = transactionDone(tx);
+    const store = tx.objectStore(STORES.meta);
+    if (history) {
+      store.put({ key: META_HISTORY_KEY, value: history });
+    } else {
+      store.delete(META_HISTORY_KEY);
+    }
+    await done;
+  };
+
+  /**
+   * Query games through the store indexes.
+   * @param {Object} filters - { player, league, from, to } (all optional; ISO dates)
+   * @returns {Promise<Array>} games sorted by date ascending
+   */
+  const queryGames = async ({ player, league, from, to } = {}) => {
+    const db = await openDatabase();
+    const store = db.transaction(STORES.games, "readonly").objectStore(STORES.games);
+
+    let records;
+    if (player) {
+      records = await requestToPromise(store.index("player").getAll(player));
+    } else if (league) {
+      records = await requestToPromise(store.index("league").getAll(league));
+    } else if (from || to) {
+      const range = from && to
+        ? IDBKeyRange.bound(from, to)
+        : from ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to);
+      records = await requestToPromise(store.index("date").getAll(range));
+    } else {
+      records = await requestToPromise(store.getAll());
+    }
+
+    // Apply whichever filters the chosen index did not cover
+    return records
+      .filter((game) => !league || game.league === league)
+      .filter((game) => !from || game.date >= from)
+      .filter((game) => !to || game.date <= to)
+      .map(fromGameRecord)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  };
+
+  // Export API
+  window.basketStatStorage = {
+    DB_NAME,
+    isIndexedDbAvailable,
+    openDatabase,
+    closeDatabase,
+    readAllData,
+    writeAllData,
+    writeDataChanges,
+    readHistory,
+    writeHistory,
+    queryGames,
+  };
+
+})();
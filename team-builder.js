@@ -7,12 +7,17 @@
 
   // ---- Constants ------------------------------------------------
 
-  const RADAR_STATS = ['fg%', '3pt%', 'ft%', 'reb', 'asst', 'blk', 'stl', 'to'];
+  // Stat sets offered by the radar picker (8 axes each)
+  const RADAR_STAT_SETS = {
+    box:        ['fg%', '3pt%', 'ft%', 'reb', 'asst', 'blk', 'stl', 'to'],
+    efficiency: ['efg%', 'ts%', 'ft%', 'pir', 'gmsc', 'a/to', 'reb', 'to']
+  };
   const INVERTED_STATS = new Set(['to']); // lower is better — invert on radar
 
   const STAT_LABELS = {
     'fg%': 'FG%', '3pt%': '3PT%', 'ft%': 'FT%',
-    'reb': 'REB', 'asst': 'AST', 'blk': 'BLK', 'stl': 'STL', 'to': 'TO↓'
+    'reb': 'REB', 'asst': 'AST', 'blk': 'BLK', 'stl': 'STL', 'to': 'TO↓',
+    'efg%': 'eFG%', 'ts%': 'TS%', 'pir': 'PIR', 'gmsc': 'GmSc', 'a/to': 'A/TO'
   };
 
   const TEAM_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#ec4899'];
@@ -35,7 +40,10 @@
   let teamNames = ['Team A', 'Team B', 'Team C', 'Team D'];
   let teamCount = 4;
   let windowMonths = 6;     // 3 | 6 | 12 | 'all'
+  let radarStats = RADAR_STAT_SETS.box;
+  let normalization = 'game';  // key of basketStatData.NORMALIZATION_MODES
   let currentLeague = 'all';
+  let currentSeason = 'all';  // season ID | 'all'
   let searchFilter = '';
   let playerAveragesCache = {};  // name -> { stat: value, ... }
   let globalStatRanges = {};     // stat -> { min, max } across all teams+perspectives
@@ -47,7 +55,10 @@
   // ---- DOM refs -------------------------------------------------
 
   const tbWindow   = document.getElementById('tbWindow');
+  const tbRadarStats = document.getElementById('tbRadarStats');
+  const tbNormalization = document.getElementById('tbNormalization');
   const tbLeague   = document.getElementById('tbLeague');
+  const tbSeason   = document.getElementById('tbSeason');
   const tbTeamCountSel = document.getElementById('tbTeamCount');
   const tbShuffle  = document.getElementById('tbShuffle');
   const tbClear    = document.getElementById('tbClear');
@@ -66,12 +77,26 @@
   // ---- Data helpers ---------------------------------------------
 
   /**
-   * Get all games within the time window, optionally filtered by league.
+   * Get the games of the team selected in the header picker.
    */
-  function getFilteredGames() {
+  function getTeamGames() {
     const data = window.basketStatData.loadData();
+    return window.basketStatData.filterGamesByTeam(data.games || [], window.getActiveTeamId());
+  }
+
+  /**
+   * Get the team's games of the selected season (all seasons when none is selected).
+   */
+  function getSeasonGames() {
+    return window.basketStatData.filterGamesBySeason(getTeamGames(), currentSeason);
+  }
+
+  /**
+   * Get all games within the season and time window, optionally filtered by league.
+   */
+  function getFilteredGames() {
     const now = new Date();
-    return (data.games || []).filter(game => {
+    return getSeasonGames().filter(game => {
       if (currentLeague !== 'all' && game.league !== currentLeague) return false;
       if (windowMonths === 'all') return true;
       const gameDate = new Date(game.date);
@@ -82,13 +107,12 @@
   }
 
   /**
-   * Get all games within the time window, WITHOUT league filtering.
+   * Get all games within the season and time window, WITHOUT league filtering.
    * Used for the appearances breakdown so all leagues are always visible.
    */
   function getWindowedGames() {
-    const data = window.basketStatData.loadData();
     const now = new Date();
-    return (data.games || []).filter(game => {
+    return getSeasonGames().filter(game => {
       if (windowMonths === 'all') return true;
       const gameDate = new Date(game.date);
       const months = typeof windowMonths === 'number' ? windowMonths : parseInt(windowMonths, 10);
@@ -98,24 +122,29 @@
   }
 
   /**
-   * Compute per-player averages for the 8 radar stats from the filtered game set.
+   * Compute per-player averages for the 8 radar stats from the filtered game set,
+   * in the selected normalization mode.
    * Returns { [playerName]: { 'fg%': num|null, ... } }
    */
   function computeAllPlayerAverages(games) {
-    const records = {}; // name -> [{ date, ...stats }]
+    const records = {}; // name -> [{ date, possessions, ...stats }]
 
     games.forEach(game => {
       Object.entries(game.performances || {}).forEach(([name, stats]) => {
         if (!records[name]) records[name] = [];
-        records[name].push({ date: game.date, ...stats });
+        records[name].push({
+          date: game.date,
+          possessions: window.basketStatData.estimatePlayerPossessions(game, name),
+          ...stats
+        });
       });
     });
 
     const result = {};
     Object.entries(records).forEach(([name, recs]) => {
       result[name] = {};
-      RADAR_STATS.forEach(stat => {
-        const ws = window.basketStatData.calculateWindowedStatsShared(recs, stat, 'all', false);
+      radarStats.forEach(stat => {
+        const ws = window.basketStatData.calculateWindowedStatsShared(recs, stat, 'all', false, null, normalization);
         result[name][stat] = ws && ws.avg !== null ? ws.avg : null;
       });
     });
@@ -128,7 +157,7 @@
    */
   function computeGlobalRanges(teamsData) {
     const ranges = {};
-    RADAR_STATS.forEach(stat => {
+    radarStats.forEach(stat => {
       let min = Infinity, max = -Infinity;
       teamsData.forEach(teamAvgs => {
         Object.values(teamAvgs).forEach(avg => {
@@ -141,7 +170,8 @@
       });
       if (min === Infinity || min === max) { min = 0; max = max === -Infinity ? 1 : max || 1; }
       const pad = (max - min) * 0.1 || 0.5;
-      ranges[stat] = { min: Math.max(0, min - pad), max: max + pad };
+      // PIR and Game Score can go negative; other stats stay anchored at zero
+      ranges[stat] = { min: min >= 0 ? Math.max(0, min - pad) : min - pad, max: max + pad };
     });
     return ranges;
   }
@@ -167,7 +197,7 @@
    */
   function computePerspectives(playerAvgs) {
     const result = {};
-    RADAR_STATS.forEach(stat => {
+    radarStats.forEach(stat => {
       const values = playerAvgs.map(p => p[stat]).filter(v => v !== null && v !== undefined);
       if (!values.length) {
         result[stat] = { top: null, bottom: null, median: null, aboveAvg: null, belowAvg: null };
@@ -282,7 +312,7 @@
     const cx = W / 2, cy = H / 2;
     const maxR = 120;
     const labelR = maxR + 26;
-    const n = RADAR_STATS.length;
+    const n = radarStats.length;
     const angleStep = (2 * Math.PI) / n;
 
     const pt = (r, i) => {
@@ -302,7 +332,7 @@
     for (let i = 0; i < n; i++) {
       const [x1, y1] = pt(maxR, i);
       const [lx, ly] = pt(labelR, i);
-      const stat = RADAR_STATS[i];
+      const stat = radarStats[i];
       html += `<line x1="${cx}" y1="${cy}" x2="${x1.toFixed(1)}" y2="${y1.toFixed(1)}" stroke="var(--border)" stroke-width="1" opacity="0.5"/>`;
       html += `<text x="${lx.toFixed(1)}" y="${ly.toFixed(1)}" text-anchor="middle" dominant-baseline="middle" fill="var(--text-muted)" font-size="10" font-weight="600">${STAT_LABELS[stat]}</text>`;
     }
@@ -310,13 +340,13 @@
     // Team polygons
     teamPerspectives.forEach((persp, teamIdx) => {
       if (!persp) return;
-      const values = RADAR_STATS.map(stat => persp[stat] ? persp[stat][perspectiveKey] : null);
+      const values = radarStats.map(stat => persp[stat] ? persp[stat][perspectiveKey] : null);
       const hasData = values.some(v => v !== null);
       if (!hasData) return;
 
       const MIN_PAD = 0.12, MAX_PAD = 0.92;
       const pts = values.map((v, i) => {
-        let norm = normalize(RADAR_STATS[i], v, ranges);
+        let norm = normalize(radarStats[i], v, ranges);
         if (norm === null) norm = MIN_PAD; // fallback to minimum ring
         const r = maxR * (MIN_PAD + norm * (MAX_PAD - MIN_PAD));
         return pt(r, i).map(x => x.toFixed(2)).join(',');
@@ -327,12 +357,12 @@
 
       // Dot + value label per vertex
       values.forEach((v, i) => {
-        let norm = normalize(RADAR_STATS[i], v, ranges);
+        let norm = normalize(radarStats[i], v, ranges);
         if (norm === null) norm = MIN_PAD;
         const r = maxR * (MIN_PAD + norm * (MAX_PAD - MIN_PAD));
         const [dx, dy] = pt(r, i);
         const raw = v !== null ? v.toFixed(1) : '—';
-        const stat = RADAR_STATS[i];
+        const stat = radarStats[i];
 
         // Dot — data attributes drive the JS tooltip
         html += `<circle cx="${dx.toFixed(2)}" cy="${dy.toFixed(2)}" r="5"` +
@@ -379,12 +409,12 @@
   function computePeakSingleGame(roster, games) {
     const rosterSet = new Set(roster);
     const peak = {};
-    RADAR_STATS.forEach(stat => { peak[stat] = null; });
+    radarStats.forEach(stat => { peak[stat] = null; });
 
     games.forEach(game => {
       Object.entries(game.performances || {}).forEach(([name, stats]) => {
         if (!rosterSet.has(name)) return;
-        RADAR_STATS.forEach(stat => {
+        radarStats.forEach(stat => {
           const raw = stats[stat];
           let val = null;
 
@@ -392,7 +422,11 @@
           if (raw && typeof raw === 'object' && 'made' in raw && 'attempted' in raw) {
             if (raw.attempted > 0) val = (raw.made / raw.attempted) * 100;
           } else if (typeof raw === 'number' && !Number.isNaN(raw)) {
-            val = raw;
+            // Games without minutes drop out of per-minute/possession peaks
+            val = window.basketStatData.normalizeStatValue(raw, stat, normalization, {
+              min: window.basketStatData.getNumericStat(stats.min),
+              possessions: window.basketStatData.estimatePlayerPossessions(game, name)
+            });
           }
 
           if (val === null) return;
@@ -419,7 +453,7 @@
    */
   function peakToPerspective(peakObj) {
     const result = {};
-    RADAR_STATS.forEach(stat => {
+    radarStats.forEach(stat => {
       const v = peakObj[stat];
       result[stat] = { peak: v };
     });
@@ -795,11 +829,23 @@
     renderAllRadars();
   }
 
-  // ---- League / window population ------------------------------
+  // ---- Season / league / window population -----------------------
+
+  function populateSeasons() {
+    const seasons = window.basketStatData.getSeasons();
+    const usedSeasonIds = new Set(getTeamGames().map(g => window.basketStatData.getGameSeasonId(g, seasons)));
+    // Newest season first
+    const options = seasons.filter(s => usedSeasonIds.has(s.id)).reverse();
+    tbSeason.innerHTML = '<option value="all">All seasons</option>' +
+      options.map(s => `<option value="${escHtml(s.id)}">${escHtml(window.basketStatData.getSeasonLabel(s))}</option>`).join('');
+    if (!options.some(s => s.id === currentSeason)) {
+      currentSeason = 'all';
+    }
+    tbSeason.value = currentSeason;
+  }
 
   function populateLeagues() {
-    const data = window.basketStatData.loadData();
-    const leagues = [...new Set((data.games || []).map(g => g.league).filter(Boolean))].sort();
+    const leagues = [...new Set(getTeamGames().map(g => g.league).filter(Boolean))].sort();
     const prev = tbLeague.value;
     tbLeague.innerHTML = '<option value="all">All leagues</option>' +
       leagues.map(l => `<option value="${l}"${l === prev ? ' selected' : ''}>${escHtml(l)}</option>`).join('');
@@ -810,10 +856,9 @@
   }
 
   function populatePlayers() {
-    const data = window.basketStatData.loadData();
-    // All players that appear in any performance record
+    // All players that appear in any performance record of the selected team
     const names = new Set();
-    (data.games || []).forEach(g => Object.keys(g.performances || {}).forEach(n => names.add(n)));
+    getTeamGames().forEach(g => Object.keys(g.performances || {}).forEach(n => names.add(n)));
     allPlayers = [...names].sort();
   }
 
@@ -896,7 +941,7 @@
         `<th style="background:${TEAM_COLORS[i]}18;color:${TEAM_COLORS[i]};font-weight:700;text-align:center;padding:6px 10px;border-bottom:2px solid ${TEAM_COLORS[i]}40">${escHtml(teamNames[i])}</th>`
       ).join('');
 
-      const rows = RADAR_STATS.map((stat, si) => {
+      const rows = radarStats.map((stat, si) => {
         const cells = activeTeams.map((_, ti) => {
           let val = null;
           if (p.key === 'peak') {
@@ -995,7 +1040,7 @@
     const teamStatScores = activeTeams.map((_, ti) => {
       const tp = teamPerspectives[ti];
       const out = {};
-      RADAR_STATS.forEach(stat => {
+      radarStats.forEach(stat => {
         if (!tp || !tp[stat]) { out[stat] = null; return; }
         out[stat] = normalize(stat, tp[stat].median, handoutRanges);
       });
@@ -1010,12 +1055,14 @@
     });
 
     // Category scores
-    const CATEGORIES = {
-      'Shooting':    ['fg%', '3pt%', 'ft%'],
+    // Categories only list the stats on the chosen radar
+    const CATEGORIES = Object.fromEntries(Object.entries({
+      'Shooting':    ['fg%', '3pt%', 'ft%', 'efg%', 'ts%'],
       'Rebounding':  ['reb'],
-      'Playmaking':  ['asst', 'to'],
+      'Playmaking':  ['asst', 'to', 'a/to'],
       'Defence':     ['blk', 'stl'],
-    };
+      'Overall':     ['pir', 'gmsc'],
+    }).map(([cat, stats]) => [cat, stats.filter(s => radarStats.includes(s))]).filter(([, stats]) => stats.length));
     const teamCatScores = teamStatScores.map(scores => {
       const cats = {};
       Object.entries(CATEGORIES).forEach(([cat, stats]) => {
@@ -1026,7 +1073,7 @@
     });
 
     // Per-stat gap analysis (sorted by biggest gap first)
-    const statGaps = RADAR_STATS.map(stat => {
+    const statGaps = radarStats.map(stat => {
       const vals = teamStatScores.map((s, ti) => ({ ti, v: s[stat] })).filter(x => x.v !== null);
       if (vals.length < 2) return { stat, gap: 0, leaderTi: null };
       const best  = vals.reduce((a, b) => a.v > b.v ? a : b);
@@ -1153,9 +1200,11 @@
         </div>
       </section>`;
 
-    // --- Window + league label ---
+    // --- Season + window + league label ---
     const windowLabel = windowMonths === 'all' ? 'All time' : `Last ${windowMonths} months`;
     const leagueLabel = currentLeague === 'all' ? 'All leagues' : currentLeague;
+    const selectedSeason = window.basketStatData.getSeasons().find(s => s.id === currentSeason);
+    const seasonLabel = selectedSeason ? window.basketStatData.getSeasonLabel(selectedSeason) : 'All seasons';
     const dateStr = new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
 
     // --- Assemble full HTML ---
@@ -1194,7 +1243,7 @@
   <header style="margin-bottom:20px;display:flex;justify-content:space-between;align-items:flex-end">
     <div>
       <h1>🏀 Team Builder — Comparison Handout</h1>
-      <p class="meta">${windowLabel} · ${leagueLabel} · Generated ${dateStr}</p>
+      <p class="meta">${escHtml(seasonLabel)} · ${windowLabel} · ${leagueLabel} · Generated ${dateStr}</p>
     </div>
     <div class="legend">
       ${activeTeams.map((r, i) => `<span><span class="legend-dot" style="background:${TEAM_COLORS[i]}"></span>${escHtml(teamNames[i])} (${r.length}p)</span>`).join('')}
@@ -1239,6 +1288,35 @@
     renderLegend();
   });
 
+  // Switching team in the header picker changes the player pool
+  window.addEventListener('basketstat:teamchange', () => {
+    populateSeasons();
+    populateLeagues();
+    populatePlayers();
+    teams = teams.map(roster => roster.filter(name => allPlayers.includes(name)));
+    playerAveragesCache = {};
+    refresh();
+  });
+
+  tbRadarStats.addEventListener('change', () => {
+    radarStats = RADAR_STAT_SETS[tbRadarStats.value] || RADAR_STAT_SETS.box;
+    playerAveragesCache = {};
+    renderAllRadars();
+  });
+
+  tbNormalization.addEventListener('change', () => {
+    normalization = tbNormalization.value;
+    playerAveragesCache = {};
+    renderAllRadars();
+  });
+
+  tbSeason.addEventListener('change', () => {
+    currentSeason = tbSeason.value;
+    playerAveragesCache = {};
+    renderAllRadars();
+    renderLegend();
+  });
+
   tbLeague.addEventListener('change', () => {
     currentLeague = tbLeague.value;
     playerAveragesCache = {};
@@ -1289,17 +1367,19 @@
       window.basketStatData.forceRecomputeAllStats();
     }
 
+    populateSeasons();
     populateLeagues();
     populatePlayers();
 
     refresh();
   }
 
-  // Wait for DOM + data.js
+  // Wait for DOM + data.js storage backend
+  const start = () => window.basketStatData.ready.then(init);
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
   } else {
-    init();
+    start();
   }
 
 })();
@@ -114,6 +114,81 @@ describe('loadData – game ID repair', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// migrateData – versioned schema
+// ---------------------------------------------------------------------------
+describe('migrateData', () => {
+  test('stamps unversioned payloads with the current schema version', () => {
+    const { data, fromVersion, migrated } = api.migrateData({ players: {}, games: [] });
+    expect(fromVersion).toBe(0);
+    expect(migrated).toBe(true);
+    expect(data.schemaVersion).toBe(api.SCHEMA_VERSION);
+  });
+
+  test('converts legacy entries arrays to performances', () => {
+    const raw = {
+      games: [{ id: 'g_old', date: '2025-01-01', opponent: 'A', entries: [{ name: 'Alice', stats: { pts: 4 } }] }],
+    };
+    const { data } = api.migrateData(raw);
+    expect(data.games[0].performances).toEqual({ Alice: { pts: 4 } });
+    expect(data.players.Alice).toEqual({ id: expect.stringMatching(/^p_/), number: null, active: true, teams: ['t_default'] });
+  });
+
+  test('is idempotent on already-current data', () => {
+    const { data: first } = api.migrateData({
+      players: { Bob: { number: 7, active: true } },
+      games: [{ date: '2025-01-01', opponent: 'B', performances: {} }],
+    });
+    const { data: second, migrated } = api.migrateData(first);
+    expect(migrated).toBe(false);
+    expect(second).toEqual(first);
+  });
+
+  test('leaves the raw payload untouched', () => {
+    const raw = {
+      schemaVersion: 5,
+      players: {},
+      games: [{ id: 'g1', date: '2025-01-01', opponent: ' Bislett ', league: 'U16', performances: {} }],
+      opponents: [{ id: 'o_1', name: 'Bislett', aliases: [], league: '', venue: '' }],
+    };
+    const before = JSON.parse(JSON.stringify(raw));
+    const { data } = api.migrateData(raw);
+
+    expect(data.games[0].opponent).toBe('Bislett');
+    expect(data.opponents[0].league).toBe('U16');
+    expect(raw).toEqual(before);
+  });
+
+  test('keeps unknown top-level fields', () => {
+    const { data } = api.migrateData({ players: {}, games: [], extra: { keep: true } });
+    expect(data.extra).toEqual({ keep: true });
+  });
+
+  test('refuses payloads from a newer schema version', () => {
+    expect(() => api.migrateData({ schemaVersion: api.SCHEMA_VERSION + 1, players: {}, games: [] }))
+      .toThrow('newer than this app supports');
+  });
+
+  test('rejects non-object payloads', () => {
+    expect(() => api.migrateData(null)).toThrow('Invalid data format');
+    expect(() => api.migrateData([])).toThrow('Invalid data format');
+  });
+
+  test('loadData refuses newer stored data instead of returning empty data', () => {
+    const raw = { schemaVersion: api.SCHEMA_VERSION + 1, players: {}, games: [{ id: 'g_1' }] };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(raw));
+
+    expect(() => api.loadData()).toThrow('newer than this app supports');
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual(raw);
+  });
+
+  test('saveData persists the schema version', () => {
+    api.saveData({ players: {}, games: [] });
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    expect(stored.schemaVersion).toBe(api.SCHEMA_VERSION);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // deleteGame – ID type coercion
 // ---------------------------------------------------------------------------
@@ -331,3 +406,1427 @@ describe('parseCsv – semicolon-delimited files', () => {
     await expect(api.parseCsv(makeFile(csv))).rejects.toThrow("'player' column");
   });
 });
+
+// ---------------------------------------------------------------------------
+// Seasons
+// ---------------------------------------------------------------------------
+describe('seasons', () => {
+  const game = (id, date, performances = {}) => ({ id, date, opponent: 'X', league: 'L', homeAway: 'home', performances });
+
+  function seed(raw) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(raw));
+    jest.resetModules();
+    api = loadDataModule();
+  }
+
+  test('getDefaultSeasonForDate runs August to July', () => {
+    expect(api.getDefaultSeasonForDate('2025-10-11')).toEqual({
+      id: 's_2025', name: '2025/26', start: '2025-08-01', end: '2026-07-31', ageGroup: '',
+    });
+    expect(api.getDefaultSeasonForDate('2026-03-01').id).toBe('s_2025');
+    expect(api.getDefaultSeasonForDate('not a date')).toBeNull();
+  });
+
+  test('migration creates seasons covering existing games', () => {
+    seed({ schemaVersion: 2, players: {}, games: [game('g_1', '2024-11-01'), game('g_2', '2025-09-01'), game('g_3', '2026-01-10')] });
+    expect(api.getSeasons().map((s) => s.name)).toEqual(['2024/25', '2025/26']);
+  });
+
+  test('addGame creates a default season when none covers the date', () => {
+    api.addGame({ date: '2025-10-11', opponent: 'A', league: 'L', homeAway: 'home', performances: {}, playersFound: {} });
+    expect(api.getSeasons().map((s) => s.id)).toEqual(['s_2025']);
+  });
+
+  test('addSeason validates name and date range', () => {
+    expect(() => api.addSeason({ name: '', start: '2025-08-01', end: '2026-07-31' })).toThrow('needs a name');
+    expect(() => api.addSeason({ name: 'Bad', start: '2026-08-01', end: '2025-07-31' })).toThrow('on or before');
+  });
+
+  test('games are assigned by date unless a manual override is set', () => {
+    seed({ schemaVersion: 2, players: {}, games: [game('g_1', '2025-09-01'), game('g_2', '2026-06-01')] });
+    const summer = api.addSeason({ name: 'Summer camp', start: '2026-06-01', end: '2026-06-30', ageGroup: 'U16' });
+    const seasons = api.getSeasons();
+    const [g1, g2] = api.loadData().games;
+
+    expect(api.getGameSeasonId(g1, seasons)).toBe('s_2025');
+    expect(api.getGameSeasonId(g2, seasons)).toBe(summer.id);
+
+    api.updateGame('g_1', { seasonId: summer.id });
+    expect(api.filterGamesBySeason(api.loadData().games, summer.id).map((g) => g.id)).toEqual(['g_1', 'g_2']);
+
+    api.updateGame('g_1', { seasonId: null });
+    expect(api.loadData().games[0].seasonId).toBeUndefined();
+    expect(api.getSeasonLabel(summer)).toBe('Summer camp (U16)');
+  });
+
+  test('deleteSeason clears overrides pointing at it', () => {
+    seed({ schemaVersion: 2, players: {}, games: [game('g_1', '2025-09-01')] });
+    const extra = api.addSeason({ name: 'Extra', start: '2020-01-01', end: '2020-12-31' });
+    api.updateGame('g_1', { seasonId: extra.id });
+    api.deleteSeason(extra.id);
+
+    expect(api.loadData().games[0].seasonId).toBeUndefined();
+    expect(api.getSeasons().map((s) => s.id)).toEqual(['s_2025']);
+  });
+
+  test('comparePlayerSeasons summarises this season against the previous one', () => {
+    seed({
+      schemaVersion: 2,
+      players: {},
+      games: [
+        game('g_1', '2024-10-01', { Alice: { pts: 4 } }),
+        game('g_2', '2024-11-01', { Alice: { pts: 6 } }),
+        game('g_3', '2025-10-01', { Alice: { pts: 10 } }),
+        game('g_4', '2025-11-01', { Alice: { pts: 20 }, Bob: { pts: 2 } }),
+      ],
+    });
+
+    const result = api.comparePlayerSeasons('Alice', 's_2025', ['pts']);
+    expect(result.season.name).toBe('2025/26');
+    expect(result.previousSeason.name).toBe('2024/25');
+    expect(result.current.games).toBe(2);
+    expect(result.current.stats.pts.avg).toBe(15);
+    expect(result.previous.stats.pts.avg).toBe(5);
+
+    expect(api.comparePlayerSeasons('Alice', 's_2024', ['pts']).previous).toBeNull();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Teams
+// ---------------------------------------------------------------------------
+describe('teams', () => {
+  const game = (id, date, teamId, performances = {}) => ({ id, date, opponent: 'X', league: 'L', homeAway: 'home', teamId, performances });
+
+  function seed(raw) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(raw));
+    jest.resetModules();
+    api = loadDataModule();
+  }
+
+  test('migration assigns existing games and players to a default team', () => {
+    seed({
+      schemaVersion: 3,
+      players: { Alice: { number: 5, active: true } },
+      games: [{ id: 'g_1', date: '2025-10-01', opponent: 'A', performances: { Alice: { pts: 4 } } }],
+    });
+    const data = api.loadData();
+    expect(data.teams).toEqual([{ id: 't_default', name: 'Main team', ageGroup: '' }]);
+    expect(data.games[0].teamId).toBe('t_default');
+    expect(data.players.Alice.teams).toEqual(['t_default']);
+  });
+
+  test('migration leaves an empty installation without teams', () => {
+    const { data } = api.migrateData({ players: {}, games: [] });
+    expect(data.teams).toEqual([]);
+  });
+
+  test('addTeam rejects empty and duplicate names', () => {
+    api.addTeam({ name: 'U16' });
+    expect(() => api.addTeam({ name: ' ' })).toThrow('needs a name');
+    expect(() => api.addTeam({ name: 'u16' })).toThrow('already exists');
+  });
+
+  test('addGame defaults to the first team and creates it when missing', () => {
+    const g = api.addGame({ date: '2025-10-01', opponent: 'A', league: 'L', homeAway: 'home', performances: {}, playersFound: {} });
+    expect(g.teamId).toBe('t_default');
+    expect(api.getTeams().map((t) => t.id)).toEqual(['t_default']);
+  });
+
+  test('a player in two teams gets a separate stat line per team', () => {
+    const u14 = api.addTeam({ name: 'U14' });
+    const u16 = api.addTeam({ name: 'U16' });
+    const perf = (pts) => ({ Alice: { pts } });
+    api.addGame({ date: '2025-10-01', opponent: 'A', teamId: u14.id, performances: perf(20), playersFound: { Alice: { number: 5 } } });
+    api.addGame({ date: '2025-10-02', opponent: 'B', teamId: u16.id, performances: perf(6), playersFound: { Alice: { number: 5 } } });
+
+    const data = api.loadData();
+    expect(data.players.Alice.teams).toEqual([u14.id, u16.id]);
+    expect(api.filterGamesByTeam(data.games, u14.id).map((g) => g.performances.Alice.pts)).toEqual([20]);
+    expect(api.filterGamesByTeam(data.games, u16.id).map((g) => g.performances.Alice.pts)).toEqual([6]);
+    expect(api.filterGamesByTeam(data.games, 'all')).toHaveLength(2);
+    expect(api.filterGamesByTeam(data.games, 't_missing')).toHaveLength(2);
+
+    const summary = api.getPlayerSeasonSummary('Alice', 's_2025', ['pts'], u16.id);
+    expect(summary.stats.pts.avg).toBe(6);
+  });
+
+  test('moving a game to another team updates player team lists', () => {
+    seed({ schemaVersion: 3, players: { Bob: { number: 7, active: true } }, games: [game('g_1', '2025-10-01', undefined, { Bob: { pts: 2 } })] });
+    const u18 = api.addTeam({ name: 'U18' });
+    api.updateGame('g_1', { teamId: u18.id });
+    expect(api.loadData().players.Bob.teams).toEqual([u18.id]);
+  });
+
+  test('deleteTeam refuses teams that still have games', () => {
+    seed({ schemaVersion: 3, players: {}, games: [game('g_1', '2025-10-01')] });
+    expect(() => api.deleteTeam('t_default')).toThrow('still has games');
+    const empty = api.addTeam({ name: 'U14' });
+    api.deleteTeam(empty.id);
+    expect(api.getTeams().map((t) => t.id)).toEqual(['t_default']);
+  });
+
+  test('updateTeam renames a team', () => {
+    const team = api.addTeam({ name: 'U16' });
+    expect(api.updateTeam(team.id, { name: 'U16 Girls' }).name).toBe('U16 Girls');
+    expect(() => api.updateTeam('t_missing', { name: 'X' })).toThrow('Team not found');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Player identity – aliases, fuzzy matching, merge/unmerge
+// ---------------------------------------------------------------------------
+describe('player identity', () => {
+  const game = (id, date, performances) => ({ id, date, opponent: 'X', league: 'L', homeAway: 'home', teamId: 't_default', performances });
+
+  function seed(raw) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(raw));
+    jest.resetModules();
+    api = loadDataModule();
+  }
+
+  beforeEach(() => {
+    seed({
+      schemaVersion: 3,
+      players: { 'John Doe': { number: 5, active: true }, 'Jon Doe': { number: 5, active: false } },
+      games: [
+        game('g_1', '2025-10-01', { 'John Doe': { pts: 10 } }),
+        game('g_2', '2025-10-08', { 'Jon Doe': { pts: 6 } }),
+      ],
+    });
+  });
+
+  test('migration gives every player a stable ID and adds alias and merge tables', () => {
+    const data = api.loadData();
+    expect(data.players['John Doe'].id).toMatch(/^p_/);
+    expect(data.players['John Doe'].id).not.toBe(data.players['Jon Doe'].id);
+    expect(data.aliases).toEqual({});
+    expect(data.merges).toEqual([]);
+  });
+
+  test('nameSimilarity handles accents, word order and initials', () => {
+    expect(api.nameSimilarity('Jose Garcia', 'José García')).toBe(1);
+    expect(api.nameSimilarity('Doe John', 'John Doe')).toBe(1);
+    expect(api.nameSimilarity('J. Doe', 'John Doe')).toBeGreaterThanOrEqual(0.85);
+    expect(api.nameSimilarity('Alice Smith', 'John Doe')).toBeLessThan(0.5);
+  });
+
+  test('suggestPlayerMatches ranks by name and jersey number', () => {
+    const matches = api.suggestPlayerMatches('John Do', 5);
+    expect(matches[0].name).toBe('John Doe');
+    expect(matches[0].score).toBe(1);
+    expect(api.suggestPlayerMatches('Completely Different', 5).map((m) => m.name)).toEqual(['John Doe', 'Jon Doe']);
+    expect(api.suggestPlayerMatches('John Doe', 5)).toEqual([]);
+  });
+
+  test('imports under an alias land on the canonical player', () => {
+    api.addPlayerAlias('Johnny D', 'John Doe');
+    const g = api.addGame({ date: '2025-10-15', opponent: 'Y', performances: { 'Johnny D': { pts: 3 } }, playersFound: { 'Johnny D': { number: 5 } } });
+    expect(Object.keys(g.performances)).toEqual(['John Doe']);
+    expect(api.loadData().players['Johnny D']).toBeUndefined();
+    expect(api.resolvePlayerName('johnny d')).toBe('John Doe');
+    expect(() => api.addPlayerAlias('Jon Doe', 'John Doe')).toThrow('Merge the players instead');
+  });
+
+  test('mergePlayers rewrites every game and the registry in one step', () => {
+    api.addPlayerAlias('Jonny', 'Jon Doe');
+    const sourceId = api.loadData().players['Jon Doe'].id;
+    const merge = api.mergePlayers('Jon Doe', 'John Doe');
+
+    const data = api.loadData();
+    expect(merge.gameIds).toEqual(['g_2']);
+    expect(data.players['Jon Doe']).toBeUndefined();
+    expect(data.games[1].performances).toEqual({ 'John Doe': { pts: 6 } });
+    expect(api.getPlayerAliases('John Doe').sort()).toEqual(['Jon Doe', 'Jonny']);
+    expect(api.getPlayerMerges()[0].targetName).toBe('John Doe');
+    expect(data.merges[0].source.info.id).toBe(sourceId);
+  });
+
+  test('mergePlayers refuses players who played in the same game', () => {
+    seed({ schemaVersion: 3, players: { A: { number: 1 }, B: { number: 2 } }, games: [game('g_1', '2025-10-01', { A: { pts: 1 }, B: { pts: 2 } })] });
+    expect(() => api.mergePlayers('A', 'B')).toThrow('both played');
+    expect(() => api.mergePlayers('A', 'A')).toThrow('into itself');
+    expect(() => api.mergePlayers('A', 'Z')).toThrow('Player not found');
+    expect(api.loadData().games[0].performances).toEqual({ A: { pts: 1 }, B: { pts: 2 } });
+  });
+
+  test('unmergePlayers restores the source player, games and aliases after a rename', () => {
+    api.addPlayerAlias('Jonny', 'Jon Doe');
+    const before = api.loadData();
+    const sourceInfo = before.players['Jon Doe'];
+    const merge = api.mergePlayers('Jon Doe', 'John Doe');
+
+    const data = api.loadData();
+    data.players['John A. Doe'] = data.players['John Doe'];
+    delete data.players['John Doe'];
+    data.games.forEach((g) => {
+      g.performances = Object.fromEntries(Object.entries(g.performances).map(([n, s]) => [n === 'John Doe' ? 'John A. Doe' : n, s]));
+    });
+    api.saveData(data);
+
+    expect(api.unmergePlayers(merge.id)).toBe('Jon Doe');
+    const after = api.loadData();
+    expect(after.players['Jon Doe']).toEqual(sourceInfo);
+    expect(after.games[0].performances).toEqual({ 'John A. Doe': { pts: 10 } });
+    expect(after.games[1].performances).toEqual({ 'Jon Doe': { pts: 6 } });
+    expect(after.aliases).toEqual({ Jonny: sourceInfo.id });
+    expect(after.merges).toEqual([]);
+    expect(() => api.unmergePlayers(merge.id)).toThrow('Merge not found');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Opponent registry
+// ---------------------------------------------------------------------------
+describe('opponents', () => {
+  const game = (id, date, opponent) => ({ id, date, opponent, league: '1. divisjon', homeAway: 'home', performances: {} });
+
+  function seed(raw) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(raw));
+    jest.resetModules();
+    api = loadDataModule();
+  }
+
+  beforeEach(() => {
+    seed({
+      schemaVersion: 5,
+      players: {},
+      games: [game('g_1', '2025-11-30', 'Bislett'), game('g_2', '2026-01-10', 'Bislet'), game('g_3', '2025-11-14', ' Asker ')],
+    });
+  });
+
+  test('migration builds the registry from existing games', () => {
+    const names = api.getOpponents().map((o) => o.name);
+    expect(names).toEqual(['Asker', 'Bislet', 'Bislett']);
+    expect(api.getOpponents()[0].league).toBe('1. divisjon');
+    expect(api.loadData().games.find((g) => g.id === 'g_3').opponent).toBe('Asker');
+  });
+
+  test('suggestOpponentMerges flags near-identical names', () => {
+    const [pair] = api.suggestOpponentMerges();
+    expect([pair.a.name, pair.b.name]).toEqual(['Bislet', 'Bislett']);
+    expect(api.suggestOpponentMerges()).toHaveLength(1);
+  });
+
+  test('mergeOpponents renames games and keeps the old name as an alias', () => {
+    const byName = Object.fromEntries(api.getOpponents().map((o) => [o.name, o]));
+    expect(api.mergeOpponents(byName.Bislet.id, byName.Bislett.id)).toBe(1);
+
+    expect(api.loadData().games.map((g) => g.opponent)).toEqual(['Bislett', 'Bislett', 'Asker']);
+    expect(api.getOpponents().find((o) => o.name === 'Bislett').aliases).toEqual(['Bislet']);
+
+    const g = api.addGame({ date: '2026-02-01', opponent: 'bislet', league: 'L', homeAway: 'away', performances: {}, playersFound: {} });
+    expect(g.opponent).toBe('Bislett');
+    expect(api.updateGame('g_3', { opponent: 'BISLET' }).opponent).toBe('Bislett');
+    expect(api.getOpponents()).toHaveLength(2);
+  });
+
+  test('updateOpponent renames everywhere and refuses clashes', () => {
+    const asker = api.getOpponents().find((o) => o.name === 'Asker');
+    api.updateOpponent(asker.id, { name: 'Asker Aliens', venue: 'Risenga' });
+
+    expect(api.loadData().games.find((g) => g.id === 'g_3').opponent).toBe('Asker Aliens');
+    expect(api.resolveOpponentName('asker')).toBe('Asker Aliens');
+    expect(api.getOpponents()[0]).toMatchObject({ name: 'Asker Aliens', aliases: ['Asker'], venue: 'Risenga' });
+    expect(() => api.updateOpponent(asker.id, { name: 'bislett' })).toThrow('Merge the opponents instead');
+  });
+
+  test('addGame registers new opponents', () => {
+    api.addGame({ date: '2026-02-01', opponent: 'Skien', league: '1. divisjon', homeAway: 'away', performances: {}, playersFound: {} });
+    expect(api.getOpponents().map((o) => o.name)).toContain('Skien');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Undo / redo history
+// ---------------------------------------------------------------------------
+describe('history', () => {
+  const gameData = (date, opponent, pts) => ({
+    date, opponent, league: 'L', homeAway: 'home', performances: { Alice: { pts } }, playersFound: { Alice: { number: 5 } },
+  });
+
+  test('undo and redo revert and re-apply a mutation', () => {
+    const g = api.addGame(gameData('2025-10-01', 'Asker', 10));
+    api.updateGame(g.id, { opponent: 'Oppsal' });
+    expect(api.getHistory().undo.map((e) => e.label)).toEqual(['Edited game 2025-10-01 vs Asker', 'Added game 2025-10-01 vs Asker']);
+
+    expect(api.undo().label).toBe('Edited game 2025-10-01 vs Asker');
+    expect(api.loadData().games[0].opponent).toBe('Asker');
+    api.undo();
+    expect(api.loadData().games).toEqual([]);
+    expect(api.loadData().players).toEqual({});
+    expect(api.undo()).toBeNull();
+
+    api.redo();
+    api.redo();
+    expect(api.loadData().games[0].opponent).toBe('Oppsal');
+    expect(api.loadData().players.Alice.number).toBe(5);
+    expect(api.redo()).toBeNull();
+  });
+
+  test('a new change clears the redo stack', () => {
+    const g = api.addGame(gameData('2025-10-01', 'Asker', 10));
+    api.deleteGame(g.id);
+    api.undo();
+    expect(api.getHistory().redo).toHaveLength(1);
+    api.updatePlayer('Alice', { position: 'PG' });
+    expect(api.getHistory().redo).toHaveLength(0);
+    expect(api.getHistory().undo[0].label).toBe('Edited player Alice');
+  });
+
+  test('journal survives a reload and is bounded', () => {
+    for (let i = 0; i < 55; i++) api.updatePlayer('Alice', { number: i });
+    jest.resetModules();
+    api = loadDataModule();
+    expect(api.getHistory().undo).toHaveLength(50);
+    api.undo();
+    expect(api.loadData().players.Alice.number).toBe(53);
+  });
+
+  test('failed and no-op mutations are not journaled', () => {
+    expect(() => api.updateGame('g_missing', {})).toThrow('Game not found');
+    api.cleanupData();
+    expect(api.getHistory().undo).toEqual([]);
+  });
+
+  test('undo refuses to overwrite changes made outside the journal', () => {
+    const g = api.addGame(gameData('2025-10-01', 'Asker', 10));
+    const data = api.loadData();
+    data.games[0].opponent = 'Restored from backup';
+    api.saveData(data);
+
+    expect(() => api.undo()).toThrow('changed outside the history');
+    expect(api.loadData().games[0].id).toBe(g.id);
+    api.clearHistory();
+    expect(api.getHistory().undo).toEqual([]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Game results
+// ---------------------------------------------------------------------------
+describe('game results', () => {
+  const gameData = (extra = {}) => ({
+    date: '2025-10-01', opponent: 'Asker', league: 'L', homeAway: 'home',
+    performances: { Alice: { pts: 20 }, Bob: { pts: 14 }, Cara: { min: 5 } }, playersFound: {},
+    ...extra,
+  });
+
+  test('addGame derives our score from summed player points', () => {
+    const g = api.addGame(gameData({ opponentScore: '30' }));
+    expect(g.teamScore).toBe(34);
+    expect(g.opponentScore).toBe(30);
+    expect(api.getGameResult(g)).toBe('W');
+  });
+
+  test('entered scores and period scores take precedence over summed points', () => {
+    expect(api.addGame(gameData({ teamScore: 40 })).teamScore).toBe(40);
+    const g = api.addGame(gameData({ quarters: '10-8, 12-12, 8-15, 9-5', overtime: '6-4' }));
+    expect(g).toMatchObject({ teamScore: 45, opponentScore: 44 });
+    expect(api.formatPeriodScores(g.overtime)).toBe('6-4');
+  });
+
+  test('invalid scores are rejected', () => {
+    expect(() => api.addGame(gameData({ opponentScore: -3 }))).toThrow('whole number');
+    expect(() => api.addGame(gameData({ quarters: '10-8, twelve' }))).toThrow('Invalid period score');
+    expect(() => api.addGame(gameData({ quarters: '1-1, 1-1, 1-1, 1-1, 1-1' }))).toThrow('at most 4 quarters');
+  });
+
+  test('updateGame edits scores and results', () => {
+    const g = api.addGame(gameData());
+    expect(api.getGameResult(g)).toBeNull();
+    const updated = api.updateGame(g.id, { opponentScore: '34', quarters: '' });
+    expect(api.getGameResult(updated)).toBe('T');
+    expect(updated.quarters).toEqual([]);
+  });
+
+  test('updateGame re-derives the final score from edited period scores', () => {
+    const g = api.addGame(gameData({ quarters: '10-8, 12-12, 8-15, 9-5' }));
+    expect(g).toMatchObject({ teamScore: 39, opponentScore: 40 });
+
+    // The edit form sends the unchanged final score along with the periods
+    const overtime = api.updateGame(g.id, { teamScore: '39', opponentScore: '40', quarters: '10-8, 12-12, 8-15, 9-5', overtime: '6-4' });
+    expect(overtime).toMatchObject({ teamScore: 45, opponentScore: 44 });
+    expect(api.getGameResult(overtime)).toBe('W');
+    expect(api.updateGame(g.id, { quarters: '10-8, 12-12, 8-15, 9-9' })).toMatchObject({ teamScore: 45, opponentScore: 48 });
+
+    // A final score edited together with the periods is kept
+    expect(api.updateGame(g.id, { teamScore: '50', quarters: '10-8, 12-12, 8-15, 9-5' })).toMatchObject({ teamScore: 50, opponentScore: 44 });
+    expect(api.updateGame(g.id, { opponentScore: '41' })).toMatchObject({ teamScore: 50, opponentScore: 41 });
+  });
+
+  test('migration backfills team scores from summed points', () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      schemaVersion: 6, players: {}, games: [
+        { id: 'g_1', date: '2025-10-01', opponent: 'A', performances: { Alice: { pts: 9 }, Bob: { pts: 3 } } },
+        { id: 'g_2', date: '2025-10-02', opponent: 'B', performances: { Alice: { min: 4 } } },
+      ],
+    }));
+    jest.resetModules();
+    api = loadDataModule();
+    const [first, second] = api.loadData().games;
+    expect(first).toMatchObject({ teamScore: 12, opponentScore: null, quarters: [], overtime: [] });
+    expect(second.teamScore).toBeNull();
+  });
+
+  test('record, result filter and per-player split', () => {
+    api.addGame(gameData({ date: '2025-10-01', opponentScore: 20 }));
+    api.addGame(gameData({ date: '2025-10-08', opponentScore: 50, performances: { Alice: { pts: 4 }, Bob: { pts: 10 } } }));
+    api.addGame(gameData({ date: '2025-10-15' }));
+    const { games } = api.loadData();
+
+    expect(api.getRecord(games)).toEqual({ wins: 1, losses: 1, ties: 0, pointsFor: 48, pointsAgainst: 70 });
+    expect(api.filterGamesByResult(games, 'L').map((g) => g.date)).toEqual(['2025-10-08']);
+    expect(api.filterGamesByResult(games, 'all')).toHaveLength(3);
+
+    const split = api.getPlayerResultSplit('Alice', games, ['pts']);
+    expect(split.wins.stats.pts.avg).toBe(20);
+    expect(split.losses.stats.pts.avg).toBe(4);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Period splits
+// ---------------------------------------------------------------------------
+describe('period splits', () => {
+  function makeFile(content) {
+    return { text: () => Promise.resolve(content) };
+  }
+
+  const periodCsv = [
+    'player;period;pts;fg;fg%;oreb;dreb',
+    '#5 Alice;1;8;4-5;80%;1;2',
+    '#5 Alice;2;6;3-6;50%;0;1',
+    '#5 Alice;3;2;1-4;25%;0;0',
+    '#5 Alice;Q4;0;0-3;0%;1;0',
+    '#10 Bob;1;2;1-1;100%;0;0',
+    '#10 Bob;OT;3;1-2;50%;0;1',
+  ].join('\n');
+
+  test('normalizePeriodLabel understands common period notations', () => {
+    expect(['1', 'Q2', '3rd', 'q4', '5', 'OT', 'OT2', 'H1', '2H', 'Half 2'].map(api.normalizePeriodLabel))
+      .toEqual(['Q1', 'Q2', 'Q3', 'Q4', 'OT1', 'OT1', 'OT2', 'H1', 'H2', 'H2']);
+    expect(api.normalizePeriodLabel('Total')).toBeNull();
+    expect(() => api.normalizePeriodLabel('extra')).toThrow('Unknown period');
+  });
+
+  test('parseCsv sums period rows into the full-game line', async () => {
+    const { statHeaders, performances, playersFound } = await api.parseCsv(makeFile(periodCsv));
+
+    expect(statHeaders).toEqual(['pts', 'fg', 'fg%', 'oreb', 'dreb']);
+    expect(performances.Alice).toMatchObject({ pts: 16, fg: { made: 8, attempted: 18 }, 'fg%': 44, oreb: 2, dreb: 3 });
+    expect(Object.keys(performances.Alice.periods)).toEqual(['Q1', 'Q2', 'Q3', 'Q4']);
+    expect(performances.Bob.periods.OT1.pts).toBe(3);
+    expect(playersFound.Bob.number).toBe(10);
+  });
+
+  test('parseCsv prefers an explicit total row', async () => {
+    const csv = 'player,quarter,pts\n#5 Alice,1,8\n#5 Alice,2,6\n#5 Alice,Total,15';
+    const { performances } = await api.parseCsv(makeFile(csv));
+    expect(performances.Alice.pts).toBe(15);
+    expect(performances.Alice.periods.Q2.pts).toBe(6);
+  });
+
+  test('getPeriodLine builds halves and zero-fills missing quarters', async () => {
+    const { performances } = await api.parseCsv(makeFile(periodCsv));
+    const game = api.addGame({ date: '2025-10-01', opponent: 'A', league: 'L', homeAway: 'home', performances, playersFound: {} });
+
+    const alice = game.performances.Alice;
+    expect(alice.periods.Q1.reb).toBe(3);
+    expect(api.getPeriodLine(alice, 'H1')).toMatchObject({ pts: 14, fg: { made: 7, attempted: 11 }, 'fg%': 64, reb: 4 });
+    expect(api.getPeriodLine(alice, 'H2').pts).toBe(2);
+    expect(api.getPeriodLine(game.performances.Bob, 'Q3').pts).toBe(0);
+    expect(api.getPeriodLine(game.performances.Bob, 'H2')).toMatchObject({ pts: 0, fg: { made: 0, attempted: 0 }, 'fg%': null });
+    expect(api.getPeriodLine(alice, 'OT1')).toBeNull();
+    expect(api.getAllStatKeys()).not.toContain('periods');
+  });
+
+  test('windowed stats are computable per period', () => {
+    const records = [
+      { date: '2025-10-01', stats: { pts: 14, periods: { Q1: { pts: 8 }, Q2: { pts: 2 }, Q3: { pts: 4 } } } },
+      { date: '2025-10-08', stats: { pts: 10, periods: { Q1: { pts: 6 }, Q4: { pts: 4 } } } },
+      { date: '2025-10-15', stats: { pts: 12 } },
+    ];
+    expect(api.calculateWindowedStatsShared(records, 'pts', 'all', true).avg).toBe(12);
+    expect(api.calculateWindowedStatsShared(records, 'pts', 'all', true, 'H1').avg).toBe(8);
+    expect(api.calculateWindowedStatsShared(records, 'pts', 'all', true, 'H2').values).toEqual([4, 4]);
+    expect(api.calculateWindowedStatsShared(records, 'pts', 'all', true, 'Q2').values).toEqual([2, 0]);
+    expect(api.getPeriodBreakdown(records, 'pts').map((p) => [p.period, p.avg])).toEqual([['Q1', 7], ['Q2', 1], ['Q3', 2], ['Q4', 2]]);
+
+    const flat = records.map(({ date, stats }) => ({ date, ...stats }));
+    expect(api.calculateAllPlayerStats(flat, ['pts'], 'all', false, 'H1').stats.pts.avg).toBe(8);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Computed stat registry
+// ---------------------------------------------------------------------------
+describe('computed stats', () => {
+  const addSampleGame = () => api.addGame({
+    date: '2025-10-01', opponent: 'A', league: 'L', homeAway: 'home', playersFound: {},
+    performances: {
+      Alice: { min: 20, pts: 12, fg: { made: 5, attempted: 10 }, ft: { made: 2, attempted: 4 }, asst: 3, to: 0, oreb: 1, dreb: 2, foul: 3 },
+      Bob: { min: 0, pts: 0 },
+    },
+  });
+
+  test('built-in stats come from the registry', () => {
+    const alice = addSampleGame().performances.Alice;
+    expect(alice).toMatchObject({ reb: 3, 'a/to': 3, atk: 18, def: 2.5, shoot: 50 });
+    expect(api.getComputedStatKeys()).toEqual(['reb', 'a/to', 'atk', 'def', 'shoot', 'efg%', 'ts%', 'pir', 'gmsc']);
+    expect(api.computeAttackEnergy({ min: 0, fg: { made: 1, attempted: 4 } })).toBeNull();
+  });
+
+  test('efficiency metrics: eFG%, TS%, PIR and Game Score', () => {
+    const line = api.addComputedStats({
+      min: 24, pts: 17, fg: { made: 6, attempted: 12 }, '3pt': { made: 2, attempted: 5 }, ft: { made: 3, attempted: 4 },
+      oreb: 2, dreb: 4, asst: 3, stl: 2, blk: 1, to: 3, foul: 2,
+    });
+    expect(line['efg%']).toBe(58.3); // (6 + 1) / 12
+    expect(line['ts%']).toBe(61.8); // 17 / (2 * (12 + 0.44 * 4))
+    expect(line.pir).toBe(17 + 6 + 3 + 2 + 1 - 6 - 1 - 3 - 2);
+    expect(line.gmsc).toBe(14.2);
+
+    expect(api.addComputedStats({ min: 10, pts: 0, fg: { made: 0, attempted: 0 } })).toMatchObject({ 'efg%': null, 'ts%': null, pir: 0, gmsc: 0 });
+    expect(api.addComputedStats({ min: 0, pts: 0 })).toMatchObject({ pir: null, gmsc: null });
+    expect(api.addComputedStats({ min: 20, fg: { made: 0, attempted: 6 }, to: 4 }).pir).toBe(-10);
+  });
+
+  test('formulas support members, brackets, functions and report errors by position', () => {
+    const stats = { pts: 10, '3pt': { made: 1, attempted: 4 }, 'a/to': 2 };
+    const evaluate = (formula, missing = 'zero') => {
+      api.saveComputedStat({ key: 'x', name: 'X', formula, missing }, api.getComputedStat('x') ? 'x' : null);
+      return api.computeStat('x', stats);
+    };
+    expect(evaluate('pts / [3pt].attempted + [a/to]')).toBe(4.5);
+    expect(evaluate('round(pct(3pt) - 0.333, 1)')).toBe(24.7);
+    expect(evaluate('if(pts >= 10, -pts, 0) * 2')).toBe(-20);
+    expect(evaluate('pts + reb')).toBe(10);
+    expect(evaluate('pts + reb', 'null')).toBeNull();
+    expect(evaluate('pts / 0')).toBeNull();
+
+    expect(() => api.parseFormula('pts +')).toThrow('position 6: unexpected end of formula');
+    expect(() => api.parseFormula('eval(pts)')).toThrow('unknown function "eval"');
+    expect(() => api.parseFormula('pts; alert(1)')).toThrow('position 4: unexpected ";"');
+    expect(() => api.parseFormula('fg.pct')).toThrow('expected "made" or "attempted"');
+  });
+
+  test('saving a custom stat recomputes every game and can be undone', () => {
+    addSampleGame();
+    api.saveComputedStat({ key: 'PPS', name: 'Points per Shot', formula: 'round(pts / fg.attempted, 2)', missing: 'null', zeroAsNull: true, requiresMinutes: true });
+
+    const { performances } = api.loadData().games[0];
+    expect(performances.Alice.pps).toBe(1.2);
+    expect(performances.Bob.pps).toBeNull();
+    expect(api.getComputedStat('pps')).toMatchObject({ name: 'Points per Shot', builtIn: false, missing: 'null' });
+    expect(api.getAllStatKeys()).toContain('pps');
+
+    api.undo();
+    expect(api.getComputedStat('pps')).toBeNull();
+    expect(api.loadData().games[0].performances.Alice).not.toHaveProperty('pps');
+  });
+
+  test('renaming and deleting custom stats update stored games', () => {
+    addSampleGame();
+    api.saveComputedStat({ key: 'pps', name: 'PPS', formula: 'pts / fg.attempted' });
+    api.saveComputedStat({ key: 'ppfga', name: 'PPS', formula: 'pts / fg.attempted' }, 'pps');
+    let alice = api.loadData().games[0].performances.Alice;
+    expect(alice).not.toHaveProperty('pps');
+    expect(alice.ppfga).toBe(1.2);
+
+    api.deleteComputedStat('ppfga');
+    alice = api.loadData().games[0].performances.Alice;
+    expect(alice).not.toHaveProperty('ppfga');
+  });
+
+  test('built-in stats can be edited and reset but not deleted', () => {
+    addSampleGame();
+    api.saveComputedStat({ ...api.getComputedStat('reb'), formula: 'oreb + dreb + 100' }, 'reb');
+    expect(api.loadData().games[0].performances.Alice.reb).toBe(103);
+    expect(api.addComputedStats({ oreb: 1 }).reb).toBe(101);
+
+    expect(() => api.deleteComputedStat('reb')).toThrow('Built-in stats cannot be deleted');
+    expect(() => api.saveComputedStat({ ...api.getComputedStat('reb'), key: 'rebounds' }, 'reb')).toThrow('cannot change their key');
+
+    api.resetComputedStat('reb');
+    expect(api.loadData().games[0].performances.Alice.reb).toBe(3);
+    expect(api.getComputedStat('reb').formula).toBe('oreb + dreb');
+  });
+
+  test('invalid definitions are rejected', () => {
+    addSampleGame();
+    expect(() => api.saveComputedStat({ key: 'pts', name: 'Points', formula: '1' })).toThrow('is a recorded stat');
+    expect(() => api.saveComputedStat({ key: 'atk', name: 'Attack', formula: '1' })).toThrow('already exists');
+    expect(() => api.saveComputedStat({ key: 'x', name: '', formula: '1' })).toThrow('Display name is required');
+    expect(() => api.saveComputedStat({ key: 'x', name: 'X', formula: '1 +' })).toThrow('Formula error');
+    expect(api.getComputedStat('x')).toBeNull();
+  });
+
+  test('preview evaluates against recent games and flags unknown stats', () => {
+    addSampleGame();
+    const { rows, unknownKeys } = api.previewComputedStat({ key: 'reb', formula: 'oreb + dreb + blocks' });
+    expect(rows.map((r) => [r.player, r.value, r.current])).toEqual([['Alice', 3, 3], ['Bob', 0, null]]);
+    expect(unknownKeys).toEqual(['blocks']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Normalization modes
+// ---------------------------------------------------------------------------
+describe('normalization', () => {
+  const records = [
+    { date: '2025-10-01', possessions: 20, pts: 10, fg: { made: 4, attempted: 8 }, min: 20 },
+    { date: '2025-10-08', possessions: null, pts: 8, fg: { made: 3, attempted: 5 } },
+    { date: '2025-10-15', possessions: 40, pts: 12, fg: { made: 5, attempted: 10 }, min: 16 },
+    { date: '2025-10-22', possessions: null, pts: 6, fg: { made: 2, attempted: 2 }, min: 0 },
+  ];
+
+  test('per-minute modes scale by minutes and exclude games without them', () => {
+    const perGame = api.calculateWindowedStatsShared(records, 'pts', 'all', false);
+    expect(perGame.avg).toBe(9);
+    expect(perGame.excludedGames).toBe(0);
+
+    const per40 = api.calculateWindowedStatsShared(records, 'pts', 'all', false, null, 'per40');
+    expect(per40.values).toEqual([20, 30]);
+    expect(per40.excludedGames).toBe(2);
+    expect(per40.totals).toBeNull();
+    expect(api.calculateWindowedStatsShared(records, 'fg', 'all', false, null, 'per32').totals)
+      .toEqual({ made: 9, attempted: 18 });
+
+    // Percentages and minutes are never scaled
+    expect(api.normalizeStatValue(55, 'fg%', 'per40', { min: 10 })).toBe(55);
+    expect(api.normalizeStatValue(20, 'min', 'per40', {})).toBe(20);
+
+    const all = api.calculateAllPlayerStats(records, ['pts'], 'all', false, null, 'per32');
+    expect(all.games).toBe(2);
+    expect(all.excludedGames).toBe(2);
+  });
+
+  test('per-possession mode uses the estimated possessions', () => {
+    expect(api.calculateWindowedStatsShared(records, 'pts', 'all', false, null, 'per100').values).toEqual([50, 30]);
+
+    const game = {
+      performances: {
+        Alice: { min: 30, fg: { made: 5, attempted: 12 }, ft: { made: 2, attempted: 5 }, oreb: 2, to: 3 },
+        Bob: { min: 170, fg: { made: 1, attempted: 4 }, ft: { made: 0, attempted: 0 }, oreb: 0, to: 1 },
+        Cleo: { fg: { made: 0, attempted: 1 } },
+      },
+    };
+    // Team: 17 FGA + 0.44 × 5 FTA − 2 OREB + 4 TO = 21.2; Alice holds 30 × 5 / 200 of the slots
+    expect(api.estimatePlayerPossessions(game, 'Alice')).toBe(15.9);
+    // A short box score cannot give a player more than every team possession
+    expect(api.estimatePlayerPossessions({ performances: { Alice: game.performances.Alice } }, 'Alice')).toBe(15.2);
+    expect(api.estimatePlayerPossessions(game, 'Cleo')).toBeNull();
+  });
+
+  test('benchmarks scale with the normalization mode', () => {
+    require('../reference-stats.js');
+    const { getPerformanceLevel, getStatReference } = window.referenceStats;
+    const pts = getStatReference('pts');
+
+    expect(getStatReference('pts', 'per40').p50).toBeCloseTo(pts.p50 * 2, 1);
+    expect(getStatReference('fg%', 'per40')).toBe(getStatReference('fg%'));
+    expect(getPerformanceLevel('pts', pts.p90)).toBe('excellent');
+    expect(getPerformanceLevel('pts', pts.p90, 'per40')).not.toBe('excellent');
+    expect(getPerformanceLevel('foul', 6, 'per40')).toBe('excellent');
+  });
+});
+
+describe('benchmark profiles', () => {
+  const yearsAgo = (years) => `${new Date().getFullYear() - years}-01-01`;
+
+  test('derives each profile from the U15 club values', () => {
+    require('../reference-stats.js');
+    const { getStatReference, getPerformanceLevel, getActiveProfile, getProfileForAge } = window.referenceStats;
+
+    expect(getActiveProfile().id).toBe('u15-club');
+    expect(getStatReference('pts', 'game', 'senior-elite').p50).toBeCloseTo(getStatReference('pts').p50 * 1.6, 1);
+    expect(getStatReference('fg%', 'game', 'senior-elite').p50).toBe(getStatReference('fg%').p50 + 8);
+    expect(getStatReference('a/to', 'game', 'u13-club').p50).toBe(getStatReference('a/to').p50);
+    expect(getPerformanceLevel('pts', 14, 'game')).toBe('good');
+    expect(getPerformanceLevel('pts', 14, 'game', 'senior-elite')).toBe('average');
+
+    expect(getProfileForAge(11)).toBe('u13-club');
+    expect(getProfileForAge(16, 'elite')).toBe('u17-elite');
+    expect(getProfileForAge(30)).toBe('senior-club');
+    expect(getProfileForAge(null)).toBeNull();
+  });
+
+  test('picks a profile per player and keeps saved sets per profile', () => {
+    const team = api.addTeam({ name: 'U16 boys', ageGroup: 'U16' });
+    api.updatePlayer('Alice', { birthdate: yearsAgo(19) });
+    api.updatePlayer('Bob', { birthdate: null });
+    localStorage.setItem('referenceStats@u17-club', JSON.stringify({ stats: { pts: { p50: 11 } } }));
+    localStorage.setItem('referenceStats', JSON.stringify({ stats: { pts: { p50: 9 } } }));
+    require('../reference-stats.js');
+    const rs = window.referenceStats;
+
+    expect(rs.getPlayerProfileId('Alice')).toBe('senior-club');
+    expect(rs.getPlayerProfileId('Bob')).toBe('u15-club');
+    rs.useTeamBenchmarks(team.id);
+    expect(rs.getPlayerProfileId('Bob')).toBe('u17-club');
+
+    rs.setProfileSelection('auto-elite');
+    expect(rs.getPlayerProfileId('Alice')).toBe('senior-elite');
+    rs.setProfileSelection('u13-club');
+    expect(rs.getPlayerProfileId('Alice')).toBe('u13-club');
+
+    expect(rs.getStatReference('pts', 'game', 'u17-club').p50).toBe(11);
+    expect(rs.getStatReference('pts').p50).toBe(9);
+    rs.useBenchmarkProfile('u17-club');
+    expect(rs.getStatReference('pts').p50).toBe(11);
+    expect(rs.data.meta).toMatchObject({ profileId: 'u17-club', minutesPerGame: 22 });
+  });
+});
+
+describe('shared benchmarks', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const serveBenchmarks = (body) => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(body) }));
+  };
+
+  test("replaces this browser's sets with the server's", async () => {
+    localStorage.setItem('referenceStats', JSON.stringify({ stats: { pts: { p50: 9 } } }));
+    localStorage.setItem('referenceStats:t_old', JSON.stringify({ stats: { pts: { p50: 3 } } }));
+    localStorage.setItem('basketstat-team', 't_old');
+    serveBenchmarks({ sets: { referenceStats: { pts: { p50: 12 } } }, updatedAt: '2026-10-01T08:00:00.000Z' });
+    require('../reference-stats.js');
+
+    await expect(window.referenceStats.ready).resolves.toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith('/api/benchmarks');
+    expect(window.referenceStats.getStatReference('pts').p50).toBe(12);
+    expect(window.referenceStats.data.meta.lastUpdated).toBe('2026-10-01');
+    expect(localStorage.getItem('referenceStats:t_old')).toBeNull();
+    expect(localStorage.getItem('basketstat-team')).toBe('t_old');
+  });
+
+  test('keeps local sets until the server has stored any', async () => {
+    localStorage.setItem('referenceStats', JSON.stringify({ stats: { pts: { p50: 9 } } }));
+    serveBenchmarks({ sets: {}, updatedAt: null });
+    require('../reference-stats.js');
+
+    await expect(window.referenceStats.ready).resolves.toBe(false);
+    expect(window.referenceStats.getStatReference('pts').p50).toBe(9);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// CSV import profiles
+// ---------------------------------------------------------------------------
+describe('import profiles', () => {
+  function makeFile(content) {
+    return { text: () => Promise.resolve(content) };
+  }
+
+  test('FIBA LiveStats exports are detected and mapped', async () => {
+    const csv = [
+      'No,Name,MIN,PTS,FGM,FGA,3PM,3PA,FTM,FTA,OREB,DREB,REB,AST,STL,BLK,TO,PF,+/-',
+      '5,Alice Hansen,24,14,5,11,2,5,2,2,1,4,5,3,2,0,1,2,+6',
+      ',Team,,,,,,,,,2,1,3,,,,1,,',
+      ',Totals,40,14,5,11,2,5,2,2,3,5,8,3,2,0,2,2,',
+    ].join('\n');
+    const { performances, playersFound, profile, statHeaders } = await api.parseCsv(makeFile(csv));
+
+    expect(profile.id).toBe('fiba-livestats');
+    expect(Object.keys(performances)).toEqual(['Alice Hansen']);
+    expect(playersFound['Alice Hansen'].number).toBe(5);
+    expect(performances['Alice Hansen']).toMatchObject({
+      min: 24, pts: 14, fg: { made: 5, attempted: 11 }, 'fg%': 45, '3pt': { made: 2, attempted: 5 }, 'ft%': 100,
+      oreb: 1, dreb: 4, asst: 3, foul: 2, '+/-': 6,
+    });
+    expect(statHeaders).not.toContain('reb');
+  });
+
+  test('separate 2PT/3PT columns are combined into field goals', async () => {
+    const csv = 'Player;MIN;PTS;2PM;2PA;3PM;3PA;FTM;FTA;OR;DR;AST;ST;BS;TO;PF\n12 Bob;18;11;3;6;1;4;2;4;0;3;2;1;0;2;3';
+    const { performances, profile } = await api.parseCsv(makeFile(csv));
+
+    expect(profile.id).toBe('split-2pt');
+    expect(performances.Bob).toMatchObject({ fg: { made: 4, attempted: 10 }, 'fg%': 40, '3pt': { made: 1, attempted: 4 }, stl: 1 });
+  });
+
+  test('custom profiles are saved from mapping text and win detection', async () => {
+    const profile = api.saveImportProfile({
+      name: 'League app',
+      player: { column: 'Spiller', format: 'last-first', numberColumn: 'Nr' },
+      columns: 'pts = Poeng\nfg = 2P treff + 3P treff / 2P forsøk + 3P forsøk\nfoul = Feil + TF',
+    });
+    expect(profile.columns.fg).toEqual({ made: ['2P treff', '3P treff'], attempted: ['2P forsøk', '3P forsøk'] });
+    expect(api.formatColumnMapping(profile.columns)).toContain('fg = 2P treff + 3P treff / 2P forsøk + 3P forsøk');
+    expect(api.getHistory().undo[0].label).toBe('Saved import profile League app');
+
+    const csv = 'Nr,Spiller,Poeng,2P treff,2P forsøk,3P treff,3P forsøk,Feil,TF\n7,"Hansen, Alice",9,3,5,1,2,2,1';
+    const { performances, playersFound } = await api.parseCsv(makeFile(csv));
+    expect(performances['Alice Hansen']).toMatchObject({ pts: 9, fg: { made: 4, attempted: 7 }, foul: 3 });
+    expect(playersFound['Alice Hansen'].number).toBe(7);
+
+    expect(() => api.saveImportProfile({ ...profile, id: undefined })).toThrow('already exists');
+    expect(() => api.saveImportProfile({ name: 'X', player: { column: 'P' }, columns: 'reb = REB' })).toThrow('computed stat');
+    expect(() => api.saveImportProfile({ name: 'X', player: { column: 'P' }, columns: 'pts PTS' })).toThrow('Mapping line 1');
+    expect(() => api.deleteImportProfile('fiba-livestats')).toThrow('Built-in');
+    api.deleteImportProfile(profile.id);
+    expect(api.getImportProfile(profile.id)).toBeNull();
+  });
+
+  test('the app format is still the default and can be forced', async () => {
+    expect(api.detectImportProfile(['player', 'pts', 'fg', 'custom']).profile.id).toBe('basketstat');
+    expect(api.detectImportProfile(['Name', 'PTS'])).toBeNull();
+    await expect(api.parseCsv(makeFile('Name,PTS\nAlice,3'), 'split-2pt')).rejects.toThrow("'Player' column");
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Box score validation
+// ---------------------------------------------------------------------------
+describe('validateBoxScore', () => {
+  const line = (overrides = {}) => ({
+    min: 27, pts: 9, fg: { made: 4, attempted: 8 }, 'fg%': 50, '3pt': { made: 1, attempted: 3 }, '3pt%': 33,
+    ft: { made: 0, attempted: 0 }, 'ft%': null, oreb: 1, dreb: 2, foul: 2, '+/-': 4, ...overrides,
+  });
+  const team = (overrides = {}) => ({
+    A: line(overrides.A), B: line(overrides.B), C: line(overrides.C), D: line(overrides.D), E: line(overrides.E), F: line(overrides.F),
+  });
+
+  test('a consistent box score has no issues', () => {
+    expect(api.validateBoxScore(team({ F: { '+/-': 5 } }), { teamScore: 54, opponentScore: 49 })).toEqual({ issues: [], swaps: [] });
+  });
+
+  test('flags points, made/attempted and percentage mismatches with fixes', () => {
+    const { issues } = api.validateBoxScore(team({
+      A: { pts: 12 },
+      B: { ft: { made: 3, attempted: 1 }, pts: 12 },
+      C: { 'fg%': 80 },
+      D: { min: 0 },
+    }));
+    const byPlayer = (player, stat) => issues.find((i) => i.player === player && i.stat === stat);
+
+    expect(byPlayer('A', 'pts')).toMatchObject({ level: 'error', fix: { stat: 'pts', value: 9 } });
+    expect(byPlayer('B', 'ft').fix.value).toEqual({ made: 1, attempted: 3 });
+    expect(byPlayer('B', 'ft%').fix.value).toBe(300);
+    expect(byPlayer('C', 'fg%')).toMatchObject({ level: 'warning', fix: { value: 50 } });
+    expect(byPlayer('D', 'min').fix.value).toBeNull();
+
+    const fixed = api.applyBoxScoreFixes(team({ A: { pts: 12 } }), [byPlayer('A', 'pts').fix]);
+    expect(fixed.A.pts).toBe(9);
+  });
+
+  test('checks the team totals against the score', () => {
+    const short = { min: 10 };
+    const { issues } = api.validateBoxScore(team({ A: short, B: short, C: short, D: short, E: short, F: short }), { teamScore: 60, opponentScore: 40 });
+    expect(issues.map((i) => [i.player, i.stat])).toEqual([[null, 'min'], [null, 'pts'], [null, '+/-']]);
+    expect(issues[2].message).toContain('give 100');
+  });
+
+  test('detects systematically swapped columns', () => {
+    const swapped = team();
+    Object.values(swapped).forEach((stats, i) => {
+      stats.min = [-3, 5, 0, 2, -6, 4][i];
+      stats['+/-'] = [28, 30, 25, 27, 24, 26][i];
+    });
+    const { swaps } = api.validateBoxScore(swapped);
+    expect(swaps[0]).toMatchObject({ from: 'min', to: '+/-' });
+
+    const remapped = api.swapStatColumns(swapped, 'min', '+/-');
+    expect(remapped.A.min).toBe(28);
+    expect(api.validateBoxScore(remapped)).toEqual({ issues: [], swaps: [] });
+  });
+
+  test('fixes and swaps carry over to percentages and period lines', () => {
+    const periodLine = (ft, pts) => ({ fg: { made: 1, attempted: 2 }, 'fg%': 50, '3pt': { made: 0, attempted: 1 }, '3pt%': 0, ft, 'ft%': null, pts, min: 5 });
+    const stats = line({
+      ft: { made: 3, attempted: 1 }, 'ft%': 300, pts: 7,
+      periods: { Q1: periodLine({ made: 2, attempted: 1 }, 4), Q2: periodLine({ made: 1, attempted: 0 }, 3) },
+    });
+    const { issues } = api.validateBoxScore({ A: stats });
+    const fixes = issues.filter((i) => i.fix && i.stat === 'ft').map((i) => i.fix);
+
+    const fixed = api.applyBoxScoreFixes({ A: stats }, fixes).A;
+    expect(fixed).toMatchObject({ ft: { made: 1, attempted: 3 }, 'ft%': 33 });
+    expect(fixed.periods.Q1).toMatchObject({ ft: { made: 1, attempted: 2 }, 'ft%': 50 });
+    expect(fixed.periods.Q2).toMatchObject({ ft: { made: 0, attempted: 1 }, 'ft%': 0 });
+    expect(stats.periods.Q1.ft).toEqual({ made: 2, attempted: 1 });
+
+    // A points fix recomputes each period from its shots; clearing a stat clears it per period
+    const repointed = api.applyBoxScoreFixes({ A: fixed }, [{ player: 'A', stat: 'pts', value: 9 }, { player: 'A', stat: 'min', value: null }]).A;
+    expect([repointed.pts, repointed.periods.Q1.pts, repointed.periods.Q2.pts]).toEqual([9, 3, 2]);
+    expect([repointed.min, repointed.periods.Q1.min]).toEqual([null, null]);
+
+    const swapped = api.swapStatColumns({ A: stats }, 'fg', '3pt').A;
+    expect(swapped).toMatchObject({ fg: { made: 1, attempted: 3 }, 'fg%': 33, '3pt': { made: 4, attempted: 8 }, '3pt%': 50 });
+    expect(swapped.periods.Q2).toMatchObject({ fg: { made: 0, attempted: 1 }, 'fg%': 0, '3pt%': 50 });
+  });
+
+  test('the sample export with untracked minutes and opponent points', async () => {
+    const csv = require('fs').readFileSync(require('path').join(__dirname, '..', 'csv', 'box-scores-10 Jan 2026.csv'), 'utf8');
+    const { performances } = await api.parseCsv({ text: () => Promise.resolve(csv) });
+    expect(Object.keys(performances)).toHaveLength(8);
+
+    // +/- (46-61) adds up to 5 × the team's 80 points: on-court points, not minutes in the wrong column
+    const { issues, swaps } = api.validateBoxScore(performances);
+    expect(swaps).toEqual([]);
+    expect(issues.map((i) => [i.player, i.stat])).toEqual([[null, 'min'], [null, '+/-']]);
+    expect(issues[1].message).toContain("opponent's points were not recorded");
+
+    const scored = api.validateBoxScore(performances, { teamScore: 80, opponentScore: 62 });
+    expect(scored.issues[1].message).toMatch(/give 90; the opponent's points were probably not recorded/);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Play-by-play and lineups
+// ---------------------------------------------------------------------------
+describe('play-by-play', () => {
+  const LOG = [
+    'period,clock,team,player,event,in,out',
+    '1,9:30,,#4 A,2pt made,,',
+    '1,9:00,Bislett,,3pt made,,',
+    '1,8:00,,B,3pt miss,,',
+    '1,8:00,,C,dreb,,',
+    '1,7:00,,D,assist,,',
+    '1,7:00,,E,stl,,',
+    '1,7:00,,E,dunk,,',
+    '1,5:00,,,sub,F,A',
+    '1,4:00,,F,2PM,,',
+    '1,2:00,opp,,ft made,,',
+    '2,9:00,,F,3pt made,,',
+  ].join('\n');
+
+  const addLoggedGame = () => {
+    const line = (extra = {}) => ({ pts: 0, ...extra });
+    const game = api.addGame({
+      date: '2025-11-01', opponent: 'Bislett', league: 'U16', homeAway: 'home',
+      performances: { A: line({ '+/-': -1 }), B: line(), C: line(), D: line(), E: line(), F: line({ pts: 5, '+/-': 3 }) },
+    });
+    const { events, warnings } = api.parsePlayByPlay(LOG, { opponent: 'Bislett' });
+    expect(warnings).toEqual(['Event 7: unknown event "dunk" skipped']);
+    return api.importPlayByPlay(game.id, events, { quarterMinutes: 10 });
+  };
+
+  test('parses CSV and JSON logs into ordered events', () => {
+    const { events } = api.parsePlayByPlay(LOG, { opponent: 'Bislett' });
+    expect(events[0]).toEqual({ period: 'Q1', clock: 570, team: 'team', type: '2pt made', player: 'A' });
+    expect(events[1]).toEqual({ period: 'Q1', clock: 540, team: 'opponent', type: '3pt made' });
+    expect(events.filter((e) => e.clock === 300).map((e) => [e.type, e.player])).toEqual([['sub out', 'A'], ['sub in', 'F']]);
+
+    const json = JSON.stringify({ events: [
+      { Period: 'Q2', Clock: '0:30', Player: 'B', Event: 'ft miss' },
+      { Period: 'Q1', Clock: 125, Player: 'A', Event: 'in' },
+    ] });
+    expect(api.parsePlayByPlay(json).events.map((e) => [e.period, e.clock, e.type]))
+      .toEqual([['Q1', 125, 'sub in'], ['Q2', 30, 'ft miss']]);
+
+    expect(() => api.parsePlayByPlay('period,player,event\n1,A,2pm')).toThrow("'clock' column");
+    expect(() => api.parsePlayByPlay('period,clock,event\n1,9.75,2pm\n1,ten,2pm')).toThrow('Event 2: Unknown clock');
+  });
+
+  test('rebuilds five-man lineups and pairs from substitutions', () => {
+    addLoggedGame();
+    const { games } = api.loadData();
+    expect(api.getHistory().undo[0].label).toBe('Imported play-by-play (2025-11-01 vs Bislett)');
+
+    const lineups = api.getLineupStats(games);
+    expect(lineups).toEqual([
+      { players: ['B', 'C', 'D', 'E', 'F'], minutes: 15, pointsFor: 5, pointsAgainst: 1, plusMinus: 4, possessions: 1.2, netRating: 327.9, games: 1 },
+      { players: ['A', 'B', 'C', 'D', 'E'], minutes: 5, pointsFor: 2, pointsAgainst: 3, plusMinus: -1, possessions: 1.5, netRating: -66.7, games: 1 },
+    ]);
+
+    const pairs = api.getLineupStats(games, 2);
+    expect(pairs.find((p) => p.players.join() === 'B,C')).toMatchObject({ minutes: 20, plusMinus: 3 });
+    expect(pairs.find((p) => p.players.join() === 'A,F')).toBeUndefined();
+    expect(() => api.getLineupStats(games, 6)).toThrow('Lineup size');
+  });
+
+  test('summarizes the log against the box score', () => {
+    const game = addLoggedGame();
+    expect(api.summarizePlayByPlay(game)).toEqual({
+      events: 11,
+      lineups: 2,
+      points: { team: 7, opponent: 4 },
+      incompleteMinutes: 0,
+      unknownPlayers: [],
+      plusMinus: [{ player: 'F', playByPlay: 4, boxScore: 3 }],
+    });
+
+    const { events } = api.parsePlayByPlay('period,clock,event\nOT,6:00,2pm');
+    expect(() => api.importPlayByPlay(game.id, events)).toThrow('longer than the period');
+    api.removePlayByPlay(game.id);
+    expect(api.loadData().games[0].playByPlay).toBeUndefined();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Shot locations
+// ---------------------------------------------------------------------------
+describe('shot charts', () => {
+  const LOG = [
+    'player,x,y,made',
+    '#4 Alice,0,1.2,made',
+    'Alice,0.5,1.8,0',
+    'Alice,-3,5,1',
+    'Alice,7,1,made',
+    'Alice,2,8.5,miss',
+    'Bob,-7,0.5,1',
+    'Totals,0,0,1',
+  ].join('\n');
+
+  const addShotGame = (date = '2025-11-01', extra = {}) => api.addGame({
+    date, opponent: 'Bislett', league: 'U16', homeAway: 'home',
+    performances: {
+      Alice: { pts: 9, fg: { made: 3, attempted: 5 }, '3pt': { made: 1, attempted: 2 }, ...extra },
+      Bob: { pts: 3, fg: { made: 1, attempted: 2 }, '3pt': { made: 1, attempted: 1 } },
+      Cy: { pts: 0, fg: { made: 0, attempted: 0 } },
+    },
+  });
+
+  test('classifies zones from court coordinates', () => {
+    expect(api.classifyShotZone({ x: 0, y: 1.2 })).toBe('rim');
+    expect(api.classifyShotZone({ x: 0.5, y: 3.5 })).toBe('mid');
+    expect(api.classifyShotZone({ x: 6.7, y: 1 })).toBe('c3');
+    expect(api.classifyShotZone({ x: 6.5, y: 1 })).toBe('mid');
+    expect(api.classifyShotZone({ x: 0, y: 8.4 })).toBe('ab3');
+  });
+
+  test('parses shot logs in any supported unit', () => {
+    const { shots, warnings } = api.parseShotLog(LOG);
+    expect(shots[0]).toEqual({ player: 'Alice', x: 0, y: 1.2, made: true });
+    expect(shots).toHaveLength(6);
+    expect(warnings).toEqual(['Shot 7: no player, skipped']);
+
+    const pct = api.parseShotLog(JSON.stringify({ shots: [{ Player: 'Bob', X: 50, Y: 50, Result: 'missed', Period: 'Q2' }] }), { units: 'pct' });
+    expect(pct.shots).toEqual([{ player: 'Bob', x: 0, y: 7, made: false, period: 'Q2' }]);
+    expect(api.parseShotLog('player,x,y,made\nBob,0,10,1', { units: 'ft' }).shots[0].y).toBe(3.05);
+
+    expect(() => api.parseShotLog('player,x,y,made\nBob,50,50,1')).toThrow('off the court');
+    expect(() => api.parseShotLog('player,x,made\nBob,1,1')).toThrow("'y' column");
+    expect(() => api.parseShotLog('player,x,y,made\nBob,1,1,maybe')).toThrow('unknown result');
+  });
+
+  test('zone splits are stored as trendable stats', () => {
+    const first = addShotGame();
+    api.importShots(first.id, api.parseShotLog(LOG).shots);
+    const second = addShotGame('2025-11-08');
+    api.importShots(second.id, api.parseShotLog('player,x,y,made\nAlice,0,1,1\nAlice,0,1,1').shots);
+
+    const { games } = api.loadData();
+    expect(games[0].performances.Alice).toMatchObject({
+      rim: { made: 1, attempted: 2 }, 'rim%': 50, mid: { made: 1, attempted: 1 }, c3: { made: 1, attempted: 1 }, ab3: { made: 0, attempted: 1 },
+    });
+    expect(games[0].performances.Cy).toMatchObject({ rim: { made: 0, attempted: 0 }, 'rim%': null });
+    expect(api.getHistory().undo[0].label).toBe('Imported shot chart (2025-11-08 vs Bislett)');
+
+    const records = games.map((g) => ({ date: g.date, ...g.performances.Alice }));
+    const rim = api.calculateWindowedStatsShared(records, 'rim', 'all', false);
+    expect(rim.totals).toEqual({ made: 3, attempted: 4 });
+    expect(api.calculateWindowedStatsShared(records, 'rim%', 'all', false).values).toEqual([50, 100]);
+    expect(api.getPlayerShots(games, 'Alice').map((s) => s.zone)).toEqual(['rim', 'rim', 'mid', 'c3', 'ab3', 'rim', 'rim']);
+
+    api.removeShots(second.id);
+    expect(api.loadData().games[1].performances.Alice.rim).toBeUndefined();
+  });
+
+  test('summarizes the log against the box score', () => {
+    const game = addShotGame();
+    api.importShots(game.id, [...api.parseShotLog(LOG).shots, { player: 'Dan', x: 0, y: 1, made: true }]);
+    const summary = api.summarizeShots(api.loadData().games[0]);
+    expect(summary.shots).toBe(7);
+    expect(summary.zones.rim).toEqual({ made: 2, attempted: 3 });
+    expect(summary.unknownPlayers).toEqual(['Dan']);
+    expect(summary.mismatches).toEqual([{ player: 'Bob', stat: 'fg', chart: 1, boxScore: 2 }]);
+  });
+});
+
+describe('game queries', () => {
+  const addQueryGames = () => [
+    api.addGame({
+      date: '2025-10-12', opponent: 'Asker', league: '1. divisjon', homeAway: 'home', teamScore: 60, opponentScore: 52,
+      performances: { Alice: { pts: 18, fg: { made: 7, attempted: 12 }, 'fg%': 58 }, Bob: { pts: 4 } },
+    }),
+    api.addGame({
+      date: '2025-11-02', opponent: 'Asker', league: 'U16', homeAway: 'away', teamScore: 48, opponentScore: 50,
+      performances: { Alice: { pts: 9 }, Bob: { pts: 16 } },
+    }),
+    api.addGame({
+      date: '2025-11-09', opponent: 'Bislett', league: '1. divisjon', homeAway: 'home',
+      performances: { Alice: { pts: 22 } },
+    }),
+  ];
+
+  const matching = (query, player) => {
+    const matches = api.compileGameQuery(query);
+    return api.loadData().games.filter((g) => matches(g, player)).map((g) => g.date);
+  };
+
+  test('filters games by fields, keywords and quoted values', () => {
+    addQueryGames();
+    expect(matching('')).toHaveLength(3);
+    expect(matching('opponent:ask home')).toEqual(['2025-10-12']);
+    expect(matching('league:"1. divisjon" date>=2025-11-01')).toEqual(['2025-11-09']);
+    expect(matching('date:2025-11 -bislett')).toEqual(['2025-11-02']);
+    expect(matching('loss')).toEqual(['2025-11-02']);
+    expect(matching('margin>5')).toEqual(['2025-10-12']);
+    expect(matching('vs=asker away')).toEqual(['2025-11-02']);
+  });
+
+  test('stat terms apply to one player, or any player without one', () => {
+    addQueryGames();
+    expect(matching('pts>=15')).toEqual(['2025-10-12', '2025-11-02', '2025-11-09']);
+    expect(matching('pts>=15', 'Alice')).toEqual(['2025-10-12', '2025-11-09']);
+    expect(matching('player:bob pts>=15')).toEqual(['2025-11-02']);
+    expect(matching('fg.attempted>10 fg%>50')).toEqual(['2025-10-12']);
+    expect(matching('alice -pts<20')).toEqual(['2025-11-09']);
+  });
+
+  test('reports the position of invalid terms', () => {
+    expect(() => api.parseGameQuery('home foo>3')).toThrow('Query error at position 6: unknown field "foo"');
+    expect(() => api.parseGameQuery('pts>=lots')).toThrow('pts needs a number');
+    expect(() => api.parseGameQuery('league:"1. div')).toThrow('missing closing quote');
+    expect(() => api.parseGameQuery('date>2025-11')).toThrow('compare dates as YYYY-MM-DD');
+    expect(() => api.parseGameQuery('opponent>A')).toThrow('opponent cannot be compared with >');
+  });
+
+  test('saves named queries', () => {
+    const saved = api.saveGameQuery({ name: 'Asker at home', query: 'opponent:Asker home' });
+    expect(api.getGameQueries()).toEqual([saved]);
+    expect(api.getHistory().undo[0].label).toBe('Saved query Asker at home');
+    expect(() => api.saveGameQuery({ name: 'asker AT home', query: 'home' })).toThrow('already exists');
+    expect(() => api.saveGameQuery({ name: 'Broken', query: 'pts>=' })).toThrow('missing value for pts');
+
+    api.saveGameQuery({ ...saved, query: 'opponent:Asker' });
+    expect(api.getGameQueries()[0].query).toBe('opponent:Asker');
+    api.deleteGameQuery(saved.id);
+    expect(api.getGameQueries()).toEqual([]);
+  });
+});
+
+describe('trend significance', () => {
+  const recordsOf = (values) => values.map((pts, i) => ({ date: `2025-10-${String(i + 1).padStart(2, '0')}`, pts }));
+
+  test('mannWhitneyTest gives exact two-sided p-values', () => {
+    expect(api.mannWhitneyTest([1, 2, 3], [4, 5, 6])).toEqual({ u: 9, pValue: 0.1 });
+    expect(api.mannWhitneyTest([1, 2, 3, 4, 5], [6, 7, 8, 9, 10]).pValue).toBeCloseTo(2 / 252, 6);
+    expect(api.mannWhitneyTest([6, 7, 8, 9, 10], [1, 2, 3, 4, 5])).toMatchObject({ u: 0 });
+    expect(api.mannWhitneyTest([2, 2, 2], [2, 2, 2]).pValue).toBe(1);
+    expect(api.mannWhitneyTest([], [1])).toBeNull();
+  });
+
+  test('window trends carry a significance test', () => {
+    const clear = api.calculateWindowedStatsShared(recordsOf([4, 5, 6, 4, 5, 12, 14, 13, 15, 11]), 'pts', 5, false);
+    expect(clear.avgTrend).toBe(8.2);
+    expect(clear.trendTest).toMatchObject({ method: 'mann-whitney', confidence: 0.99, significant: true, previousGames: 5, currentGames: 5 });
+
+    // One big game moves the average by 3.7 points but is not a trend
+    const noisy = api.calculateWindowedStatsShared(recordsOf([2, 3, 20, 10, 12, 14]), 'pts', 3, false);
+    expect(noisy.avgTrend).toBeGreaterThan(3);
+    expect(noisy.trendTest).toMatchObject({ confidence: null, significant: false });
+
+    expect(api.calculateWindowedStatsShared(recordsOf([1, 2, 3, 4]), 'pts', 2, false).trendTest).toBeNull();
+
+    // Callers reading only the averages skip the test
+    const untested = api.calculateWindowedStatsShared(recordsOf([4, 5, 6, 4, 5, 12, 14, 13, 15, 11]), 'pts', 5, false, null, 'game', false);
+    expect(untested).toMatchObject({ average: clear.average, avgTrend: 8.2, trendTest: null });
+  });
+});
+
+describe('trend models', () => {
+  const series = [4, 6, 5, 8, 7, 9, 11, 10].map((value, i) => ({ date: `2025-10-${String(i * 4 + 1).padStart(2, '0')}`, value }));
+
+  test('fits OLS, EWMA and LOESS lines with a slope', () => {
+    const ols = api.fitTrendModel(series, 'ols');
+    expect(ols.slope).toBeCloseTo(0.9286, 4);
+    expect(ols.fitted[0]).toBeCloseTo(4.25, 4);
+    expect(ols.slopeUnit).toBe('game');
+
+    // Games four days apart: 0.9286 per 4 days
+    const byDate = api.fitTrendModel(series, 'ols', { axis: 'date' });
+    expect(byDate.slopeUnit).toBe('month');
+    expect(byDate.slope).toBeCloseTo((0.9286 / 4) * (365.25 / 12), 2);
+
+    const ewma = api.fitTrendModel(series, 'ewma', { halfLife: 1 });
+    expect(ewma.fitted.slice(0, 3)).toEqual([4, 5, 5]);
+    expect(ewma.slope).toBeGreaterThan(0);
+
+    const loess = api.fitTrendModel(series, 'loess');
+    expect(loess.fitted).toHaveLength(8);
+    expect(loess.fitted[7]).toBeCloseTo(10.73, 1);
+
+    expect(api.fitTrendModel(series.slice(0, 1), 'ols')).toBeNull();
+    expect(() => api.fitTrendModel(series, 'spline')).toThrow('Unknown trend model');
+  });
+
+  test('calculateTrendModel reads player records', () => {
+    const records = series.map(({ date, value }) => ({ date, stats: { pts: value, min: value > 5 ? 20 : 0 } }));
+    expect(api.calculateTrendModel(records, 'pts', 'ols').games).toBe(8);
+    expect(api.calculateTrendModel(records, 'min', 'ols').games).toBe(6);
+    expect(api.calculateTrendModel(records.reverse(), 'pts', 'ols').fitted[0]).toBeCloseTo(4.25, 4);
+  });
+});
+
+describe('anomalies', () => {
+  const addSeries = (points, extra = {}) => points.forEach((pts, i) => api.addGame({
+    date: `2025-10-${String(i + 1).padStart(2, '0')}`, opponent: 'Asker', league: 'U16', homeAway: 'home',
+    performances: { Alice: { pts, blk: 0, 'fg%': 40 + i, ...extra }, Bob: { pts: 5 } },
+  }));
+
+  test('flags games far from the player\'s other games', () => {
+    addSeries([8, 10, 9, 11, 10, 42, 9]);
+    const found = api.findAnomalies(api.loadData().games);
+    expect(found).toHaveLength(1);
+    expect(found[0]).toMatchObject({ player: 'Alice', stat: 'pts', value: 42, expected: 9.5, date: '2025-10-06', high: true, low: false });
+    expect(found[0].score).toBeCloseTo(0.6745 * 32.5 / 1, 4);
+
+    // z-scores compare against the mean and standard deviation
+    const z = api.findAnomalies(api.loadData().games, { method: 'z' });
+    expect(z.map((a) => a.value)).toEqual([42]);
+  });
+
+  test('needs enough history and respects the options', () => {
+    addSeries([8, 10, 9, 40]);
+    expect(api.findAnomalies(api.loadData().games)).toEqual([]);
+    expect(api.findAnomalies(api.loadData().games, { minGames: 4 })).toHaveLength(1);
+    expect(api.findAnomalies(api.loadData().games, { minGames: 4, players: ['Bob'] })).toEqual([]);
+    expect(api.findAnomalies(api.loadData().games, { minGames: 4, threshold: 100 })).toEqual([]);
+    expect(() => api.findAnomalies([], { method: 'iqr' })).toThrow('Unknown anomaly method');
+  });
+
+  test('scores shot attempts separately from makes', () => {
+    [7, 8, 30, 7, 9, 8].forEach((attempted, i) => api.addGame({
+      date: `2025-10-0${i + 1}`, opponent: 'Asker', league: 'U16', homeAway: 'home',
+      performances: { Alice: { fg: { made: 3, attempted } } },
+    }));
+    expect(api.findAnomalies(api.loadData().games).map((a) => [a.stat, a.value])).toEqual([['fg.attempted', 30]]);
+    expect(api.findAnomalies(api.loadData().games, { stats: ['fg'] })).toEqual([]);
+  });
+
+  test('leaves out untracked minutes and columns the box score misfilled', () => {
+    // A season of min 0 for Alice, then a full box score with real minutes; +/- holds
+    // on-court points (adding up to five times the team's points) throughout
+    const bench = { pts: 0, min: 40, '+/-': 0 };
+    [0, 0, 0, 0, 0, 0, 40].forEach((min, i) => api.addGame({
+      date: `2025-10-0${i + 1}`, opponent: 'Asker', league: 'U16', homeAway: 'home',
+      performances: {
+        Alice: { pts: 10, min, '+/-': i === 6 ? 70 : 40 },
+        Bob: { pts: 5, min: 40, '+/-': i === 6 ? 5 : 35 },
+        ...(i === 6 ? { Cara: bench, Dan: bench, Eve: bench } : {}),
+      },
+    }));
+
+    expect(api.findAnomalies(api.loadData().games)).toEqual([]);
+    expect(api.findAnomalies(api.loadData().games, { stats: ['min', '+/-'] })).toEqual([]);
+  });
+});
+
+describe('projections', () => {
+  test('shrinks a short history toward the prior', () => {
+    const prior = { mean: 10, weight: 5, variance: 4, source: 'team' };
+    const few = api.projectNextGame([20], prior);
+    expect(few.shrinkage).toBeCloseTo(5 / 6, 6);
+    expect(few.projected).toBeCloseTo(20 / 6 + 50 / 6, 6);
+    expect(few.low).toBeLessThan(few.projected);
+    expect(few.high).toBeGreaterThan(few.projected);
+
+    const many = api.projectNextGame(Array(30).fill(20), prior);
+    expect(many.shrinkage).toBeLessThan(few.shrinkage);
+    expect(many.projected).toBeGreaterThan(few.projected);
+    expect(api.projectNextGame([], null)).toBeNull();
+    expect(api.projectNextGame([50], null, { max: 40 }).projected).toBe(40);
+  });
+
+  test('estimates a team prior and projects dashboard records', () => {
+    const records = [];
+    [['Alice', [14, 16, 15, 17]], ['Bob', [4, 6, 5, 5]], ['Cara', [9, 11, 10, 10]], ['Dan', [30]]].forEach(([player, values]) => {
+      values.forEach((pts, i) => records.push({ player, date: `2025-10-0${i + 1}`, stats: { pts } }));
+    });
+    const prior = api.estimateProjectionPrior({ Alice: [14, 16, 15, 17], Bob: [4, 6, 5, 5], Cara: [9, 11, 10, 10] });
+    expect(prior).toMatchObject({ players: 3, source: 'team' });
+    expect(prior.mean).toBeCloseTo((15.5 + 5 + 10) / 3, 6);
+    expect(prior.weight).toBeGreaterThan(0);
+
+    const dan = api.calculateProjection(records, 'Dan', 'pts');
+    expect(dan.source).toBe('team');
+    expect(dan.projected).toBeGreaterThan(10);
+    expect(dan.projected).toBeLessThan(30);
+
+    // Too few players for a team prior: the reference mean is used instead
+    const alone = api.calculateProjection(records.filter((r) => r.player === 'Dan'), 'Dan', 'pts', { reference: 8 });
+    expect(alone).toMatchObject({ source: 'reference', priorMean: 8, low: null, high: null });
+  });
+
+  test('backtests projections against later games', () => {
+    [[10, 4, 8], [12, 6, 8], [11, 5, 9], [13, 5, 8], [30, 6, 7]].forEach(([alice, bob, cara], i) => api.addGame({
+      date: `2025-10-0${i + 1}`, opponent: 'Asker', league: 'U16', homeAway: 'home',
+      performances: { Alice: { pts: alice }, Bob: { pts: bob }, Cara: { pts: cara } },
+    }));
+    const { rows, summary } = api.backtestProjections(api.loadData().games, { stats: ['pts'] });
+    expect(rows.map((r) => [r.date, r.player])).toEqual([
+      ['2025-10-05', 'Alice'], ['2025-10-05', 'Bob'], ['2025-10-05', 'Cara'],
+      ['2025-10-04', 'Alice'], ['2025-10-04', 'Bob'], ['2025-10-04', 'Cara'],
+    ]);
+    expect(rows[0]).toMatchObject({ actual: 30, baseline: 11.5, inRange: false });
+    expect(summary.pts.count).toBe(6);
+    expect(rows.map((r) => r.inRange)).toEqual([false, true, false, false, true, true]);
+    expect(summary.pts.coverage).toBe(0.5);
+
+    expect(api.backtestProjections(api.loadData().games, { stats: ['pts'], players: ['Bob'] }).rows).toHaveLength(2);
+  });
+});
+
+describe('team percentiles', () => {
+  test('ranks a value among the team, ties counting half', () => {
+    expect(api.getTeamPercentile(10, [2, 10, 6, 4, 8])).toBe(100);
+    expect(api.getTeamPercentile(2, [2, 10, 6, 4, 8])).toBe(0);
+    expect(api.getTeamPercentile(5, [5, 5, 1])).toBe(75);
+    expect(api.getTeamPercentile(1, [1, 3, 5], true)).toBe(100);
+    expect(api.getTeamPercentile(1, [1])).toBeNull();
+    expect(api.getPercentileLevel(90)).toBe('excellent');
+    expect(api.getPercentileLevel(60)).toBe('average');
+    expect(api.getPercentileLevel(0)).toBe('poor');
+  });
+
+  test('ranks every player and needs enough of them', () => {
+    const ranks = api.calculateTeamPercentiles({ Alice: 12, Bob: 4, Cara: 8, Dan: null, Eve: 12 });
+    expect(Object.keys(ranks).sort()).toEqual(['Alice', 'Bob', 'Cara', 'Eve']);
+    expect(ranks.Alice).toEqual({ percentile: (2 + 0.5) / 3 * 100, rank: 1, of: 4, level: 'good' });
+    expect(ranks.Cara).toMatchObject({ rank: 3, level: 'below' });
+    expect(ranks.Bob).toMatchObject({ percentile: 0, rank: 4, level: 'poor' });
+
+    expect(api.calculateTeamPercentiles({ Alice: 4, Bob: 2, Cara: 3 }, { inverted: true }).Bob.rank).toBe(1);
+    expect(api.calculateTeamPercentiles({ Alice: 4, Bob: 2 })).toEqual({});
+  });
+});
+
+describe('benchmark calibration', () => {
+  const STATS = { pts: {}, to: { invertedScale: true }, foul: { customScale: true }, 'fg%': {} };
+  const makeGames = (count, line) => Array.from({ length: count }, (_, i) => ({
+    date: `2024-01-${String(i + 1).padStart(2, '0')}`,
+    performances: { Alice: line(i) }
+  }));
+
+  test('proposes percentiles, reading inverted stats from the low end', () => {
+    const games = makeGames(11, i => ({ pts: i, to: i, foul: i % 5, fg: { made: i, attempted: 10 }, min: 20 }));
+    const calibration = api.calibrateBenchmarks(games, STATS);
+
+    expect(calibration.pts).toMatchObject({ samples: 11, min: 0, max: 10, proposed: { p25: 2.5, p50: 5, p75: 7.5, p90: 9 } });
+    expect(calibration.pts.histogram.reduce((sum, bin) => sum + bin.count, 0)).toBe(11);
+    expect(calibration.to.proposed).toEqual({ p25: 7.5, p50: 5, p75: 2.5, p90: 1 });
+    expect(calibration['fg%'].proposed).toEqual({ p25: 25, p50: 50, p75: 75, p90: 90 });
+    expect(calibration.foul).toMatchObject({ samples: 11, proposed: null, reason: 'Graded on its own scale, not by percentiles' });
+  });
+
+  test('needs enough samples and applies the filters', () => {
+    const games = makeGames(12, i => ({ pts: i, fg: i % 2 ? { made: 3, attempted: 10 } : { made: 1, attempted: 2 }, min: i < 6 ? 3 : 25 }));
+    games[0].performances.Bob = { pts: 30, min: 30 };
+
+    expect(api.calibrateBenchmarks(games, STATS, { minMinutes: 10 }).pts)
+      .toMatchObject({ samples: 7, proposed: null, reason: `Only 7 games (${api.MIN_CALIBRATION_SAMPLES} needed)` });
+    expect(api.calibrateBenchmarks(games, STATS, { players: ['Alice'] }).pts).toMatchObject({ samples: 12, max: 11 });
+
+    // Player averages take percentages from made / attempted totals
+    const byPlayer = api.calibrateBenchmarks(games, STATS, { basis: 'players' });
+    expect(byPlayer.pts).toMatchObject({ samples: 2, min: 5.5, max: 30, reason: 'Only 2 players (10 needed)' });
+    expect(byPlayer['fg%'].samples).toBe(1);
+    expect(byPlayer['fg%'].min).toBeCloseTo((24 / 72) * 100);
+  });
+});
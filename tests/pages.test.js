@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+
+// The pages load their scripts as classic <script>s sharing one global scope,
+// so a top-level name declared twice stops every script after it. The other
+// tests require() each file in its own module scope and cannot see that.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const PAGES = fs.readdirSync(ROOT).filter((file) => file.endsWith('.html'));
+
+/**
+ * Open a page and run its scripts in order in one window
+ * @returns {Object} { window, scripts, errors }
+ */
+const openPage = (page) => {
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+  const scripts = [...new JSDOM(html).window.document.querySelectorAll('script')].map((script) => ({
+    src: script.getAttribute('src'),
+    code: script.getAttribute('src') ? null : script.textContent
+  }));
+
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', (error) => errors.push(error.message));
+  const { window } = new JSDOM(html.replace(/<script[\s\S]*?<\/script>/g, ''), {
+    runScripts: 'dangerously',
+    url: 'http://localhost/',
+    virtualConsole
+  });
+  window.fetch = async () => ({ ok: false, status: 404, json: async () => ({}) });
+  window.confirm = () => false;
+
+  scripts.forEach(({ src, code }) => {
+    const element = window.document.createElement('script');
+    element.textContent = src ? fs.readFileSync(path.join(ROOT, src), 'utf8') : code;
+    window.document.body.appendChild(element);
+  });
+  return { window, scripts: scripts.map((s) => s.src).filter(Boolean), errors };
+};
+
+describe('pages', () => {
+  test.each(PAGES)('%s runs all its scripts in one window', async (page) => {
+    const { window, scripts, errors } = openPage(page);
+    await Promise.all([window.basketStatData?.ready, window.referenceStats?.ready]);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(errors).toEqual([]);
+    if (scripts.includes('data.js')) expect(window.basketStatData).toBeDefined();
+    if (scripts.includes('storage.js')) expect(window.basketStatStorage).toBeDefined();
+    if (scripts.includes('reference-stats.js')) expect(window.referenceStats).toBeDefined();
+    window.close();
+  });
+});
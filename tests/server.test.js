@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Files the server writes under data/ live in memory, so tests never touch the real data
+const files = new Map();
+const inDataDir = (file) => typeof file === 'string' && (file === DATA_DIR || file.startsWith(DATA_DIR + path.sep));
+const realFs = {
+  existsSync: fs.existsSync,
+  readFileSync: fs.readFileSync,
+  writeFileSync: fs.writeFileSync,
+  mkdirSync: fs.mkdirSync
+};
+jest.spyOn(fs, 'existsSync').mockImplementation((file) => (
+  inDataDir(file) ? file === DATA_DIR || files.has(file) : realFs.existsSync(file)
+));
+jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => (
+  inDataDir(file) ? files.get(file) : realFs.readFileSync(file, ...args)
+));
+jest.spyOn(fs, 'writeFileSync').mockImplementation((file, content, ...args) => (
+  inDataDir(file) ? files.set(file, content) && undefined : realFs.writeFileSync(file, content, ...args)
+));
+jest.spyOn(fs, 'mkdirSync').mockImplementation((dir, ...args) => (
+  inDataDir(dir) ? undefined : realFs.mkdirSync(dir, ...args)
+));
+jest.spyOn(console, 'log').mockImplementation(() => {});
+
+process.env.APP_PASSWORD = 'team-password';
+process.env.ADMIN_PASSWORD = 'admin-password';
+process.env.SESSION_SECRET = 'test-secret';
+delete process.env.VERCEL;
+
+const app = require('../server.js');
+
+let server;
+let baseUrl;
+let adminCookie;
+let userCookie;
+
+const login = async (password, email) => {
+  const response = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+  return response.headers.get('set-cookie').split(';')[0];
+};
+
+const request = async (method, url, { cookie = adminCookie, body } = {}) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const saveSet = (body, options) => request('PUT', '/api/benchmarks', { ...options, body });
+
+beforeAll(async () => {
+  await new Promise((resolve) => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  adminCookie = await login('admin-password', 'Coach@Club.org');
+  userCookie = await login('team-password', 'parent@club.org');
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  files.delete(path.join(DATA_DIR, 'benchmarks.json'));
+});
+
+describe('benchmark store', () => {
+  test('saves a set with a diff from the baseline and records the editor', async () => {
+    const baseline = { pts: { p25: 4, p50: 8 }, reb: { p25: 2 } };
+    const saved = await saveSet({
+      key: 'referenceStats:t_u16@u17-club',
+      stats: { pts: { p25: 4, p50: 10 }, reb: { p25: 2 } },
+      baseline,
+      email: 'coach@club.org'
+    });
+
+    expect(saved.status).toBe(200);
+    expect(saved.body.version).toMatchObject({
+      key: 'referenceStats:t_u16@u17-club',
+      action: 'save',
+      email: 'coach@club.org',
+      changes: [{ stat: 'pts', field: 'p50', from: 8, to: 10 }],
+      baseline
+    });
+
+    // Later saves diff against the stored set; an email not matching the session is dropped
+    const next = await saveSet({
+      key: 'referenceStats:t_u16@u17-club',
+      stats: { pts: { p25: 5, p50: 10 }, stl: { p25: 1 } },
+      baseline,
+      email: 'someone@else.org'
+    });
+    expect(next.body.version.email).toBeNull();
+    expect(next.body.version.emailHash).toMatch(/^[0-9a-f]{8}$/);
+    expect(next.body.version.baseline).toBeUndefined();
+    expect(next.body.version.changes).toEqual([
+      { stat: 'pts', field: 'p25', from: 4, to: 5 },
+      { stat: 'reb', field: 'p25', from: 2, to: null },
+      { stat: 'stl', field: 'p25', from: null, to: 1 }
+    ]);
+
+    const current = await request('GET', '/api/benchmarks', { cookie: userCookie });
+    expect(current.body.sets).toEqual({ 'referenceStats:t_u16@u17-club': { pts: { p25: 5, p50: 10 }, stl: { p25: 1 } } });
+    expect(current.body.updatedAt).toBe(next.body.updatedAt);
+  });
+
+  test('resets to the baseline and restores earlier versions', async () => {
+    const baseline = { pts: { p25: 4, p50: 8 } };
+    const first = await saveSet({ key: 'referenceStats', stats: { pts: { p25: 4, p50: 12 } }, baseline });
+    const reset = await saveSet({ key: 'referenceStats', stats: null, baseline });
+
+    expect(reset.body.version).toMatchObject({
+      action: 'reset',
+      stats: null,
+      baseline,
+      changes: [{ stat: 'pts', field: 'p50', from: 12, to: 8 }]
+    });
+    expect((await request('GET', '/api/benchmarks')).body.sets).toEqual({});
+
+    const restored = await request('POST', `/api/benchmarks/versions/${first.body.version.id}/restore`, { body: {} });
+    expect(restored.body.version).toMatchObject({
+      action: 'restore',
+      restoredFrom: first.body.version.id,
+      changes: [{ stat: 'pts', field: 'p50', from: 8, to: 12 }]
+    });
+    expect((await request('GET', '/api/benchmarks')).body.sets).toEqual({ referenceStats: { pts: { p25: 4, p50: 12 } } });
+
+    // Restoring the reset removes the set again, diffing against the reset's baseline
+    const undone = await request('POST', `/api/benchmarks/versions/${reset.body.version.id}/restore`, { body: {} });
+    expect(undone.body.version.changes).toEqual([{ stat: 'pts', field: 'p50', from: 12, to: 8 }]);
+    expect((await request('GET', '/api/benchmarks')).body.sets).toEqual({});
+
+    const versions = await request('GET', '/api/benchmarks/versions?key=referenceStats');
+    expect(versions.body.versions.map(v => v.action)).toEqual(['restore', 'restore', 'reset', 'save']);
+    expect((await request('POST', '/api/benchmarks/versions/v_missing/restore', { body: {} })).status).toBe(404);
+  });
+
+  test('keeps the latest 200 versions', async () => {
+    for (let i = 1; i <= 203; i++) {
+      await saveSet({ key: 'referenceStats', stats: { pts: { p50: i } } });
+    }
+    const { body } = await request('GET', '/api/benchmarks/versions');
+
+    expect(body.total).toBe(200);
+    expect(body.versions[0].stats.pts.p50).toBe(203);
+    expect(body.versions[199].stats.pts.p50).toBe(4);
+  });
+
+  test('only admins change benchmarks or read their history', async () => {
+    const first = await saveSet({ key: 'referenceStats', stats: { pts: { p50: 9 } } });
+
+    expect((await saveSet({ key: 'referenceStats', stats: { pts: { p50: 1 } } }, { cookie: userCookie })).status).toBe(403);
+    expect((await request('GET', '/api/benchmarks/versions', { cookie: userCookie })).status).toBe(403);
+    expect((await request('POST', `/api/benchmarks/versions/${first.body.version.id}/restore`, { cookie: userCookie, body: {} })).status).toBe(403);
+    expect((await request('GET', '/api/benchmarks', { cookie: userCookie })).body.sets).toEqual({ referenceStats: { pts: { p50: 9 } } });
+    expect((await request('GET', '/api/benchmarks', { cookie: null })).status).toBe(401);
+
+    expect((await saveSet({ key: '../referenceStats', stats: {} })).status).toBe(400);
+    expect((await saveSet({ key: 'referenceStats', stats: [1] })).status).toBe(400);
+  });
+});
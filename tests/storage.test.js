@@ -0,0 +1,255 @@
+/**
+ * @jest-environment jsdom
+ */
+
+const STORAGE_KEY = 'basketstat-data';
+
+let indexedDbModule;
+
+// jsdom does not expose structuredClone, which fake-indexeddb relies on
+if (typeof structuredClone === 'undefined') {
+  const v8 = require('v8');
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+function loadModules({ withData = true } = {}) {
+  delete window.basketStatStorage;
+  delete window.basketStatData;
+  require('../storage.js');
+  // data.js starts initStorage() on load, which writes to the database
+  if (withData) require('../data.js');
+  return { storage: window.basketStatStorage, api: window.basketStatData };
+}
+
+beforeEach(() => {
+  jest.resetModules();
+  localStorage.clear();
+  // Fresh in-memory IndexedDB for every test
+  indexedDbModule = require('fake-indexeddb');
+  global.indexedDB = new indexedDbModule.IDBFactory();
+  global.IDBKeyRange = indexedDbModule.IDBKeyRange;
+});
+
+afterEach(async () => {
+  if (window.basketStatStorage) {
+    await window.basketStatStorage.closeDatabase();
+  }
+});
+
+const sampleData = () => ({
+  players: { Alice: { number: 5, active: true }, Bob: { number: 10, active: true } },
+  games: [
+    { id: 'g_2', date: '2025-02-01', opponent: 'B', league: 'Cup', homeAway: 'away', performances: { Bob: { pts: 4 } } },
+    { id: 'g_1', date: '2025-01-01', opponent: 'A', league: 'League', homeAway: 'home', performances: { Alice: { pts: 10 }, Bob: { pts: 2 } } },
+  ],
+});
+
+// ---------------------------------------------------------------------------
+// storage.js – object stores and indexes
+// ---------------------------------------------------------------------------
+describe('basketStatStorage', () => {
+  test('readAllData returns null for an empty database', async () => {
+    const { storage } = loadModules({ withData: false });
+    expect(await storage.readAllData()).toBeNull();
+  });
+
+  test('round-trips players, games and top-level fields', async () => {
+    const { storage } = loadModules({ withData: false });
+    await storage.writeAllData({ schemaVersion: 2, ...sampleData() });
+
+    const data = await storage.readAllData();
+    expect(data.schemaVersion).toBe(2);
+    expect(data.players.Alice).toEqual({ number: 5, active: true });
+    expect(data.games.map((g) => g.id)).toEqual(['g_1', 'g_2']);
+    expect(data.games[0]._players).toBeUndefined();
+  });
+
+  test('queryGames uses the player, league and date indexes', async () => {
+    const { storage } = loadModules({ withData: false });
+    await storage.writeAllData({ schemaVersion: 2, ...sampleData() });
+
+    expect((await storage.queryGames({ player: 'Alice' })).map((g) => g.id)).toEqual(['g_1']);
+    expect((await storage.queryGames({ player: 'Bob' })).map((g) => g.id)).toEqual(['g_1', 'g_2']);
+    expect((await storage.queryGames({ league: 'Cup' })).map((g) => g.id)).toEqual(['g_2']);
+    expect((await storage.queryGames({ from: '2025-01-15' })).map((g) => g.id)).toEqual(['g_2']);
+    expect((await storage.queryGames({ player: 'Bob', league: 'League' })).map((g) => g.id)).toEqual(['g_1']);
+  });
+
+  test('writeAllData replaces previous contents', async () => {
+    const { storage } = loadModules({ withData: false });
+    await storage.writeAllData({ schemaVersion: 2, ...sampleData() });
+    await storage.writeAllData({ schemaVersion: 2, players: {}, games: [] });
+
+    const data = await storage.readAllData();
+    expect(data.games).toEqual([]);
+    expect(data.players).toEqual({});
+  });
+});
+
+// ---------------------------------------------------------------------------
+// data.js – IndexedDB backend
+// ---------------------------------------------------------------------------
+describe('data.js with IndexedDB backend', () => {
+  test('switches to IndexedDB once ready', async () => {
+    const { api } = loadModules();
+    await expect(api.ready).resolves.toBe('indexedDB');
+    expect(api.getStorageBackend()).toBe('indexedDB');
+  });
+
+  test('migrates the localStorage blob once and frees the key', async () => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sampleData()));
+    const { api, storage } = loadModules();
+    await api.ready;
+
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    expect(api.loadData().games).toHaveLength(2);
+
+    const stored = await storage.readAllData();
+    expect(stored.schemaVersion).toBe(api.SCHEMA_VERSION);
+    expect(Object.keys(stored.players)).toEqual(['Alice', 'Bob']);
+  });
+
+  test('mutations persist to IndexedDB and survive a reload', async () => {
+    const { api } = loadModules();
+    await api.ready;
+
+    api.addGame({ date: '2025-03-01', opponent: 'C', league: 'League', homeAway: 'home', performances: {}, playersFound: {} });
+    await api.flushStorage();
+    await window.basketStatStorage.closeDatabase();
+
+    jest.resetModules();
+    const reloaded = loadModules();
+    const data = await reloaded.api.loadDataAsync();
+    expect(data.games).toHaveLength(1);
+    expect(data.games[0].opponent).toBe('C');
+  });
+
+  test('keeps the undo journal in IndexedDB, moving an existing localStorage journal', async () => {
+    localStorage.setItem('basketstat-history', JSON.stringify({ undo: [{ id: 'h_old', label: 'Old step', at: '2025-01-01T00:00:00Z', changes: { fields: {}, players: {}, games: {} } }], redo: [] }));
+    const { api, storage } = loadModules();
+    await api.ready;
+    expect(localStorage.getItem('basketstat-history')).toBeNull();
+
+    api.addGame({ date: '2025-03-01', opponent: 'C', league: 'League', homeAway: 'home', performances: {}, playersFound: {} });
+    await api.flushStorage();
+    expect(localStorage.getItem('basketstat-history')).toBeNull();
+    expect((await storage.readHistory()).undo.map((e) => e.label)).toEqual(['Old step', 'Added game 2025-03-01 vs C']);
+    await window.basketStatStorage.closeDatabase();
+
+    jest.resetModules();
+    const reloaded = loadModules();
+    await reloaded.api.ready;
+    expect(reloaded.api.undo().label).toBe('Added game 2025-03-01 vs C');
+    expect(reloaded.api.loadData().games).toHaveLength(0);
+    reloaded.api.clearHistory();
+    await reloaded.api.flushStorage();
+    expect(await reloaded.storage.readHistory()).toEqual({ undo: [], redo: [] });
+  });
+
+  test('saveDataAsync still refuses newer schema versions', async () => {
+    const { api } = loadModules();
+    await api.ready;
+    await expect(api.saveDataAsync({ schemaVersion: api.SCHEMA_VERSION + 1, players: {}, games: [] }))
+      .rejects.toThrow('newer than this app supports');
+  });
+
+  test('ready rejects newer stored data instead of falling back to empty localStorage', async () => {
+    const { storage } = loadModules({ withData: false });
+    await storage.writeAllData({ schemaVersion: 99, ...sampleData() });
+    await storage.closeDatabase();
+    jest.resetModules();
+
+    const { api } = loadModules();
+    await expect(api.ready).rejects.toMatchObject({ name: 'NewerSchemaError' });
+    expect(api.getStorageBackend()).toBe('localStorage');
+    expect((await window.basketStatStorage.readAllData()).schemaVersion).toBe(99);
+  });
+
+  test('saves write only changed records and keep what another tab stored', async () => {
+    const { storage, api } = loadModules();
+    await api.ready;
+    // Another tab adds a game, a player and a top-level field after this tab loaded
+    await storage.writeDataChanges({
+      games: [{ id: 'g_other', date: '2025-01-05', opponent: 'X', league: 'Cup', homeAway: 'home', performances: {} }],
+      players: { Zoe: { number: 7, active: true } },
+      root: { note: 'from other tab' },
+    });
+
+    api.addGame({ date: '2025-03-01', opponent: 'C', league: 'League', homeAway: 'home', performances: {}, playersFound: {} });
+    await api.flushStorage();
+
+    const stored = await storage.readAllData();
+    expect(stored.games.map((g) => g.opponent).sort()).toEqual(['C', 'X']);
+    expect(stored.players.Zoe).toEqual({ number: 7, active: true });
+    expect(stored.note).toBe('from other tab');
+  });
+
+  test('forceRecomputeAllStats does not save when nothing changed', async () => {
+    const { storage, api } = loadModules();
+    await api.saveDataAsync(sampleData());
+    api.forceRecomputeAllStats();
+    await api.flushStorage();
+
+    const write = jest.spyOn(storage, 'writeDataChanges');
+    api.forceRecomputeAllStats();
+    await api.flushStorage();
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('reloads when another tab announces a write', async () => {
+    class FakeChannel {
+      constructor(name) { this.name = name; FakeChannel.open.push(this); }
+      postMessage(data) {
+        FakeChannel.open
+          .filter((c) => c !== this && c.name === this.name && c.onmessage)
+          .forEach((c) => setTimeout(() => c.onmessage({ data })));
+      }
+      close() {}
+    }
+    FakeChannel.open = [];
+    global.BroadcastChannel = FakeChannel;
+    try {
+      const { api: tabA } = loadModules();
+      await tabA.ready;
+      let tabB;
+      jest.isolateModules(() => {
+        require('../data.js');
+        tabB = window.basketStatData;
+      });
+      await tabB.ready;
+      expect(FakeChannel.open).toHaveLength(2);
+
+      tabA.addGame({ date: '2025-03-01', opponent: 'C', league: 'League', homeAway: 'home', performances: {}, playersFound: {} });
+      await tabA.flushStorage();
+      await new Promise((resolve) => setTimeout(resolve));
+      await tabB.flushStorage();
+      expect(tabB.loadData().games.map((g) => g.opponent)).toEqual(['C']);
+      expect(tabB.getHistory().undo.map((e) => e.label)).toEqual(['Added game 2025-03-01 vs C']);
+    } finally {
+      delete global.BroadcastChannel;
+    }
+  });
+
+  test('queryGames filters through the async API', async () => {
+    const { api } = loadModules();
+    await api.saveDataAsync(sampleData());
+
+    const games = await api.queryGames({ player: 'Alice' });
+    expect(games.map((g) => g.id)).toEqual(['g_1']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// data.js – localStorage fallback
+// ---------------------------------------------------------------------------
+describe('data.js without IndexedDB', () => {
+  test('keeps using localStorage and the async API still works', async () => {
+    delete global.indexedDB;
+    const { api } = loadModules();
+    await expect(api.ready).resolves.toBe('localStorage');
+
+    await api.saveDataAsync(sampleData());
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).games).toHaveLength(2);
+    expect((await api.queryGames({ league: 'Cup' })).map((g) => g.id)).toEqual(['g_2']);
+  });
+});